@@ -0,0 +1,643 @@
+// REST API for the Sermon Curation System
+// Serves sermon metadata and radar evaluations from the vault at VAULT_PATH, authenticated with API_KEY
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const matter = require('gray-matter');
+const yamlGenerator = require('./yaml-generator');
+const { processSermonFile, compareRadarScores, ensembleRadarScores, stabilityRadarScores } = require('./llm-metadata-generator');
+const { AGGREGATE_METHODS } = require('./rating-stats');
+const { getCalibrationPath, loadCalibration } = require('./calibration');
+const { assertProviderConfigured } = require('./llm-providers');
+const { getRubricId, findRubricById } = require('./rubric-loader');
+const { readHistory } = require('./evaluation-history');
+const { JobQueue, isTerminalEvent } = require('./job-queue');
+const { getStateDir } = require('./state-dir');
+const { getTaxonomyPath, loadTaxonomy } = require('./taxonomy');
+
+/**
+ * Resolve a vault-relative path, refusing anything outside the vault
+ * @param {string} vaultPath - Absolute vault root
+ * @param {string} relativePath - Path from the request ("" or "." for the vault itself)
+ * @returns {string} - Absolute path of an existing file or directory
+ */
+function resolveVaultPath(vaultPath, relativePath) {
+  if (typeof relativePath !== 'string') {
+    throw httpError(400, 'A sermon "path" is required');
+  }
+  const targetPath = path.resolve(vaultPath, relativePath);
+  const relative = path.relative(vaultPath, targetPath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw httpError(400, 'Path must be inside the vault');
+  }
+  if (!fs.existsSync(targetPath)) {
+    throw httpError(404, `Not found: ${relativePath}`);
+  }
+  // Symlinks inside the vault must not lead out of it either
+  const realRelative = path.relative(fs.realpathSync(vaultPath), fs.realpathSync(targetPath));
+  if (realRelative.startsWith('..') || path.isAbsolute(realRelative)) {
+    throw httpError(400, 'Path must be inside the vault');
+  }
+  return targetPath;
+}
+
+/**
+ * Resolve a vault-relative sermon path, refusing anything outside the vault or that isn't a markdown file
+ * @param {string} vaultPath - Absolute vault root
+ * @param {string} relativePath - Path from the request
+ * @returns {string} - Absolute file path
+ */
+function resolveSermonPath(vaultPath, relativePath) {
+  if (!relativePath) {
+    throw httpError(400, 'A sermon "path" is required');
+  }
+  if (!String(relativePath).endsWith('.md')) {
+    throw httpError(400, 'Path must point to a markdown (.md) file');
+  }
+  const filePath = resolveVaultPath(vaultPath, relativePath);
+  if (!fs.statSync(filePath).isFile()) {
+    throw httpError(404, `Sermon not found: ${relativePath}`);
+  }
+  return filePath;
+}
+
+/**
+ * Create an Error carrying an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a `status` property
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check the request's API key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ * @param {string} apiKey - Expected API key
+ * @returns {Function} - Express middleware
+ */
+function requireApiKey(apiKey) {
+  const expected = Buffer.from(apiKey);
+  return (req, res, next) => {
+    const header = req.get('authorization') || '';
+    let provided = header.startsWith('Bearer ') ? header.slice(7).trim() : (req.get('x-api-key') || '');
+    // Browsers' EventSource can't send headers, so event streams may pass the key as ?api_key=
+    if (!provided && req.method === 'GET' && req.path.endsWith('/events') && typeof req.query.api_key === 'string') {
+      provided = req.query.api_key;
+    }
+    const given = Buffer.from(provided);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: 'Invalid or missing API key' });
+    }
+    next();
+  };
+}
+
+/**
+ * Wrap an async route handler so rejections reach the error handler
+ * @param {Function} handler - Async (req, res) handler
+ * @returns {Function} - Express handler
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res).catch(next);
+}
+
+/**
+ * Check that every model spec in a request names a configured provider
+ * @param {string[]} specs - Model specs (undefined means the default model)
+ * @param {string} [defaultProvider] - Provider for bare model names
+ */
+function assertModelsConfigured(specs, defaultProvider) {
+  try {
+    specs.forEach(spec => assertProviderConfigured(spec, defaultProvider));
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+}
+
+/**
+ * Collect the radar fields of a sermon, with justifications from its canonical history entry
+ * @param {string} filePath - Absolute sermon path
+ * @param {Object} metadata - Sermon frontmatter
+ * @returns {Object|null} - Radar data, or null if the sermon hasn't been evaluated
+ */
+function getRadarData(filePath, metadata) {
+  if (!metadata.radar_score) {
+    return null;
+  }
+  const history = readHistory(filePath);
+  const canonical = history.find(entry => entry.id === metadata.radar_evaluation_id);
+  return {
+    score: metadata.radar_score,
+    justifications: canonical ? canonical.justifications : {},
+    summary: metadata.radar_summary || null,
+    cumulative: metadata.radar_cumulative || null,
+    audio_note: metadata.radar_audio_note || null,
+    info: metadata.radar_info || null,
+    rubric: metadata.radar_rubric || null,
+    preacher: metadata.radar_preacher || null,
+    evaluation_id: metadata.radar_evaluation_id || null,
+    history_count: history.length
+  };
+}
+
+/**
+ * Load the vault's calibration when a request asks for calibrated scores
+ * @param {Object} body - Request body
+ * @param {string} vaultPath - Absolute vault root
+ * @returns {Object|null} - Calibration, or null if not requested
+ */
+function loadRequestedCalibration(body, vaultPath) {
+  if (!body.calibrated) {
+    return null;
+  }
+  const calibration = loadCalibration(getCalibrationPath(vaultPath));
+  if (!calibration) {
+    throw httpError(400, 'The vault has no calibration; run calibration.js calibrate --write first');
+  }
+  return calibration;
+}
+
+/**
+ * Find the rubric a request names by its "id@version" identifier, among the default and the tradition packs
+ * @param {Object} body - Request body
+ * @returns {Object|null} - Rubric, or null to use each sermon's own
+ */
+function loadRequestedRubric(body) {
+  if (!body.rubric) {
+    return null;
+  }
+  const rubric = findRubricById(body.rubric);
+  if (!rubric) {
+    throw httpError(400, `Unknown rubric "${body.rubric}"`);
+  }
+  return rubric;
+}
+
+/**
+ * Turn a generate request body into processSermonFile options, checking the models' providers
+ * @param {Object} body - Request body
+ * @param {string} vaultPath - Absolute vault root, whose taxonomy file (if any) the metadata model is given
+ * @returns {Object} - Processing options
+ */
+function buildGenerateOptions(body, vaultPath) {
+  const options = {
+    generateMissing: true,
+    updateExisting: Boolean(body.update),
+    changedOnly: Boolean(body.changed),
+    scoreOnly: Boolean(body.scoreOnly),
+    dryRun: Boolean(body.dryRun),
+    provider: body.provider,
+    fallbackModel: Boolean(body.allowFallback),
+    modelForMetadata: body.metadataModel || body.model,
+    modelForRadar: body.radarModel || body.model,
+    preacher: body.preacher,
+    taxonomy: loadTaxonomy(getTaxonomyPath(vaultPath)),
+    rubric: loadRequestedRubric(body),
+    temperature: body.temperature,
+    calibration: loadRequestedCalibration(body, vaultPath),
+    cache: !body.noCache,
+    samples: body.samples || 1,
+    chart: Boolean(body.chart),
+    vaultPath
+  };
+  if (!Number.isInteger(options.samples) || options.samples < 1) {
+    throw httpError(400, '"samples" must be a positive whole number');
+  }
+  if (options.changedOnly && options.updateExisting) {
+    throw httpError(400, '"changed" and "update" can\'t be combined');
+  }
+  assertModelsConfigured(
+    options.scoreOnly ? [options.modelForRadar] : [options.modelForMetadata, options.modelForRadar],
+    options.provider
+  );
+  return options;
+}
+
+/**
+ * Turn a compare request body into compareRadarScores options, checking the models' providers
+ * @param {Object} body - Request body
+ * @param {string} vaultPath - Absolute vault root, whose calibration is used when the request asks for it
+ * @returns {Object} - Comparison options
+ */
+function buildCompareOptions(body, vaultPath) {
+  const options = {
+    provider: body.provider,
+    model1: body.model1,
+    model2: body.model2,
+    preacher: body.preacher,
+    rubric: loadRequestedRubric(body),
+    temperature: body.temperature,
+    calibration: loadRequestedCalibration(body, vaultPath),
+    cache: !body.noCache,
+    chart: Boolean(body.chart)
+  };
+  assertModelsConfigured([options.model1, options.model2].filter(Boolean), options.provider);
+  return options;
+}
+
+/**
+ * Turn an ensemble request body into ensembleRadarScores options, checking the models' providers
+ * @param {Object} body - Request body
+ * @param {string} vaultPath - Absolute vault root, for the chart's trailing-average overlay
+ * @returns {Object} - Ensemble options
+ */
+function buildEnsembleOptions(body, vaultPath) {
+  const models = Array.isArray(body.models) ? body.models : String(body.models || '').split(',').map(spec => spec.trim()).filter(Boolean);
+  if (models.length < 2) {
+    throw httpError(400, '"models" needs at least two model specs');
+  }
+  if (body.method !== undefined && !AGGREGATE_METHODS.includes(body.method)) {
+    throw httpError(400, `"method" must be ${AGGREGATE_METHODS.join(' or ')}`);
+  }
+  const options = {
+    provider: body.provider,
+    models,
+    method: body.method,
+    trim: body.trim,
+    disagreement: body.disagreement,
+    preacher: body.preacher,
+    rubric: loadRequestedRubric(body),
+    temperature: body.temperature,
+    calibration: loadRequestedCalibration(body, vaultPath),
+    cache: !body.noCache,
+    write: Boolean(body.write),
+    chart: Boolean(body.chart),
+    vaultPath
+  };
+  assertModelsConfigured(models, options.provider);
+  return options;
+}
+
+/**
+ * Turn a stability request body into stabilityRadarScores options, checking the model's provider
+ * @param {Object} body - Request body
+ * @param {string} vaultPath - Absolute vault root, for the chart's trailing-average overlay
+ * @returns {Object} - Stability options
+ */
+function buildStabilityOptions(body, vaultPath) {
+  const options = {
+    provider: body.provider,
+    model: body.model,
+    samples: body.samples,
+    threshold: body.threshold,
+    rubric: loadRequestedRubric(body),
+    temperature: body.temperature,
+    calibration: loadRequestedCalibration(body, vaultPath),
+    cache: !body.noCache,
+    preacher: body.preacher,
+    write: Boolean(body.write),
+    chart: Boolean(body.chart),
+    vaultPath
+  };
+  if (options.samples !== undefined && (!Number.isInteger(options.samples) || options.samples < 2)) {
+    throw httpError(400, '"samples" must be a whole number of at least 2');
+  }
+  assertModelsConfigured([options.model], options.provider);
+  return options;
+}
+
+/**
+ * Job handlers for the background queue
+ * @param {string} vaultPath - Absolute vault root
+ * @returns {Object} - Handlers keyed by job type
+ */
+function createJobHandlers(vaultPath) {
+  return {
+    // Generate metadata and radar scores for a sermon or every sermon under a folder, one file at a time
+    generate: async (job, context) => {
+      const targetPath = resolveVaultPath(vaultPath, job.params.path || '');
+      const files = fs.statSync(targetPath).isDirectory()
+        ? yamlGenerator.findMarkdownFiles(targetPath)
+        : [resolveSermonPath(vaultPath, job.params.path)];
+      const options = buildGenerateOptions(job.params, vaultPath);
+      let { done, failed, unchanged = 0 } = job.progress;
+      context.emit({ type: 'progress', progress: { total: files.length } });
+
+      for (const filePath of files) {
+        const relativePath = path.relative(vaultPath, filePath);
+        if (context.isCancelled()) {
+          break;
+        }
+        // Files finished before a restart are not processed again
+        if (context.isDone(relativePath)) {
+          continue;
+        }
+        context.emit({ type: 'file-start', path: relativePath });
+        const result = await processSermonFile(filePath, options);
+        if (result.error) {
+          failed++;
+          context.emit({ type: 'file-error', path: relativePath, error: result.error });
+        } else {
+          done++;
+          // With "changed", say whether the sermon was skipped as current or why it was re-scored
+          if (result.unchanged) {
+            unchanged++;
+          }
+          context.emit({ type: 'file-done', path: relativePath, updated: result.updated, unchanged: Boolean(result.unchanged), reason: result.reason || null });
+        }
+        context.markDone(relativePath);
+        context.emit({ type: 'progress', progress: { done, failed, unchanged } });
+      }
+      return { total: files.length, done, failed, unchanged };
+    },
+
+    // Compare two models' radar scores for one sermon
+    compare: async (job, context) => {
+      const filePath = resolveSermonPath(vaultPath, job.params.path);
+      const relativePath = path.relative(vaultPath, filePath);
+      context.emit({ type: 'progress', progress: { total: 1 } });
+      context.emit({ type: 'file-start', path: relativePath });
+      const result = await compareRadarScores(filePath, buildCompareOptions(job.params, vaultPath));
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      context.emit({ type: 'file-done', path: relativePath });
+      context.emit({ type: 'progress', progress: { done: 1 } });
+      return result;
+    },
+
+    // Score one sermon with several models and combine their ratings
+    ensemble: async (job, context) => {
+      const filePath = resolveSermonPath(vaultPath, job.params.path);
+      const relativePath = path.relative(vaultPath, filePath);
+      context.emit({ type: 'progress', progress: { total: 1 } });
+      context.emit({ type: 'file-start', path: relativePath });
+      const result = await ensembleRadarScores(filePath, buildEnsembleOptions(job.params, vaultPath));
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      context.emit({ type: 'file-done', path: relativePath, updated: Boolean(job.params.write) });
+      context.emit({ type: 'progress', progress: { done: 1 } });
+      return result;
+    },
+
+    // Score one sermon several times with one model to measure how much its scores drift
+    stability: async (job, context) => {
+      const filePath = resolveSermonPath(vaultPath, job.params.path);
+      const relativePath = path.relative(vaultPath, filePath);
+      context.emit({ type: 'progress', progress: { total: 1 } });
+      context.emit({ type: 'file-start', path: relativePath });
+      const result = await stabilityRadarScores(filePath, buildStabilityOptions(job.params, vaultPath));
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      context.emit({ type: 'file-done', path: relativePath, updated: Boolean(job.params.write) });
+      context.emit({ type: 'progress', progress: { done: 1 } });
+      return result;
+    }
+  };
+}
+
+/**
+ * Stream a job's events as Server-Sent Events: everything so far, then live events until the job ends
+ * @param {Object} queue - Job queue
+ * @param {Object} job - Job to follow
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function streamJobEvents(queue, job, req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = event => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  const history = queue.readEvents(job.id);
+  history.forEach(send);
+  if (history.some(isTerminalEvent)) {
+    res.end();
+    return;
+  }
+
+  const onEvent = (jobId, event) => {
+    if (jobId !== job.id) {
+      return;
+    }
+    send(event);
+    if (isTerminalEvent(event)) {
+      cleanup();
+      res.end();
+    }
+  };
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    queue.removeListener('event', onEvent);
+  };
+  queue.on('event', onEvent);
+  req.on('close', cleanup);
+}
+
+/**
+ * Build the API application
+ * @param {Object} [config] - { vaultPath, apiKey, corsOrigin }; defaults to VAULT_PATH, API_KEY and CORS_ORIGIN
+ * @returns {Object} - Express app
+ */
+function createApp(config = {}) {
+  const vaultPath = path.resolve(config.vaultPath || process.env.VAULT_PATH || '');
+  const apiKey = config.apiKey || process.env.API_KEY;
+  if (!config.vaultPath && !process.env.VAULT_PATH) {
+    throw new Error('VAULT_PATH is not set');
+  }
+  if (!fs.existsSync(vaultPath) || !fs.statSync(vaultPath).isDirectory()) {
+    throw new Error(`VAULT_PATH is not a directory: ${vaultPath}`);
+  }
+  if (!apiKey) {
+    throw new Error('API_KEY is not set');
+  }
+
+  const queue = new JobQueue({ dir: getStateDir(vaultPath, 'jobs'), handlers: createJobHandlers(vaultPath) });
+  queue.start();
+  const findJob = id => {
+    const job = queue.get(id);
+    if (!job) {
+      throw httpError(404, `Unknown job: ${id}`);
+    }
+    return job;
+  };
+
+  const app = express();
+  app.locals.queue = queue;
+  // Browsers on other origins are only let in when an origin is named
+  const corsOrigin = config.corsOrigin || process.env.CORS_ORIGIN;
+  if (corsOrigin) {
+    app.use(cors({ origin: corsOrigin }));
+  }
+  app.use(express.json({ limit: '1mb' }));
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  app.use('/api', requireApiKey(apiKey));
+
+  // List every sermon with its validation status
+  app.get('/api/sermons', (req, res) => {
+    const sermons = yamlGenerator.processSermonDirectory(vaultPath).map(sermon => ({
+      path: path.relative(vaultPath, sermon.path),
+      sermon_title: sermon.data.sermon_title || null,
+      preached_on: sermon.data.preached_on || null,
+      has_radar: Boolean(sermon.data.radar_score),
+      valid: sermon.validation.valid,
+      errors: sermon.validation.errors,
+      warnings: sermon.validation.warnings
+    }));
+    res.json({ count: sermons.length, sermons });
+  });
+
+  // One sermon's metadata and radar data; the path is vault-relative, e.g. /api/sermons/2025/Sermon 03.23.25.md
+  app.get('/api/sermons/*', (req, res) => {
+    const filePath = resolveSermonPath(vaultPath, req.params[0]);
+    const { data: metadata } = matter(fs.readFileSync(filePath, 'utf8'));
+    res.json({
+      path: path.relative(vaultPath, filePath),
+      metadata,
+      radar: getRadarData(filePath, metadata),
+      validation: yamlGenerator.validateSermonYAML(metadata)
+    });
+  });
+
+  // Generate metadata and radar scores for one sermon
+  app.post('/api/generate', asyncRoute(async (req, res) => {
+    const body = req.body || {};
+    const filePath = resolveSermonPath(vaultPath, body.path);
+    const result = await processSermonFile(filePath, buildGenerateOptions(body, vaultPath));
+    if (result.error) {
+      throw httpError(502, result.error);
+    }
+    res.json({
+      path: path.relative(vaultPath, filePath),
+      metadata: result.metadata,
+      justifications: result.justifications,
+      rubric: result.rubric ? getRubricId(result.rubric) : null,
+      validation: result.validation,
+      updated: result.updated,
+      unchanged: Boolean(result.unchanged),
+      reason: result.reason || null,
+      usage: result.usage
+    });
+  }));
+
+  // Compare two models' radar scores for one sermon (nothing is written to the file)
+  app.post('/api/compare', asyncRoute(async (req, res) => {
+    const body = req.body || {};
+    const filePath = resolveSermonPath(vaultPath, body.path);
+    const result = await compareRadarScores(filePath, buildCompareOptions(body, vaultPath));
+    if (result.error) {
+      throw httpError(502, result.error);
+    }
+    res.json({ path: path.relative(vaultPath, filePath), ...result });
+  }));
+
+  // Score one sermon with several models; the ratings and the ensemble are added to its history
+  app.post('/api/ensemble', asyncRoute(async (req, res) => {
+    const body = req.body || {};
+    const filePath = resolveSermonPath(vaultPath, body.path);
+    const result = await ensembleRadarScores(filePath, buildEnsembleOptions(body, vaultPath));
+    if (result.error) {
+      throw httpError(502, result.error);
+    }
+    res.json({ path: path.relative(vaultPath, filePath), ...result });
+  }));
+
+  // Score one sermon several times with one model and report how stable the scores are
+  app.post('/api/stability', asyncRoute(async (req, res) => {
+    const body = req.body || {};
+    const filePath = resolveSermonPath(vaultPath, body.path);
+    const result = await stabilityRadarScores(filePath, buildStabilityOptions(body, vaultPath));
+    if (result.error) {
+      throw httpError(502, result.error);
+    }
+    res.json({ path: path.relative(vaultPath, filePath), ...result });
+  }));
+
+  // Background jobs: submit, poll, cancel and stream progress
+  app.post('/api/jobs', (req, res) => {
+    const { type, ...params } = req.body || {};
+    if (!type) {
+      throw httpError(400, 'Job "type" is required (generate, compare, ensemble or stability)');
+    }
+    // Check the request now rather than failing later in the queue
+    if (type === 'generate') {
+      resolveVaultPath(vaultPath, params.path || '');
+      buildGenerateOptions(params, vaultPath);
+    } else if (type === 'compare') {
+      resolveSermonPath(vaultPath, params.path);
+      buildCompareOptions(params, vaultPath);
+    } else if (type === 'ensemble') {
+      resolveSermonPath(vaultPath, params.path);
+      buildEnsembleOptions(params, vaultPath);
+    } else if (type === 'stability') {
+      resolveSermonPath(vaultPath, params.path);
+      buildStabilityOptions(params, vaultPath);
+    }
+    let job;
+    try {
+      job = queue.submit(type, params);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+    res.status(202).json(job);
+  });
+
+  app.get('/api/jobs', (req, res) => {
+    res.json({ jobs: queue.list() });
+  });
+
+  app.get('/api/jobs/:id', (req, res) => {
+    res.json(findJob(req.params.id));
+  });
+
+  app.post('/api/jobs/:id/cancel', (req, res) => {
+    res.json(queue.cancel(findJob(req.params.id).id));
+  });
+
+  app.get('/api/jobs/:id/events', (req, res) => {
+    streamJobEvents(queue, findJob(req.params.id), req, res);
+  });
+
+  app.use('/api', (req, res) => {
+    res.status(404).json({ error: `No route for ${req.method} ${req.originalUrl}` });
+  });
+
+  // Errors are returned as JSON; anything without a status is a server error
+  app.use((error, req, res, next) => {
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) {
+      console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+    }
+    res.status(status).json({ error: error.message });
+  });
+
+  return app;
+}
+
+// If running directly
+if (require.main === module) {
+  let app;
+  try {
+    app = createApp();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  const port = process.env.PORT || 3000;
+  app.listen(port, () => {
+    console.log(`Sermon API listening on port ${port} (vault: ${path.resolve(process.env.VAULT_PATH)})`);
+  });
+}
+
+module.exports = {
+  createApp,
+  createJobHandlers
+};
@@ -0,0 +1,633 @@
+// Calibration of Model Scores Against Human Reviewers
+// Mentors' and teachers' hand scores are imported into each sermon's evaluation history. `calibrate` compares every
+// model's scores with them, dimension by dimension, and fits a correction that can be applied to later evaluations.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const matter = require('gray-matter');
+const { updateIndex } = require('./vault-index');
+const { getStateDir } = require('./state-dir');
+const { readHistory, appendEvaluation, importFrontmatterEvaluation } = require('./evaluation-history');
+const { loadRubric, resolveRubric, findRubricById, getDimensionKeys, getDimensionLabel, getRubricId } = require('./rubric-loader');
+
+const CALIBRATION_VERSION = 1;
+
+// Ways of fitting a correction
+const CALIBRATION_METHODS = ['linear', 'isotonic'];
+
+// Dimensions with fewer sermons rated by both a model and a person are left uncorrected
+const DEFAULT_MIN_PAIRS = 5;
+
+/**
+ * Get the calibration file for a vault
+ * @param {string} [vaultPath] - Vault root; defaults to VAULT_PATH
+ * @returns {string} - Path to calibration.json in the state directory
+ */
+function getCalibrationPath(vaultPath) {
+  return path.join(getStateDir(vaultPath), 'calibration.json');
+}
+
+/**
+ * Load a vault's calibration
+ * @param {string} [filePath] - Calibration file; defaults to the vault's
+ * @returns {Object|null} - { version, created_at, method, rubrics: { [rubricId]: { [model]: { [dimension]: fit } } } },
+ *                          or null if nothing has been calibrated
+ */
+function loadCalibration(filePath = getCalibrationPath()) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const calibration = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (calibration.version !== CALIBRATION_VERSION) {
+    throw new Error(`${filePath} was written by an incompatible version; run calibrate --write again`);
+  }
+  return calibration;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Object[]} - One object per row, keyed by the header row's column names
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter(cells => cells.some(cell => cell.trim()));
+  if (!header) {
+    return [];
+  }
+  const columns = header.map(column => column.trim());
+  return body.map(cells => Object.fromEntries(columns.map((column, i) => [column, (cells[i] || '').trim()])));
+}
+
+/**
+ * Read a file of human ratings
+ * @param {string} filePath - CSV with columns sermon, reviewer, date (optional), notes (optional) and one column per
+ *                            dimension key; or YAML with a list of { sermon, reviewer, date, notes, radar_score }
+ *                            (or { reviewer, ratings: [...] }, where the reviewer applies to every rating)
+ * @param {Object} [defaults] - { reviewer } for ratings that don't name one
+ * @returns {Object[]} - { sermon, reviewer, date, notes, scores: { [dimension]: number }, line }
+ */
+function readHumanRatings(filePath, defaults = {}) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const reserved = new Set(['sermon', 'path', 'reviewer', 'date', 'notes']);
+
+  if (/\.csv$/i.test(filePath)) {
+    return parseCsv(text).map((row, index) => {
+      const scores = {};
+      for (const [column, value] of Object.entries(row)) {
+        if (!reserved.has(column) && value !== '') {
+          scores[column] = Number(value);
+        }
+      }
+      return {
+        sermon: row.sermon || row.path,
+        reviewer: row.reviewer || defaults.reviewer,
+        date: row.date || null,
+        notes: row.notes || null,
+        scores,
+        line: `row ${index + 2}`
+      };
+    });
+  }
+
+  const data = yaml.load(text);
+  const list = Array.isArray(data) ? data : data && Array.isArray(data.ratings) ? data.ratings : null;
+  if (!list) {
+    throw new Error(`${filePath} must hold a list of ratings, or a "ratings" list`);
+  }
+  const reviewer = (!Array.isArray(data) && data.reviewer) || defaults.reviewer;
+  return list.map((rating, index) => ({
+    sermon: rating.sermon || rating.path,
+    reviewer: rating.reviewer || reviewer,
+    date: rating.date instanceof Date ? rating.date.toISOString().slice(0, 10) : rating.date || null,
+    notes: rating.notes || null,
+    scores: rating.radar_score || {},
+    line: `rating ${index + 1}`
+  }));
+}
+
+/**
+ * Find the sermon a rating refers to
+ * @param {Object} index - Vault index from updateIndex
+ * @param {string} vaultPath - Vault root
+ * @param {string} sermon - Vault-relative path, file name or sermon title
+ * @returns {string} - Vault-relative path
+ */
+function findSermon(index, vaultPath, sermon) {
+  const wanted = String(sermon).trim();
+  if (index.files[wanted]) {
+    return wanted;
+  }
+  const lower = wanted.toLowerCase();
+  const matches = Object.values(index.files).filter(entry =>
+    path.basename(entry.path).toLowerCase() === lower ||
+    path.basename(entry.path, '.md').toLowerCase() === lower ||
+    String(entry.sermon_title || '').toLowerCase() === lower
+  );
+  if (matches.length === 0) {
+    throw new Error(`No sermon "${wanted}" in ${vaultPath}`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`"${wanted}" matches more than one sermon (${matches.map(entry => entry.path).join(', ')}); use its path`);
+  }
+  return matches[0].path;
+}
+
+/**
+ * Import human ratings into the evaluation histories of the sermons they rate. A rating identical to one already
+ * imported from the same reviewer is skipped, so importing a file again does nothing.
+ * @param {string} vaultPath - Vault root
+ * @param {Object[]} ratings - From readHumanRatings
+ * @param {Object} [options] - { rubric: rubric the ratings use (defaults to each sermon's own), dryRun }
+ * @returns {Object} - { imported: [{ path, reviewer, id }], skipped: [{ path, reviewer }], errors: [{ line, error }] }
+ */
+function importHumanRatings(vaultPath, ratings, options = {}) {
+  const root = path.resolve(vaultPath);
+  const { index } = updateIndex(root);
+  const result = { imported: [], skipped: [], errors: [] };
+
+  for (const rating of ratings) {
+    try {
+      if (!rating.sermon) {
+        throw new Error('No sermon given');
+      }
+      if (!rating.reviewer) {
+        throw new Error('No reviewer given (add a reviewer column or pass --reviewer)');
+      }
+      const relativePath = findSermon(index, root, rating.sermon);
+      const filePath = path.join(root, relativePath);
+      const { data: metadata } = matter(fs.readFileSync(filePath, 'utf8'));
+      const rubric = resolveRubric(metadata, options.rubric);
+      const keys = getDimensionKeys(rubric);
+
+      for (const [key, score] of Object.entries(rating.scores)) {
+        if (!keys.includes(key)) {
+          throw new Error(`"${key}" is not a dimension of ${getRubricId(rubric)} (expected ${keys.join(', ')})`);
+        }
+        if (typeof score !== 'number' || isNaN(score) || score < rubric.scale.min || score > rubric.scale.max) {
+          throw new Error(`Score for ${key} must be a number between ${rubric.scale.min} and ${rubric.scale.max}`);
+        }
+      }
+      if (Object.keys(rating.scores).length === 0) {
+        throw new Error('No scores given');
+      }
+
+      const reviewer = String(rating.reviewer).trim();
+      const duplicate = readHistory(filePath).some(entry =>
+        entry.source === 'human' &&
+        entry.reviewer === reviewer &&
+        JSON.stringify(entry.radar_score) === JSON.stringify(rating.scores)
+      );
+      if (duplicate) {
+        result.skipped.push({ path: relativePath, reviewer });
+        continue;
+      }
+      if (options.dryRun) {
+        result.imported.push({ path: relativePath, reviewer, id: null });
+        continue;
+      }
+
+      // Keep the evaluation already in the frontmatter, which is only imported while the history is empty
+      importFrontmatterEvaluation(filePath, metadata);
+      const entry = appendEvaluation(filePath, {
+        model: `human:${reviewer}`,
+        source: 'human',
+        reviewer,
+        rated_on: rating.date,
+        rubric: getRubricId(rubric),
+        preacher: null,
+        prompt_version: null,
+        radar_score: rating.scores,
+        justifications: {},
+        summary: rating.notes,
+        cumulative: null,
+        audio_note: null
+      });
+      result.imported.push({ path: relativePath, reviewer, id: entry.id });
+    } catch (error) {
+      result.errors.push({ line: rating.line, error: error.message });
+    }
+  }
+  return result;
+}
+
+/**
+ * Average a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number} - Mean
+ */
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Pair every model's scores with the human reviewers' scores of the same sermons. Each sermon counts once per
+ * model: several evaluations by one model, or several reviewers, are averaged.
+ * @param {string} vaultPath - Vault root
+ * @returns {Object} - { [rubricId]: { [model]: { [dimension]: [{ path, model: score, human: score }] } } }
+ */
+function collectPairs(vaultPath) {
+  const root = path.resolve(vaultPath);
+  const { index } = updateIndex(root);
+  const pairs = {};
+
+  for (const relativePath of Object.keys(index.files)) {
+    const history = readHistory(path.join(root, relativePath));
+    const humans = history.filter(entry => entry.source === 'human' && entry.rubric);
+    // Ensembles and evaluations imported from old frontmatter don't belong to one known model
+    const models = history.filter(entry =>
+      entry.source !== 'human' && !entry.models && entry.rubric && entry.model && entry.model !== 'unknown'
+    );
+
+    for (const rubricId of new Set(humans.map(entry => entry.rubric))) {
+      const human = humans.filter(entry => entry.rubric === rubricId);
+      const byModel = new Map();
+      for (const entry of models.filter(item => item.rubric === rubricId)) {
+        byModel.set(entry.model, [...(byModel.get(entry.model) || []), entry]);
+      }
+
+      for (const [model, entries] of byModel) {
+        // Calibrated evaluations are compared by what the model actually said
+        const scoresOf = entry => entry.raw_score || entry.radar_score || {};
+        const dimensions = new Set([...human, ...entries].flatMap(entry => Object.keys(scoresOf(entry))));
+        for (const key of dimensions) {
+          const humanScores = human.map(entry => scoresOf(entry)[key]).filter(value => typeof value === 'number');
+          const modelScores = entries.map(entry => scoresOf(entry)[key]).filter(value => typeof value === 'number');
+          if (humanScores.length === 0 || modelScores.length === 0) {
+            continue;
+          }
+          pairs[rubricId] = pairs[rubricId] || {};
+          pairs[rubricId][model] = pairs[rubricId][model] || {};
+          pairs[rubricId][model][key] = pairs[rubricId][model][key] || [];
+          pairs[rubricId][model][key].push({ path: relativePath, model: mean(modelScores), human: mean(humanScores) });
+        }
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Pearson correlation
+ * @param {number[]} xs - First values
+ * @param {number[]} ys - Second values
+ * @returns {number|null} - Correlation, or null with fewer than two pairs or no variation
+ */
+function pearson(xs, ys) {
+  if (xs.length < 2) {
+    return null;
+  }
+  const mx = mean(xs);
+  const my = mean(ys);
+  let covariance = 0;
+  let vx = 0;
+  let vy = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - mx) * (ys[i] - my);
+    vx += (x - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  });
+  return vx === 0 || vy === 0 ? null : covariance / Math.sqrt(vx * vy);
+}
+
+/**
+ * Fit human = intercept + slope * model by least squares; without any spread in the model's scores, only the
+ * offset is corrected
+ * @param {Object[]} pairs - { model, human }
+ * @returns {Object} - { type: "linear", intercept, slope }
+ */
+function fitLinear(pairs) {
+  const mx = mean(pairs.map(pair => pair.model));
+  const my = mean(pairs.map(pair => pair.human));
+  let covariance = 0;
+  let variance = 0;
+  for (const pair of pairs) {
+    covariance += (pair.model - mx) * (pair.human - my);
+    variance += (pair.model - mx) ** 2;
+  }
+  const slope = variance === 0 ? 1 : covariance / variance;
+  return { type: 'linear', intercept: my - slope * mx, slope };
+}
+
+/**
+ * Fit a non-decreasing step function from model to human scores (pool adjacent violators)
+ * @param {Object[]} pairs - { model, human }
+ * @returns {Object} - { type: "isotonic", points: [[model, human], ...] } sorted by model score; scores between
+ *                     points are interpolated and scores beyond them take the nearest end
+ */
+function fitIsotonic(pairs) {
+  // One weighted block per distinct model score
+  const byScore = new Map();
+  for (const pair of pairs) {
+    const block = byScore.get(pair.model) || { x: pair.model, sum: 0, weight: 0 };
+    block.sum += pair.human;
+    block.weight += 1;
+    byScore.set(pair.model, block);
+  }
+  const blocks = [...byScore.values()]
+    .sort((a, b) => a.x - b.x)
+    .map(block => ({ xs: [block.x], sum: block.sum, weight: block.weight }));
+
+  // Merge neighbours until the block means never decrease
+  const pooled = [];
+  for (const block of blocks) {
+    pooled.push(block);
+    while (pooled.length > 1 &&
+      pooled[pooled.length - 2].sum / pooled[pooled.length - 2].weight > pooled[pooled.length - 1].sum / pooled[pooled.length - 1].weight) {
+      const last = pooled.pop();
+      const previous = pooled.pop();
+      pooled.push({ xs: [...previous.xs, ...last.xs], sum: previous.sum + last.sum, weight: previous.weight + last.weight });
+    }
+  }
+  return {
+    type: 'isotonic',
+    points: pooled.flatMap(block => block.xs.map(x => [x, block.sum / block.weight]))
+  };
+}
+
+/**
+ * Apply a fitted correction to one score
+ * @param {Object} correction - From fitLinear or fitIsotonic
+ * @param {number} score - Model score
+ * @param {Object} scale - { min, max } of the rubric; the result is kept within it
+ * @returns {number} - Corrected score, to one decimal place
+ */
+function applyCorrection(correction, score, scale) {
+  let value;
+  if (correction.type === 'linear') {
+    value = correction.intercept + correction.slope * score;
+  } else {
+    const { points } = correction;
+    if (score <= points[0][0]) {
+      value = points[0][1];
+    } else if (score >= points[points.length - 1][0]) {
+      value = points[points.length - 1][1];
+    } else {
+      const upper = points.findIndex(([x]) => x >= score);
+      const [x0, y0] = points[upper - 1];
+      const [x1, y1] = points[upper];
+      value = y0 + ((score - x0) / (x1 - x0)) * (y1 - y0);
+    }
+  }
+  return Math.round(Math.max(scale.min, Math.min(scale.max, value)) * 10) / 10;
+}
+
+/**
+ * Measure each model's error against the human reviewers and fit a correction per dimension
+ * @param {string} vaultPath - Vault root
+ * @param {Object} [options] - { method: "linear" (default) or "isotonic", minPairs: fewest sermons for a correction,
+ *                             rubric: explicit rubric for identifiers that aren't a bundled pack }
+ * @returns {Object} - Calibration: { version, created_at, method, min_pairs, rubrics: { [rubricId]: { [model]:
+ *                     { [dimension]: { n, bias, mae, correlation, correction, calibrated_mae } } } } }; bias is
+ *                     model minus human, and correction is null below minPairs
+ */
+function buildCalibration(vaultPath, options = {}) {
+  const method = options.method || 'linear';
+  if (!CALIBRATION_METHODS.includes(method)) {
+    throw new Error(`Unknown calibration method "${method}" (use ${CALIBRATION_METHODS.join(' or ')})`);
+  }
+  const minPairs = options.minPairs || DEFAULT_MIN_PAIRS;
+  const calibration = { version: CALIBRATION_VERSION, created_at: new Date().toISOString(), method, min_pairs: minPairs, rubrics: {} };
+
+  for (const [rubricId, models] of Object.entries(collectPairs(vaultPath))) {
+    const rubric = findRubricById(rubricId, options.rubric);
+    if (!rubric) {
+      console.warn(`Skipping ${rubricId}: the rubric is not available (pass it with --rubric)`);
+      continue;
+    }
+    calibration.rubrics[rubricId] = {};
+    for (const [model, dimensions] of Object.entries(models)) {
+      calibration.rubrics[rubricId][model] = {};
+      for (const key of getDimensionKeys(rubric).filter(dimension => dimensions[dimension])) {
+        const pairs = dimensions[key];
+        const correction = pairs.length < minPairs ? null : method === 'linear' ? fitLinear(pairs) : fitIsotonic(pairs);
+        calibration.rubrics[rubricId][model][key] = {
+          n: pairs.length,
+          bias: mean(pairs.map(pair => pair.model - pair.human)),
+          mae: mean(pairs.map(pair => Math.abs(pair.model - pair.human))),
+          correlation: pearson(pairs.map(pair => pair.model), pairs.map(pair => pair.human)),
+          correction,
+          // Measured on the same sermons the correction was fitted to, so it flatters the correction
+          calibrated_mae: correction
+            ? mean(pairs.map(pair => Math.abs(applyCorrection(correction, pair.model, rubric.scale) - pair.human)))
+            : null
+        };
+      }
+    }
+  }
+  return calibration;
+}
+
+/**
+ * Correct a model's scores with a calibration
+ * @param {Object} calibration - From loadCalibration or buildCalibration
+ * @param {string} model - Model spec that produced the scores
+ * @param {Object} scores - Scores keyed by dimension
+ * @param {Object} rubric - Rubric the scores were made under
+ * @returns {Object|null} - Corrected scores (dimensions without a correction are unchanged), or null if the
+ *                          calibration has no correction for this model and rubric
+ */
+function calibrateScores(calibration, model, scores, rubric) {
+  const fits = calibration && calibration.rubrics[getRubricId(rubric)] && calibration.rubrics[getRubricId(rubric)][model];
+  if (!fits || !Object.values(fits).some(fit => fit.correction)) {
+    return null;
+  }
+  const corrected = {};
+  for (const [key, score] of Object.entries(scores)) {
+    const fit = fits[key];
+    corrected[key] = fit && fit.correction && typeof score === 'number' ? applyCorrection(fit.correction, score, rubric.scale) : score;
+  }
+  return corrected;
+}
+
+/**
+ * Format a calibration as text tables, one per rubric and model
+ * @param {Object} calibration - From buildCalibration
+ * @returns {string} - Report
+ */
+function formatCalibration(calibration) {
+  const lines = [];
+  const number = (value, digits = 2) => (value === null || value === undefined ? '-' : value.toFixed(digits));
+  const describe = correction => {
+    if (!correction) {
+      return 'none (too few sermons)';
+    }
+    if (correction.type === 'linear') {
+      return `human = ${number(correction.intercept)} + ${number(correction.slope)} x model`;
+    }
+    return `isotonic, ${correction.points.length} points`;
+  };
+
+  for (const [rubricId, models] of Object.entries(calibration.rubrics)) {
+    const rubric = findRubricById(rubricId);
+    for (const [model, dimensions] of Object.entries(models)) {
+      lines.push('', `${model} (${rubricId})`);
+      const rows = Object.entries(dimensions).map(([key, fit]) => [
+        rubric ? getDimensionLabel(rubric, key) : key,
+        String(fit.n),
+        number(fit.bias),
+        number(fit.mae),
+        number(fit.correlation),
+        number(fit.calibrated_mae),
+        describe(fit.correction)
+      ]);
+      const headers = ['Dimension', 'n', 'Bias', 'MAE', 'r', 'MAE after', 'Correction'];
+      const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+      const format = row => `| ${row.map((cell, i) => cell.padEnd(widths[i])).join(' | ')} |`;
+      lines.push(format(headers), `|${widths.map(width => '-'.repeat(width + 2)).join('|')}|`, ...rows.map(format));
+    }
+  }
+  if (lines.length === 0) {
+    return 'No sermons have been scored by both a model and a human reviewer under the same rubric.';
+  }
+  lines.push(
+    '',
+    `Bias is the model's score minus the reviewers' (positive: the model scores higher). MAE is the mean absolute error.`,
+    `"MAE after" is measured on the same sermons the correction was fitted to. Corrections need at least ${calibration.min_pairs} sermons.`
+  );
+  return lines.join('\n').trim();
+}
+
+module.exports = {
+  CALIBRATION_METHODS,
+  DEFAULT_MIN_PAIRS,
+  getCalibrationPath,
+  loadCalibration,
+  parseCsv,
+  readHumanRatings,
+  importHumanRatings,
+  collectPairs,
+  fitLinear,
+  fitIsotonic,
+  applyCorrection,
+  buildCalibration,
+  calibrateScores,
+  formatCalibration
+};
+
+if (require.main === module) {
+  const [cmd, ...args] = process.argv.slice(2);
+
+  // Options that take a value; whatever is left is positional
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (['--vault', '--reviewer', '--rubric', '--method', '--min-pairs'].includes(args[i]) && i + 1 < args.length) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  const flags = positional.filter(arg => arg.startsWith('--'));
+  const [first, second] = positional.filter(arg => !arg.startsWith('--'));
+
+  try {
+    const rubric = options.rubric ? loadRubric(options.rubric) : null;
+    switch (cmd) {
+      case 'import-human-scores': {
+        if (!first) {
+          throw new Error('A CSV or YAML file of ratings is required');
+        }
+        const vaultPath = second || options.vault || process.env.VAULT_PATH || '.';
+        const dryRun = flags.includes('--dry-run');
+        const ratings = readHumanRatings(first, { reviewer: options.reviewer });
+        const result = importHumanRatings(vaultPath, ratings, { rubric, dryRun });
+        result.imported.forEach(item => console.log(`${dryRun ? 'Would import' : '✅ Imported'} ${item.reviewer}'s scores for ${item.path}${item.id ? ` (${item.id})` : ''}`));
+        result.skipped.forEach(item => console.log(`Already imported: ${item.reviewer}'s scores for ${item.path}`));
+        result.errors.forEach(item => console.error(`❌ ${first} ${item.line}: ${item.error}`));
+        console.log(`\n${dryRun ? 'Would import' : 'Imported'} ${result.imported.length}, skipped ${result.skipped.length}, failed ${result.errors.length}.`);
+        if (result.errors.length > 0) {
+          process.exitCode = 1;
+        }
+        break;
+      }
+      case 'calibrate': {
+        const vaultPath = first || options.vault || process.env.VAULT_PATH || '.';
+        const minPairs = options['min-pairs'] === undefined ? undefined : parseInt(options['min-pairs'], 10);
+        if (minPairs !== undefined && (isNaN(minPairs) || minPairs < 2)) {
+          throw new Error('--min-pairs must be at least 2');
+        }
+        const calibration = buildCalibration(vaultPath, { method: options.method, minPairs, rubric });
+        console.log(formatCalibration(calibration));
+        if (flags.includes('--write')) {
+          const calibrationPath = getCalibrationPath(vaultPath);
+          fs.writeFileSync(calibrationPath, `${JSON.stringify(calibration, null, 2)}\n`);
+          console.log(`\nWrote ${calibrationPath}. Pass --calibrated to generate to apply it.`);
+        } else {
+          console.log('\nRun again with --write to save the corrections for --calibrated.');
+        }
+        break;
+      }
+      default:
+        console.log(`
+Calibration Against Human Reviewers
+
+Usage:
+  node calibration.js import-human-scores <file.csv|file.yaml> [vault] [options] - Add hand-scored ratings to the
+                                                                                 sermons' evaluation histories
+  node calibration.js calibrate [vault] [options]                               - Compare each model with the
+                                                                                 reviewers and fit corrections
+
+Options:
+  --vault <dir>         Vault (defaults to VAULT_PATH, then the current directory)
+  --reviewer <name>     Reviewer for ratings that don't name one
+  --rubric <file>       Rubric the ratings use, if not each sermon's own
+  --dry-run             Check an import without writing anything
+  --method <name>       Correction to fit: linear (default) or isotonic
+  --min-pairs <n>       Fewest sermons rated by both a model and a reviewer for a correction (default ${DEFAULT_MIN_PAIRS})
+  --write               Save the corrections to the vault's calibration.json
+
+A CSV file has a header row with "sermon" (path, file name or title), "reviewer", optional "date" and "notes",
+and one column per dimension key, e.g. theological_cohesion. A YAML file lists ratings:
+
+  reviewer: Dr. Smith
+  ratings:
+    - sermon: 2025/Sermon 03.23.25.md
+      date: 2025-04-01
+      radar_score:
+        theological_cohesion: 7
+        closing_force: 5
+        `);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,444 @@
+// Canon Coverage Report
+// Adds up the `texts` of every sermon in the vault by book, chapter and year: which testaments, genres and
+// books get preached, which never do, which passages came back too soon, and which lectionary readings keep
+// being passed over. Writes a Markdown report (for an Obsidian note) and a CSV of the counts.
+require('dotenv').config();
+const fs = require('fs');
+const { DateTime } = require('luxon');
+const { updateIndex } = require('./vault-index');
+const { listBooks, findBook, parseReference, findOverlappingReferences } = require('./scripture');
+const { getLiturgicalDay, getLectionaryReadings } = require('./liturgical-calendar');
+
+// A passage preached again within this many days counts as a repeat
+const DEFAULT_REPEAT_WINDOW_DAYS = 365;
+
+/**
+ * Aggregate the texts of every sermon in an index
+ * @param {Object} index - Vault index from updateIndex
+ * @param {Object} [options] - { from, to: years to include (undated sermons are left out when either is set),
+ *                             window: days within which a passage preached again counts as a repeat }
+ * @returns {Object} - Coverage: totals, per-book counts by chapter and year, groups, never-preached books,
+ *                     repeated passages and lectionary readings
+ */
+function collectCoverage(index, options = {}) {
+  const window = options.window || DEFAULT_REPEAT_WINDOW_DAYS;
+  const books = new Map(listBooks().map(book => [book.name, {
+    ...book,
+    sermons: 0,
+    byChapter: {},
+    byYear: {},
+    lastPreached: null
+  }]));
+  const groups = { testaments: {}, genres: {} };
+  const cells = new Map();
+  const years = new Set();
+  const invalid = [];
+  const dated = [];
+  let sermonCount = 0;
+  let withTexts = 0;
+
+  const entries = Object.values(index.files)
+    .filter(entry => {
+      if (!options.from && !options.to) {
+        return true;
+      }
+      return entry.year && (!options.from || entry.year >= options.from) && (!options.to || entry.year <= options.to);
+    })
+    .sort((a, b) => String(a.preached_on || '').localeCompare(String(b.preached_on || '')));
+
+  for (const entry of entries) {
+    sermonCount++;
+    const texts = Array.isArray(entry.texts) ? entry.texts : (entry.texts ? [entry.texts] : []);
+    const year = entry.year || 'undated';
+
+    // Count each book and chapter once per sermon, however many ranges point into it
+    const chaptersByBook = new Map();
+    for (const text of texts) {
+      try {
+        for (const { book, ranges } of parseReference(text)) {
+          const chapters = chaptersByBook.get(book) || new Set();
+          ranges.forEach(range => {
+            for (let chapter = range.start.chapter; chapter <= range.end.chapter; chapter++) {
+              chapters.add(chapter);
+            }
+          });
+          chaptersByBook.set(book, chapters);
+        }
+      } catch (error) {
+        invalid.push({ path: entry.path, text, error: error.message });
+      }
+    }
+    if (chaptersByBook.size === 0) {
+      continue;
+    }
+    withTexts++;
+    years.add(year);
+
+    const testaments = new Set();
+    const genres = new Set();
+    for (const [name, chapters] of chaptersByBook) {
+      const book = books.get(name);
+      book.sermons++;
+      book.byYear[year] = (book.byYear[year] || 0) + 1;
+      if (entry.preached_on && (!book.lastPreached || entry.preached_on > book.lastPreached)) {
+        book.lastPreached = entry.preached_on;
+      }
+      chapters.forEach(chapter => {
+        book.byChapter[chapter] = (book.byChapter[chapter] || 0) + 1;
+      });
+      // One CSV row per year, book and chapter; a whole-book reference has no chapter
+      for (const chapter of chapters.size > 0 ? chapters : ['']) {
+        const key = `${year}\n${name}\n${chapter}`;
+        cells.set(key, { year, book: name, chapter, sermons: ((cells.get(key) || {}).sermons || 0) + 1 });
+      }
+      testaments.add(book.testament);
+      genres.add(book.genre);
+    }
+    testaments.forEach(testament => {
+      groups.testaments[testament] = (groups.testaments[testament] || 0) + 1;
+    });
+    genres.forEach(genre => {
+      groups.genres[genre] = (groups.genres[genre] || 0) + 1;
+    });
+
+    const date = entry.preached_on ? DateTime.fromISO(entry.preached_on, { zone: 'utc' }) : null;
+    if (date && date.isValid) {
+      dated.push({ path: entry.path, preached_on: entry.preached_on, date, texts });
+    }
+  }
+
+  const bookList = [...books.values()];
+  const bookOrder = new Map(bookList.map((book, i) => [book.name, i]));
+  return {
+    generated_at: new Date().toISOString(),
+    window,
+    sermons: sermonCount,
+    withTexts,
+    years: [...years].sort((a, b) => String(a).localeCompare(String(b))),
+    books: bookList,
+    groups,
+    rows: [...cells.values()].sort((a, b) =>
+      String(a.year).localeCompare(String(b.year)) ||
+      bookOrder.get(a.book) - bookOrder.get(b.book) ||
+      (a.chapter || 0) - (b.chapter || 0)
+    ),
+    neverPreached: bookList.filter(book => book.testament !== 'Deuterocanon' && book.sermons === 0).map(book => book.name),
+    repeats: findRepeats(dated, window),
+    lectionary: summarizeLectionary(dated),
+    invalid
+  };
+}
+
+/**
+ * Find passages preached again within a window
+ * @param {Object[]} dated - Dated sermons { path, preached_on, date, texts }, oldest first
+ * @param {number} window - Days
+ * @returns {Object[]} - Repeats { earlier: { path, preached_on, text }, later: { ... }, days }, oldest first
+ */
+function findRepeats(dated, window) {
+  const repeats = [];
+  for (let i = 0; i < dated.length; i++) {
+    for (let j = i + 1; j < dated.length; j++) {
+      const days = Math.round(dated[j].date.diff(dated[i].date, 'days').days);
+      if (days > window) {
+        break;
+      }
+      for (const [earlierText, laterText] of findOverlappingReferences(dated[i].texts, dated[j].texts)) {
+        repeats.push({
+          earlier: { path: dated[i].path, preached_on: dated[i].preached_on, text: earlierText },
+          later: { path: dated[j].path, preached_on: dated[j].preached_on, text: laterText },
+          days
+        });
+      }
+    }
+  }
+  return repeats;
+}
+
+/**
+ * Compare what was preached with the lectionary readings appointed for the same days
+ * @param {Object[]} dated - Dated sermons { path, preached_on, date, texts }
+ * @returns {Object} - { days: sermons on days with readings, onLectionary: sermons preaching one of them,
+ *                     genres: { [genre]: { offered, preached } }, readings: [{ reading, genre, offered, preached, lastOffered }] }
+ */
+function summarizeLectionary(dated) {
+  const readings = new Map();
+  const genres = {};
+  let days = 0;
+  let onLectionary = 0;
+
+  for (const sermon of dated) {
+    const appointed = getLectionaryReadings(getLiturgicalDay(sermon.date));
+    if (!appointed) {
+      continue;
+    }
+    days++;
+    const preached = new Set(findOverlappingReferences(appointed, sermon.texts).map(([reading]) => reading));
+    if (preached.size > 0) {
+      onLectionary++;
+    }
+    for (const reading of new Set(appointed)) {
+      let genre = 'Unknown';
+      try {
+        genre = findBook(parseReference(reading)[0].book).genre;
+      } catch (error) {
+        // A custom lectionary file may hold a reading this module can't read; count it without a genre
+      }
+      const stats = readings.get(reading) || { reading, genre, offered: 0, preached: 0, lastOffered: null };
+      stats.offered++;
+      stats.lastOffered = sermon.preached_on;
+      genres[genre] = genres[genre] || { offered: 0, preached: 0 };
+      genres[genre].offered++;
+      if (preached.has(reading)) {
+        stats.preached++;
+        genres[genre].preached++;
+      }
+      readings.set(reading, stats);
+    }
+  }
+
+  return { days, onLectionary, genres, readings: [...readings.values()] };
+}
+
+/**
+ * Build a coverage report for a vault, bringing its index up to date first
+ * @param {string} vaultPath - Vault root
+ * @param {Object} [options] - See collectCoverage
+ * @returns {Object} - Coverage
+ */
+function buildCoverageReport(vaultPath, options = {}) {
+  const { index } = updateIndex(vaultPath);
+  return collectCoverage(index, options);
+}
+
+/**
+ * Format a count as a share of a total, e.g. "12 (40%)"
+ * @param {number} count - Count
+ * @param {number} total - Total
+ * @returns {string}
+ */
+function formatShare(count, total) {
+  return total > 0 ? `${count} (${Math.round((count / total) * 100)}%)` : `${count}`;
+}
+
+/**
+ * Format a Markdown table
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array<string|number>>} rows - Cells
+ * @returns {string}
+ */
+function markdownTable(headers, rows) {
+  const escape = value => String(value).replace(/\|/g, '\\|');
+  return [
+    `| ${headers.map(escape).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(escape).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Format a coverage report as Markdown
+ * @param {Object} coverage - Coverage from collectCoverage
+ * @returns {string} - Markdown note
+ */
+function formatCoverageMarkdown(coverage) {
+  const lines = [];
+  const preached = coverage.books.filter(book => book.sermons > 0);
+  const span = coverage.years.filter(year => year !== 'undated');
+  const preachesDeuterocanon = preached.some(book => book.testament === 'Deuterocanon');
+  const period = span.length === 0 ? 'no dated sermons' : span.length === 1 ? `${span[0]}` : `${span[0]}–${span[span.length - 1]}`;
+
+  lines.push('# Canon Coverage', '');
+  lines.push(`_Generated ${coverage.generated_at.slice(0, 10)} from ${coverage.sermons} sermons (${period})_`, '');
+  lines.push(`- Sermons with scripture texts: ${formatShare(coverage.withTexts, coverage.sermons)}`);
+  lines.push(`- Books preached: ${preached.filter(book => book.testament !== 'Deuterocanon').length} of ${coverage.books.filter(book => book.testament !== 'Deuterocanon').length}${preachesDeuterocanon ? ' (plus deuterocanonical books)' : ''}`);
+  lines.push(`- Books never preached: ${coverage.neverPreached.length}`);
+  lines.push(`- Passages repeated within ${coverage.window} days: ${coverage.repeats.length}`);
+  if (coverage.lectionary.days > 0) {
+    lines.push(`- Sermons on one of the day's lectionary readings: ${formatShare(coverage.lectionary.onLectionary, coverage.lectionary.days)}`);
+  }
+  lines.push('');
+
+  // Testaments and genres by year
+  const yearColumns = coverage.years.map(String);
+  const groupRows = (field, names) => names.map(name => {
+    const perYear = coverage.years.map(year => coverage.books
+      .filter(book => book[field] === name)
+      .reduce((sum, book) => sum + (book.byYear[year] || 0), 0));
+    return [name, formatShare(coverage.groups[`${field}s`][name] || 0, coverage.withTexts), ...perYear];
+  });
+  // The deuterocanonical books only get a row in vaults that preach them
+  const listed = coverage.books.filter(book => book.testament !== 'Deuterocanon' || preachesDeuterocanon);
+  const testaments = [...new Set(listed.map(book => book.testament))];
+  const genres = [...new Set(listed.map(book => book.genre))];
+  lines.push('## Testaments', '');
+  lines.push('Sermons that preach at least one book from each testament; the year columns count book references.', '');
+  lines.push(markdownTable(['Testament', 'Sermons', ...yearColumns], groupRows('testament', testaments)), '');
+  lines.push('## Genres', '');
+  lines.push(markdownTable(['Genre', 'Sermons', ...yearColumns], groupRows('genre', genres)), '');
+
+  lines.push('## Books', '');
+  lines.push(markdownTable(
+    ['Book', 'Genre', 'Sermons', 'Chapters preached', 'Most preached chapters', 'Last preached'],
+    preached.map(book => {
+      const chapters = Object.entries(book.byChapter).sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+      return [
+        book.name,
+        book.genre,
+        book.sermons,
+        `${chapters.length} of ${book.chapters}`,
+        chapters.slice(0, 5).map(([chapter, count]) => (count > 1 ? `${chapter} (×${count})` : chapter)).join(', '),
+        book.lastPreached || ''
+      ];
+    })
+  ), '');
+
+  lines.push('## Never Preached', '');
+  if (coverage.neverPreached.length === 0) {
+    lines.push('Every book of the Old and New Testaments has been preached.', '');
+  } else {
+    for (const testament of ['Old Testament', 'New Testament']) {
+      const names = coverage.books.filter(book => book.testament === testament && coverage.neverPreached.includes(book.name));
+      if (names.length > 0) {
+        lines.push(`- **${testament}**: ${names.map(book => book.name).join(', ')}`);
+      }
+    }
+    lines.push('');
+  }
+
+  lines.push(`## Repeated Within ${coverage.window} Days`, '');
+  if (coverage.repeats.length === 0) {
+    lines.push('No passage was preached twice within the window.', '');
+  } else {
+    lines.push(markdownTable(
+      ['Earlier', 'Later', 'Days apart'],
+      coverage.repeats.map(repeat => [
+        `${repeat.earlier.text} (${repeat.earlier.preached_on}, ${repeat.earlier.path})`,
+        `${repeat.later.text} (${repeat.later.preached_on}, ${repeat.later.path})`,
+        repeat.days
+      ])
+    ), '');
+  }
+
+  const { lectionary } = coverage;
+  if (lectionary.days > 0) {
+    lines.push('## Lectionary Readings', '');
+    lines.push(`Of ${lectionary.days} sermons preached on a day with Revised Common Lectionary readings, ${formatShare(lectionary.onLectionary, lectionary.days)} preached at least one of them.`, '');
+    lines.push(markdownTable(
+      ['Genre', 'Readings appointed', 'Preached'],
+      Object.entries(lectionary.genres)
+        .sort((a, b) => b[1].offered - a[1].offered)
+        .map(([genre, stats]) => [genre, stats.offered, formatShare(stats.preached, stats.offered)])
+    ), '');
+    // Psalms are usually sung or prayed rather than preached, so they'd crowd out the readings worth noticing
+    const skipped = lectionary.readings
+      .filter(reading => reading.preached === 0 && reading.offered > 1 && reading.genre !== 'Wisdom and Poetry')
+      .sort((a, b) => b.offered - a.offered || a.reading.localeCompare(b.reading));
+    lines.push('### Repeatedly Skipped', '');
+    if (skipped.length === 0) {
+      lines.push('No reading (apart from the Psalms) was appointed more than once and never preached.', '');
+    } else {
+      lines.push(markdownTable(
+        ['Reading', 'Times appointed', 'Last appointed'],
+        skipped.map(reading => [reading.reading, reading.offered, reading.lastOffered])
+      ), '');
+    }
+  }
+
+  if (coverage.invalid.length > 0) {
+    lines.push('## Unreadable References', '');
+    lines.push('These were left out of the counts. Run `node yaml-generator.js validate` for details.', '');
+    coverage.invalid.forEach(item => lines.push(`- ${item.path}: "${item.text}" (${item.error})`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a coverage report's counts as CSV: one row per year, book and chapter
+ * @param {Object} coverage - Coverage from collectCoverage
+ * @returns {string} - CSV with a header row
+ */
+function formatCoverageCsv(coverage) {
+  const genreOf = new Map(coverage.books.map(book => [book.name, book]));
+  const quote = value => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+  const rows = coverage.rows.map(row => {
+    const book = genreOf.get(row.book);
+    return [row.year, book.testament, book.genre, row.book, row.chapter, row.sermons].map(quote).join(',');
+  });
+  return ['year,testament,genre,book,chapter,sermons', ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  DEFAULT_REPEAT_WINDOW_DAYS,
+  collectCoverage,
+  buildCoverageReport,
+  formatCoverageMarkdown,
+  formatCoverageCsv
+};
+
+if (require.main === module) {
+  const [cmd, ...args] = process.argv.slice(2);
+
+  // Options that take a value; whatever is left is positional
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (['--vault', '--out', '--csv', '--window', '--from', '--to'].includes(args[i]) && i + 1 < args.length) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  try {
+    switch (cmd) {
+      case 'coverage': {
+        const vaultPath = positional[0] || options.vault || process.env.VAULT_PATH || '.';
+        const toNumber = (value, name) => {
+          const number = parseInt(value, 10);
+          if (value !== undefined && (isNaN(number) || number <= 0)) {
+            throw new Error(`--${name} must be a positive number`);
+          }
+          return value === undefined ? undefined : number;
+        };
+        const coverage = buildCoverageReport(vaultPath, {
+          window: toNumber(options.window, 'window'),
+          from: toNumber(options.from, 'from'),
+          to: toNumber(options.to, 'to')
+        });
+        const markdown = formatCoverageMarkdown(coverage);
+        if (options.out) {
+          fs.writeFileSync(options.out, markdown);
+          console.log(`Wrote coverage report to ${options.out}`);
+        } else {
+          console.log(markdown);
+        }
+        if (options.csv) {
+          fs.writeFileSync(options.csv, formatCoverageCsv(coverage));
+          console.log(`Wrote ${coverage.rows.length} rows to ${options.csv}`);
+        }
+        break;
+      }
+      default:
+        console.log(`
+Canon Coverage Report
+
+Usage:
+  node coverage-report.js coverage [directory] [options] - Report which books, chapters and genres the vault's sermons preach
+
+Options:
+  --vault <dir>      Vault to report on (defaults to VAULT_PATH, then the current directory)
+  --out <file.md>    Write the Markdown report to a file instead of printing it
+  --csv <file.csv>   Also write the counts by year, book and chapter as CSV
+  --window <days>    Report passages preached again within this many days (default ${DEFAULT_REPEAT_WINDOW_DAYS})
+  --from <year>      Only count sermons preached in or after this year
+  --to <year>        Only count sermons preached in or before this year
+        `);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,199 @@
+// Evaluation History for Radar Scores
+// Every radar evaluation of a sermon is appended to a sidecar "<sermon>.radar.jsonl" file next to the manuscript;
+// the frontmatter holds only the canonical one
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const matter = require('gray-matter');
+const { findRubricById, getDimensionLabel } = require('./rubric-loader');
+
+/**
+ * Get the history file for a sermon ("Sermon 03.23.25.md" -> "Sermon 03.23.25.radar.jsonl")
+ * @param {string} sermonPath - Path to the sermon markdown file
+ * @returns {string} - Path to the history file
+ */
+function getHistoryPath(sermonPath) {
+  const dir = path.dirname(sermonPath);
+  const base = path.basename(sermonPath, path.extname(sermonPath));
+  return path.join(dir, `${base}.radar.jsonl`);
+}
+
+/**
+ * Read every evaluation recorded for a sermon, oldest first
+ * @param {string} sermonPath - Path to the sermon markdown file
+ * @returns {Object[]} - Evaluation entries
+ */
+function readHistory(sermonPath) {
+  const historyPath = getHistoryPath(sermonPath);
+  if (!fs.existsSync(historyPath)) {
+    return [];
+  }
+
+  const entries = [];
+  fs.readFileSync(historyPath, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      console.warn(`Skipping malformed line ${index + 1} in ${historyPath}: ${error.message}`);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Append an evaluation to a sermon's history
+ * @param {string} sermonPath - Path to the sermon markdown file
+ * @param {Object} evaluation - { model, rubric, preacher, prompt_version, generated_at, radar_score, justifications,
+ *                               summary, cumulative, audio_note }
+ * @returns {Object} - The stored entry, including its generated id
+ */
+function appendEvaluation(sermonPath, evaluation) {
+  const entry = {
+    id: crypto.randomBytes(4).toString('hex'),
+    generated_at: new Date().toISOString(),
+    ...evaluation
+  };
+  fs.appendFileSync(getHistoryPath(sermonPath), `${JSON.stringify(entry)}\n`);
+  return entry;
+}
+
+/**
+ * Read the justifications out of the Radar Analysis section of a sermon's body, where files scored before
+ * the history existed keep them ("- **Closing Force (7/10)**: ..."). Only the newest block counts when older
+ * versions of the tool stacked several.
+ * @param {string} content - Markdown body
+ * @param {Object} metadata - Frontmatter holding the scores the section belongs to
+ * @returns {Object} - Justification per dimension key, for the dimensions found
+ */
+function readSectionJustifications(content, metadata) {
+  const normalize = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+  const rubric = metadata.radar_rubric ? findRubricById(metadata.radar_rubric) : null;
+  const keysByLabel = {};
+  for (const key of Object.keys(metadata.radar_score)) {
+    keysByLabel[normalize(key)] = key;
+    if (rubric) {
+      keysByLabel[normalize(getDimensionLabel(rubric, key))] = key;
+    }
+  }
+
+  const justifications = {};
+  const lines = content.split('\n');
+  const start = lines.findIndex(line => /^## Radar Analysis\s*$/.test(line));
+  if (start === -1) {
+    return justifications;
+  }
+  let blocks = 0;
+  for (const line of lines.slice(start + 1)) {
+    if (/^#/.test(line) || (/^_Generated by model: /.test(line) && ++blocks > 1)) {
+      break;
+    }
+    const match = line.match(/^- \*\*(.+?) \([\d.]+\/\d+[^)]*\)\*\*:\s*(.*)$/);
+    const key = match && keysByLabel[normalize(match[1])];
+    if (key && match[2].trim()) {
+      justifications[key] = match[2].trim();
+    }
+  }
+  return justifications;
+}
+
+/**
+ * Start a sermon's history with the evaluation already in its frontmatter, so it isn't lost
+ * when the first tracked evaluation replaces it. Does nothing once a history exists. An entry whose
+ * justifications couldn't be recovered from the body is marked justifications_missing.
+ * @param {string} sermonPath - Path to the sermon markdown file
+ * @param {Object} metadata - Current frontmatter
+ * @returns {Object|null} - The imported entry, or null
+ */
+function importFrontmatterEvaluation(sermonPath, metadata) {
+  if (fs.existsSync(getHistoryPath(sermonPath)) ||
+      !metadata.radar_score || Object.keys(metadata.radar_score).length === 0) {
+    return null;
+  }
+
+  // radar_info is "Model: <model> | Generated: <timestamp>"
+  const info = String(metadata.radar_info || '');
+  const modelMatch = info.match(/Model:\s*(.+?)\s*(?:\||$)/);
+  const dateMatch = info.match(/Generated:\s*(\S+)/);
+
+  // The frontmatter never kept justifications; they are only in the body's Radar Analysis section
+  const justifications = metadata.radar_justifications ||
+    readSectionJustifications(matter(fs.readFileSync(sermonPath, 'utf8')).content, metadata);
+
+  return appendEvaluation(sermonPath, {
+    model: modelMatch ? modelMatch[1] : 'unknown',
+    rubric: metadata.radar_rubric || null,
+    preacher: metadata.radar_preacher || null,
+    prompt_version: null,
+    generated_at: dateMatch ? dateMatch[1] : null,
+    radar_score: metadata.radar_score,
+    justifications,
+    summary: metadata.radar_summary || null,
+    cumulative: metadata.radar_cumulative || null,
+    audio_note: metadata.radar_audio_note || null,
+    source: 'frontmatter',
+    ...(Object.keys(justifications).length === 0 ? { justifications_missing: true } : {})
+  });
+}
+
+/**
+ * Find an evaluation by id (or unique id prefix)
+ * @param {string} sermonPath - Path to the sermon markdown file
+ * @param {string} id - Evaluation id or prefix
+ * @returns {Object} - Evaluation entry
+ */
+function findEvaluation(sermonPath, id) {
+  const matches = readHistory(sermonPath).filter(entry => entry.id.startsWith(id));
+  if (matches.length === 0) {
+    throw new Error(`No evaluation "${id}" in ${getHistoryPath(sermonPath)}`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Evaluation id "${id}" is ambiguous (${matches.map(entry => entry.id).join(', ')})`);
+  }
+  return matches[0];
+}
+
+/**
+ * Frontmatter fields for an evaluation when it is canonical
+ * @param {Object} entry - Evaluation entry
+ * @returns {Object} - Frontmatter fields
+ */
+function toFrontmatterFields(entry) {
+  const fields = {
+    radar_score: entry.radar_score,
+    radar_evaluation_id: entry.id
+  };
+  if (entry.raw_score) {
+    fields.radar_raw_score = entry.raw_score;
+  }
+  if (entry.summary) {
+    fields.radar_summary = entry.summary;
+  }
+  if (entry.cumulative) {
+    fields.radar_cumulative = entry.cumulative;
+  }
+  if (entry.audio_note) {
+    fields.radar_audio_note = entry.audio_note;
+  }
+  if (entry.preacher) {
+    fields.radar_preacher = entry.preacher;
+  }
+  if (entry.body_hash) {
+    fields.radar_body_hash = entry.body_hash;
+  }
+  if (entry.prompt_version) {
+    fields.radar_prompt_version = entry.prompt_version;
+  }
+  return fields;
+}
+
+module.exports = {
+  getHistoryPath,
+  readHistory,
+  appendEvaluation,
+  importFrontmatterEvaluation,
+  findEvaluation,
+  toFrontmatterFields
+};
@@ -0,0 +1,619 @@
+// Static HTML Report of Preaching Trends
+// Builds a self-contained site from the vault index: score timelines by preached_on, a breakdown by liturgical
+// season, a theme cloud, the strongest and weakest dimensions over rolling windows, and one page per sermon with
+// its radar analysis. Styles and charts are inlined, with no scripts or network requests, so the site opens
+// straight from a file:// URL.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { updateIndex } = require('./vault-index');
+const { findManagedSection, getMarkers } = require('./managed-sections');
+const { SEASONS, getLiturgicalDay } = require('./liturgical-calendar');
+const { renderRadarChart, computeTrailingAverage } = require('./radar-chart');
+const {
+  loadRubric,
+  findRubricById,
+  getDimensionKeys,
+  getDimensionLabel,
+  getRubricId,
+  computeWeightedAverage
+} = require('./rubric-loader');
+
+// How many consecutive sermons make up a rolling window
+const DEFAULT_WINDOW = 8;
+
+const STYLES = `
+body { font-family: Georgia, "Times New Roman", serif; color: #1f2937; max-width: 1100px; margin: 0 auto; padding: 24px; line-height: 1.5; }
+h1, h2, h3 { font-family: sans-serif; color: #111827; }
+h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; margin-top: 40px; }
+a { color: #2563eb; }
+table { border-collapse: collapse; margin: 12px 0; font-size: 14px; }
+th, td { border: 1px solid #e5e7eb; padding: 4px 10px; text-align: left; vertical-align: top; }
+th { background: #f9fafb; font-family: sans-serif; }
+td.number { text-align: right; font-variant-numeric: tabular-nums; }
+.muted { color: #6b7280; font-size: 14px; }
+.timelines { display: flex; flex-wrap: wrap; gap: 16px; }
+.timelines figure { margin: 0; }
+.timelines figcaption { font-family: sans-serif; font-size: 13px; font-weight: bold; }
+.cloud { line-height: 2.2; }
+.cloud span { margin-right: 14px; white-space: nowrap; }
+.analysis { background: #f9fafb; border: 1px solid #e5e7eb; padding: 4px 20px; }
+@media print { a { color: inherit; text-decoration: none; } h2 { break-after: avoid; } figure, table { break-inside: avoid; } }
+`;
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Round a score for display
+ * @param {number|null} value - Score
+ * @returns {string} - One decimal place, or "-" when missing
+ */
+function formatScore(value) {
+  return typeof value === 'number' && !isNaN(value) ? value.toFixed(1) : '-';
+}
+
+/**
+ * Average a list of numbers, ignoring anything that isn't a number
+ * @param {Array} values - Values
+ * @returns {number|null} - Average, or null if there are no numbers
+ */
+function average(values) {
+  const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+  return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
+
+/**
+ * Convert the radar section's Markdown to HTML. Handles what the generator writes (headings, bullet lists, bold,
+ * italics and paragraphs); image embeds are dropped because the page draws its own chart.
+ * @param {string} markdown - Markdown text
+ * @returns {string} - HTML
+ */
+function markdownToHtml(markdown) {
+  const inline = text => escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[\s(])_(.+?)_(?=$|[\s).,;:])/g, '$1<em>$2</em>');
+
+  const html = [];
+  let list = false;
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${inline(paragraph.join(' '))}</p>`);
+      paragraph = [];
+    }
+    if (list) {
+      html.push('</ul>');
+      list = false;
+    }
+  };
+
+  for (const line of markdown.split('\n')) {
+    const trimmed = line.trim();
+    const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    const item = trimmed.match(/^[-*]\s+(.*)$/);
+    if (!trimmed || /^!\[[^\]]*\]\([^)]*\)$/.test(trimmed) || /^<!--.*-->$/.test(trimmed)) {
+      flush();
+    } else if (heading) {
+      flush();
+      // Sermon pages already use h1 and h2, so section headings start at h3
+      const level = Math.min(6, heading[1].length + 1);
+      html.push(`<h${level}>${inline(heading[2])}</h${level}>`);
+    } else if (item) {
+      if (paragraph.length > 0) {
+        flush();
+      }
+      if (!list) {
+        html.push('<ul>');
+        list = true;
+      }
+      html.push(`<li>${inline(item[1])}</li>`);
+    } else {
+      if (list) {
+        flush();
+      }
+      paragraph.push(trimmed);
+    }
+  }
+  flush();
+  return html.join('\n');
+}
+
+/**
+ * Turn a vault-relative path into a file name for the sermon's page
+ * @param {string} relativePath - Path from the vault root
+ * @param {Set} used - Slugs already taken
+ * @returns {string} - Unique slug
+ */
+function toSlug(relativePath, used) {
+  const base = relativePath
+    .replace(/\.md$/i, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'sermon';
+  let slug = base;
+  for (let n = 2; used.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  used.add(slug);
+  return slug;
+}
+
+/**
+ * Pick the rubric the report's trends are drawn under: the one most of the vault's scored sermons used,
+ * falling back to the default rubric
+ * @param {Object[]} entries - Index entries
+ * @returns {Object} - Loaded rubric
+ */
+function pickReportRubric(entries) {
+  const counts = {};
+  for (const entry of entries) {
+    if (entry.radar_score && entry.radar_rubric) {
+      counts[entry.radar_rubric] = (counts[entry.radar_rubric] || 0) + 1;
+    }
+  }
+  const ranked = Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+  for (const rubricId of ranked) {
+    const rubric = findRubricById(rubricId);
+    if (rubric) {
+      return rubric;
+    }
+  }
+  return loadRubric();
+}
+
+/**
+ * Gather what the report needs from the vault
+ * @param {string} vaultPath - Vault root
+ * @param {Object} [options] - { rubric: rubric for the trends (defaults to the one most sermons were scored under),
+ *                             window: sermons per rolling window }
+ * @returns {Object} - { vaultPath, index, rubric, window, sermons, trend, excluded }, where sermons are sorted by
+ *                     preached_on (undated last) and trend holds the dated sermons scored under the report's rubric
+ */
+function collectReportData(vaultPath, options = {}) {
+  const root = path.resolve(vaultPath);
+  const { index } = updateIndex(root);
+  const entries = Object.values(index.files);
+  const rubric = options.rubric || pickReportRubric(entries);
+  const rubricId = getRubricId(rubric);
+  const used = new Set();
+
+  const sermons = entries
+    .map(entry => {
+      const day = entry.preached_on ? getLiturgicalDay(String(entry.preached_on).slice(0, 10)) : null;
+      // An unreadable preached_on leaves the sermon undated
+      const date = day ? day.date : null;
+      const scored = Boolean(entry.radar_score);
+      // Sermons scored before rubrics were recorded are taken to be under the report's rubric
+      const sameRubric = scored && (!entry.radar_rubric || entry.radar_rubric === rubricId);
+      return {
+        entry,
+        date,
+        day,
+        title: entry.sermon_title || path.basename(entry.path, '.md'),
+        scored,
+        sameRubric,
+        weighted: sameRubric ? computeWeightedAverage(entry.radar_score, rubric) : null
+      };
+    })
+    .sort((a, b) => (a.date ? 0 : 1) - (b.date ? 0 : 1) || String(a.date).localeCompare(String(b.date)) || a.entry.path.localeCompare(b.entry.path));
+  sermons.forEach(sermon => {
+    sermon.slug = toSlug(sermon.entry.path, used);
+  });
+
+  const trend = sermons.filter(sermon => sermon.sameRubric && sermon.date);
+  const excluded = sermons.filter(sermon => sermon.scored && !sermon.sameRubric).length;
+  return { vaultPath: root, index, rubric, window: options.window || DEFAULT_WINDOW, sermons, trend, excluded };
+}
+
+/**
+ * Compute rolling averages of each dimension over consecutive sermons
+ * @param {Object[]} trend - Scored sermons in date order
+ * @param {Object} rubric - Rubric
+ * @param {number} size - Sermons per window
+ * @returns {Object[]} - { from, to, count, scores, strongest, weakest }, windows overlapping by half; the last
+ *                       window always ends with the latest sermon
+ */
+function computeRollingWindows(trend, rubric, size) {
+  const keys = getDimensionKeys(rubric);
+  if (trend.length === 0) {
+    return [];
+  }
+  const width = Math.min(size, trend.length);
+  const step = Math.max(1, Math.floor(width / 2));
+  const starts = [];
+  for (let start = 0; start + width <= trend.length; start += step) {
+    starts.push(start);
+  }
+  if (starts[starts.length - 1] !== trend.length - width) {
+    starts.push(trend.length - width);
+  }
+
+  return starts.map(start => {
+    const sermons = trend.slice(start, start + width);
+    const scores = {};
+    for (const key of keys) {
+      scores[key] = average(sermons.map(sermon => sermon.entry.radar_score[key]));
+    }
+    const ranked = keys.filter(key => scores[key] !== null).sort((a, b) => scores[b] - scores[a]);
+    return {
+      from: sermons[0].date,
+      to: sermons[sermons.length - 1].date,
+      count: sermons.length,
+      scores,
+      strongest: ranked[0] || null,
+      weakest: ranked[ranked.length - 1] || null
+    };
+  });
+}
+
+/**
+ * Average each dimension by liturgical season
+ * @param {Object[]} trend - Scored sermons
+ * @param {Object} rubric - Rubric
+ * @returns {Object[]} - { season, count, scores, weighted } in church-year order, seasons without sermons left out
+ */
+function computeSeasonBreakdown(trend, rubric) {
+  const keys = getDimensionKeys(rubric);
+  return SEASONS
+    .map(season => {
+      const sermons = trend.filter(sermon => sermon.day && sermon.day.season === season);
+      const scores = {};
+      for (const key of keys) {
+        scores[key] = average(sermons.map(sermon => sermon.entry.radar_score[key]));
+      }
+      return { season, count: sermons.length, scores, weighted: average(sermons.map(sermon => sermon.weighted)) };
+    })
+    .filter(row => row.count > 0);
+}
+
+/**
+ * Count how many sermons carry each theme
+ * @param {Object[]} sermons - Sermons
+ * @returns {Object[]} - { theme, count }, most frequent first
+ */
+function countThemes(sermons) {
+  const counts = new Map();
+  for (const sermon of sermons) {
+    const themes = Array.isArray(sermon.entry.themes) ? sermon.entry.themes : [];
+    for (const theme of new Set(themes.map(String))) {
+      counts.set(theme, (counts.get(theme) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .map(([theme, count]) => ({ theme, count }))
+    .sort((a, b) => b.count - a.count || a.theme.localeCompare(b.theme));
+}
+
+/**
+ * Draw one dimension's scores over time, with a rolling average line
+ * @param {Object[]} trend - Scored sermons in date order
+ * @param {string} key - Dimension
+ * @param {Object} rubric - Rubric
+ * @param {number} window - Sermons in the rolling average
+ * @returns {string} - Inline SVG
+ */
+function renderTimeline(trend, key, rubric, window) {
+  const width = 320;
+  const height = 140;
+  const pad = { left: 28, right: 8, top: 8, bottom: 22 };
+  const { min, max } = rubric.scale;
+  const times = trend.map(sermon => Date.parse(sermon.date));
+  const first = Math.min(...times);
+  const last = Math.max(...times);
+  const x = time => pad.left + (last === first ? 0.5 : (time - first) / (last - first)) * (width - pad.left - pad.right);
+  const y = value => pad.top + (1 - (Math.max(min, Math.min(max, value)) - min) / (max - min)) * (height - pad.top - pad.bottom);
+  const round = value => Math.round(value * 10) / 10;
+
+  const parts = [`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="9" role="img" aria-label="${escapeHtml(getDimensionLabel(rubric, key))} over time">`];
+  for (const value of [min, (min + max) / 2, max]) {
+    parts.push(`<line x1="${pad.left}" y1="${round(y(value))}" x2="${width - pad.right}" y2="${round(y(value))}" stroke="#e5e7eb"/>`);
+    parts.push(`<text x="${pad.left - 4}" y="${round(y(value) + 3)}" text-anchor="end" fill="#9ca3af">${round(value)}</text>`);
+  }
+  parts.push(`<text x="${pad.left}" y="${height - 6}" fill="#9ca3af">${escapeHtml(trend[0].date)}</text>`);
+  parts.push(`<text x="${width - pad.right}" y="${height - 6}" text-anchor="end" fill="#9ca3af">${escapeHtml(trend[trend.length - 1].date)}</text>`);
+
+  // Rolling average over the last `window` scored sermons at each point
+  const rolling = [];
+  trend.forEach((sermon, i) => {
+    const value = average(trend.slice(Math.max(0, i - window + 1), i + 1).map(item => item.entry.radar_score[key]));
+    if (value !== null) {
+      rolling.push(`${round(x(times[i]))},${round(y(value))}`);
+    }
+  });
+  if (rolling.length > 1) {
+    parts.push(`<polyline points="${rolling.join(' ')}" fill="none" stroke="#dc2626" stroke-width="1.5"/>`);
+  }
+
+  trend.forEach((sermon, i) => {
+    const value = sermon.entry.radar_score[key];
+    if (typeof value === 'number' && !isNaN(value)) {
+      // The title shows as a tooltip when hovering, without any script
+      parts.push(`<a href="sermons/${sermon.slug}.html"><circle cx="${round(x(times[i]))}" cy="${round(y(value))}" r="3" fill="#2563eb" fill-opacity="0.7"><title>${escapeHtml(`${sermon.date} ${sermon.title}: ${value}`)}</title></circle></a>`);
+    }
+  });
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Wrap page content in a complete HTML document
+ * @param {string} title - Page title
+ * @param {string} body - Page content
+ * @returns {string} - HTML document
+ */
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build a table
+ * @param {string[]|null} headers - Column headings, or null for a table without a heading row
+ * @param {Array[]} rows - Cells as HTML; numbers and scores are right-aligned
+ * @returns {string} - HTML table
+ */
+function htmlTable(headers, rows) {
+  const head = headers ? [`<tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr>`] : [];
+  const numeric = cell => typeof cell === 'number' || /^(-|-?\d+(\.\d+)?)$/.test(cell);
+  const body = rows.map(row => `<tr>${row.map(cell => numeric(cell) ? `<td class="number">${cell}</td>` : `<td>${cell}</td>`).join('')}</tr>`);
+  return `<table>\n${[...head, ...body].join('\n')}\n</table>`;
+}
+
+/**
+ * Render the dashboard page
+ * @param {Object} data - From collectReportData
+ * @returns {string} - HTML document
+ */
+function renderIndexPage(data) {
+  const { rubric, trend, sermons, window } = data;
+  const keys = getDimensionKeys(rubric);
+  const label = key => escapeHtml(getDimensionLabel(rubric, key));
+  const parts = ['<h1>Preaching Trends</h1>'];
+
+  const dated = sermons.filter(sermon => sermon.date);
+  const range = dated.length > 0 ? `${dated[0].date} to ${dated[dated.length - 1].date}` : 'no dated sermons';
+  parts.push(`<p>${sermons.length} sermon${sermons.length === 1 ? '' : 's'} (${escapeHtml(range)}); ${trend.length} scored under <strong>${escapeHtml(rubric.name || rubric.id)}</strong> <span class="muted">(${escapeHtml(getRubricId(rubric))}, scale ${rubric.scale.min}-${rubric.scale.max})</span>.</p>`);
+  if (data.excluded > 0) {
+    parts.push(`<p class="muted">${data.excluded} sermon${data.excluded === 1 ? ' was' : 's were'} scored under another rubric and ${data.excluded === 1 ? 'is' : 'are'} left out of the trends.</p>`);
+  }
+  parts.push(`<p class="muted">Generated ${escapeHtml(new Date().toISOString().slice(0, 10))}.</p>`);
+  parts.push('<p><a href="#timeline">Timeline</a> · <a href="#seasons">Seasons</a> · <a href="#windows">Strongest and weakest</a> · <a href="#themes">Themes</a> · <a href="#sermons">Sermons</a></p>');
+
+  parts.push('<h2 id="timeline">Scores over time</h2>');
+  if (trend.length === 0) {
+    parts.push('<p class="muted">No dated sermons have radar scores yet.</p>');
+  } else {
+    parts.push(`<p class="muted">Each dot is a sermon; the red line is the average of the last ${window} sermons.</p>`);
+    parts.push('<div class="timelines">');
+    for (const key of keys) {
+      parts.push(`<figure><figcaption>${label(key)}</figcaption>\n${renderTimeline(trend, key, rubric, window)}</figure>`);
+    }
+    parts.push('</div>');
+  }
+
+  parts.push('<h2 id="seasons">By liturgical season</h2>');
+  const seasons = computeSeasonBreakdown(trend, rubric);
+  if (seasons.length === 0) {
+    parts.push('<p class="muted">No dated sermons have radar scores yet.</p>');
+  } else {
+    parts.push(htmlTable(
+      ['Season', 'Sermons', 'Weighted', ...keys.map(key => getDimensionLabel(rubric, key))],
+      seasons.map(row => [escapeHtml(row.season), row.count, formatScore(row.weighted), ...keys.map(key => formatScore(row.scores[key]))])
+    ));
+  }
+
+  parts.push('<h2 id="windows">Strongest and weakest dimensions</h2>');
+  const windows = computeRollingWindows(trend, rubric, window);
+  if (windows.length === 0) {
+    parts.push('<p class="muted">No dated sermons have radar scores yet.</p>');
+  } else {
+    parts.push(`<p class="muted">Averages over ${Math.min(window, trend.length)} consecutive sermons; windows overlap by half.</p>`);
+    parts.push(htmlTable(
+      ['From', 'To', 'Sermons', 'Strongest', 'Weakest'],
+      windows.map(row => [
+        escapeHtml(row.from),
+        escapeHtml(row.to),
+        row.count,
+        row.strongest ? `${label(row.strongest)} (${formatScore(row.scores[row.strongest])})` : '-',
+        row.weakest ? `${label(row.weakest)} (${formatScore(row.scores[row.weakest])})` : '-'
+      ])
+    ));
+  }
+
+  parts.push('<h2 id="themes">Themes</h2>');
+  const themes = countThemes(sermons);
+  if (themes.length === 0) {
+    parts.push('<p class="muted">No sermons have themes yet.</p>');
+  } else {
+    const most = themes[0].count;
+    const cloud = themes.map(({ theme, count }) => {
+      const size = Math.round(12 + (most > 1 ? ((count - 1) / (most - 1)) * 20 : 0));
+      return `<span style="font-size: ${size}px" title="${count} sermon${count === 1 ? '' : 's'}">${escapeHtml(theme)}</span>`;
+    });
+    parts.push(`<div class="cloud">\n${cloud.join('\n')}\n</div>`);
+  }
+
+  parts.push('<h2 id="sermons">Sermons</h2>');
+  parts.push(htmlTable(
+    ['Preached', 'Title', 'Liturgical day', 'Texts', 'Weighted'],
+    [...sermons].reverse().map(sermon => [
+      escapeHtml(sermon.date || '-'),
+      `<a href="sermons/${sermon.slug}.html">${escapeHtml(sermon.title)}</a>`,
+      escapeHtml(sermon.day ? sermon.day.name : '-'),
+      escapeHtml((sermon.entry.texts || []).join('; ')),
+      sermon.sameRubric ? formatScore(sermon.weighted) : sermon.scored ? `<span class="muted">${escapeHtml(sermon.entry.radar_rubric)}</span>` : '-'
+    ])
+  ));
+
+  return renderPage('Preaching Trends', parts.join('\n'));
+}
+
+/**
+ * Render one sermon's page
+ * @param {Object} sermon - Sermon from collectReportData
+ * @param {Object} data - From collectReportData
+ * @returns {string} - HTML document
+ */
+function renderSermonPage(sermon, data) {
+  const { entry } = sermon;
+  // Each sermon is shown under the rubric it was scored with, even when that isn't the report's rubric
+  const rubric = sermon.sameRubric || !entry.radar_rubric ? data.rubric : findRubricById(entry.radar_rubric);
+  const parts = ['<p><a href="../index.html">&larr; All sermons</a></p>', `<h1>${escapeHtml(sermon.title)}</h1>`];
+
+  const details = [
+    ['Preached', sermon.date],
+    ['Liturgical day', sermon.day ? sermon.day.name : null],
+    ['Preacher', entry.preacher],
+    ['Texts', (entry.texts || []).join('; ')],
+    ['Big idea', entry.bolt],
+    ['Themes', (entry.themes || []).join(', ')],
+    ['Metaphors', (entry.metaphors || []).join(', ')],
+    ['File', entry.path]
+  ].filter(([, value]) => value);
+  parts.push(htmlTable(null, details.map(([name, value]) => [`<strong>${escapeHtml(name)}</strong>`, escapeHtml(value)])));
+
+  if (!entry.radar_score) {
+    parts.push('<p class="muted">This sermon has no radar scores yet.</p>');
+  } else if (!rubric) {
+    parts.push(`<p class="muted">Scored under ${escapeHtml(entry.radar_rubric)}, which isn't available to draw.</p>`);
+  } else {
+    const keys = getDimensionKeys(rubric);
+    const series = [{ label: sermon.title, scores: entry.radar_score }];
+    const trailing = computeTrailingAverage(data.index, {
+      path: entry.path,
+      preached_on: entry.preached_on,
+      preacher: entry.preacher,
+      rubric
+    });
+    if (trailing) {
+      series.push({ label: `Trailing average (previous ${trailing.count} sermon${trailing.count === 1 ? '' : 's'})`, scores: trailing.scores });
+    }
+    parts.push('<h2>Radar scores</h2>');
+    parts.push(renderRadarChart(rubric, series));
+    parts.push(htmlTable(
+      ['Dimension', 'Score', ...(trailing ? ['Trailing average'] : [])],
+      keys.map(key => [escapeHtml(getDimensionLabel(rubric, key)), formatScore(entry.radar_score[key]), ...(trailing ? [formatScore(trailing.scores[key])] : [])])
+    ));
+    parts.push(`<p>Weighted average: <strong>${formatScore(computeWeightedAverage(entry.radar_score, rubric))}</strong> <span class="muted">(${escapeHtml(getRubricId(rubric))})</span></p>`);
+  }
+
+  // The analysis comes from the radar section the generator wrote into the manuscript
+  try {
+    const { content } = matter(fs.readFileSync(path.join(data.vaultPath, entry.path), 'utf8'));
+    const section = findManagedSection(content, 'radar');
+    if (section) {
+      const markers = getMarkers('radar');
+      const markdown = content.slice(section.start + markers.start.length, section.end - markers.end.length);
+      parts.push(`<div class="analysis">\n${markdownToHtml(markdown)}\n</div>`);
+    }
+  } catch (error) {
+    console.warn(`Could not read the radar analysis of ${entry.path}: ${error.message}`);
+  }
+
+  return renderPage(sermon.title, parts.join('\n'));
+}
+
+/**
+ * Build the report site
+ * @param {string} vaultPath - Vault root
+ * @param {string} outDir - Directory to write the site to (created if needed)
+ * @param {Object} [options] - See collectReportData
+ * @returns {Object} - { indexPath, pages: number of sermon pages, trend: number of sermons in the trends }
+ */
+function buildHtmlReport(vaultPath, outDir, options = {}) {
+  const data = collectReportData(vaultPath, options);
+  const sermonDir = path.join(outDir, 'sermons');
+  fs.mkdirSync(sermonDir, { recursive: true });
+
+  const indexPath = path.join(outDir, 'index.html');
+  fs.writeFileSync(indexPath, renderIndexPage(data));
+  for (const sermon of data.sermons) {
+    fs.writeFileSync(path.join(sermonDir, `${sermon.slug}.html`), renderSermonPage(sermon, data));
+  }
+  return { indexPath, pages: data.sermons.length, trend: data.trend.length };
+}
+
+module.exports = {
+  DEFAULT_WINDOW,
+  collectReportData,
+  computeRollingWindows,
+  computeSeasonBreakdown,
+  countThemes,
+  renderIndexPage,
+  renderSermonPage,
+  buildHtmlReport
+};
+
+if (require.main === module) {
+  const [cmd, ...args] = process.argv.slice(2);
+
+  // Options that take a value; whatever is left is positional
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (['--vault', '--out', '--rubric', '--window'].includes(args[i]) && i + 1 < args.length) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  try {
+    switch (cmd) {
+      case 'report': {
+        const vaultPath = positional[0] || options.vault || process.env.VAULT_PATH || '.';
+        const window = options.window === undefined ? undefined : parseInt(options.window, 10);
+        if (window !== undefined && (isNaN(window) || window <= 0)) {
+          throw new Error('--window must be a positive number');
+        }
+        const outDir = options.out || 'sermon-report';
+        const result = buildHtmlReport(vaultPath, outDir, {
+          rubric: options.rubric ? loadRubric(options.rubric) : undefined,
+          window
+        });
+        console.log(`Wrote ${result.pages} sermon page${result.pages === 1 ? '' : 's'} (${result.trend} in the trends) to ${outDir}`);
+        console.log(`Open ${path.resolve(result.indexPath)} in a browser`);
+        break;
+      }
+      default:
+        console.log(`
+Preaching Trends Report
+
+Usage:
+  node html-report.js report [directory] [options] - Build a static HTML site of the vault's radar scores over time
+
+Options:
+  --vault <dir>      Vault to report on (defaults to VAULT_PATH, then the current directory)
+  --out <dir>        Directory to write the site to (default ./sermon-report)
+  --rubric <file>    Rubric for the trends (defaults to the one most sermons were scored under)
+  --window <n>       Sermons per rolling window and timeline average (default ${DEFAULT_WINDOW})
+        `);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
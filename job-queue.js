@@ -0,0 +1,294 @@
+// Background Job Queue
+// Long-running generate/compare work runs one job at a time; jobs and their progress events are
+// persisted under the state directory so a restart picks queued and interrupted work back up
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Persistent FIFO job queue.
+ * Emits "event" with (jobId, event) for every progress event, so callers can stream them.
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} config - Queue configuration
+   * @param {string} config.dir - Directory jobs are persisted in
+   * @param {Object} [config.handlers] - Job handlers keyed by job type: async (job, context) => result
+   */
+  constructor(config) {
+    super();
+    this.dir = config.dir;
+    this.handlers = { ...(config.handlers || {}) };
+    this.jobs = new Map();
+    this.running = null;
+    this.started = false;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type, e.g. "generate"
+   * @param {Function} handler - async (job, context) => result; context has emit(event), isCancelled() and
+   *                             markDone(item) / isDone(item) for resuming after a restart
+   */
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Load persisted jobs and start working through the queue.
+   * Jobs that were running when the process stopped are queued again and resume where they left off.
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          const job = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+          if (job.status === 'running') {
+            job.status = 'queued';
+            this.save(job);
+            this.appendEvent(job.id, { type: 'status', status: 'queued', message: 'Requeued after restart' });
+          }
+          this.jobs.set(job.id, job);
+        } catch (error) {
+          console.warn(`Skipping unreadable job file ${file}: ${error.message}`);
+        }
+      });
+    this.runNext();
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} params - Job parameters
+   * @returns {Object} - The queued job
+   */
+  submit(type, params = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`Unknown job type "${type}" (expected ${Object.keys(this.handlers).join(', ')})`);
+    }
+    const job = {
+      id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+      type,
+      params,
+      status: 'queued',
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      progress: { total: 0, done: 0, failed: 0 },
+      completed_items: [],
+      result: null,
+      error: null,
+      cancel_requested: false
+    };
+    this.jobs.set(job.id, job);
+    this.save(job);
+    this.appendEvent(job.id, { type: 'status', status: 'queued' });
+    this.runNext();
+    return job;
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} id - Job id
+   * @returns {Object|null} - Job, or null if unknown
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @returns {Object[]} - Jobs
+   */
+  list() {
+    return [...this.jobs.values()].sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Cancel a job. Queued jobs are cancelled at once; a running job stops after the file it is working on.
+   * @param {string} id - Job id
+   * @returns {Object} - The job
+   */
+  cancel(id) {
+    const job = this.get(id);
+    if (!job) {
+      throw new Error(`Unknown job: ${id}`);
+    }
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      return job;
+    }
+    if (job.status === 'queued') {
+      this.finish(job, 'cancelled');
+    } else {
+      job.cancel_requested = true;
+      this.save(job);
+      this.appendEvent(job.id, { type: 'log', message: 'Cancellation requested; stopping after the current file' });
+    }
+    return job;
+  }
+
+  /**
+   * Read a job's events so far
+   * @param {string} id - Job id
+   * @returns {Object[]} - Events, oldest first
+   */
+  readEvents(id) {
+    return readEventLog(this.dir, id);
+  }
+
+  async runNext() {
+    if (!this.started || this.running) {
+      return;
+    }
+    const job = [...this.jobs.values()]
+      .filter(candidate => candidate.status === 'queued')
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))[0];
+    if (!job) {
+      return;
+    }
+
+    this.running = job.id;
+    job.status = 'running';
+    job.started_at = job.started_at || new Date().toISOString();
+    this.save(job);
+    this.appendEvent(job.id, { type: 'status', status: 'running' });
+
+    const context = {
+      emit: event => {
+        if (event.type === 'progress') {
+          job.progress = { ...job.progress, ...event.progress };
+          this.save(job);
+        }
+        this.appendEvent(job.id, event);
+      },
+      isCancelled: () => job.cancel_requested,
+      isDone: item => job.completed_items.includes(item),
+      markDone: item => {
+        job.completed_items.push(item);
+        this.save(job);
+      }
+    };
+
+    try {
+      job.result = await this.handlers[job.type](job, context);
+      this.finish(job, job.cancel_requested ? 'cancelled' : 'completed');
+    } catch (error) {
+      job.error = error.message;
+      this.finish(job, 'failed');
+    } finally {
+      this.running = null;
+      setImmediate(() => this.runNext());
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finished_at = new Date().toISOString();
+    this.save(job);
+    this.appendEvent(job.id, { type: 'status', status, ...(job.error ? { error: job.error } : {}) });
+  }
+
+  save(job) {
+    // Write then rename so a crash never leaves a half-written job file
+    const filePath = path.join(this.dir, `${job.id}.json`);
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(job, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  appendEvent(id, event) {
+    const stamped = { time: new Date().toISOString(), ...event };
+    fs.appendFileSync(getEventLogPath(this.dir, id), `${JSON.stringify(stamped)}\n`);
+    this.emit('event', id, stamped);
+  }
+}
+
+/**
+ * Get the path of a job's event log
+ * @param {string} dir - Jobs directory
+ * @param {string} id - Job id
+ * @returns {string} - Event log path
+ */
+function getEventLogPath(dir, id) {
+  if (!/^[a-z0-9-]+$/.test(id)) {
+    throw new Error(`Invalid job id: ${id}`);
+  }
+  return path.join(dir, `${id}.events.jsonl`);
+}
+
+/**
+ * Read a job's event log
+ * @param {string} dir - Jobs directory
+ * @param {string} id - Job id
+ * @returns {Object[]} - Events, oldest first
+ */
+function readEventLog(dir, id) {
+  const logPath = getEventLogPath(dir, id);
+  if (!fs.existsSync(logPath)) {
+    return [];
+  }
+  return fs.readFileSync(logPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Whether an event ends a job
+ * @param {Object} event - Job event
+ * @returns {boolean}
+ */
+function isTerminalEvent(event) {
+  return event.type === 'status' && TERMINAL_STATUSES.includes(event.status);
+}
+
+/**
+ * Follow a job's event log from another process (e.g. the CLI while the API server runs the job)
+ * @param {string} dir - Jobs directory
+ * @param {string} id - Job id
+ * @param {Function} onEvent - Called with each event, oldest first
+ * @param {number} [intervalMs] - How often to check for new events
+ * @returns {Promise<Object>} - The final status event
+ */
+function tailJob(dir, id, onEvent, intervalMs = 1000) {
+  const jobPath = path.join(dir, `${id}.json`);
+  if (!fs.existsSync(jobPath)) {
+    return Promise.reject(new Error(`Unknown job: ${id}`));
+  }
+
+  let seen = 0;
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      try {
+        const events = readEventLog(dir, id);
+        for (const event of events.slice(seen)) {
+          onEvent(event);
+          if (isTerminalEvent(event)) {
+            resolve(event);
+            return;
+          }
+        }
+        seen = events.length;
+        setTimeout(check, intervalMs);
+      } catch (error) {
+        reject(error);
+      }
+    };
+    check();
+  });
+}
+
+module.exports = {
+  JobQueue,
+  isTerminalEvent,
+  readEventLog,
+  tailJob
+};
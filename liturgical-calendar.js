@@ -0,0 +1,339 @@
+// Liturgical Calendar and Revised Common Lectionary
+// Works out the liturgical day, season and lectionary year (A/B/C) for a date, offline, and looks up that
+// day's readings in the bundled RCL tables (lectionary/rcl.yaml)
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { DateTime } = require('luxon');
+const { findOverlappingReferences } = require('./scripture');
+
+const DEFAULT_LECTIONARY_PATH = path.join(__dirname, 'lectionary', 'rcl.yaml');
+
+const ORDINALS = ['First', 'Second', 'Third', 'Fourth', 'Fifth', 'Sixth', 'Seventh', 'Eighth', 'Ninth'];
+
+// Days that share another day's readings: Propers 1-3 are the sixth to eighth Sundays after the Epiphany,
+// and a ninth Sunday after the Epiphany uses Proper 4
+const READING_ALIASES = {
+  'proper-1': 'epiphany-6',
+  'proper-2': 'epiphany-7',
+  'proper-3': 'epiphany-8',
+  'epiphany-9': 'proper-4'
+};
+
+// How each season reads after "in", e.g. "Wednesday in Lent"
+const SEASON_PHRASES = {
+  'Advent': 'Advent',
+  'Christmas': 'Christmastide',
+  'Season after Epiphany': 'the Season after Epiphany',
+  'Lent': 'Lent',
+  'Holy Week': 'Holy Week',
+  'Easter': 'Eastertide',
+  'Season after Pentecost': 'the Season after Pentecost'
+};
+
+// Seasons in the order they fall in the church year
+const SEASONS = Object.keys(SEASON_PHRASES);
+
+// Loaded lectionaries keyed by absolute path
+const lectionaryCache = new Map();
+
+/**
+ * Read a date as a UTC calendar day
+ * @param {string|Date|DateTime} value - "YYYY-MM-DD", a Date (as YAML reads unquoted dates) or a luxon DateTime
+ * @returns {DateTime|null} - Start of that day, or null if it isn't a date
+ */
+function toDay(value) {
+  let date;
+  if (DateTime.isDateTime(value)) {
+    date = value;
+  } else if (value instanceof Date) {
+    date = DateTime.fromJSDate(value, { zone: 'utc' });
+  } else if (value) {
+    date = DateTime.fromISO(String(value).trim(), { zone: 'utc' });
+  }
+  return date && date.isValid ? DateTime.utc(date.year, date.month, date.day) : null;
+}
+
+/**
+ * Compute Easter Day (Gregorian calendar, anonymous algorithm)
+ * @param {number} year - Calendar year
+ * @returns {DateTime} - Easter Day
+ */
+function getEaster(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return DateTime.utc(year, month, day);
+}
+
+/**
+ * Get the First Sunday of Advent: the fourth Sunday before Christmas
+ * @param {number} year - Calendar year
+ * @returns {DateTime} - First Sunday of Advent
+ */
+function getAdventStart(year) {
+  const christmasEve = DateTime.utc(year, 12, 24);
+  const fourthSunday = christmasEve.minus({ days: christmasEve.weekday % 7 });
+  return fourthSunday.minus({ weeks: 3 });
+}
+
+/**
+ * Work out the liturgical day for a date
+ * @param {string|Date|DateTime} value - The date, e.g. a sermon's preached_on
+ * @returns {Object|null} - { date, key, name, season, year, sunday }, where key names the day in the lectionary
+ *                          tables (null for ordinary weekdays) and year is the lectionary year "A", "B" or "C";
+ *                          null if value isn't a date
+ */
+function getLiturgicalDay(value) {
+  const date = toDay(value);
+  if (!date) {
+    return null;
+  }
+
+  const adventStart = getAdventStart(date.year);
+  // The liturgical year is named for the calendar year it ends in: Year A ends in 2023, 2026, ...
+  const endYear = date >= adventStart ? date.year + 1 : date.year;
+  const year = ['C', 'A', 'B'][endYear % 3];
+  const sunday = date.weekday === 7;
+
+  const easter = getEaster(date.year);
+  const fromEaster = Math.round(date.diff(easter, 'days').days);
+  const baptism = DateTime.utc(date.year, 1, 7).plus({ days: (7 - DateTime.utc(date.year, 1, 7).weekday) % 7 });
+  const season = getSeason(date, easter, adventStart);
+  const day = (key, name) => ({ date: date.toISODate(), key, name, season, year, sunday });
+
+  // Festivals with fixed dates (a Sunday Christmas Eve is kept as the Fourth Sunday of Advent)
+  if (date.month === 12 && date.day === 25) {
+    return day('christmas-day', 'Christmas Day');
+  }
+  if (date.month === 12 && date.day === 24 && !sunday) {
+    return day('christmas-eve', 'Christmas Eve');
+  }
+  if (date.month === 1 && date.day === 6) {
+    return day('epiphany', 'Epiphany of the Lord');
+  }
+  if (date.month === 11 && date.day === 1) {
+    return day('all-saints', 'All Saints Day');
+  }
+
+  // Days counted from Easter
+  const fromEasterDays = {
+    '-49': ['transfiguration', 'Transfiguration Sunday'],
+    '-46': ['ash-wednesday', 'Ash Wednesday'],
+    '-7': ['palm-sunday', 'Palm/Passion Sunday'],
+    '-3': ['maundy-thursday', 'Maundy Thursday'],
+    '-2': ['good-friday', 'Good Friday'],
+    '-1': ['holy-saturday', 'Holy Saturday'],
+    '0': ['easter-day', 'Easter Day'],
+    '39': ['ascension', 'Ascension of the Lord'],
+    '49': ['pentecost', 'Day of Pentecost'],
+    '56': ['trinity', 'Trinity Sunday']
+  };
+  if (fromEasterDays[fromEaster]) {
+    return day(...fromEasterDays[fromEaster]);
+  }
+
+  if (!sunday) {
+    const weekday = date.toFormat('cccc');
+    return day(null, `${weekday} in ${SEASON_PHRASES[season]}`);
+  }
+
+  if (date >= adventStart) {
+    if (!(date.month === 12 && date.day >= 25)) {
+      const week = Math.floor(date.diff(adventStart, 'days').days / 7);
+      return day(`advent-${week + 1}`, `${ORDINALS[week]} Sunday of Advent`);
+    }
+    return day('christmas-1', 'First Sunday after Christmas Day');
+  }
+  if (date.month === 1 && date.day === 1) {
+    return day('christmas-1', 'First Sunday after Christmas Day');
+  }
+  if (date.month === 1 && date.day <= 5) {
+    return day('christmas-2', 'Second Sunday after Christmas Day');
+  }
+  if (fromEaster < -49) {
+    const week = Math.floor(date.diff(baptism, 'days').days / 7);
+    return week === 0
+      ? day('baptism-of-the-lord', 'Baptism of the Lord')
+      : day(`epiphany-${week + 1}`, `${ORDINALS[week]} Sunday after the Epiphany`);
+  }
+  if (fromEaster < 0) {
+    const week = (fromEaster + 42) / 7;
+    return day(`lent-${week + 1}`, `${ORDINALS[week]} Sunday in Lent`);
+  }
+  if (fromEaster < 49) {
+    const week = fromEaster / 7;
+    return day(`easter-${week + 1}`, `${ORDINALS[week]} Sunday of Easter`);
+  }
+
+  // After Trinity Sunday, Sundays are numbered by date: Proper 1 falls between May 8 and 14, Proper 29 between November 20 and 26
+  const proper = 1 + Math.floor(date.diff(DateTime.utc(date.year, 5, 8), 'days').days / 7);
+  return day(`proper-${proper}`, proper === 29 ? 'Reign of Christ (Proper 29)' : `Proper ${proper}`);
+}
+
+/**
+ * Work out the season a date falls in
+ * @param {DateTime} date - The date
+ * @param {DateTime} easter - Easter Day of the same calendar year
+ * @param {DateTime} adventStart - First Sunday of Advent of the same calendar year
+ * @returns {string} - Season name
+ */
+function getSeason(date, easter, adventStart) {
+  const fromEaster = Math.round(date.diff(easter, 'days').days);
+  if (date >= adventStart) {
+    return date.month === 12 && date.day >= 25 ? 'Christmas' : 'Advent';
+  }
+  if (date.month === 1 && date.day <= 5) {
+    return 'Christmas';
+  }
+  if (fromEaster < -46) {
+    return 'Season after Epiphany';
+  }
+  if (fromEaster < -7) {
+    return 'Lent';
+  }
+  if (fromEaster < 0) {
+    return 'Holy Week';
+  }
+  if (fromEaster <= 49) {
+    return 'Easter';
+  }
+  return 'Season after Pentecost';
+}
+
+/**
+ * Format a liturgical day for frontmatter and prompts
+ * @param {Object} day - Day from getLiturgicalDay
+ * @returns {string} - e.g. "Fourth Sunday in Lent (Year C)"
+ */
+function formatLiturgicalDay(day) {
+  return `${day.name} (Year ${day.year})`;
+}
+
+/**
+ * Load a lectionary file
+ * @param {string} [filePath] - Path to the lectionary YAML; defaults to LECTIONARY_PATH or the bundled RCL tables
+ * @returns {Object} - Readings keyed by day key, then by year ("A", "B", "C" or "all")
+ */
+function loadLectionary(filePath) {
+  const resolvedPath = path.resolve(filePath || process.env.LECTIONARY_PATH || DEFAULT_LECTIONARY_PATH);
+  if (lectionaryCache.has(resolvedPath)) {
+    return lectionaryCache.get(resolvedPath);
+  }
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Lectionary file not found: ${resolvedPath}`);
+  }
+  let lectionary;
+  try {
+    lectionary = yaml.load(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse lectionary file ${resolvedPath}: ${error.message}`);
+  }
+  lectionaryCache.set(resolvedPath, lectionary);
+  return lectionary;
+}
+
+/**
+ * Look up the lectionary readings for a liturgical day
+ * @param {Object} day - Day from getLiturgicalDay
+ * @param {Object} [lectionary] - Lectionary from loadLectionary
+ * @returns {string[]|null} - Readings, or null if the day has none (e.g. an ordinary weekday)
+ */
+function getLectionaryReadings(day, lectionary = loadLectionary()) {
+  if (!day || !day.key) {
+    return null;
+  }
+  const entry = lectionary[day.key] || lectionary[READING_ALIASES[day.key]];
+  if (!entry) {
+    return null;
+  }
+  return entry[day.year] || entry.all || null;
+}
+
+/**
+ * Frontmatter fields describing when a sermon was preached
+ * @param {string|Date} preachedOn - The sermon's preached_on
+ * @returns {Object} - { liturgical_day, lectionary_readings }, or {} if preachedOn isn't a date
+ */
+function getLiturgicalFields(preachedOn) {
+  const day = getLiturgicalDay(preachedOn);
+  if (!day) {
+    return {};
+  }
+  return {
+    liturgical_day: formatLiturgicalDay(day),
+    lectionary_readings: getLectionaryReadings(day) || []
+  };
+}
+
+/**
+ * Describe a sermon's liturgical context for the radar prompt
+ * @param {Object} metadata - Sermon frontmatter
+ * @returns {string} - Lines to include in the prompt
+ */
+function formatLiturgicalContextForPrompt(metadata) {
+  const day = getLiturgicalDay(metadata.preached_on);
+  if (!day) {
+    return 'LITURGICAL CONTEXT: Unknown (the sermon has no preached_on date). Do not guess the day or season; judge liturgical harmony from the manuscript alone.';
+  }
+  const liturgicalDay = metadata.liturgical_day || formatLiturgicalDay(day);
+  const readings = metadata.lectionary_readings || getLectionaryReadings(day);
+  return [
+    `LITURGICAL CONTEXT: Preached on ${day.date}, ${liturgicalDay}, in ${SEASON_PHRASES[day.season]}.`,
+    readings && readings.length > 0
+      ? `REVISED COMMON LECTIONARY READINGS FOR THE DAY: ${readings.join('; ')}`
+      : 'There are no Revised Common Lectionary readings for this day.'
+  ].join('\n');
+}
+
+/**
+ * Check whether any of a sermon's texts overlap the day's lectionary readings
+ * @param {string[]} texts - The sermon's texts
+ * @param {string[]} readings - Lectionary readings
+ * @returns {boolean}
+ */
+function textsMatchReadings(texts, readings) {
+  return findOverlappingReferences(texts, readings).length > 0;
+}
+
+/**
+ * Warn when a sermon's texts don't include any of its day's lectionary readings
+ * @param {Object} metadata - Sermon frontmatter
+ * @returns {string[]} - Warnings
+ */
+function checkLectionaryTexts(metadata) {
+  const day = getLiturgicalDay(metadata.preached_on);
+  const readings = day ? getLectionaryReadings(day) : null;
+  if (!readings || !Array.isArray(metadata.texts) || metadata.texts.length === 0) {
+    return [];
+  }
+  if (textsMatchReadings(metadata.texts, readings)) {
+    return [];
+  }
+  return [`Texts (${metadata.texts.join('; ')}) don't include any of the lectionary readings for ${day.name}, Year ${day.year} (${day.date}): ${readings.join('; ')}`];
+}
+
+module.exports = {
+  SEASONS,
+  getEaster,
+  getAdventStart,
+  getLiturgicalDay,
+  formatLiturgicalDay,
+  loadLectionary,
+  getLectionaryReadings,
+  getLiturgicalFields,
+  formatLiturgicalContextForPrompt,
+  textsMatchReadings,
+  checkLectionaryTexts
+};
@@ -0,0 +1,166 @@
+// LLM Cassettes
+// Record provider responses to a JSON file and replay them later for offline, deterministic runs
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CASSETTE_VERSION = 1;
+
+/**
+ * A cassette file of recorded LLM interactions.
+ * Interactions are keyed by model spec, prompt hash and sampling parameters; identical
+ * requests made several times are recorded and replayed in order.
+ */
+class Cassette {
+  /**
+   * @param {string} filePath - Cassette file
+   * @param {string} mode - "record" (always call the provider and save), "replay" (never call the provider)
+   *                        or "auto" (replay when recorded, otherwise call and save)
+   */
+  constructor(filePath, mode = 'replay') {
+    if (!['record', 'replay', 'auto'].includes(mode)) {
+      throw new Error(`Unknown cassette mode "${mode}" (expected record, replay or auto)`);
+    }
+    this.filePath = path.resolve(filePath);
+    this.mode = mode;
+    this.interactions = {};
+    this.playCounts = new Map();
+
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.interactions = data.interactions || {};
+    } else if (mode === 'replay') {
+      throw new Error(`Cassette file not found: ${this.filePath}`);
+    }
+  }
+
+  /**
+   * Build the lookup key for a request
+   * @param {string} spec - Resolved model spec, e.g. "openai:gpt-4o"
+   * @param {Object} request - { system, messages, ...params }
+   * @returns {Object} - { key, promptHash, params }
+   */
+  static keyFor(spec, request) {
+    const { system, messages, ...params } = request;
+    const promptHash = hashValue({ system: system || '', messages });
+    const sortedParams = Object.keys(params).sort().reduce((acc, name) => {
+      if (params[name] !== undefined) {
+        acc[name] = params[name];
+      }
+      return acc;
+    }, {});
+    return {
+      key: `${spec}|${promptHash}|${hashValue(sortedParams)}`,
+      promptHash,
+      params: sortedParams
+    };
+  }
+
+  /**
+   * Find the recorded response for a request
+   * @param {string} spec - Resolved model spec
+   * @param {Object} request - Chat request
+   * @returns {Object|null} - Recorded response, or null if none
+   */
+  lookup(spec, request) {
+    if (this.mode === 'record') {
+      return null;
+    }
+    const { key } = Cassette.keyFor(spec, request);
+    const entry = this.interactions[key];
+    if (!entry || entry.responses.length === 0) {
+      return null;
+    }
+
+    // Replay repeated requests in recorded order, then keep returning the last one
+    const played = this.playCounts.get(key) || 0;
+    this.playCounts.set(key, played + 1);
+    return entry.responses[Math.min(played, entry.responses.length - 1)];
+  }
+
+  /**
+   * Save a provider response for a request
+   * @param {string} spec - Resolved model spec
+   * @param {Object} request - Chat request
+   * @param {Object} response - { text, usage, model }
+   */
+  record(spec, request, response) {
+    const { key, promptHash, params } = Cassette.keyFor(spec, request);
+    if (!this.interactions[key]) {
+      this.interactions[key] = { model: spec, prompt_hash: promptHash, params, responses: [] };
+    }
+    this.interactions[key].responses.push({
+      text: response.text,
+      usage: response.usage,
+      model: response.model,
+      recorded_at: new Date().toISOString()
+    });
+    this.save();
+  }
+
+  save() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const data = { version: CASSETTE_VERSION, interactions: this.interactions };
+    fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+  }
+}
+
+/**
+ * Stable SHA-256 of a JSON-serializable value
+ * @param {*} value - Value to hash
+ * @returns {string} - Hex digest (first 16 characters)
+ */
+function hashValue(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+let activeCassette = null;
+
+/**
+ * Turn cassette recording/replay on for every call through the provider layer
+ * @param {string} filePath - Cassette file
+ * @param {string} mode - "record", "replay" or "auto"
+ * @returns {Cassette} - The active cassette
+ */
+function useCassette(filePath, mode) {
+  activeCassette = new Cassette(filePath, mode);
+  return activeCassette;
+}
+
+/**
+ * Turn cassettes off
+ */
+function ejectCassette() {
+  activeCassette = null;
+}
+
+/**
+ * Get the active cassette, configuring one from LLM_CASSETTE / LLM_CASSETTE_MODE on first use
+ * @returns {Cassette|null} - Active cassette, or null
+ */
+function getActiveCassette() {
+  if (!activeCassette && process.env.LLM_CASSETTE) {
+    activeCassette = new Cassette(process.env.LLM_CASSETTE, process.env.LLM_CASSETTE_MODE || 'auto');
+  }
+  return activeCassette;
+}
+
+/**
+ * Whether calls are being served only from a cassette (so no API keys are needed)
+ * @returns {boolean}
+ */
+function isReplayOnly() {
+  const cassette = getActiveCassette();
+  return Boolean(cassette && cassette.mode === 'replay');
+}
+
+module.exports = {
+  Cassette,
+  useCassette,
+  ejectCassette,
+  getActiveCassette,
+  isReplayOnly
+};
@@ -1,220 +1,154 @@
 // Optimized Sermon Metadata Generator
-// This script uses OpenAI's API, Claude API, or OpenRouter for model-agnostic LLM access
+// This script routes "provider:model" specs through the provider registry (OpenAI, Claude, OpenRouter, local servers)
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const matter = require('gray-matter');
 const yaml = require('js-yaml');
-const { OpenAI } = require('openai');
-const { Anthropic } = require('@anthropic-ai/sdk');
 const { DateTime } = require('luxon');
 const { validateSermonYAML, updateFileWithYAML, updateFileWithRadarSection, generateSermonYAML } = require('./yaml-generator');
-const OpenRouterClient = require('./openrouter-client');
-
-// Initialize OpenAI client
-const openai = process.env.OPENAI_API_KEY ? new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-}) : null;
-
-// Initialize Claude client
-const anthropic = process.env.ANTHROPIC_API_KEY ? new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-}) : null;
-
-// Initialize OpenRouter client if available
-const openRouter = process.env.OPENROUTER_API_KEY ? 
-  new OpenRouterClient(
-    process.env.OPENROUTER_API_KEY,
-    process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1'
-  ) : null;
-
-// Define radar categories for consistent reference
-const RADAR_CATEGORIES = [
-  "theological_cohesion",
-  "scriptural_integration", 
-  "structural_clarity",
-  "liturgical_harmony",
-  "voice_fidelity",
-  "emotional_presence",
-  "metaphorical_resonance",
-  "closing_force",
-  "embodied_authority"
-];
-
-// Helper function to check if we should use OpenRouter
-function shouldUseOpenRouter(options) {
-  return options.useOpenRouter === true && openRouter !== null;
+const { getProvider, parseModelSpec, assertProviderConfigured, findUnpricedModels } = require('./llm-providers');
+const { loadRubric, resolveRubric, findRubricById, assertSameRubric, getDimensionKeys, getRubricId, computeWeightedAverage, checkCumulativeScore, buildScoreSchema, formatRubricForPrompt } = require('./rubric-loader');
+const { loadPreacherProfile, resolvePreacherProfile, parsePronouns, formatPreacherForPrompt } = require('./preacher-profiles');
+const { useCassette, getActiveCassette } = require('./llm-cassette');
+const { requestStructured } = require('./structured-output');
+const { stripManagedSections } = require('./managed-sections');
+const { getHistoryPath, readHistory, appendEvaluation, importFrontmatterEvaluation, findEvaluation, toFrontmatterFields } = require('./evaluation-history');
+const { tailJob } = require('./job-queue');
+const { normalizeTexts } = require('./scripture');
+const { getLiturgicalFields, formatLiturgicalContextForPrompt } = require('./liturgical-calendar');
+const { loadTaxonomy, normalizeTags, formatTaxonomyForPrompt } = require('./taxonomy');
+const { computeTrailingAverage, writeRadarChart } = require('./radar-chart');
+const { updateIndex } = require('./vault-index');
+const { getStateDir } = require('./state-dir');
+const { summarizeRatings, summarizeSamples, describeReliability } = require('./rating-stats');
+const { getCalibrationPath, loadCalibration, calibrateScores } = require('./calibration');
+const { UsageMeter, combineUsage, formatCost, formatUsageTable, formatModelUsage } = require('./usage-tracker');
+const { DEFAULT_PRUNE_DAYS, hashContent, readCachedResponse, writeCachedResponse, getCacheStats, pruneCache } = require('./response-cache');
+
+// Recorded with every evaluation in the history; bump it whenever the radar prompt changes meaningfully
+const RADAR_PROMPT_VERSION = '4';
+
+// Part of the response cache key for metadata; bump it whenever the metadata prompt changes meaningfully
+const METADATA_PROMPT_VERSION = '1';
+
+// Hex digits of the manuscript hash kept in the frontmatter (radar_body_hash)
+const BODY_HASH_LENGTH = 16;
+
+// Sermons a directory run works on at once, unless --concurrency says otherwise
+const DEFAULT_SERMON_CONCURRENCY = 5;
+
+// Sampling temperature for radar scoring, unless --temperature or RADAR_TEMPERATURE says otherwise
+const DEFAULT_RADAR_TEMPERATURE = 0.3;
+
+// How many times `stability` scores a sermon by default
+const DEFAULT_STABILITY_SAMPLES = 5;
+
+// Pick the provider for bare model names from the legacy --use-openrouter / --use-claude flags
+function getDefaultProvider(options) {
+  if (options.provider) {
+    return options.provider;
+  }
+  if (options.useOpenRouter) {
+    return 'openrouter';
+  }
+  if (options.useClaude) {
+    return 'anthropic';
+  }
+  return undefined;
+}
+
+// Temperature for radar scoring: the option, then RADAR_TEMPERATURE, then the default
+function getRadarTemperature(options) {
+  if (typeof options.temperature === 'number') {
+    return options.temperature;
+  }
+  const configured = parseFloat(process.env.RADAR_TEMPERATURE);
+  return isNaN(configured) ? DEFAULT_RADAR_TEMPERATURE : configured;
+}
+
+// Default model specs for compare: the OpenAI and Anthropic defaults, through OpenRouter if requested
+function resolveComparisonModels(options) {
+  const defaultProvider = getDefaultProvider(options);
+  const openaiModel = process.env.OPENAI_MODEL || 'gpt-4';
+  const claudeModel = process.env.CLAUDE_MODEL || 'claude-3-7-sonnet-20250219';
+  const model1 = options.model1 || (options.useOpenRouter ? `openrouter:openai/${openaiModel}` : `openai:${openaiModel}`);
+  const model2 = options.model2 || (options.useOpenRouter ? `openrouter:anthropic/${claudeModel}` : `anthropic:${claudeModel}`);
+  return {
+    model1: parseModelSpec(model1, defaultProvider).spec,
+    model2: parseModelSpec(model2, defaultProvider).spec
+  };
 }
 
-// Fetch available models from OpenRouter
-async function listAvailableModels() {
-  if (!openRouter) {
-    console.error("OpenRouter API key not configured");
+// Fetch available models from a provider (OpenRouter by default)
+async function listAvailableModels(providerName = 'openrouter') {
+  const provider = getProvider(providerName);
+  if (!provider.isConfigured()) {
+    console.error(`${providerName} provider is not configured (set ${provider.apiKeyEnv})`);
     return [];
   }
   
   try {
-    const models = await openRouter.listModels();
-    return models.map(model => ({
-      id: model.id,
-      name: model.name || model.id,
-      provider: model.id.split('/')[0],
-      context_length: model.context_length,
-      pricing: model.pricing
-    }));
+    return await provider.listModels();
   } catch (error) {
     console.error("Error fetching models:", error);
     return [];
   }
 }
 
-// Async function to call OpenAI API with a retry mechanism
-async function callOpenAIWithRetry(messages, options = {}, maxRetries = 3) {
-  let retries = 0;
-  
-  // Check if we should use OpenRouter
-  if (shouldUseOpenRouter(options)) {
-    console.log(`Using OpenRouter with model: ${options.model || process.env.OPENAI_MODEL || 'gpt-4'}`);
-    
-    try {
-      const model = options.model || process.env.OPENAI_MODEL || 'gpt-4';
-      const formattedModel = openRouter.formatModelId(model);
-      
-      const response = await openRouter.createChatCompletion(formattedModel, messages, {
-        temperature: options.temperature || 0.3,
-        max_tokens: options.max_tokens || 1500
-      }); // Ensure this is closing a properly opened block
-      
-      return {
-        choices: [{
-          message: {
-            content: response.choices[0].message.content
-          }
-        }]
-      };
-    } catch (error) {
-      console.error('Error using OpenRouter:', error);
-      throw error;
-    }
-  } else {
-    // Use OpenAI directly
-    if (!openai) {
-      throw new Error("OpenAI API key not configured and OpenRouter not enabled");
-    }
-    
-    while (true) {
-      try {
-        const response = await openai.chat.completions.create({
-          ...options,
-          messages,
-        });
-        return response;
-      } catch (error) {
-        if (error.code === 'rate_limit_exceeded' && retries < maxRetries) {
-          const waitTime =
-            parseInt(error.headers['retry-after-ms']) ||
-            (parseInt(error.headers['retry-after']) * 1000) ||
-            2000;
-          console.warn(`Rate limit reached, waiting ${waitTime} ms before retrying...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-          retries++;
-        } else {
-          throw error;
-        }
-      }
-    }
-  }
-}
+// JSON schema for the metadata reply
+const METADATA_SCHEMA = {
+  type: 'object',
+  properties: {
+    sermon_title: { type: 'string', minLength: 1 },
+    texts: { type: 'array', items: { type: 'string' } },
+    bolt: { type: 'string', minLength: 1 },
+    themes: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    metaphors: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['sermon_title', 'texts', 'bolt', 'themes', 'metaphors']
+};
 
-// Async function to call Claude API with a retry mechanism
-async function callClaudeWithRetry(systemPrompt, userPrompt, options = {}, maxRetries = 5) {
-  let retries = 0;
-  
-  // Check if we should use OpenRouter
-  if (shouldUseOpenRouter(options)) {
-    console.log(`Using OpenRouter with model: ${options.model || process.env.CLAUDE_MODEL || "claude-3-7-sonnet-20250219"}`);
-    
-    try {
-      const model = options.model || process.env.CLAUDE_MODEL || "claude-3-7-sonnet-20250219";
-      const formattedModel = openRouter.formatModelId(model);
-      
-      const response = await openRouter.createChatCompletion(formattedModel, [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ], {
-        temperature: options.temperature || 0.3,
-        max_tokens: options.max_tokens || 1500
-      });
-      
-      return {
-        content: [{ text: response.choices[0].message.content }]
-      };
-    } catch (error) {
-      console.error('Error using OpenRouter:', error);
-      throw error;
-    }
-  } else {
-    // Use Anthropic API directly
-    if (!anthropic) {
-      throw new Error("Anthropic API key not configured and OpenRouter not enabled");
-    }
-    
-    while (true) {
-      try {
-        const response = await anthropic.messages.create({
-          model: options.model || process.env.CLAUDE_MODEL || "claude-3-7-sonnet-20250219",
-          system: systemPrompt,
-          messages: [
-            { role: "user", content: userPrompt }
-          ],
-          temperature: options.temperature || 0.3,
-          max_tokens: options.max_tokens || 1500,
-        });
-        return response;
-      } catch (error) {
-        // Handle rate limiting (429)
-        if (error.status === 429 && retries < maxRetries) {
-          const waitTime = 2000 * Math.pow(2, retries); // Exponential backoff
-          console.warn(`Rate limit reached, waiting ${waitTime} ms before retrying...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-          retries++;
-        } 
-        // Handle server overload (529)
-        else if (error.status === 529 && retries < maxRetries) {
-          const waitTime = 5000 * Math.pow(2, retries); // Longer exponential backoff for overload
-          console.warn(`Claude API is overloaded, waiting ${waitTime} ms before retrying (attempt ${retries + 1}/${maxRetries})...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-          retries++;
-        }
-        // Handle other retryable errors (based on x-should-retry header)
-        else if (error.headers && error.headers['x-should-retry'] === 'true' && retries < maxRetries) {
-          const waitTime = 3000 * Math.pow(2, retries);
-          console.warn(`Retryable error (${error.status}), waiting ${waitTime} ms before retrying...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-          retries++;
-        }
-        else {
-          if (retries >= maxRetries) {
-            console.error(`Max retries (${maxRetries}) reached when calling Claude API.`);
-          }
-          throw error;
-        }
-      }
+/**
+ * Ask for structured output through the response cache
+ * @param {Object} parts - Cache key parts (see buildCacheKey in response-cache.js)
+ * @param {Function} request - async () => requestStructured(...)
+ * @param {boolean} [useCache] - Reuse a cached reply; a fresh reply is stored either way
+ * @returns {Promise<Object>} - { data, model: spec that answered, cached }
+ */
+async function requestCached(parts, request, useCache = true) {
+  // Cassettes record and replay the calls themselves, so runs with one leave the cache alone
+  const cassette = getActiveCassette();
+  if (useCache && !cassette) {
+    const hit = readCachedResponse(parts);
+    if (hit) {
+      console.log(`Reusing the cached ${parts.kind} reply from ${hit.model} (pass --no-cache to ask again)`);
+      return { ...hit, cached: true };
     }
   }
+  const { data, response } = await request();
+  if (!cassette) {
+    writeCachedResponse(parts, { data, model: response.spec });
+  }
+  return { data, model: response.spec, cached: false };
 }
 
 /**
  * Generate sermon metadata using LLM
  * @param {string} content - The full sermon text
  * @param {Object} existingMetadata - Any existing metadata to preserve
- * @param {Object} options - Options including model selection
+ * @param {Object} options - Options including model selection, the vault's taxonomy (loaded from
+ *                           TAXONOMY_PATH or the VAULT_PATH taxonomy file when not given) and cache: false to
+ *                           ask the model even when the reply is cached
  * @returns {Promise<Object>} - Generated metadata
+ * @throws {StructuredOutputError} - If the model's reply is still invalid after repair attempts
  */
 async function generateSermonMetadata(content, existingMetadata = {}, options = {}) {
-  try {
-    const systemPrompt = `
+  // The tool's own sections (radar analysis, ...) aren't part of the manuscript, and would change the cache key on every write
+  const manuscript = stripManagedSections(content);
+  const taxonomy = options.taxonomy !== undefined ? options.taxonomy : loadTaxonomy();
+  const systemPrompt = `
 You are a sermon metadata analysis assistant. Your task is to analyze sermon manuscripts
 and extract or generate key metadata, including:
 
@@ -234,8 +168,8 @@ Return ONLY a valid JSON object with these fields, structured exactly like this:
 }
 `;
 
-    const existingMetadataYaml = yaml.dump(existingMetadata);
-    const userPrompt = `
+  const existingMetadataYaml = yaml.dump(existingMetadata);
+  const userPrompt = `
 Here is a sermon manuscript that needs metadata generation. Some metadata may already exist:
 
 EXISTING METADATA:
@@ -243,8 +177,9 @@ EXISTING METADATA:
 ${existingMetadataYaml}
 \`\`\`
 
+${formatTaxonomyForPrompt(taxonomy)}
 SERMON TEXT:
-${content.slice(0, 15000)} // Limiting to first ~15000 chars for token limits
+${manuscript.slice(0, 15000)} // Limiting to first ~15000 chars for token limits
 
 Please extract or generate the metadata fields. If specific fields already exist in the metadata,
 preserve them unless you have strong evidence to change them. For new fields, generate appropriate values.
@@ -253,286 +188,467 @@ Return ONLY a valid JSON object with the metadata fields. Include sermon_title,
 and metaphors (array).
 `;
 
-    let llmResponse;
-    const useOpenRouterOptions = {
-      useOpenRouter: options.useOpenRouter,
-      model: options.model
-    };
-    
-    // Check if the selected model is Claude
-    const isClaudeModel = options.model && (
-      options.model.includes('claude') || 
-      options.model.startsWith('anthropic/')
-    );
-    
-    if (isClaudeModel) {
-      // Use Claude for metadata generation
-      const response = await callClaudeWithRetry(
-        systemPrompt,
-        userPrompt,
-        useOpenRouterOptions
-      );
-      llmResponse = response.content[0].text;
-    } else {
-      // Use OpenAI by default for metadata
-      const response = await callOpenAIWithRetry(
-        [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt }
-        ],
-        {
-          model: options.model || "gpt-3.5-turbo",
-          temperature: 0.3,
-          max_tokens: 1000,
-          ...useOpenRouterOptions
-        }
-      );
-      llmResponse = response.choices[0].message.content;
-    }
+  const defaultProvider = getDefaultProvider(options);
+  const request = {
+    system: systemPrompt,
+    messages: [{ role: "user", content: userPrompt }],
+    temperature: 0.3,
+    max_tokens: 1000
+  };
+  // The existing metadata is left out of the key: whatever the sermon already has wins over the reply below
+  const { data: metadata } = await requestCached(
+    {
+      kind: 'sermon_metadata',
+      content_hash: hashContent(manuscript),
+      model: parseModelSpec(options.model, defaultProvider).spec,
+      prompt_version: METADATA_PROMPT_VERSION,
+      taxonomy_hash: taxonomy ? hashContent(taxonomy).slice(0, 16) : undefined,
+      temperature: request.temperature,
+      max_tokens: request.max_tokens
+    },
+    () => requestStructured(options.model, request, { name: 'sermon_metadata', schema: METADATA_SCHEMA, defaultProvider }),
+    options.cache !== false
+  );
 
-    let metadata;
-    try {
-      const jsonBlockMatch = llmResponse.match(/```(?:json)?\s*([\s\S]*?)```/);
-      if (jsonBlockMatch && jsonBlockMatch[1]) {
-        metadata = JSON.parse(jsonBlockMatch[1].trim());
-      } else {
-        const jsonMatch = llmResponse.match(/{[\s\S]*?}/);
-        if (jsonMatch) {
-          metadata = JSON.parse(jsonMatch[0]);
-        } else {
-          throw new Error("No JSON found in response");
-        }
-      }
-    } catch (error) {
-      console.error("Failed to parse metadata JSON:", error.message);
-      console.log("Raw LLM response:", llmResponse);
-      return existingMetadata;
-    }
+  // Write the model's references in canonical form and drop any that don't exist
+  if (metadata.texts) {
+    const { texts, invalid } = normalizeTexts(metadata.texts);
+    invalid.forEach(({ text, error }) => console.warn(`Dropping scripture reference "${text}" from the model: ${error}`));
+    metadata.texts = texts.filter(text => !invalid.some(entry => entry.text === text));
+  }
 
-    const mergedMetadata = {
-      ...metadata,
-      ...existingMetadata,
-      bolt: metadata.bolt || existingMetadata.bolt,
-      themes: metadata.themes || existingMetadata.themes,
-      metaphors: metadata.metaphors || existingMetadata.metaphors,
-      radar_score: {
-        ...(existingMetadata.radar_score || {}),
-        ...(metadata.radar_score || {})
-      },
-      // Preserve existing radar justifications if any
-      radar_justifications: existingMetadata.radar_justifications || {}
-    };
-    
-    return mergedMetadata;
-  } catch (error) {
-    console.error('Error generating metadata with LLM:', error);
-    return existingMetadata;
+  // Use the vault's preferred terms even when the model picked a synonym
+  if (taxonomy) {
+    metadata.themes = normalizeTags(metadata.themes, taxonomy.themes);
+    metadata.metaphors = normalizeTags(metadata.metaphors, taxonomy.metaphors);
+  }
+
+  const mergedMetadata = {
+    ...metadata,
+    ...existingMetadata,
+    bolt: metadata.bolt || existingMetadata.bolt,
+    themes: metadata.themes || existingMetadata.themes,
+    metaphors: metadata.metaphors || existingMetadata.metaphors,
+    radar_score: {
+      ...(existingMetadata.radar_score || {})
+    },
+    // Preserve existing radar justifications if any
+    radar_justifications: existingMetadata.radar_justifications || {}
+  };
+
+  // Record which Sunday the sermon was preached on, unless the preacher already has
+  if (mergedMetadata.preached_on && !mergedMetadata.liturgical_day) {
+    Object.assign(mergedMetadata, getLiturgicalFields(mergedMetadata.preached_on));
   }
+  
+  return mergedMetadata;
 }
 
 /**
  * Generate radar scores using LLM with structured format
  * @param {string} content - The full sermon text
  * @param {Object} existingMetadata - Any existing metadata
- * @param {Object} options - Options including model selection
- * @returns {Promise<Object>} - Radar scores and justifications
+ * @param {Object} options - Options including model selection, the rubric to score against, the preacher profile id,
+ *                           the sampling temperature, a calibration (from loadCalibration) to correct the scores with,
+ *                           cache: false to ask the model even when the reply is cached, and the sample index when
+ *                           scoring the same sermon several times (each sample is cached separately)
+ * @returns {Promise<Object>} - Radar scores, justifications, the overall assessment (summary), the checked
+ *                              cumulative score, the audio note, the rubric and preacher profile ids used, and the
+ *                              model spec, prompt version and temperature that produced them, and the tokens and
+ *                              estimated cost of the call (usage, including any repair attempts). Calibrated results
+ *                              also hold the model's own scores (raw_score) and the calibration's method and date
+ * @throws {StructuredOutputError} - If the model's reply is still invalid after repair attempts
  */
 async function generateRadarScores(content, existingMetadata = {}, options = {}) {
-  try {
-    const systemPrompt = `
-You are a sermon evaluation assistant trained to assess manuscripts using elite homiletical and theological criteria.  The individual you are evaluating is an early mid-career PCUSA pastor.
-
-He received his Theological education from Austin Theological Presbyterian Seminary, earning a 3.95 GPA, a full-ride fellowship to attend the school, and a fellowship at graduation recognizing his excellence in theology and ethics.
-
-Your task is to provide radar scores across nine dimensions. You must grade with clarity and integrity. This scoring is used for voice refinement and elite-level preaching growth.
-
-The scale is as follows:
-- 10 = Elite mastery (1% of sermons achieve this)
-- 7–9 = Strong, intentional, compelling
-- 5 = Competent average (functional but not elevated)
-- 3 = Weaknesses apparent, undeveloped
-- 0–2 = Absent, incoherent, or theologically flawed
-
-Do not inflate scores, as the point is for this pastor to grow and become the best he can be, not flattery.  
-Only assign a 10 when the sermon achieves something extraordinary and the pastor legitimately has earned recognition as being among the top 1% of sermons.
-
-You may receive additional instructions and context at the beginning of the manuscript. It will start with "NOTE TO AI REVIEWER:" Please leave a few sentences at the bottom to ensure you have read the notes and respond accordingly. Those suggestions can supersede this prompt.
-
-
-Categories:
-
-1. theological_cohesion – Does the sermon make a theological claim ("bolt") and sustain it across the sermon?
-   - 10: Deep synthesis across Scripture, tradition, context.
-   - 5: Concepts are there but unfocused.
-   - 0: No claim, contradiction, or theological shallowness.
-
-2. scriptural_integration – Does Scripture shape the sermon, not just decorate it?
-   - 10: Text drives the sermon's arc, images, and theology.
-   - 5: Text is referenced but secondary.
-   - 0: Prooftexting, token reference, or absence.
+  // Score only what the preacher wrote, not the previous analysis
+  const manuscript = stripManagedSections(content);
+  const rubric = resolveRubric(existingMetadata, options.rubric);
+  const categories = getDimensionKeys(rubric);
+  const preacher = resolvePreacherProfile(existingMetadata, options.preacher);
+  const pronouns = parsePronouns(preacher.pronouns);
+  const systemPrompt = `
+You are a sermon evaluation assistant trained to assess manuscripts using elite homiletical and theological criteria.
 
-3. structural_clarity – Does the sermon have intentional movement (spiral, arc, return)?
-   - 10: Structure is elegant, clear, and moves the sermon.
-   - 5: Linear but works.
-   - 0: Disorganized or repetitive.
+${formatPreacherForPrompt(preacher)}
 
-4. liturgical_harmony – Does the sermon reflect its season or liturgical context?
-   - 10: Sermon feels inseparable from the liturgical moment.
-   - 5: Gesture toward season, but not central.
-   - 0: Liturgical mismatch or neglect.
+Your task is to provide radar scores across ${categories.length} dimensions. You must grade with clarity and integrity. This scoring is used for voice refinement and elite-level preaching growth.
 
-5. voice_fidelity – Is the preacher's voice distinct, embodied, and theologically rooted?
-   - 10: Voice is authentic, relaxed, and owned.
-   - 5: Neutral or a bit unsure.
-   - 0: Generic, performative, or incoherent.
+${formatRubricForPrompt(rubric)}
+Do not inflate scores, as the point is for this preacher to grow and become the best ${pronouns.subject} can be, not flattery.  
+Only assign a ${rubric.scale.max} when the sermon achieves something extraordinary and the preacher legitimately has earned recognition as being among the top 1% of sermons.
 
-6. emotional_presence – Does the sermon name and carry emotional weight?
-   - 10: Emotion is sustained and transformed.
-   - 5: Present but fleeting or surface-level.
-   - 0: Avoidant, manipulative, or missing.
-
-7. metaphorical_resonance – Do metaphors shape theology or sermon movement?
-   - 10: Metaphors are layered, central, and returned to.
-   - 5: Used, but not developed.
-   - 0: Absent, clichéd, or unrelated.
-
-8. closing_force – Does the sermon end with compression, resolve, or liturgical release?
-   - 10: Ending is theologically charged and memorable.
-   - 5: Clear but expected.
-   - 0: Fades out or repeats prior ideas.
-
-9. embodied_authority – Does the preacher’s voice, presence, and delivery carry the weight of the sermon’s theological and emotional arc?
-	- 10: Voice and body fully integrated; proclamation is alive and present, whether manuscripted or extemporaneous
-	- 5: Delivery is clear and sincere, but either overly safe or emotionally flat.
-	- 0: Voice and presence are disengaged; sermon feels read, robotic, or disconnected from proclamation.
+You may receive additional instructions and context at the beginning of the manuscript. It will start with "NOTE TO AI REVIEWER:" Please acknowledge those notes in a few sentences at the end of your overall assessment and respond accordingly. Those suggestions can supersede this prompt.
 
 Guidelines:
-- If unsure, or you believe more analysis is needed by the complementary agent (for instance, you do not have access to audio data, and being able to hear the manuscript would aid your evaluation), do not evaluate the domain.
+- Every category must be scored. If you are unsure, or believe more analysis is needed by the complementary agent (for instance, you do not have access to audio data, and being able to hear the sermon would aid your evaluation), score what the manuscript shows and say in the justification what further analysis would change.
 - Do not replace categories with general traits like "clarity" or "relevance."
 - Score based only on what is present in the manuscript.
 - With each justification, provide feedback that would improve the score in the future.  At a minimum, your response should be 2-3 sentences.  However, if you believe more detail is valuable and warranted, you can add more.
 
-IMPORTANT: Respond in EXACTLY this format with no other text:
-
-SCORE theological_cohesion: [number]
-JUSTIFICATION theological_cohesion: 
-
-SCORE scriptural_integration: [number]
-JUSTIFICATION scriptural_integration: 
-
-And so on for all nine categories.
-
-At the end, provide a paragraph with overall thoughts of the sermon, what you believe causes it to attain its level, and more generalized feedback.  End with a cumulative score, but not a grade.
+In "overall_assessment", provide a paragraph with overall thoughts of the sermon, what you believe causes it to attain its level, and more generalized feedback. In "cumulative_score", give the sum of your category scores, but not a grade.
 
 When possible and available, utilize the link in the metadata to access the sermon audio recording. Take this into consideration when adjusting your score. 
-Provide feedback regarding oratorical style, amplifications or distractions from the sermon and its manuscript, and recommendations for growth.
-Append the changes and why to the end of your evaluation.  If you cannot access the audio, indicate that in the response.
+In "audio_note", provide feedback regarding oratorical style, amplifications or distractions from the sermon and its manuscript, and recommendations for growth, along with any score changes the audio led to and why.  If you cannot access the audio, say so there.
+
+IMPORTANT: Respond with ONLY a JSON object in exactly this shape, with an entry in "scores" for each of the ${categories.length} categories:
 
+{
+  "scores": {
+${categories.slice(0, 2).map(category => `    "${category}": { "score": [number ${rubric.scale.min}-${rubric.scale.max}], "justification": "..." }`).join(',\n')},
+    ...
+  },
+  "overall_assessment": "...",
+  "cumulative_score": [number],
+  "audio_note": "..."
+}
 `;
-    const userPrompt = `
+  const userPrompt = `
 Here is a sermon manuscript that needs evaluation:
 
 SERMON TITLE: ${existingMetadata.sermon_title || 'Untitled Sermon'}
 ${existingMetadata.texts ? `TEXTS: ${existingMetadata.texts.join(', ')}` : ''}
+${formatLiturgicalContextForPrompt(existingMetadata)}
 
 AUDIO LINK: ${existingMetadata.audio_link || 'Audio Link'}
 
 SERMON TEXT:
-${content.slice(0, 25000)} // Truncated to ~25000 characters
+${manuscript.slice(0, 25000)} // Truncated to ~25000 characters
 
 Please evaluate this sermon using the criteria described.
-Respond ONLY in the specified format.
+Respond ONLY with the JSON object.
 `;
 
-    let llmResponse;
-    const useOpenRouterOptions = {
-      useOpenRouter: options.useOpenRouter,
-      model: options.model
-    };
-    
-    // Determine if we should use Claude-based model based on model name
-    const isClaudeModel = options.model && (
-      options.model.includes('claude') || 
-      options.model.startsWith('anthropic/')
-    );
-    
-    if (isClaudeModel || options.useClaude) {
-      console.log("Using Claude (or Claude-like) model for radar score analysis...");
-      const response = await callClaudeWithRetry(
-        systemPrompt,
-        userPrompt,
-        {
-          ...useOpenRouterOptions,
-          model: options.model || process.env.CLAUDE_MODEL || "claude-3-5-sonnet-20240620",
-          temperature: 0.3,
-          max_tokens: 1500,
-        }
-      );
-      llmResponse = response.content[0].text;
-    } else {
-      console.log("Using OpenAI (or GPT-like) model for radar score analysis...");
-      const response = await callOpenAIWithRetry(
-        [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt }
-        ],
-        {
-          ...useOpenRouterOptions,
-          model: options.model || process.env.OPENAI_MODEL || "gpt-4",
-          temperature: 0.3,
-          max_tokens: 1500,
-        }
-      );
-      llmResponse = response.choices[0].message.content;
+  const defaultProvider = getDefaultProvider(options);
+  const temperature = getRadarTemperature(options);
+  console.log(`Using ${parseModelSpec(options.model, defaultProvider).spec} for radar score analysis...`);
+  const request = {
+    system: systemPrompt,
+    messages: [{ role: "user", content: userPrompt }],
+    temperature,
+    max_tokens: 3000
+  };
+  const contentHash = hashContent(manuscript);
+  // Metered separately so the evaluation records its own cost, which is nothing when the reply is cached
+  const meter = new UsageMeter('radar evaluation');
+  const { data, model, cached } = await meter.track(() => requestCached(
+    {
+      kind: 'radar_evaluation',
+      content_hash: contentHash,
+      model: parseModelSpec(options.model, defaultProvider).spec,
+      rubric: getRubricId(rubric),
+      prompt_version: RADAR_PROMPT_VERSION,
+      // The title, texts, liturgical context and preacher profile are in the prompt too
+      prompt_hash: hashContent(`${systemPrompt}\n${userPrompt}`).slice(0, 16),
+      temperature,
+      max_tokens: request.max_tokens,
+      sample: options.sample || 0
+    },
+    () => requestStructured(options.model, request, { name: 'radar_evaluation', schema: buildScoreSchema(rubric), defaultProvider }),
+    options.cache !== false
+  ));
+
+  const radar_score = {};
+  const justifications = {};
+  categories.forEach(category => {
+    radar_score[category] = data.scores[category].score;
+    justifications[category] = data.scores[category].justification.trim();
+  });
+  
+  const cumulative = checkCumulativeScore(data.cumulative_score, radar_score, rubric);
+  if (!cumulative.agrees) {
+    console.warn(`Reported cumulative score ${cumulative.reported} does not match the category scores, which sum to ${cumulative.computed}.`);
+  }
+  
+  // The cumulative score stays the model's own arithmetic check; only the category scores are corrected
+  const calibrated = options.calibration ? calibrateScores(options.calibration, model, radar_score, rubric) : null;
+  const calibration = calibrated
+    ? { raw_score: radar_score, calibration: { method: options.calibration.method, created_at: options.calibration.created_at } }
+    : {};
+  
+  return {
+    radar_score: calibrated || radar_score,
+    ...calibration,
+    justifications,
+    summary: data.overall_assessment.trim(),
+    cumulative,
+    audio_note: data.audio_note.trim(),
+    rubric: getRubricId(rubric),
+    preacher: preacher.id,
+    model,
+    prompt_version: RADAR_PROMPT_VERSION,
+    body_hash: contentHash.slice(0, BODY_HASH_LENGTH),
+    temperature,
+    usage: toEvaluationUsage(meter.summary()),
+    cached
+  };
+}
+
+/**
+ * Usage totals recorded with an evaluation
+ * @param {Object} usage - UsageMeter summary
+ * @returns {Object} - { calls, prompt_tokens, completion_tokens, cost: estimated USD, or null if any call was unpriced }
+ */
+function toEvaluationUsage(usage) {
+  const { calls, prompt_tokens, completion_tokens, cost, unpriced } = usage;
+  return { calls, prompt_tokens, completion_tokens, cost: unpriced > 0 ? null : cost };
+}
+
+/**
+ * Find the result whose scores are closest to a target, over the given dimensions
+ * @param {Object[]} results - generateRadarScores results
+ * @param {Object} target - Scores keyed by dimension
+ * @param {string[]} keys - Dimensions to compare
+ * @returns {Object} - The closest result (the first one on ties)
+ */
+function findClosestResult(results, target, keys) {
+  const distance = result => keys.reduce((sum, key) => {
+    const score = result.radar_score[key];
+    return typeof score === 'number' && typeof target[key] === 'number' ? sum + Math.abs(score - target[key]) : sum;
+  }, 0);
+  return results.reduce((best, result) => (distance(result) < distance(best) ? result : best));
+}
+
+/**
+ * Score a sermon several times with the same model and combine the samples into their mean
+ * @param {string} content - The full sermon text
+ * @param {Object} existingMetadata - Any existing metadata
+ * @param {Object} options - generateRadarScores options, plus threshold: standard deviation above which a dimension
+ *                           is unstable
+ * @param {number} count - Number of samples
+ * @returns {Promise<Object>} - A generateRadarScores result holding the mean scores, with samples (the count),
+ *                              stability (from summarizeSamples) and sample_scores
+ */
+async function sampleRadarScores(content, existingMetadata, options, count) {
+  const rubric = resolveRubric(existingMetadata, options.rubric);
+  const keys = getDimensionKeys(rubric);
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    console.log(`Sample ${i + 1} of ${count}...`);
+    results.push(await generateRadarScores(content, existingMetadata, { ...options, sample: i }));
+  }
+  
+  const stability = summarizeSamples(results, rubric, { threshold: options.threshold });
+  // Each justification comes from the sample that scored the dimension closest to the mean
+  const justifications = {};
+  for (const key of keys) {
+    const dimension = stability.dimensions[key];
+    const closest = findClosestResult(results, stability.radar_score, [key]);
+    justifications[key] = closest.justifications[key];
+    if (dimension.unstable) {
+      justifications[key] += ` Unstable across ${count} samples: scores ranged from ${dimension.min} to ${dimension.max}.`;
+    }
+  }
+  
+  const closest = findClosestResult(results, stability.radar_score, keys);
+  const unstable = stability.unstable.length > 0
+    ? ` Unstable dimensions: ${stability.unstable.map(key => stability.dimensions[key].label).join(', ')}.`
+    : '';
+  const sum = Math.round(keys.reduce((total, key) => total + (stability.radar_score[key] || 0), 0) * 10) / 10;
+  const raw = closest.raw_score
+    ? { raw_score: summarizeSamples(results.map(result => ({ radar_score: result.raw_score })), rubric).radar_score }
+    : {};
+  return {
+    ...closest,
+    radar_score: stability.radar_score,
+    ...raw,
+    justifications,
+    summary: `Mean of ${count} samples.${unstable}\n\n${closest.summary}`,
+    cumulative: checkCumulativeScore(sum, stability.radar_score, rubric),
+    samples: count,
+    stability,
+    sample_scores: results.map(result => result.radar_score),
+    usage: {
+      calls: results.reduce((sum, result) => sum + result.usage.calls, 0),
+      prompt_tokens: results.reduce((sum, result) => sum + result.usage.prompt_tokens, 0),
+      completion_tokens: results.reduce((sum, result) => sum + result.usage.completion_tokens, 0),
+      cost: results.some(result => result.usage.cost === null)
+        ? null
+        : results.reduce((sum, result) => sum + result.usage.cost, 0)
     }
+  };
+}
 
-    const radar_score = {};
-    const justifications = {};
-    
-    RADAR_CATEGORIES.forEach(category => {
-      // Extract score
-      const scorePattern = new RegExp(`SCORE ${category}:\\s*(\\d+(?:\\.\\d+)?)`, 'i');
-      const scoreMatch = llmResponse.match(scorePattern);
-      if (scoreMatch && scoreMatch[1]) {
-        const score = parseFloat(scoreMatch[1]);
-        if (!isNaN(score)) {
-          radar_score[category] = score;
-        }
-      }
-      
-      // Extract justification
-      const justPattern = new RegExp(`JUSTIFICATION ${category}:\\s*(.+?)(?=\\n\\s*SCORE|\\n\\s*JUSTIFICATION|$)`, 'is');
-      const justMatch = llmResponse.match(justPattern);
-      if (justMatch && justMatch[1]) {
-        justifications[category] = justMatch[1].trim();
-      }
-    });
-    
-    // Fallback: ensure all domains are present
-    RADAR_CATEGORIES.forEach(category => {
-      if (radar_score[category] === undefined) {
-        radar_score[category] = 0; // Default score (or you can choose another default)
-        justifications[category] = "No evaluation provided.";
-      }
-    });
-    
-    return { radar_score, justifications };
-  } catch (error) {
-    console.error('Error generating radar scores with LLM:', error);
-    return {
-      radar_score: existingMetadata.radar_score || {},
-      justifications: {}
+/**
+ * Copy a radar evaluation into the frontmatter fields it is stored under
+ * @param {Object} metadata - Frontmatter to update
+ * @param {Object} radarResult - Result of generateRadarScores
+ */
+function applyRadarResult(metadata, radarResult) {
+  metadata.radar_score = radarResult.radar_score;
+  if (radarResult.raw_score) {
+    metadata.radar_raw_score = radarResult.raw_score;
+  } else {
+    delete metadata.radar_raw_score;
+  }
+  metadata.radar_summary = radarResult.summary;
+  metadata.radar_cumulative = radarResult.cumulative;
+  metadata.radar_audio_note = radarResult.audio_note;
+  if (radarResult.preacher) {
+    metadata.radar_preacher = radarResult.preacher;
+  } else {
+    delete metadata.radar_preacher;
+  }
+  // What the scores were made from, so --changed can tell when they are out of date
+  metadata.radar_body_hash = radarResult.body_hash;
+  metadata.radar_prompt_version = radarResult.prompt_version;
+}
+
+/**
+ * Shape a radar evaluation for the sermon's history file
+ * @param {Object} radarResult - Result of generateRadarScores
+ * @returns {Object} - History entry fields
+ */
+function toHistoryEntry(radarResult) {
+  const entry = {
+    model: radarResult.model,
+    rubric: radarResult.rubric,
+    preacher: radarResult.preacher,
+    prompt_version: radarResult.prompt_version,
+    body_hash: radarResult.body_hash,
+    temperature: radarResult.temperature,
+    radar_score: radarResult.radar_score,
+    justifications: radarResult.justifications,
+    summary: radarResult.summary,
+    cumulative: radarResult.cumulative,
+    audio_note: radarResult.audio_note,
+    usage: radarResult.usage
+  };
+  if (radarResult.cached) {
+    entry.cached = true;
+  }
+  // Calibrated scores keep the model's own scores alongside
+  if (radarResult.raw_score) {
+    entry.raw_score = radarResult.raw_score;
+    entry.calibration = radarResult.calibration;
+  }
+  // Scores averaged over several samples keep each sample's scores and the spread
+  if (radarResult.samples) {
+    const { threshold, unstable, dimensions } = radarResult.stability;
+    entry.samples = radarResult.samples;
+    entry.stability = {
+      threshold,
+      unstable,
+      spread: Object.fromEntries(Object.entries(dimensions).map(([key, { mean, sd, min, max }]) => [key, { mean, sd, min, max }]))
     };
+    entry.sample_scores = radarResult.sample_scores;
+  }
+  return entry;
+}
+
+/**
+ * Chart options for a sermon's Radar Analysis section: its scores against the preacher's trailing average
+ * @param {string} filePath - Path to sermon file
+ * @param {Object} metadata - Sermon frontmatter
+ * @param {Object} rubric - Rubric the scores were made under
+ * @param {string} [vaultPath] - Vault to average over; defaults to VAULT_PATH (no overlay without a vault)
+ * @returns {Object} - Chart options for updateFileWithRadarSection
+ */
+function buildChartOptions(filePath, metadata, rubric, vaultPath = process.env.VAULT_PATH) {
+  const overlays = [];
+  if (vaultPath) {
+    const { index } = updateIndex(vaultPath);
+    // YAML reads unquoted dates as Date objects; the index holds them as ISO dates
+    const preachedOn = metadata.preached_on instanceof Date
+      ? metadata.preached_on.toISOString().slice(0, 10)
+      : metadata.preached_on;
+    const average = computeTrailingAverage(index, {
+      path: path.relative(path.resolve(vaultPath), path.resolve(filePath)),
+      preached_on: preachedOn,
+      preacher: metadata.preacher,
+      rubric
+    });
+    if (average) {
+      overlays.push({
+        label: `Trailing average (previous ${average.count} sermon${average.count === 1 ? '' : 's'})`,
+        scores: average.scores
+      });
+    }
+  }
+  return { overlays };
+}
+
+/**
+ * Make an evaluation from a sermon's history canonical: copy it into the frontmatter and the Radar Analysis section
+ * @param {string} filePath - Path to sermon file
+ * @param {string} evaluationId - Evaluation id (or unique prefix)
+ * @param {Object} [explicitRubric] - Rubric loaded from --rubric, for evaluations made with a custom rubric
+ * @param {Object} [options] - { chart: redraw the radar chart, vaultPath: vault for the trailing-average overlay }
+ * @returns {Object} - The promoted evaluation
+ */
+function promoteEvaluation(filePath, evaluationId, explicitRubric = null, options = {}) {
+  const evaluation = findEvaluation(filePath, evaluationId);
+  const { data: existingMetadata } = matter(fs.readFileSync(filePath, 'utf8'));
+  
+  // Render with the rubric the evaluation was made under, not whatever the sermon resolves to today
+  const rubric = evaluation.rubric
+    ? findRubricById(evaluation.rubric, explicitRubric)
+    : resolveRubric(existingMetadata, explicitRubric);
+  if (!rubric) {
+    throw new Error(`Rubric ${evaluation.rubric} is not available; pass the rubric file with --rubric`);
+  }
+  
+  const { radar_summary, radar_cumulative, radar_audio_note, radar_raw_score, radar_preacher, radar_body_hash, radar_prompt_version, ...metadata } = existingMetadata;
+  const success = updateFileWithRadarSection(
+    filePath,
+    { ...metadata, ...toFrontmatterFields(evaluation) },
+    evaluation.justifications || {},
+    evaluation.model,
+    rubric,
+    evaluation.generated_at,
+    options.chart ? buildChartOptions(filePath, metadata, rubric, options.vaultPath) : null
+  );
+  if (!success) {
+    throw new Error(`Failed to update ${filePath}`);
+  }
+  return evaluation;
+}
+
+/**
+ * Say why a sermon's canonical evaluation is out of date, comparing what it was made from with the manuscript,
+ * rubric and radar prompt as they are now
+ * @param {Object} metadata - Sermon frontmatter
+ * @param {string} content - Markdown body
+ * @param {Object} rubric - Rubric the sermon would be scored under now
+ * @returns {string|null} - Reason, or null if the evaluation is current
+ */
+function findStaleReason(metadata, content, rubric) {
+  if (!metadata.radar_score || Object.keys(metadata.radar_score).length === 0) {
+    return 'not scored yet';
+  }
+  if (!metadata.radar_body_hash) {
+    return 'no manuscript hash recorded';
+  }
+  if (metadata.radar_body_hash !== hashContent(stripManagedSections(content)).slice(0, BODY_HASH_LENGTH)) {
+    return 'manuscript changed';
+  }
+  if (metadata.radar_rubric !== getRubricId(rubric)) {
+    return `rubric changed (${metadata.radar_rubric || 'none'} -> ${getRubricId(rubric)})`;
   }
+  if (String(metadata.radar_prompt_version) !== RADAR_PROMPT_VERSION) {
+    return `prompt changed (v${metadata.radar_prompt_version || '?'} -> v${RADAR_PROMPT_VERSION})`;
+  }
+  return null;
 }
 
 /**
  * Process a single sermon file to generate or update metadata
  * @param {string} filePath - Path to sermon file
  * @param {Object} options - Processing options
- * @returns {Promise<Object>} - Processing result
+ * @returns {Promise<Object>} - Processing result, with the tokens and estimated cost of its LLM calls (usage)
  */
 async function processSermonFile(filePath, options = {}) {
+  const meter = new UsageMeter(filePath);
+  const result = await meter.track(() => generateSermonFile(filePath, options));
+  return { ...result, usage: meter.summary() };
+}
+
+/**
+ * Generate or update one sermon's metadata and radar scores (see processSermonFile)
+ * @param {string} filePath - Path to sermon file
+ * @param {Object} options - Processing options
+ * @returns {Promise<Object>} - Processing result
+ */
+async function generateSermonFile(filePath, options = {}) {
   const { 
     generateMissing = true, 
     updateExisting = false, 
@@ -541,12 +657,17 @@ async function processSermonFile(filePath, options = {}) {
     useClaude = false,
     useOpenRouter = false,
     model = null,
-    fallbackModel = false
+    fallbackModel = false,
+    preacher = null,
+    chart = false,
+    samples = 1,
+    changedOnly = false
   } = options;
   
   try {
     const fileContent = fs.readFileSync(filePath, 'utf8');
     const { data: existingMetadata, content } = matter(fileContent);
+    const rubric = resolveRubric(existingMetadata, options.rubric);
     
     let needsFullMetadata = generateMissing && (
       !existingMetadata.sermon_title ||
@@ -567,20 +688,45 @@ async function processSermonFile(filePath, options = {}) {
       needsRadarScores = true;
     }
     
+    // Re-score only when the manuscript, rubric or prompt changed since the last evaluation
+    const staleReason = changedOnly ? findStaleReason(existingMetadata, content, rubric) : null;
+    if (changedOnly) {
+      needsFullMetadata = needsFullMetadata && !scoreOnly;
+      needsRadarScores = staleReason !== null;
+      if (!needsFullMetadata && !needsRadarScores) {
+        console.log(`Skipping ${filePath}: unchanged since its last evaluation.`);
+        return { path: filePath, unchanged: true, updated: false };
+      }
+    }
+    
     let newMetadata = { ...existingMetadata };
     let justifications = {};
+    let radarResult = null;
     
     const metadataOptions = {
       useClaude,
       useOpenRouter,
-      model: options.modelForMetadata
+      provider: options.provider,
+      model: options.modelForMetadata,
+      taxonomy: options.taxonomy,
+      cache: options.cache
     };
     
     const radarOptions = {
       useClaude,
       useOpenRouter,
-      model: options.modelForRadar
+      provider: options.provider,
+      model: options.modelForRadar,
+      rubric,
+      preacher,
+      temperature: options.temperature,
+      calibration: options.calibration,
+      cache: options.cache
     };
+    // With several samples, the stored scores are their mean
+    const scoreRadar = (metadata, scoreOptions) => (samples > 1
+      ? sampleRadarScores(content, metadata, scoreOptions, samples)
+      : generateRadarScores(content, metadata, scoreOptions));
     
     if (needsFullMetadata) {
       console.log(`Generating full metadata for ${filePath} using ${model || 'default model'}...`);
@@ -591,40 +737,26 @@ async function processSermonFile(filePath, options = {}) {
       console.log(`Generating radar scores for ${filePath} using ${model || 'default model'}...`);
       
       try {
-        const { radar_score, justifications: radarJustifications } = 
-          await generateRadarScores(content, { ...existingMetadata, ...newMetadata }, radarOptions);
-        newMetadata.radar_score = radar_score;
-        justifications = radarJustifications;
+        radarResult = await scoreRadar({ ...existingMetadata, ...newMetadata }, radarOptions);
+        applyRadarResult(newMetadata, radarResult);
+        justifications = radarResult.justifications;
       } catch (error) {
-        // If fallback model is enabled, try with a fallback model
-        if (fallbackModel && error.message) {
+        // Fall back to the fallback model of the same provider, if it has one
+        const primary = parseModelSpec(radarOptions.model, getDefaultProvider(radarOptions));
+        const fallbackModelName = getProvider(primary.provider).fallbackModel;
+        if (fallbackModel && fallbackModelName && error.message) {
           console.warn(`Main model failed, trying fallback model...`);
           
-          // Save original model
-          const originalModel = options.model;
-          
-          // Determine fallback model based on the error
-          let fallbackModelName;
-          
-          if (originalModel && originalModel.includes('claude-3-7')) {
-            fallbackModelName = "claude-3-5-sonnet-20240620";
-          } else if (originalModel && originalModel.includes('gpt-4')) {
-            fallbackModelName = "gpt-3.5-turbo";
-          } else {
-            // Default fallbacks
-            fallbackModelName = useClaude ? "claude-3-5-sonnet-20240620" : "gpt-3.5-turbo";
-          }
-          
-          console.log(`Using fallback model: ${fallbackModelName}`);
+          const fallbackSpec = `${primary.provider}:${fallbackModelName}`;
+          console.log(`Using fallback model: ${fallbackSpec}`);
           
           try {
-            const { radar_score, justifications: radarJustifications } = 
-              await generateRadarScores(content, { ...existingMetadata, ...newMetadata }, {
-                ...llmOptions,
-                model: fallbackModelName
-              });
-            newMetadata.radar_score = radar_score;
-            justifications = radarJustifications;
+            radarResult = await scoreRadar({ ...existingMetadata, ...newMetadata }, {
+              ...radarOptions,
+              model: fallbackSpec
+            });
+            applyRadarResult(newMetadata, radarResult);
+            justifications = radarResult.justifications;
             console.log("Successfully used fallback model.");
           } catch (fallbackError) {
             console.error("Fallback model also failed:", fallbackError.message);
@@ -636,17 +768,28 @@ async function processSermonFile(filePath, options = {}) {
       }
     }
     
-    const validation = validateSermonYAML(newMetadata);
+    const validation = validateSermonYAML(newMetadata, rubric);
     if (!validation.valid) {
       console.warn(`Warning: Generated metadata for ${filePath} is invalid:`, validation.errors);
     }
     
     if (!dryRun && (needsFullMetadata || needsRadarScores)) {
+      // Record the new evaluation in the sermon's history (keeping the one it replaces) and make it canonical
+      let evaluation = null;
+      if (radarResult) {
+        importFrontmatterEvaluation(filePath, existingMetadata);
+        evaluation = appendEvaluation(filePath, toHistoryEntry(radarResult));
+        newMetadata.radar_evaluation_id = evaluation.id;
+      }
+      
       const success = updateFileWithRadarSection(
         filePath, 
         newMetadata, 
         justifications, 
-        options.modelForRadar || options.model || 'default model'
+        evaluation ? evaluation.model : (options.modelForRadar || options.model || 'default model'),
+        rubric,
+        evaluation ? evaluation.generated_at : null,
+        chart ? buildChartOptions(filePath, newMetadata, rubric, options.vaultPath) : null
       );
       if (!success) {
         console.error(`Failed to update ${filePath}.`);
@@ -659,8 +802,10 @@ async function processSermonFile(filePath, options = {}) {
       path: filePath,
       metadata: newMetadata,
       justifications,
+      rubric,
       validation,
-      updated: !dryRun && (needsFullMetadata || needsRadarScores)
+      updated: !dryRun && (needsFullMetadata || needsRadarScores),
+      ...(staleReason ? { reason: staleReason } : {})
     };
   } catch (error) {
     console.error(`Error processing ${filePath}:`, error);
@@ -668,11 +813,30 @@ async function processSermonFile(filePath, options = {}) {
   }
 }
 
+/**
+ * Get the models a run of generateSermonFile may call
+ * @param {Object} options - Processing options
+ * @returns {Array<string|undefined>} - Model specs; a missing one stands for the default provider's default model
+ */
+function getRunModels(options) {
+  const specs = options.scoreOnly ? [options.modelForRadar] : [options.modelForMetadata, options.modelForRadar];
+  if (options.fallbackModel) {
+    const primary = parseModelSpec(options.modelForRadar, getDefaultProvider(options));
+    const fallbackModelName = getProvider(primary.provider).fallbackModel;
+    if (fallbackModelName) {
+      specs.push(`${primary.provider}:${fallbackModelName}`);
+    }
+  }
+  return specs;
+}
+
 /**
  * Process all sermon files in a directory
  * @param {string} directoryPath - Path to directory containing sermon files
- * @param {Object} options - Processing options
- * @returns {Promise<Object[]>} - Processing results
+ * @param {Object} options - Processing options, plus maxCost: budget in USD for the whole run, and concurrency:
+ *                           sermons in progress at once
+ * @returns {Promise<Object[]>} - Processing results; sermons left out to stay within the budget have skipped: true
+ * @throws {Error} - If there is a budget and a model the run would call has no known price
  */
 async function processSermonDirectory(directoryPath, options = {}) {
   function findMarkdownFiles(dir) {
@@ -693,19 +857,59 @@ async function processSermonDirectory(directoryPath, options = {}) {
     return files;
   }
   
+  // A budget can only be kept if every call has a price, so refuse to start with a model that has none
+  if (options.maxCost !== undefined && options.maxCost !== null) {
+    const unpriced = await findUnpricedModels(getRunModels(options), getDefaultProvider(options));
+    if (unpriced.length > 0) {
+      throw new Error(`Can't keep to a budget with models that have no known price: ${unpriced.join(', ')}. Add their prices to a file named by PRICING_PATH (see pricing.yaml), or run without --max-cost.`);
+    }
+  }
+  
   const files = findMarkdownFiles(directoryPath);
   console.log(`Found ${files.length} markdown files to process.`);
-  const results = [];
-  const batchSize = 5;
-  for (let i = 0; i < files.length; i += batchSize) {
-    const batch = files.slice(i, i + batchSize);
-    console.log(`Processing batch ${Math.floor(i / batchSize) + 1} of ${Math.ceil(files.length / batchSize)}...`);
-    const batchResults = await Promise.all(batch.map(file => processSermonFile(file, options)));
-    results.push(...batchResults);
-    if (i + batchSize < files.length) {
-      console.log('Waiting 10 seconds before next batch...');
-      await new Promise(resolve => setTimeout(resolve, 10000));
+  // Sermons in progress at once; each provider's scheduler paces the requests themselves (see llm-scheduler.js)
+  const concurrency = options.concurrency || DEFAULT_SERMON_CONCURRENCY;
+  const results = new Array(files.length);
+  const inFlight = new Set();
+  let next = 0;
+  let finished = 0;
+  // The whole run shares one meter, which refuses further calls once the budget is spent
+  const run = new UsageMeter(directoryPath, { maxCost: options.maxCost });
+  
+  // Start another sermon only if the average cost so far leaves room for it next to those in progress;
+  // the first one runs alone to measure it
+  const canAfford = () => {
+    if (run.maxCost === null) {
+      return true;
     }
+    if (finished === 0) {
+      return inFlight.size === 0;
+    }
+    const perSermon = run.cost / finished;
+    return perSermon === 0 || run.cost + (inFlight.size + 1) * perSermon <= run.maxCost;
+  };
+  
+  while (next < files.length || inFlight.size > 0) {
+    if (next < files.length && inFlight.size < concurrency && canAfford()) {
+      const index = next++;
+      console.log(`Processing file ${index + 1} of ${files.length}...`);
+      const task = run.track(() => processSermonFile(files[index], options)).then(result => {
+        results[index] = result;
+        finished += 1;
+        inFlight.delete(task);
+      });
+      inFlight.add(task);
+      continue;
+    }
+    if (inFlight.size === 0) {
+      const perSermon = run.cost / finished;
+      console.warn(`Stopping before the budget of ${formatCost(run.maxCost)} is exceeded: ${formatCost(run.cost)} spent, about ${formatCost(perSermon)} per sermon. ${files.length - next} sermon(s) left unprocessed.`);
+      files.slice(next).forEach((file, offset) => {
+        results[next + offset] = { path: file, skipped: true, updated: false };
+      });
+      break;
+    }
+    await Promise.race(inFlight);
   }
   return results;
 }
@@ -715,25 +919,40 @@ async function processSermonDirectory(directoryPath, options = {}) {
  * @param {Object} radar_score - Radar scores
  * @param {Object} justifications - Justifications
  * @param {string} modelName - Name of the model that generated the scores
+ * @param {Object} [rubric] - Rubric the scores were generated against
+ * @param {Object} [evaluation] - { summary, cumulative, audio_note, raw_score } from the same evaluation
  */
-function printJustifications(radar_score, justifications, modelName = 'unknown') {
+function printJustifications(radar_score, justifications, modelName = 'unknown', rubric = loadRubric(), evaluation = {}) {
   // Get current date and time
   const timestamp = new Date().toISOString();
   
   console.log(`\nScore justifications [Model: ${modelName} | Generated: ${timestamp}]:`);
   console.log('----------------------------------------------------------------');
   
-  RADAR_CATEGORIES.forEach(category => {
+  getDimensionKeys(rubric).forEach(category => {
     if (radar_score[category] === undefined ||
         isNaN(radar_score[category]) ||
-        radar_score[category] < 0 ||
-        radar_score[category] > 10) {
+        radar_score[category] < rubric.scale.min ||
+        radar_score[category] > rubric.scale.max) {
       radar_score[category] = null;
       justifications[category] = "No evaluation provided.";
     }
-    console.log(`- ${category}: ${radar_score[category]} - ${justifications[category]}`);
+    const raw = evaluation.raw_score ? evaluation.raw_score[category] : undefined;
+    const rawNote = raw !== undefined && raw !== radar_score[category] ? ` (model said ${raw})` : '';
+    console.log(`- ${category}: ${radar_score[category]}${rawNote} - ${justifications[category]}`);
   });
   
+  if (evaluation.summary) {
+    console.log(`\nOverall assessment: ${evaluation.summary}`);
+  }
+  if (evaluation.cumulative) {
+    const { reported, computed, max, agrees } = evaluation.cumulative;
+    console.log(`\nCumulative score: ${reported}/${max}${agrees ? '' : ` (WARNING: category scores sum to ${computed})`}`);
+  }
+  if (evaluation.audio_note) {
+    console.log(`\nAudio: ${evaluation.audio_note}`);
+  }
+  
   console.log('----------------------------------------------------------------');
 }
 
@@ -749,11 +968,12 @@ async function compareRadarScores(filePath, options = {}) {
   try {
     const fileContent = fs.readFileSync(filePath, 'utf8');
     const { data: existingMetadata, content } = matter(fileContent);
+    const rubric = resolveRubric(existingMetadata, options.rubric);
+    const categories = getDimensionKeys(rubric);
     const filename = path.basename(filePath);
     
-    // Get model names
-    let model1 = options.model1 || process.env.OPENAI_MODEL || "gpt-4";
-    let model2 = options.model2 || process.env.CLAUDE_MODEL || "claude-3-7-sonnet-20250219";
+    // Get model specs
+    const { model1, model2 } = resolveComparisonModels(options);
     
     console.log(`Analyzing sermon: ${filename}`);
     console.log(`Using model 1: ${model1}`);
@@ -764,8 +984,12 @@ async function compareRadarScores(filePath, options = {}) {
     if (modelOnly !== 'model2') {
       console.log(`Generating radar scores with ${model1}...`);
       model1Result = await generateRadarScores(content, existingMetadata, { 
-        useOpenRouter: options.useOpenRouter,
-        model: model1
+        model: model1,
+        rubric,
+        preacher: options.preacher,
+        temperature: options.temperature,
+        calibration: options.calibration,
+        cache: options.cache
       });
     }
     
@@ -774,13 +998,21 @@ async function compareRadarScores(filePath, options = {}) {
     if (modelOnly !== 'model1') {
       console.log(`Generating radar scores with ${model2}...`);
       model2Result = await generateRadarScores(content, existingMetadata, { 
-        useOpenRouter: options.useOpenRouter,
-        model: model2
+        model: model2,
+        rubric,
+        preacher: options.preacher,
+        temperature: options.temperature,
+        calibration: options.calibration,
+        cache: options.cache
       });
     }
     
     // Comparison table
     if (modelOnly !== 'model1' && modelOnly !== 'model2') {
+      // Refuse to mix rubrics (see assertSameRubric in rubric-loader.js)
+      assertSameRubric([model1Result.rubric, model2Result.rubric]);
+      console.log(`\nRubric: ${getRubricId(rubric)}`);
+      
       console.log('\nComparison of radar scores:');
       console.log('|-----------------------|-----------|-----------|----------|-----------|');
       console.log('| Category              | Model 1   | Model 2   | Diff     | Agreement |');
@@ -791,7 +1023,7 @@ async function compareRadarScores(filePath, options = {}) {
       const differences = [];
       const agreements = [];
       
-      RADAR_CATEGORIES.forEach(category => {
+      categories.forEach(category => {
         const score1 = model1Result.radar_score[category] || 0;
         const score2 = model2Result.radar_score[category] || 0;
         const diff = Math.abs(score1 - score2);
@@ -823,11 +1055,11 @@ async function compareRadarScores(filePath, options = {}) {
       
       // Radar chart statistics
       const radar = {
-        model1: { sum: 0, avg: 0, min: 10, max: 0 },
-        model2: { sum: 0, avg: 0, min: 10, max: 0 }
+        model1: { sum: 0, avg: 0, min: rubric.scale.max, max: rubric.scale.min },
+        model2: { sum: 0, avg: 0, min: rubric.scale.max, max: rubric.scale.min }
       };
       
-      RADAR_CATEGORIES.forEach(category => {
+      categories.forEach(category => {
         const score1 = model1Result.radar_score[category] || 0;
         const score2 = model2Result.radar_score[category] || 0;
         
@@ -842,12 +1074,15 @@ async function compareRadarScores(filePath, options = {}) {
       
       radar.model1.avg = radar.model1.sum / count;
       radar.model2.avg = radar.model2.sum / count;
+      radar.model1.weighted = computeWeightedAverage(model1Result.radar_score, rubric) || 0;
+      radar.model2.weighted = computeWeightedAverage(model2Result.radar_score, rubric) || 0;
       
       console.log('\nOverall Statistics:');
       console.log('|----------------|-----------|-----------|');
       console.log('| Metric         | Model 1   | Model 2   |');
       console.log('|----------------|-----------|-----------|');
       console.log(`| Average Score  | ${radar.model1.avg.toFixed(1).padEnd(9)} | ${radar.model2.avg.toFixed(1).padEnd(9)} |`);
+      console.log(`| Weighted Avg   | ${radar.model1.weighted.toFixed(1).padEnd(9)} | ${radar.model2.weighted.toFixed(1).padEnd(9)} |`);
       console.log(`| Minimum Score  | ${radar.model1.min.toFixed(1).padEnd(9)} | ${radar.model2.min.toFixed(1).padEnd(9)} |`);
       console.log(`| Maximum Score  | ${radar.model1.max.toFixed(1).padEnd(9)} | ${radar.model2.max.toFixed(1).padEnd(9)} |`);
       console.log(`| Range          | ${(radar.model1.max - radar.model1.min).toFixed(1).padEnd(9)} | ${(radar.model2.max - radar.model2.min).toFixed(1).padEnd(9)} |`);
@@ -857,12 +1092,25 @@ async function compareRadarScores(filePath, options = {}) {
     // Print model-specific results
     if (modelOnly === 'model1' || modelOnly === undefined) {
       console.log('\nModel 1 Justifications:');
-      printJustifications(model1Result.radar_score, model1Result.justifications);
+      printJustifications(model1Result.radar_score, model1Result.justifications, model1, rubric, model1Result);
     }
     
     if (modelOnly === 'model2' || modelOnly === undefined) {
       console.log('\nModel 2 Justifications:');
-      printJustifications(model2Result.radar_score, model2Result.justifications);
+      printJustifications(model2Result.radar_score, model2Result.justifications, model2, rubric, model2Result);
+    }
+    
+    // Draw both models' scores on one chart next to the manuscript
+    let chartPath = null;
+    if (options.chart && !modelOnly) {
+      chartPath = writeRadarChart(filePath, rubric, [
+        { label: `Model 1: ${model1}`, scores: model1Result.radar_score },
+        { label: `Model 2: ${model2}`, scores: model2Result.radar_score }
+      ], {
+        suffix: 'radar-compare',
+        title: existingMetadata.sermon_title || filename
+      });
+      console.log(`\nComparison chart written to: ${chartPath}`);
     }
     
     // Export results to JSON if requested
@@ -871,6 +1119,8 @@ async function compareRadarScores(filePath, options = {}) {
         sermon: filename,
         metadata: existingMetadata,
         date: new Date().toISOString(),
+        rubric: getRubricId(rubric),
+        preacher: model1Result.preacher || model2Result.preacher,
         models: {
           model1,
           model2
@@ -878,11 +1128,17 @@ async function compareRadarScores(filePath, options = {}) {
         results: {
           model1: {
             scores: model1Result.radar_score,
-            justifications: model1Result.justifications
+            justifications: model1Result.justifications,
+            summary: model1Result.summary,
+            cumulative: model1Result.cumulative,
+            audio_note: model1Result.audio_note
           },
           model2: {
             scores: model2Result.radar_score,
-            justifications: model2Result.justifications
+            justifications: model2Result.justifications,
+            summary: model2Result.summary,
+            cumulative: model2Result.cumulative,
+            audio_note: model2Result.audio_note
           }
         }
       };
@@ -899,7 +1155,8 @@ async function compareRadarScores(filePath, options = {}) {
     
     return {
       model1: model1Result,
-      model2: model2Result
+      model2: model2Result,
+      chart: chartPath
     };
   } catch (error) {
     console.error(`Error comparing radar scores for ${filePath}:`, error);
@@ -908,31 +1165,392 @@ async function compareRadarScores(filePath, options = {}) {
 }
 
 /**
- * Main CLI function
+ * Shape an ensemble for the sermon's history file. Each dimension's justification is taken from the model whose score
+ * is closest to the aggregate, and the overall assessment from the model closest overall.
+ * @param {Object} stats - Result of summarizeRatings
+ * @param {Object[]} results - Each model's generateRadarScores result, in the order of stats.models
+ * @param {Object[]} ratings - The history entries stored for those results
+ * @param {Object} rubric - Rubric the ratings were made under
+ * @returns {Object} - History entry fields
  */
-async function main() {
-  const [cmd, ...args] = process.argv.slice(2);
+function toEnsembleEntry(stats, results, ratings, rubric) {
+  const keys = getDimensionKeys(rubric);
+  const justifications = {};
+  for (const key of keys) {
+    const dimension = stats.dimensions[key];
+    const closest = findClosestResult(results, stats.radar_score, [key]);
+    let justification = `[${closest.model}] ${closest.justifications[key] || ''}`.trim();
+    if (dimension.disagreement) {
+      const scores = dimension.scores.map((score, i) => `${stats.models[i]}: ${score === null ? '-' : score}`).join(', ');
+      justification += ` Models disagree: scores range from ${dimension.min} to ${dimension.max} (${scores}).`;
+    }
+    justifications[key] = justification;
+  }
+
+  const closest = findClosestResult(results, stats.radar_score, keys);
+  const format = value => (value === null ? 'undefined' : value.toFixed(2));
+  const agreement = `Krippendorff's alpha ${format(stats.alpha)} (${describeReliability(stats.alpha)}); ` +
+    `ICC(2,1) ${format(stats.icc ? stats.icc.single : null)}, ICC(2,k) ${format(stats.icc ? stats.icc.average : null)}.`;
+  const disagreements = stats.disagreements.length > 0
+    ? ` Models disagree on ${stats.disagreements.map(key => stats.dimensions[key].label).join(', ')}.`
+    : '';
+  const sum = Math.round(keys.reduce((total, key) => total + (stats.radar_score[key] || 0), 0) * 10) / 10;
+
+  return {
+    model: `Ensemble (${stats.method}) of ${stats.models.join(', ')}`,
+    models: stats.models,
+    method: stats.method,
+    trim: stats.trim,
+    rubric: results[0].rubric,
+    preacher: results[0].preacher,
+    prompt_version: RADAR_PROMPT_VERSION,
+    body_hash: results[0].body_hash,
+    radar_score: stats.radar_score,
+    justifications,
+    summary: `Ensemble of ${stats.models.length} models (${stats.method}). ${agreement}${disagreements}\n\n` +
+      `Assessment from ${closest.model}, closest to the ensemble: ${closest.summary}`,
+    cumulative: checkCumulativeScore(sum, stats.radar_score, rubric),
+    audio_note: closest.audio_note,
+    ratings: ratings.map(rating => rating.id),
+    agreement: {
+      alpha: stats.alpha,
+      icc: stats.icc,
+      threshold: stats.threshold,
+      disagreements: stats.disagreements,
+      spread: Object.fromEntries(keys.map(key => {
+        const { min, max, range, sd } = stats.dimensions[key];
+        return [key, { min, max, range, sd }];
+      }))
+    }
+  };
+}
+
+/**
+ * Print an ensemble's scores and agreement statistics
+ * @param {Object} stats - Result of summarizeRatings
+ * @param {Object} rubric - Rubric the ratings were made under
+ */
+function printEnsemble(stats, rubric) {
+  const keys = getDimensionKeys(rubric);
+  const width = Math.max(21, ...keys.map(key => key.length));
+  const columns = stats.models.map((_, i) => `M${i + 1}`);
+  const cell = value => (value === null || value === undefined ? '-' : value.toFixed(1)).padEnd(5);
+  const rule = `|${'-'.repeat(width + 2)}|${columns.map(() => '-------|').join('')}-----------|-------|-------|------|`;
   
-  // Check if we're using OpenRouter
-  const useOpenRouter = args.includes('--use-openrouter');
+  console.log(`\nRubric: ${getRubricId(rubric)}`);
+  console.log('\nEnsemble radar scores:');
+  console.log(rule);
+  console.log(`| ${'Category'.padEnd(width)} | ${columns.map(column => column.padEnd(5)).join(' | ')} | Aggregate | Range | SD    | Flag |`);
+  console.log(rule);
+  keys.forEach(key => {
+    const dimension = stats.dimensions[key];
+    console.log(`| ${key.padEnd(width)} | ${dimension.scores.map(cell).join(' | ')} | ${cell(dimension.aggregate).padEnd(9)} | ${cell(dimension.range)} | ${cell(dimension.sd)} | ${(dimension.disagreement ? '!!' : '').padEnd(4)} |`);
+  });
+  console.log(rule);
   
-  // If using OpenRouter, we need the API key
-  if (useOpenRouter && !process.env.OPENROUTER_API_KEY) {
-    console.error('Error: OPENROUTER_API_KEY environment variable is not set but --use-openrouter flag is present.');
-    process.exit(1);
+  const format = value => (value === null ? 'undefined' : value.toFixed(2));
+  console.log('\nModels:');
+  stats.models.forEach((model, i) => console.log(`  ${columns[i]} = ${model}`));
+  console.log(`\nAggregate: ${stats.method}${stats.trim !== null ? ` (trimming ${Math.round(stats.trim * 100)}% from each end)` : ''}`);
+  const average = computeWeightedAverage(stats.radar_score, rubric);
+  console.log(`Weighted average: ${average === null ? 'undefined' : average.toFixed(1)}`);
+  console.log(`Krippendorff's alpha (interval): ${format(stats.alpha)} (${describeReliability(stats.alpha)})`);
+  console.log(`ICC(2,1), one model: ${format(stats.icc ? stats.icc.single : null)} (${describeReliability(stats.icc ? stats.icc.single : null)})`);
+  console.log(`ICC(2,k), the ensemble: ${format(stats.icc ? stats.icc.average : null)} (${describeReliability(stats.icc ? stats.icc.average : null)})`);
+  if (stats.disagreements.length > 0) {
+    console.log(`\nWARNING: models fundamentally disagree (scores ${stats.threshold} or more apart) on: ` +
+      stats.disagreements.map(key => stats.dimensions[key].label).join(', '));
   }
-  
-  // If not using OpenRouter, check if we have the required API keys
-  if (!useOpenRouter) {
-    const useClaude = args.includes('--use-claude');
+}
+
+/**
+ * Score a sermon with several models and combine their ratings. Every model's rating and the ensemble itself are
+ * appended to the sermon's evaluation history.
+ * @param {string} filePath - Path to sermon file
+ * @param {Object} options - { models: model specs (at least two), method: "median" or "trimmed-mean", trim,
+ *                           disagreement: score range that flags a dimension, rubric, preacher, provider, temperature,
+ *                           calibration, write: make the ensemble the canonical evaluation, chart, exportPath, vaultPath }
+ * @returns {Promise<Object>} - { ensemble: its history entry, ratings: the models' history entries, stats, chart },
+ *                              or { error }
+ */
+async function ensembleRadarScores(filePath, options = {}) {
+  const { exportPath } = options;
+  
+  try {
+    const fileContent = fs.readFileSync(filePath, 'utf8');
+    const { data: existingMetadata, content } = matter(fileContent);
+    const rubric = resolveRubric(existingMetadata, options.rubric);
+    const filename = path.basename(filePath);
+    const defaultProvider = getDefaultProvider(options);
+    const models = (options.models || []).map(model => parseModelSpec(model, defaultProvider).spec);
+    if (models.length < 2) {
+      throw new Error('An ensemble needs at least two models');
+    }
+    if (new Set(models).size !== models.length) {
+      throw new Error('Each model can only appear once in an ensemble');
+    }
+    // Check the aggregation options before paying for any model calls
+    summarizeRatings([], rubric, options);
     
-    if (!process.env.OPENAI_API_KEY && !useClaude) {
-      console.error('Error: OPENAI_API_KEY environment variable is not set.');
-      process.exit(1);
+    console.log(`Analyzing sermon: ${filename}`);
+    models.forEach((model, i) => console.log(`Using model ${i + 1}: ${model}`));
+    
+    const results = [];
+    for (const model of models) {
+      console.log(`Generating radar scores with ${model}...`);
+      try {
+        results.push(await generateRadarScores(content, existingMetadata, {
+          model,
+          provider: options.provider,
+          rubric,
+          preacher: options.preacher,
+          temperature: options.temperature,
+          calibration: options.calibration,
+          cache: options.cache
+        }));
+      } catch (error) {
+        console.warn(`${model} failed and is left out of the ensemble: ${error.message}`);
+      }
     }
+    if (results.length < 2) {
+      throw new Error(`Only ${results.length} of ${models.length} models returned scores; an ensemble needs at least two`);
+    }
+    // Refuse to mix rubrics (see assertSameRubric in rubric-loader.js)
+    assertSameRubric(results.map(result => result.rubric));
+    
+    const stats = summarizeRatings(results, rubric, options);
+    printEnsemble(stats, rubric);
     
-    if (useClaude && !process.env.ANTHROPIC_API_KEY) {
-      console.error('Error: ANTHROPIC_API_KEY environment variable is not set but --use-claude flag is present.');
+    // Keep every model's rating next to the ensemble, without touching the canonical evaluation
+    importFrontmatterEvaluation(filePath, existingMetadata);
+    const ratings = results.map(result => appendEvaluation(filePath, toHistoryEntry(result)));
+    const ensemble = appendEvaluation(filePath, toEnsembleEntry(stats, results, ratings, rubric));
+    console.log(`\nStored ${ratings.length} ratings and ensemble ${ensemble.id} in ${getHistoryPath(filePath)}`);
+    
+    if (options.write) {
+      promoteEvaluation(filePath, ensemble.id, options.rubric, { chart: options.chart, vaultPath: options.vaultPath });
+      console.log(`Ensemble ${ensemble.id} is now the canonical evaluation of ${filename}.`);
+    } else {
+      console.log(`Make it canonical with: node llm-metadata-generator.js history "${filePath}" --promote ${ensemble.id}`);
+    }
+    
+    // Draw the ensemble with every model's scores over it
+    let chartPath = null;
+    if (options.chart) {
+      chartPath = writeRadarChart(filePath, rubric, [
+        { label: `Ensemble (${stats.method})`, scores: stats.radar_score },
+        ...results.map(result => ({ label: result.model, scores: result.radar_score }))
+      ], {
+        suffix: 'radar-ensemble',
+        title: existingMetadata.sermon_title || filename
+      });
+      console.log(`Ensemble chart written to: ${chartPath}`);
+    }
+    
+    if (exportPath) {
+      const exportData = {
+        sermon: filename,
+        metadata: existingMetadata,
+        date: new Date().toISOString(),
+        rubric: getRubricId(rubric),
+        preacher: results[0].preacher,
+        models: stats.models,
+        ensemble,
+        ratings
+      };
+      
+      const exportDir = path.dirname(exportPath);
+      if (!fs.existsSync(exportDir)) {
+        fs.mkdirSync(exportDir, { recursive: true });
+      }
+      
+      fs.writeFileSync(exportPath, JSON.stringify(exportData, null, 2));
+      console.log(`\nEnsemble data exported to: ${exportPath}`);
+    }
+    
+    return { ensemble, ratings, stats, chart: chartPath };
+  } catch (error) {
+    console.error(`Error scoring ensemble for ${filePath}:`, error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Print how stable a model's scores were across samples
+ * @param {Object} stability - Result of summarizeSamples
+ * @param {Object} rubric - Rubric the samples were scored under
+ */
+function printStability(stability, rubric) {
+  const keys = getDimensionKeys(rubric);
+  const width = Math.max(21, ...keys.map(key => key.length));
+  const cell = value => (value === null || value === undefined ? '-' : value.toFixed(1)).padEnd(5);
+  const rule = `|${'-'.repeat(width + 2)}|-------|-------|-------|-------|----------|`;
+  
+  console.log(`\nRubric: ${getRubricId(rubric)}`);
+  console.log(`\nScores over ${stability.count} samples:`);
+  console.log(rule);
+  console.log(`| ${'Category'.padEnd(width)} | Mean  | SD    | Min   | Max   | Stable   |`);
+  console.log(rule);
+  keys.forEach(key => {
+    const dimension = stability.dimensions[key];
+    console.log(`| ${key.padEnd(width)} | ${cell(dimension.mean)} | ${cell(dimension.sd)} | ${cell(dimension.min)} | ${cell(dimension.max)} | ${(dimension.unstable ? 'UNSTABLE' : 'yes').padEnd(8)} |`);
+  });
+  console.log(rule);
+  
+  const average = computeWeightedAverage(stability.radar_score, rubric);
+  console.log(`\nWeighted average of the mean scores: ${average === null ? 'undefined' : average.toFixed(1)}`);
+  if (stability.unstable.length > 0) {
+    console.log(`WARNING: ${stability.unstable.length} dimension(s) vary by more than ${stability.threshold} (standard deviation) between samples: ` +
+      stability.unstable.map(key => stability.dimensions[key].label).join(', '));
+    console.log('Score changes on these dimensions smaller than their spread may be noise.');
+  } else {
+    console.log(`Every dimension's standard deviation is within ${stability.threshold}.`);
+  }
+}
+
+/**
+ * Score a sermon several times with one model to measure how much its scores drift between runs
+ * @param {string} filePath - Path to sermon file
+ * @param {Object} options - { model, samples (default 5), threshold: standard deviation above which a dimension is
+ *                           unstable, temperature, calibration, rubric, preacher, provider, write: store the mean as
+ *                           the canonical evaluation, chart, exportPath, vaultPath }
+ * @returns {Promise<Object>} - { result: the mean as a generateRadarScores result, stability, evaluation: its history
+ *                              entry when written }, or { error }
+ */
+async function stabilityRadarScores(filePath, options = {}) {
+  const { exportPath } = options;
+  const samples = options.samples || DEFAULT_STABILITY_SAMPLES;
+  
+  try {
+    if (!Number.isInteger(samples) || samples < 2) {
+      throw new Error('Stability needs at least two samples');
+    }
+    const fileContent = fs.readFileSync(filePath, 'utf8');
+    const { data: existingMetadata, content } = matter(fileContent);
+    const rubric = resolveRubric(existingMetadata, options.rubric);
+    const filename = path.basename(filePath);
+    const model = parseModelSpec(options.model, getDefaultProvider(options)).spec;
+    
+    console.log(`Analyzing sermon: ${filename}`);
+    console.log(`Scoring ${samples} times with ${model} at temperature ${getRadarTemperature(options)}`);
+    
+    const result = await sampleRadarScores(content, existingMetadata, {
+      model,
+      provider: options.provider,
+      rubric,
+      preacher: options.preacher,
+      temperature: options.temperature,
+      calibration: options.calibration,
+      cache: options.cache,
+      threshold: options.threshold
+    }, samples);
+    printStability(result.stability, rubric);
+    
+    // Only the mean is stored, with every sample's scores inside it
+    let evaluation = null;
+    if (options.write) {
+      importFrontmatterEvaluation(filePath, existingMetadata);
+      evaluation = appendEvaluation(filePath, toHistoryEntry(result));
+      promoteEvaluation(filePath, evaluation.id, options.rubric, { chart: options.chart, vaultPath: options.vaultPath });
+      console.log(`\nStored the mean of ${samples} samples as evaluation ${evaluation.id}, now canonical for ${filename}.`);
+    }
+    
+    if (exportPath) {
+      const exportData = {
+        sermon: filename,
+        metadata: existingMetadata,
+        date: new Date().toISOString(),
+        rubric: getRubricId(rubric),
+        preacher: result.preacher,
+        model: result.model,
+        temperature: result.temperature,
+        samples,
+        mean: result.radar_score,
+        stability: result.stability,
+        sample_scores: result.sample_scores
+      };
+      
+      const exportDir = path.dirname(exportPath);
+      if (!fs.existsSync(exportDir)) {
+        fs.mkdirSync(exportDir, { recursive: true });
+      }
+      
+      fs.writeFileSync(exportPath, JSON.stringify(exportData, null, 2));
+      console.log(`\nStability data exported to: ${exportPath}`);
+    }
+    
+    return { result, stability: result.stability, evaluation };
+  } catch (error) {
+    console.error(`Error measuring stability for ${filePath}:`, error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Format a background job event as one line of CLI output
+ * @param {Object} event - Job event
+ * @returns {string} - Formatted line
+ */
+function formatJobEvent(event) {
+  const time = event.time ? DateTime.fromISO(event.time).toFormat('HH:mm:ss') : '';
+  switch (event.type) {
+    case 'status':
+      return `${time} [${event.status}]${event.error ? ` ${event.error}` : ''}${event.message ? ` ${event.message}` : ''}`;
+    case 'progress':
+      return `${time} progress: ${event.progress.done || 0} done, ${event.progress.failed || 0} failed` +
+        (event.progress.total ? ` of ${event.progress.total}` : '');
+    case 'file-start':
+      return `${time} processing ${event.path}`;
+    case 'file-done':
+      return `${time} ✓ ${event.path}`;
+    case 'file-error':
+      return `${time} ✗ ${event.path}: ${event.error}`;
+    default:
+      return `${time} ${event.message || JSON.stringify(event)}`;
+  }
+}
+
+/**
+ * Run a command's LLM calls under a usage meter and print their tokens and estimated cost per model
+ * @param {Function} fn - Async work
+ * @returns {Promise<*>} - What fn returns
+ */
+async function withUsageReport(fn) {
+  const meter = new UsageMeter('command');
+  try {
+    return await meter.track(fn);
+  } finally {
+    if (meter.calls > 0) {
+      console.log('\nUsage:');
+      console.log(formatModelUsage(meter.summary()));
+    }
+  }
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  const [cmd, ...args] = process.argv.slice(2);
+  
+  // Legacy provider flags: bare model names go to OpenRouter / Claude
+  const useOpenRouter = args.includes('--use-openrouter');
+  const useClaude = args.includes('--use-claude');
+  
+  // Extract default provider for bare model names if present
+  let provider = null;
+  const providerIndex = args.indexOf('--provider');
+  if (providerIndex !== -1 && args.length > providerIndex + 1) {
+    provider = args[providerIndex + 1];
+  }
+  const defaultProvider = getDefaultProvider({ provider, useOpenRouter, useClaude });
+  
+  // Check that the providers a command will call are known and have credentials
+  function requireProviders(specs) {
+    try {
+      specs.forEach(spec => assertProviderConfigured(spec, defaultProvider));
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
       process.exit(1);
     }
   }
@@ -944,16 +1562,84 @@ async function main() {
     model = args[modelIndex + 1];
   }
   
+  // Extract rubric file if present
+  let rubricPath = null;
+  const rubricIndex = args.indexOf('--rubric');
+  if (rubricIndex !== -1 && args.length > rubricIndex + 1) {
+    rubricPath = args[rubricIndex + 1];
+  }
+  let rubric = null;
+  try {
+    rubric = rubricPath ? loadRubric(rubricPath) : null;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  
+  // Extract preacher profile if present (a sermon's own `preacher` field takes precedence)
+  let preacher = null;
+  const preacherIndex = args.indexOf('--preacher');
+  if (preacherIndex !== -1 && args.length > preacherIndex + 1) {
+    preacher = args[preacherIndex + 1];
+    try {
+      loadPreacherProfile(preacher);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  
+  // Extract radar sampling temperature if present
+  let temperature;
+  const temperatureIndex = args.indexOf('--temperature');
+  if (temperatureIndex !== -1 && args.length > temperatureIndex + 1) {
+    temperature = parseFloat(args[temperatureIndex + 1]);
+    if (isNaN(temperature) || temperature < 0) {
+      console.error('Error: --temperature must be a number of at least 0.');
+      process.exit(1);
+    }
+  }
+  
+  // Correct radar scores with the vault's calibration against human reviewers
+  let calibration = null;
+  if (args.includes('--calibrated')) {
+    try {
+      calibration = loadCalibration();
+      if (!calibration) {
+        throw new Error(`No calibration at ${getCalibrationPath()}; run calibration.js calibrate --write first`);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  
+  // Ask the models again even when a reply for the same manuscript and settings is cached
+  const cache = !args.includes('--no-cache');
+  
+  // Record provider responses to a cassette file, or replay them without calling any provider
+  let cassettePath = null;
+  const recordIndex = args.indexOf('--record');
+  const replayIndex = args.indexOf('--replay');
+  const cassetteIndex = replayIndex !== -1 ? replayIndex : recordIndex;
+  if (cassetteIndex !== -1 && args.length > cassetteIndex + 1) {
+    cassettePath = args[cassetteIndex + 1];
+    try {
+      useCassette(cassettePath, replayIndex !== -1 ? 'replay' : 'record');
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  
   switch (cmd) {
     case 'list-models': {
-      if (!useOpenRouter) {
-        console.error('Error: --use-openrouter flag is required to list models.');
-        process.exit(1);
-      }
+      const providerName = provider || 'openrouter';
       
       try {
-        console.log('Fetching available models from OpenRouter...');
-        const models = await listAvailableModels();
+        getProvider(providerName);
+        console.log(`Fetching available models from ${providerName}...`);
+        const models = await listAvailableModels(providerName);
         
         if (models.length === 0) {
           console.log('No models found or error occurred fetching models.');
@@ -1078,6 +1764,41 @@ async function main() {
         excludedIndices.add(radarModelIndex + 1);
       }
       
+      // Mark indices to exclude for --rubric flag
+      if (rubricIndex !== -1 && args.length > rubricIndex + 1) {
+        excludedIndices.add(rubricIndex);
+        excludedIndices.add(rubricIndex + 1);
+      }
+      
+      // Mark indices to exclude for --preacher flag
+      if (preacherIndex !== -1 && args.length > preacherIndex + 1) {
+        excludedIndices.add(preacherIndex);
+        excludedIndices.add(preacherIndex + 1);
+      }
+      
+      // Mark indices to exclude for --provider flag
+      if (providerIndex !== -1 && args.length > providerIndex + 1) {
+        excludedIndices.add(providerIndex);
+        excludedIndices.add(providerIndex + 1);
+      }
+      
+      // Mark indices to exclude for --temperature, --samples, --max-cost and --concurrency flags
+      const samplesIndex = args.indexOf('--samples');
+      const maxCostIndex = args.indexOf('--max-cost');
+      const concurrencyIndex = args.indexOf('--concurrency');
+      for (const index of [temperatureIndex, samplesIndex, maxCostIndex, concurrencyIndex]) {
+        if (index !== -1 && args.length > index + 1) {
+          excludedIndices.add(index);
+          excludedIndices.add(index + 1);
+        }
+      }
+      
+      // Mark indices to exclude for --record / --replay flags
+      if (cassetteIndex !== -1 && args.length > cassetteIndex + 1) {
+        excludedIndices.add(cassetteIndex);
+        excludedIndices.add(cassetteIndex + 1);
+      }
+      
       // Get the file path - the first arg that's not a flag or model identifier
       const filePath = args.find((arg, index) => 
         !arg.startsWith('--') && !excludedIndices.has(index)
@@ -1088,47 +1809,131 @@ async function main() {
         process.exit(1);
       }
       
+      let samples = 1;
+      if (samplesIndex !== -1 && args.length > samplesIndex + 1) {
+        samples = parseInt(args[samplesIndex + 1], 10);
+        if (isNaN(samples) || samples < 1) {
+          console.error('Error: --samples must be a positive number.');
+          process.exit(1);
+        }
+      }
+      
+      let maxCost;
+      if (maxCostIndex !== -1 && args.length > maxCostIndex + 1) {
+        maxCost = parseFloat(args[maxCostIndex + 1].replace(/^\$/, ''));
+        if (isNaN(maxCost) || maxCost <= 0) {
+          console.error('Error: --max-cost must be a positive amount in USD.');
+          process.exit(1);
+        }
+      }
+      
+      let concurrency;
+      if (concurrencyIndex !== -1 && args.length > concurrencyIndex + 1) {
+        concurrency = parseInt(args[concurrencyIndex + 1], 10);
+        if (isNaN(concurrency) || concurrency < 1) {
+          console.error('Error: --concurrency must be a positive number.');
+          process.exit(1);
+        }
+      }
+      
+      if (args.includes('--changed') && args.includes('--update')) {
+        console.error('Error: --changed and --update can\'t be combined (--update re-scores every sermon).');
+        process.exit(1);
+      }
+      
       const options = {
         generateMissing: true,
         updateExisting: args.includes('--update'),
+        changedOnly: args.includes('--changed'),
         scoreOnly: args.includes('--score-only'),
         dryRun: args.includes('--dry-run'),
-        useClaude: args.includes('--use-claude'),
+        useClaude,
         useOpenRouter,
+        provider,
+        fallbackModel: args.includes('--allow-fallback'),
         // Use the specific models if provided, otherwise fall back to the general model
         modelForMetadata: modelForMetadata || model,
-        modelForRadar: modelForRadar || model
+        modelForRadar: modelForRadar || model,
+        rubric,
+        preacher,
+        temperature,
+        calibration,
+        cache,
+        samples,
+        maxCost,
+        concurrency,
+        chart: args.includes('--chart')
       };
       
+      requireProviders(options.scoreOnly ? [options.modelForRadar] : [options.modelForMetadata, options.modelForRadar]);
+      
       try {
         const stats = fs.statSync(filePath);
         if (stats.isDirectory()) {
           const results = await processSermonDirectory(filePath, options);
-          const successful = results.filter(r => !r.error);
+          const successful = results.filter(r => !r.error && !r.skipped && !r.unchanged);
           const failed = results.filter(r => r.error);
+          const skipped = results.filter(r => r.skipped);
+          const unchanged = results.filter(r => r.unchanged);
           const updated = results.filter(r => r.updated);
           console.log('\nProcessing complete!');
           console.log(`Total files: ${results.length}`);
           console.log(`Successfully processed: ${successful.length}`);
           console.log(`Failed: ${failed.length}`);
           console.log(`Updated: ${updated.length}`);
+          if (skipped.length > 0 || unchanged.length > 0) {
+            console.log(`\nSkipped: ${skipped.length + unchanged.length}`);
+            if (unchanged.length > 0) {
+              console.log(`- unchanged since the last evaluation: ${unchanged.length}`);
+            }
+            if (skipped.length > 0) {
+              console.log(`- left out to stay within the budget: ${skipped.length}`);
+            }
+          }
+          // With --changed, say what made each re-scored sermon out of date
+          const rescored = results.filter(r => r.reason);
+          if (options.changedOnly && rescored.length > 0) {
+            console.log('\nRe-scored:');
+            rescored.forEach(r => console.log(`- ${path.relative(filePath, r.path)}: ${r.reason}`));
+          }
           if (failed.length > 0) {
             console.log('\nFailed files:');
             failed.forEach(r => console.log(`- ${r.path}: ${r.error}`));
           }
+          // Sermons that needed no LLM calls are left out of the usage table
+          const metered = results.filter(r => r.usage && r.usage.calls > 0);
+          if (metered.length > 0) {
+            console.log('\nUsage:');
+            console.log(formatUsageTable(
+              metered.map(r => ({ label: path.relative(filePath, r.path), usage: r.usage })),
+              combineUsage(metered.map(r => r.usage)),
+              'Sermon'
+            ));
+          }
         } else {
           const result = await processSermonFile(filePath, options);
           console.log('\nProcessing complete!');
           if (result.error) {
             console.error(`Error: ${result.error}`);
+          } else if (result.unchanged) {
+            console.log('Unchanged since its last evaluation - nothing to do.');
           } else {
+            if (result.reason) {
+              console.log(`Re-scored because: ${result.reason}`);
+            }
             console.log('Generated metadata:');
             console.log(yaml.dump(result.metadata));
             if (Object.keys(result.justifications).length > 0) {
               printJustifications(
                 result.metadata.radar_score,
                 result.justifications,
-                options.modelForRadar || options.model || 'default model'
+                options.modelForRadar || options.model || 'default model',
+                result.rubric,
+                {
+                  summary: result.metadata.radar_summary,
+                  cumulative: result.metadata.radar_cumulative,
+                  audio_note: result.metadata.radar_audio_note
+                }
               );
             }
             if (result.updated) {
@@ -1139,6 +1944,10 @@ async function main() {
               console.log('\nNo updates needed.');
             }
           }
+          if (result.usage.calls > 0) {
+            console.log('\nUsage:');
+            console.log(formatModelUsage(result.usage));
+          }
         }
       } catch (error) {
         console.error('Error:', error);
@@ -1173,25 +1982,34 @@ if (!filePath) {
       try {
         const fileContent = fs.readFileSync(filePath, 'utf8');
         const { data: existingMetadata, content } = matter(fileContent);
+        const sermonRubric = resolveRubric(existingMetadata, rubric);
         
         console.log(`Analyzing sermon using ${model || 'default model'}...`);
         
+        requireProviders([model]);
+        
         const llmOptions = {
-          useClaude: args.includes('--use-claude'),
+          useClaude,
           useOpenRouter,
-          model
+          provider,
+          model,
+          rubric: sermonRubric,
+          preacher,
+          temperature,
+          calibration,
+          cache
         };
         
         const metadata = await generateSermonMetadata(content, existingMetadata, llmOptions);
-        const { radar_score, justifications } = await generateRadarScores(content, metadata, llmOptions);
+        const radarResult = await generateRadarScores(content, metadata, llmOptions);
         
-        metadata.radar_score = radar_score;
-        metadata.radar_justifications = justifications;
+        applyRadarResult(metadata, radarResult);
+        metadata.radar_justifications = radarResult.justifications;
         
         console.log('\nAnalysis complete!');
         console.log('\nGenerated metadata:');
         console.log(yaml.dump(metadata));
-        printJustifications(radar_score, justifications);
+        printJustifications(radarResult.radar_score, radarResult.justifications, model || 'default model', sermonRubric, radarResult);
       } catch (error) {
         console.error('Error:', error);
         process.exit(1);
@@ -1202,8 +2020,12 @@ if (!filePath) {
     case 'compare': {
       const [filePath] = args.filter(arg => 
         !arg.startsWith('--') && 
-        arg !== args[modelIndex] && 
-        arg !== args[modelIndex + 1]
+        (modelIndex === -1 || arg !== args[modelIndex + 1]) &&
+        (temperatureIndex === -1 || arg !== args[temperatureIndex + 1]) &&
+        arg !== rubricPath &&
+        arg !== preacher &&
+        arg !== provider &&
+        arg !== cassettePath
       );
       
       if (!filePath) {
@@ -1225,39 +2047,34 @@ if (!filePath) {
         model2 = args[model2Index + 1];
       }
       
-      // If using OpenRouter, we don't need API keys
-      if (!useOpenRouter) {
-        // If not using OpenRouter but using OpenAI, we need the API key
-        if (!model1 || !model1.includes('claude')) {
-          if (!process.env.OPENAI_API_KEY) {
-            console.error('Error: OPENAI_API_KEY environment variable is not set but required for comparison.');
-            process.exit(1);
-          }
-        }
-        
-        // If not using OpenRouter but using Claude, we need the API key
-        if (!model2 || model2.includes('claude')) {
-          if (!process.env.ANTHROPIC_API_KEY) {
-            console.error('Error: ANTHROPIC_API_KEY environment variable is not set but required for comparison.');
-            process.exit(1);
-          }
-        }
-      }
-      
       const options = {
         useOpenRouter,
+        provider,
         model1,
         model2,
+        rubric,
+        preacher,
+        temperature,
+        calibration,
+        cache,
         exportPath: args.includes('--export') ? 
           args[args.indexOf('--export') + 1] || `./comparison_${new Date().toISOString().slice(0,10)}.json` : 
           null,
         modelOnly: args.includes('--model1-only') ? 'model1' : 
                   args.includes('--model2-only') ? 'model2' : 
-                  null
+                  null,
+        chart: args.includes('--chart')
       };
       
+      const modelOnly = options.modelOnly;
+      const comparisonModels = resolveComparisonModels(options);
+      requireProviders([
+        ...(modelOnly !== 'model2' ? [comparisonModels.model1] : []),
+        ...(modelOnly !== 'model1' ? [comparisonModels.model2] : [])
+      ]);
+      
       try {
-        await compareRadarScores(filePath, options);
+        await withUsageReport(() => compareRadarScores(filePath, options));
       } catch (error) {
         console.error('Error:', error);
         process.exit(1);
@@ -1265,33 +2082,325 @@ if (!filePath) {
       break;
     }
     
+    case 'ensemble': {
+      // Flags that take a value; --export's value is optional
+      const valueFlags = ['--models', '--method', '--trim', '--disagreement', '--model', '--rubric', '--preacher', '--provider', '--temperature', '--record', '--replay'];
+      const values = {};
+      const positional = [];
+      for (let i = 0; i < args.length; i++) {
+        if (valueFlags.includes(args[i]) && i + 1 < args.length) {
+          values[args[i]] = args[++i];
+        } else if (args[i] === '--export' && i + 1 < args.length && !args[i + 1].startsWith('--')) {
+          values['--export'] = args[++i];
+        } else if (!args[i].startsWith('--')) {
+          positional.push(args[i]);
+        }
+      }
+      const [filePath] = positional;
+      
+      if (!filePath) {
+        console.error('Error: File path is required.');
+        process.exit(1);
+      }
+      
+      const models = (values['--models'] || '').split(',').map(spec => spec.trim()).filter(Boolean);
+      if (models.length < 2) {
+        console.error('Error: --models needs at least two comma-separated model specs.');
+        process.exit(1);
+      }
+      
+      const toNumber = name => {
+        if (values[name] === undefined) {
+          return undefined;
+        }
+        const number = parseFloat(values[name]);
+        if (isNaN(number) || number < 0) {
+          console.error(`Error: ${name} must be a number of at least 0.`);
+          process.exit(1);
+        }
+        return number;
+      };
+      
+      const options = {
+        provider,
+        useOpenRouter,
+        useClaude,
+        models,
+        method: values['--method'],
+        trim: toNumber('--trim'),
+        disagreement: toNumber('--disagreement'),
+        rubric,
+        preacher,
+        temperature,
+        calibration,
+        cache,
+        write: args.includes('--write'),
+        chart: args.includes('--chart'),
+        exportPath: args.includes('--export') ?
+          values['--export'] || `./ensemble_${new Date().toISOString().slice(0,10)}.json` :
+          null
+      };
+      
+      requireProviders(models);
+      
+      const result = await withUsageReport(() => ensembleRadarScores(filePath, options));
+      if (result.error) {
+        process.exit(1);
+      }
+      break;
+    }
+    
+    case 'stability': {
+      // Flags that take a value; --export's value is optional
+      const valueFlags = ['--samples', '--threshold', '--model', '--rubric', '--preacher', '--provider', '--temperature', '--record', '--replay'];
+      const values = {};
+      const positional = [];
+      for (let i = 0; i < args.length; i++) {
+        if (valueFlags.includes(args[i]) && i + 1 < args.length) {
+          values[args[i]] = args[++i];
+        } else if (args[i] === '--export' && i + 1 < args.length && !args[i + 1].startsWith('--')) {
+          values['--export'] = args[++i];
+        } else if (!args[i].startsWith('--')) {
+          positional.push(args[i]);
+        }
+      }
+      const [filePath] = positional;
+      
+      if (!filePath) {
+        console.error('Error: File path is required.');
+        process.exit(1);
+      }
+      
+      const samples = values['--samples'] === undefined ? DEFAULT_STABILITY_SAMPLES : parseInt(values['--samples'], 10);
+      if (isNaN(samples) || samples < 2) {
+        console.error('Error: --samples must be at least 2.');
+        process.exit(1);
+      }
+      const threshold = values['--threshold'] === undefined ? undefined : parseFloat(values['--threshold']);
+      if (threshold !== undefined && (isNaN(threshold) || threshold < 0)) {
+        console.error('Error: --threshold must be a number of at least 0.');
+        process.exit(1);
+      }
+      
+      const options = {
+        provider,
+        useOpenRouter,
+        useClaude,
+        model,
+        samples,
+        threshold,
+        temperature,
+        calibration,
+        cache,
+        rubric,
+        preacher,
+        write: args.includes('--write'),
+        chart: args.includes('--chart'),
+        exportPath: args.includes('--export') ?
+          values['--export'] || `./stability_${new Date().toISOString().slice(0,10)}.json` :
+          null
+      };
+      
+      requireProviders([model]);
+      
+      const result = await withUsageReport(() => stabilityRadarScores(filePath, options));
+      if (result.error) {
+        process.exit(1);
+      }
+      break;
+    }
+    
+    case 'history': {
+      let promoteId = null;
+      const promoteIndex = args.indexOf('--promote');
+      if (promoteIndex !== -1 && args.length > promoteIndex + 1) {
+        promoteId = args[promoteIndex + 1];
+      }
+      
+      const filePath = args.find(arg => 
+        !arg.startsWith('--') &&
+        arg !== promoteId &&
+        arg !== rubricPath
+      );
+      
+      if (!filePath) {
+        console.error('Error: File path is required.');
+        process.exit(1);
+      }
+      
+      try {
+        if (promoteId) {
+          const evaluation = promoteEvaluation(filePath, promoteId, rubric, { chart: args.includes('--chart') });
+          console.log(`Promoted evaluation ${evaluation.id} (${evaluation.model}, ${evaluation.generated_at}) to canonical.`);
+          break;
+        }
+        
+        const history = readHistory(filePath);
+        if (history.length === 0) {
+          console.log(`No evaluation history for ${filePath} (expected ${getHistoryPath(filePath)}).`);
+          break;
+        }
+        
+        const { data: metadata } = matter(fs.readFileSync(filePath, 'utf8'));
+        console.log(`\nEvaluation history for ${path.basename(filePath)} (* = canonical):\n`);
+        history.forEach(entry => {
+          const marker = entry.id === metadata.radar_evaluation_id ? '*' : ' ';
+          const entryRubric = entry.rubric ? findRubricById(entry.rubric, rubric) : null;
+          const average = entryRubric ? computeWeightedAverage(entry.radar_score, entryRubric) : null;
+          console.log(`${marker} ${entry.id}  ${entry.generated_at || 'unknown date'}  ${entry.model}`);
+          console.log(`    rubric: ${entry.rubric || 'unknown'} | prompt: ${entry.prompt_version || 'unknown'}` +
+            (average !== null ? ` | weighted avg: ${average.toFixed(1)}` : '') +
+            (entry.cumulative ? ` | cumulative: ${entry.cumulative.reported}/${entry.cumulative.max}` : ''));
+        });
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+    }
+    
+    case 'cache': {
+      // Cached replies live in the state directory of VAULT_PATH (or SERMON_AI_STATE_DIR)
+      const [subcommand] = args.filter(arg => !arg.startsWith('--'));
+      const valueOf = flag => (args.indexOf(flag) !== -1 ? args[args.indexOf(flag) + 1] : undefined);
+      const formatSize = bytes => (bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+      
+      try {
+        if (subcommand === 'prune') {
+          const olderThan = valueOf('--older-than');
+          const olderThanDays = olderThan === undefined ? DEFAULT_PRUNE_DAYS : parseFloat(olderThan);
+          if (isNaN(olderThanDays) || olderThanDays < 0) {
+            console.error('Error: --older-than must be a number of days.');
+            process.exit(1);
+          }
+          const { removed, bytes } = pruneCache({
+            olderThanDays,
+            all: args.includes('--all'),
+            model: valueOf('--model'),
+            currentPromptVersions: { radar_evaluation: RADAR_PROMPT_VERSION, sermon_metadata: METADATA_PROMPT_VERSION }
+          });
+          console.log(`Removed ${removed} cached repl${removed === 1 ? 'y' : 'ies'} (${formatSize(bytes)}).`);
+          break;
+        }
+        if (subcommand && subcommand !== 'stats') {
+          console.error(`Error: Unknown cache command "${subcommand}" (use stats or prune).`);
+          process.exit(1);
+        }
+        
+        const stats = getCacheStats();
+        console.log(`\nResponse cache: ${stats.dir}`);
+        console.log(`Entries: ${stats.entries} (${formatSize(stats.bytes)})`);
+        if (stats.entries > 0) {
+          console.log(`Last used: ${stats.oldest.toISOString()} (oldest) to ${stats.newest.toISOString()} (newest)`);
+          console.log('\nBy kind:');
+          Object.entries(stats.kinds).forEach(([kind, count]) => console.log(`  ${kind}: ${count}`));
+          console.log('\nBy model:');
+          Object.entries(stats.models).forEach(([name, count]) => console.log(`  ${name}: ${count}`));
+        }
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+    }
+    
+    case 'jobs': {
+      // Jobs are run by the API server; this reads the same state directory
+      let vault = null;
+      const vaultIndex = args.indexOf('--vault');
+      if (vaultIndex !== -1 && args.length > vaultIndex + 1) {
+        vault = args[vaultIndex + 1];
+      }
+      const [subcommand, jobId] = args.filter(arg => !arg.startsWith('--') && arg !== vault);
+      const jobsDir = getStateDir(vault, 'jobs');
+      
+      try {
+        if (subcommand === 'tail') {
+          if (!jobId) {
+            console.error('Error: Job id is required.');
+            process.exit(1);
+          }
+          const final = await tailJob(jobsDir, jobId, event => console.log(formatJobEvent(event)));
+          if (final.status !== 'completed') {
+            process.exitCode = 1;
+          }
+          break;
+        }
+        
+        const jobs = fs.readdirSync(jobsDir)
+          .filter(file => file.endsWith('.json'))
+          .map(file => JSON.parse(fs.readFileSync(path.join(jobsDir, file), 'utf8')))
+          .sort((a, b) => b.created_at.localeCompare(a.created_at));
+        if (jobs.length === 0) {
+          console.log(`No jobs in ${jobsDir}.`);
+          break;
+        }
+        jobs.forEach(job => {
+          const { total, done, failed } = job.progress;
+          console.log(`${job.id}  ${job.status.padEnd(9)}  ${job.type.padEnd(8)}  ${done + failed}/${total}` +
+            (failed ? ` (${failed} failed)` : '') + `  ${job.params.path || '.'}  ${job.created_at}`);
+        });
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+    }
+    
     default:
       console.log(`
 Usage:
-  node llm-metadata-generator.js list-models --use-openrouter    - List all available models from OpenRouter
+  node llm-metadata-generator.js list-models [--provider <name>]         - List available models (defaults to OpenRouter)
   node llm-metadata-generator.js generate <file-or-directory> [options]  - Generate metadata for sermon file(s)
   node llm-metadata-generator.js analyze <file> [options]                - Analyze sermon without saving
   node llm-metadata-generator.js compare <file> [options]                - Compare two models' radar scores
+  node llm-metadata-generator.js ensemble <file> --models <a,b,c> [options] - Score with several models and combine them
+  node llm-metadata-generator.js stability <file> [options]              - Score several times with one model to measure drift
+  node llm-metadata-generator.js history <file> [--promote <id>]        - List past radar evaluations or make one canonical
+                                                                          (--chart redraws the radar chart)
+  node llm-metadata-generator.js cache [stats | prune] [options]         - Show or clean up the cache of model replies
+  node llm-metadata-generator.js jobs [list | tail <id>] [--vault <dir>] - List background jobs or follow one's progress
+
+Model specs are written "provider:model", e.g. 'openai:gpt-4o', 'anthropic:claude-3-7-sonnet-20250219',
+'openrouter:meta-llama/llama-3-70b-instruct', 'ollama:llama3:8b' or 'llamacpp:'. A bare model name goes to the
+default provider (--provider, then DEFAULT_PROVIDER, then openai).
 
 Options for all commands:
-  --use-openrouter        Use OpenRouter for model access (requires OPENROUTER_API_KEY)
-  --model <model-id>      Specify the model to use (e.g., 'gpt-4', 'claude-3-7-sonnet-20250219', or OpenRouter model ID)
+  --provider <name>       Default provider for bare model names (openai, anthropic, openrouter, ollama, llamacpp, ...)
+  --use-openrouter        Same as --provider openrouter (requires OPENROUTER_API_KEY)
+  --model <model-spec>    Specify the model to use (e.g., 'openai:gpt-4', 'anthropic:claude-3-7-sonnet-20250219')
+  --rubric <file>         Rubric file (YAML/JSON) defining the radar dimensions (defaults to the sermon's
+                          \`tradition\` pack, then rubrics/mainline.yaml)
+  --preacher <id>         Preacher profile from preachers/<id>.yaml for sermons without a \`preacher\` field
+  --temperature <t>       Sampling temperature for radar scoring (defaults to RADAR_TEMPERATURE, then ${DEFAULT_RADAR_TEMPERATURE})
+  --calibrated            Correct radar scores with the calibration saved by \`calibration.js calibrate --write\`
+                          (the model's own scores are kept as raw_score)
+  --no-cache              Ask the models again even when a reply for the same manuscript and settings is cached
+  --record <file>         Call the providers and save every response to a cassette file
+  --replay <file>         Answer every request from a cassette file; no network or API keys needed
 
 Options for generate command:
   --metadata-model <model-id>  Specify the model to use for metadata generation
   --radar-model <model-id>     Specify the model to use for radar scores generation
   --update                     Update all metadata fields, even if they exist
   --score-only                 Only generate or update radar scores
+  --changed                    Only re-score sermons whose manuscript, rubric or radar prompt changed since their
+                               last evaluation
   --dry-run                    Don't actually write changes to files
-  --use-claude                 Use Claude API for radar score generation (requires ANTHROPIC_API_KEY, ignored if --use-openrouter is set)
-  --allow-fallback             Try using a fallback model if the primary model fails
+  --use-claude                 Same as --provider anthropic (requires ANTHROPIC_API_KEY, ignored if --use-openrouter is set)
+  --allow-fallback             Retry radar scoring with the provider's fallback model if the primary model fails
+  --chart                      Draw an SVG radar chart next to each sermon and embed it in the Radar Analysis section,
+                               with the preacher's trailing average over it when VAULT_PATH is set
+  --samples <k>                Score each sermon k times and store the mean (see stability)
+  --max-cost <usd>             For a directory, stop before the estimated cost of the run exceeds this budget
+                               (every model it calls needs a known price; see PRICING_PATH)
+  --concurrency <n>            For a directory, how many sermons to work on at once (default ${DEFAULT_SERMON_CONCURRENCY})
 
 Options for analyze:
   --update                Update all metadata fields, even if they exist
   --score-only            Only generate or update radar scores
   --dry-run               Don't actually write changes to files
-  --use-claude            Use Claude API for radar score generation (requires ANTHROPIC_API_KEY, ignored if --use-openrouter is set)
-  --allow-fallback        Try using a fallback model if the primary model fails
+  --use-claude            Same as --provider anthropic (requires ANTHROPIC_API_KEY, ignored if --use-openrouter is set)
 
 Options for compare:
   --model1 <model-id>     Specify the first model to use in comparison
@@ -1299,6 +2408,24 @@ Options for compare:
   --export [path]         Export comparison results to JSON file (defaults to ./comparison_DATE.json)
   --model1-only           Only run analysis with the first model
   --model2-only           Only run analysis with the second model
+  --chart                 Draw both models' scores on one SVG radar chart next to the sermon
+
+Options for ensemble:
+  --models <a,b,...>      Comma-separated model specs to score the sermon with (at least two)
+  --method <name>         How to combine the scores: median (default) or trimmed-mean
+  --trim <share>          Share of scores the trimmed mean cuts from each end (default 0.2)
+  --disagreement <points> Flag dimensions whose scores are this far apart (default 30% of the rubric's scale)
+  --write                 Make the ensemble the sermon's canonical evaluation (otherwise it is only added to the history)
+  --export [path]         Export the ensemble and every rating to a JSON file (defaults to ./ensemble_DATE.json)
+  --chart                 Draw the ensemble and each model's scores on one SVG radar chart next to the sermon
+
+Options for stability:
+  --samples <k>           How many times to score the sermon (default ${DEFAULT_STABILITY_SAMPLES})
+  --threshold <points>    Mark dimensions whose standard deviation exceeds this as unstable (default 10% of the
+                          rubric's scale)
+  --write                 Store the mean of the samples as the sermon's canonical evaluation
+  --export [path]         Export every sample's scores and the spread to a JSON file (defaults to ./stability_DATE.json)
+  --chart                 With --write, redraw the radar chart from the mean
       `);
   }
 }
@@ -1315,5 +2442,8 @@ module.exports = {
   processSermonFile,
   processSermonDirectory,
   compareRadarScores,
+  ensembleRadarScores,
+  stabilityRadarScores,
+  promoteEvaluation,
   listAvailableModels
 };
@@ -0,0 +1,522 @@
+// LLM Provider Registry
+// One chat interface over OpenAI, Anthropic, OpenRouter and any OpenAI-compatible endpoint (Ollama, llama.cpp, ...)
+require('dotenv').config();
+const { OpenAI } = require('openai');
+const { Anthropic } = require('@anthropic-ai/sdk');
+const OpenRouterClient = require('./openrouter-client');
+const { getActiveCassette, isReplayOnly } = require('./llm-cassette');
+const { assertWithinBudget, recordUsage, getModelPricing } = require('./usage-tracker');
+const { getScheduler, estimateTokens } = require('./llm-scheduler');
+
+/**
+ * Provider for the OpenAI chat completions API, also used for OpenAI-compatible servers
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.name - Registry name (e.g. "openai", "ollama")
+   * @param {string} [config.apiKey] - API key
+   * @param {string} [config.baseURL] - Base URL for OpenAI-compatible servers
+   * @param {string} [config.defaultModel] - Model used when a spec names only the provider
+   * @param {string} [config.fallbackModel] - Model to retry with when --allow-fallback is set
+   * @param {boolean} [config.requiresApiKey] - Whether the provider is unusable without an API key
+   * @param {string} [config.apiKeyEnv] - Environment variable holding the API key (for error messages)
+   * @param {Object} [config.capabilities] - Capability overrides
+   */
+  constructor(config) {
+    this.name = config.name;
+    this.apiKey = config.apiKey;
+    this.baseURL = config.baseURL;
+    this.defaultModel = config.defaultModel;
+    this.fallbackModel = config.fallbackModel || null;
+    this.requiresApiKey = config.requiresApiKey !== false;
+    this.apiKeyEnv = config.apiKeyEnv;
+    this.capabilities = {
+      listModels: true,
+      jsonSchema: !config.baseURL,
+      tools: !config.baseURL,
+      ...(config.capabilities || {})
+    };
+    this.client = null;
+  }
+
+  isConfigured() {
+    return !this.requiresApiKey || Boolean(this.apiKey);
+  }
+
+  getClient() {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.name} provider is not configured (set ${this.apiKeyEnv})`);
+    }
+    if (!this.client) {
+      // Retries are left to the scheduler (see llm-scheduler.js)
+      this.client = new OpenAI({
+        apiKey: this.apiKey || 'not-needed',
+        maxRetries: 0,
+        ...(this.baseURL ? { baseURL: this.baseURL } : {})
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Send a chat request
+   * @param {Object} request - { model, system, messages, temperature, max_tokens, responseSchema }
+   * @returns {Promise<Object>} - { text, usage, model, raw }
+   */
+  async chat(request) {
+    const client = this.getClient();
+    const messages = request.system
+      ? [{ role: 'system', content: request.system }, ...request.messages]
+      : request.messages;
+    const response = await client.chat.completions.create({
+      model: request.model,
+      messages,
+      temperature: request.temperature,
+      max_tokens: request.max_tokens,
+      ...this.formatResponseSchema(request.responseSchema)
+    });
+    const message = response.choices[0].message;
+    const toolCall = message.tool_calls && message.tool_calls[0];
+    return {
+      text: toolCall ? toolCall.function.arguments : (message.content || ''),
+      usage: {
+        prompt_tokens: response.usage ? response.usage.prompt_tokens : 0,
+        completion_tokens: response.usage ? response.usage.completion_tokens : 0
+      },
+      model: response.model || request.model,
+      raw: response
+    };
+  }
+
+  /**
+   * Request parameters asking for JSON matching a schema: a forced function call where tools are
+   * supported, otherwise a json_schema response format. Servers with neither rely on the prompt alone.
+   * @param {Object} [responseSchema] - { name, schema }
+   * @returns {Object} - Extra request parameters
+   */
+  formatResponseSchema(responseSchema) {
+    if (!responseSchema) {
+      return {};
+    }
+    if (this.capabilities.tools) {
+      return {
+        tools: [{ type: 'function', function: { name: responseSchema.name, parameters: responseSchema.schema } }],
+        tool_choice: { type: 'function', function: { name: responseSchema.name } }
+      };
+    }
+    if (this.capabilities.jsonSchema) {
+      return { response_format: { type: 'json_schema', json_schema: { name: responseSchema.name, schema: responseSchema.schema } } };
+    }
+    return {};
+  }
+
+  async listModels() {
+    const client = this.getClient();
+    const models = [];
+    for await (const model of client.models.list()) {
+      models.push({
+        id: model.id,
+        name: model.id,
+        provider: this.name,
+        context_length: undefined,
+        pricing: undefined
+      });
+    }
+    return models;
+  }
+}
+
+/**
+ * Provider for the Anthropic messages API
+ */
+class AnthropicProvider {
+  constructor(config) {
+    this.name = config.name;
+    this.apiKey = config.apiKey;
+    this.defaultModel = config.defaultModel;
+    this.fallbackModel = config.fallbackModel || null;
+    this.apiKeyEnv = config.apiKeyEnv;
+    this.capabilities = {
+      listModels: true,
+      jsonSchema: false,
+      tools: true,
+      ...(config.capabilities || {})
+    };
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  getClient() {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.name} provider is not configured (set ${this.apiKeyEnv})`);
+    }
+    if (!this.client) {
+      // Retries are left to the scheduler (see llm-scheduler.js)
+      this.client = new Anthropic({ apiKey: this.apiKey, maxRetries: 0 });
+    }
+    return this.client;
+  }
+
+  /**
+   * Send a chat request
+   * @param {Object} request - { model, system, messages, temperature, max_tokens, responseSchema }
+   * @returns {Promise<Object>} - { text, usage, model, raw }
+   */
+  async chat(request) {
+    const client = this.getClient();
+    // Structured output goes through a forced tool call; its input is the JSON reply
+    const schemaTool = request.responseSchema && this.capabilities.tools ? request.responseSchema : null;
+    const response = await client.messages.create({
+      model: request.model,
+      system: request.system,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.max_tokens,
+      ...(schemaTool ? {
+        tools: [{ name: schemaTool.name, input_schema: schemaTool.schema }],
+        tool_choice: { type: 'tool', name: schemaTool.name }
+      } : {})
+    });
+    const toolUse = response.content.find(block => block.type === 'tool_use');
+    return {
+      text: toolUse
+        ? JSON.stringify(toolUse.input)
+        : response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      usage: {
+        prompt_tokens: response.usage ? response.usage.input_tokens : 0,
+        completion_tokens: response.usage ? response.usage.output_tokens : 0
+      },
+      model: response.model || request.model,
+      raw: response
+    };
+  }
+
+  async listModels() {
+    const client = this.getClient();
+    const models = [];
+    for await (const model of client.models.list()) {
+      models.push({
+        id: model.id,
+        name: model.display_name || model.id,
+        provider: this.name,
+        context_length: undefined,
+        pricing: undefined
+      });
+    }
+    return models;
+  }
+}
+
+/**
+ * Provider for OpenRouter, which serves many vendors' models under "vendor/model" ids
+ */
+class OpenRouterProvider {
+  constructor(config) {
+    this.name = config.name;
+    this.apiKey = config.apiKey;
+    this.baseURL = config.baseURL;
+    this.defaultModel = config.defaultModel;
+    this.fallbackModel = config.fallbackModel || null;
+    this.apiKeyEnv = config.apiKeyEnv;
+    this.capabilities = {
+      listModels: true,
+      // The model listing carries each model's price
+      pricing: true,
+      jsonSchema: true,
+      tools: true,
+      ...(config.capabilities || {})
+    };
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  getClient() {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.name} provider is not configured (set ${this.apiKeyEnv})`);
+    }
+    if (!this.client) {
+      this.client = new OpenRouterClient(this.apiKey, this.baseURL);
+    }
+    return this.client;
+  }
+
+  /**
+   * OpenRouter ids are "vendor/model"; a bare name ("gpt-4") is refused rather than guessed at
+   * @param {string} model - Model name
+   * @returns {string} - OpenRouter model id
+   */
+  normalizeModel(model) {
+    if (!model.includes('/')) {
+      throw new Error(`OpenRouter models are named "vendor/model" (e.g. "openai/gpt-4o" or "anthropic/claude-3.5-sonnet"), not "${model}"`);
+    }
+    return model;
+  }
+
+  /**
+   * Send a chat request
+   * @param {Object} request - { model, system, messages, temperature, max_tokens, responseSchema }
+   * @returns {Promise<Object>} - { text, usage, model, raw }
+   */
+  async chat(request) {
+    const client = this.getClient();
+    const messages = request.system
+      ? [{ role: 'system', content: request.system }, ...request.messages]
+      : request.messages;
+    const responseSchema = request.responseSchema && this.capabilities.jsonSchema ? request.responseSchema : null;
+    const response = await client.createChatCompletion(request.model, messages, {
+      temperature: request.temperature,
+      max_tokens: request.max_tokens,
+      ...(responseSchema ? {
+        response_format: { type: 'json_schema', json_schema: { name: responseSchema.name, schema: responseSchema.schema } }
+      } : {})
+    });
+    return {
+      text: response.choices[0].message.content || '',
+      usage: {
+        prompt_tokens: response.usage ? response.usage.prompt_tokens : 0,
+        completion_tokens: response.usage ? response.usage.completion_tokens : 0
+      },
+      model: response.model || request.model,
+      raw: response
+    };
+  }
+
+  async listModels() {
+    const models = await this.getClient().listModels();
+    return models.map(model => ({
+      id: model.id,
+      name: model.name || model.id,
+      provider: model.id.split('/')[0],
+      context_length: model.context_length,
+      pricing: model.pricing,
+      per_request_limits: model.per_request_limits
+    }));
+  }
+}
+
+// Provider factories keyed by name; instances are created on first use
+const providerFactories = new Map();
+const providerInstances = new Map();
+
+/**
+ * Register a provider under a name usable in "provider:model" specs
+ * @param {string} name - Provider name
+ * @param {Function} factory - Returns a provider instance
+ */
+function registerProvider(name, factory) {
+  providerFactories.set(name, factory);
+  providerInstances.delete(name);
+}
+
+/**
+ * Get a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} - Provider instance
+ */
+function getProvider(name) {
+  if (!providerFactories.has(name)) {
+    throw new Error(`Unknown LLM provider "${name}". Known providers: ${listProviders().join(', ')}`);
+  }
+  if (!providerInstances.has(name)) {
+    providerInstances.set(name, providerFactories.get(name)());
+  }
+  return providerInstances.get(name);
+}
+
+/**
+ * List registered provider names
+ * @returns {string[]} - Provider names
+ */
+function listProviders() {
+  return [...providerFactories.keys()];
+}
+
+/**
+ * Split a "provider:model" spec. A bare model name (or one whose prefix is not a
+ * registered provider, like "llama3:8b") goes to the default provider. OpenRouter models must name their vendor
+ * ("openrouter:openai/gpt-4").
+ * @param {string} [spec] - Model spec, e.g. "anthropic:claude-3-7-sonnet-20250219" or "ollama:llama3:8b"
+ * @param {string} [defaultProvider] - Provider for bare model names (defaults to DEFAULT_PROVIDER or "openai")
+ * @returns {Object} - { provider, model, spec }
+ */
+function parseModelSpec(spec, defaultProvider) {
+  let providerName = defaultProvider || process.env.DEFAULT_PROVIDER || 'openai';
+  let model = spec || null;
+
+  if (spec) {
+    const separator = spec.indexOf(':');
+    if (separator > 0 && providerFactories.has(spec.slice(0, separator))) {
+      providerName = spec.slice(0, separator);
+      model = spec.slice(separator + 1) || null;
+    }
+  }
+
+  const provider = getProvider(providerName);
+  model = model || provider.defaultModel;
+  if (!model) {
+    throw new Error(`No model given and provider "${providerName}" has no default model`);
+  }
+  if (typeof provider.normalizeModel === 'function') {
+    model = provider.normalizeModel(model);
+  }
+  return { provider: providerName, model, spec: `${providerName}:${model}` };
+}
+
+/**
+ * Throw a helpful error if the provider for a model spec has no credentials
+ * @param {string} [spec] - Model spec
+ * @param {string} [defaultProvider] - Provider for bare model names
+ */
+function assertProviderConfigured(spec, defaultProvider) {
+  const { provider: providerName } = parseModelSpec(spec, defaultProvider);
+  const provider = getProvider(providerName);
+  // Replayed responses come from the cassette, so no credentials are needed
+  if (!provider.isConfigured() && !isReplayOnly()) {
+    throw new Error(`${providerName} provider is not configured (set ${provider.apiKeyEnv})`);
+  }
+}
+
+/**
+ * Find the models, of those a run will call, that have no known price (see usage-tracker.js)
+ * @param {Array<string|undefined>} specs - Model specs; a missing one stands for the default provider's default model
+ * @param {string} [defaultProvider] - Provider for bare model names
+ * @returns {Promise<string[]>} - Specs of the unpriced models
+ */
+async function findUnpricedModels(specs, defaultProvider) {
+  // Replayed responses cost nothing, whatever the model
+  if (isReplayOnly()) {
+    return [];
+  }
+  const unpriced = [];
+  for (const resolved of specs.map(spec => parseModelSpec(spec, defaultProvider))) {
+    const pricing = await getModelPricing(resolved.provider, resolved.model, getProvider(resolved.provider));
+    if (!pricing && !unpriced.includes(resolved.spec)) {
+      unpriced.push(resolved.spec);
+    }
+  }
+  return unpriced;
+}
+
+/**
+ * Send a chat request to the provider named in a model spec.
+ * When a cassette is active (see llm-cassette.js) responses are recorded to or replayed from it.
+ * Token usage and estimated cost are recorded on the active usage meters (see usage-tracker.js).
+ * Requests wait their turn under the provider's concurrency and rate limits and are retried on transient
+ * failures (see llm-scheduler.js).
+ * @param {string} [spec] - Model spec, e.g. "openai:gpt-4o"
+ * @param {Object} request - { system, messages, temperature, max_tokens, responseSchema }
+ * @param {Object} [options] - { defaultProvider }
+ * @returns {Promise<Object>} - { text, usage, model, provider, spec, cost: estimated USD, or null if unpriced }
+ * @throws {BudgetExceededError} - If an active usage meter's budget is already spent
+ */
+async function chatCompletion(spec, request, options = {}) {
+  const resolved = parseModelSpec(spec, options.defaultProvider);
+  const provider = getProvider(resolved.provider);
+  const fullRequest = {
+    temperature: 0.3,
+    max_tokens: 1500,
+    ...request
+  };
+
+  const cassette = getActiveCassette();
+  if (cassette) {
+    const recorded = cassette.lookup(resolved.spec, fullRequest);
+    if (recorded) {
+      const { cost } = await recordUsage(resolved, recorded.usage, provider, { replayed: true });
+      return { ...recorded, raw: null, provider: resolved.provider, spec: resolved.spec, cost, replayed: true };
+    }
+    if (cassette.mode === 'replay') {
+      throw new Error(`No recorded response for ${resolved.spec} in cassette ${cassette.filePath}`);
+    }
+  }
+
+  const response = await getScheduler(resolved.provider).run(() => {
+    // Checked when the request starts, since the calls ahead of it in the queue may have spent the budget
+    assertWithinBudget();
+    return provider.chat({ ...fullRequest, model: resolved.model });
+  }, { tokens: estimateTokens(fullRequest), label: resolved.spec });
+  if (cassette) {
+    cassette.record(resolved.spec, fullRequest, response);
+  }
+  const { cost } = await recordUsage(resolved, response.usage, provider, { offline: isReplayOnly() });
+  return { ...response, provider: resolved.provider, spec: resolved.spec, cost };
+}
+
+registerProvider('openai', () => new OpenAIProvider({
+  name: 'openai',
+  apiKey: process.env.OPENAI_API_KEY,
+  apiKeyEnv: 'OPENAI_API_KEY',
+  defaultModel: process.env.OPENAI_MODEL || 'gpt-4',
+  fallbackModel: 'gpt-3.5-turbo'
+}));
+
+registerProvider('anthropic', () => new AnthropicProvider({
+  name: 'anthropic',
+  apiKey: process.env.ANTHROPIC_API_KEY,
+  apiKeyEnv: 'ANTHROPIC_API_KEY',
+  defaultModel: process.env.CLAUDE_MODEL || 'claude-3-7-sonnet-20250219',
+  fallbackModel: 'claude-3-5-sonnet-20240620'
+}));
+
+registerProvider('openrouter', () => new OpenRouterProvider({
+  name: 'openrouter',
+  apiKey: process.env.OPENROUTER_API_KEY,
+  apiKeyEnv: 'OPENROUTER_API_KEY',
+  baseURL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+  defaultModel: process.env.OPENROUTER_MODEL || 'openai/gpt-4o'
+}));
+
+registerProvider('ollama', () => new OpenAIProvider({
+  name: 'ollama',
+  baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+  requiresApiKey: false,
+  defaultModel: process.env.OLLAMA_MODEL || 'llama3'
+}));
+
+registerProvider('llamacpp', () => new OpenAIProvider({
+  name: 'llamacpp',
+  baseURL: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+  requiresApiKey: false,
+  defaultModel: process.env.LLAMACPP_MODEL || 'default'
+}));
+
+// Extra OpenAI-compatible endpoints: LLM_PROVIDERS=lmstudio=http://localhost:1234/v1,vllm=http://gpu-box:8000/v1
+// An API key is read from <NAME>_API_KEY if the server needs one.
+(process.env.LLM_PROVIDERS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+  const separator = entry.indexOf('=');
+  if (separator <= 0) {
+    console.warn(`Ignoring malformed LLM_PROVIDERS entry: ${entry}`);
+    return;
+  }
+  const name = entry.slice(0, separator).trim();
+  const baseURL = entry.slice(separator + 1).trim();
+  const envPrefix = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  registerProvider(name, () => new OpenAIProvider({
+    name,
+    baseURL,
+    apiKey: process.env[`${envPrefix}_API_KEY`],
+    apiKeyEnv: `${envPrefix}_API_KEY`,
+    requiresApiKey: false,
+    defaultModel: process.env[`${envPrefix}_MODEL`]
+  }));
+});
+
+module.exports = {
+  OpenAIProvider,
+  AnthropicProvider,
+  OpenRouterProvider,
+  registerProvider,
+  getProvider,
+  listProviders,
+  parseModelSpec,
+  assertProviderConfigured,
+  findUnpricedModels,
+  chatCompletion
+};
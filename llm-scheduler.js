@@ -0,0 +1,326 @@
+// LLM Request Scheduler
+// Every provider call goes through its provider's scheduler, which caps how many requests run at once and how many
+// requests and tokens are sent per minute, and retries transient failures with jittered exponential backoff. A
+// retry-after from the provider pauses every caller of that provider, not just the one that was told to wait, and
+// is jittered too, so that separate runs told to wait don't all come back at the same instant.
+const { LOCAL_PROVIDERS } = require('./usage-tracker');
+
+// Requests in flight per provider, unless <PROVIDER>_CONCURRENCY or LLM_CONCURRENCY says otherwise
+const DEFAULT_CONCURRENCY = 4;
+
+// Retries of a failed request before giving up, unless LLM_MAX_RETRIES says otherwise
+const DEFAULT_MAX_RETRIES = 5;
+
+// Backoff before retry n is BACKOFF_BASE_MS * 2^n (capped at BACKOFF_MAX_MS), scaled by a random 50-100%
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 60000;
+
+// Requests-per-minute and tokens-per-minute budgets are counted over a sliding window
+const WINDOW_MS = 60000;
+
+// HTTP statuses worth retrying: timeouts, rate limits, server errors and Anthropic's "overloaded"
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+// Network failures worth retrying
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+/**
+ * Read a positive number from the environment
+ * @param {string} name - Variable name
+ * @returns {number|null} - The number, or null if unset or invalid
+ */
+function readLimit(name) {
+  const value = parseFloat(process.env[name]);
+  return value > 0 ? value : null;
+}
+
+/**
+ * Get a provider's limits from the environment: <PROVIDER>_CONCURRENCY, <PROVIDER>_RPM and <PROVIDER>_TPM
+ * (e.g. OPENAI_RPM=500), with LLM_CONCURRENCY and LLM_MAX_RETRIES for every provider
+ * @param {string} providerName - Provider name
+ * @returns {Object} - { concurrency, rpm, tpm, maxRetries }; rpm and tpm are null when unlimited
+ */
+function getProviderLimits(providerName) {
+  const prefix = providerName.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  // A local server works through one request at a time anyway
+  const defaultConcurrency = LOCAL_PROVIDERS.includes(providerName) ? 1 : DEFAULT_CONCURRENCY;
+  const maxRetries = parseInt(process.env.LLM_MAX_RETRIES, 10);
+  return {
+    concurrency: Math.floor(readLimit(`${prefix}_CONCURRENCY`) || readLimit('LLM_CONCURRENCY') || defaultConcurrency),
+    rpm: readLimit(`${prefix}_RPM`),
+    tpm: readLimit(`${prefix}_TPM`),
+    maxRetries: maxRetries >= 0 ? maxRetries : DEFAULT_MAX_RETRIES
+  };
+}
+
+/**
+ * Read a header from an SDK error or fetch response, whichever shape its headers come in
+ * @param {Object|Headers} [headers] - Headers
+ * @param {string} name - Header name (lower case)
+ * @returns {string|null} - Value
+ */
+function getHeader(headers, name) {
+  if (!headers) {
+    return null;
+  }
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  return value === undefined ? null : value;
+}
+
+/**
+ * Read how long a provider asked us to wait
+ * @param {Object|Headers} [headers] - Response headers
+ * @returns {number|null} - Milliseconds, or null if the provider didn't say
+ */
+function parseRetryAfter(headers) {
+  const ms = parseFloat(getHeader(headers, 'retry-after-ms'));
+  if (ms >= 0) {
+    return ms;
+  }
+  const retryAfter = getHeader(headers, 'retry-after');
+  if (retryAfter === null) {
+    return null;
+  }
+  // Either a number of seconds or an HTTP date
+  const seconds = parseFloat(retryAfter);
+  if (seconds >= 0) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decide whether a failed request is worth retrying, the same way for every provider
+ * @param {Error} error - Error thrown by a provider's chat
+ * @returns {Object} - { retryable, retryAfterMs: wait the provider asked for, or null }
+ */
+function classifyError(error) {
+  const retryAfterMs = parseRetryAfter(error.headers);
+  // The provider's own verdict wins when it gives one
+  const shouldRetry = getHeader(error.headers, 'x-should-retry');
+  if (shouldRetry === 'true' || shouldRetry === 'false') {
+    return { retryable: shouldRetry === 'true', retryAfterMs };
+  }
+  const retryable = RETRYABLE_STATUSES.includes(error.status) ||
+    error.code === 'rate_limit_exceeded' ||
+    RETRYABLE_CODES.includes(error.code) ||
+    ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.name) ||
+    (error.name === 'FetchError' && error.type === 'system');
+  return { retryable, retryAfterMs };
+}
+
+/**
+ * Backoff before a retry: exponential in the attempt number, with jitter so callers don't retry in lockstep
+ * @param {number} attempt - Retries so far
+ * @returns {number} - Milliseconds
+ */
+function computeBackoff(attempt) {
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, attempt));
+  return Math.round(ceiling * (0.5 + Math.random() / 2));
+}
+
+/**
+ * Pause after a retry-after: at least as long as the provider asked, stretched by up to half again at random
+ * @param {number} retryAfterMs - Wait the provider asked for
+ * @returns {number} - Milliseconds
+ */
+function computePause(retryAfterMs) {
+  return Math.round(retryAfterMs * (1 + Math.random() / 2));
+}
+
+/**
+ * Rough token count of a request before it is sent (about four characters a token, plus the reply budget)
+ * @param {Object} request - { system, messages, max_tokens }
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(request) {
+  const text = [request.system || '', ...(request.messages || []).map(message => (
+    typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+  ))].join('\n');
+  return Math.ceil(text.length / 4) + (request.max_tokens || 0);
+}
+
+/**
+ * Request queue for one provider
+ */
+class ProviderScheduler {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} limits - { concurrency, rpm, tpm, maxRetries } (see getProviderLimits)
+   */
+  constructor(name, limits) {
+    this.name = name;
+    this.limits = limits;
+    this.active = 0;
+    this.waiting = [];
+    // { time, tokens } of each request started within the window
+    this.sent = [];
+    // Shared pause from a retry-after: nothing starts before this time
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  /**
+   * How long until the next request may start
+   * @param {number} tokens - Estimated tokens of the request
+   * @returns {number} - Milliseconds; 0 if it may start now, Infinity if it must wait for a request to finish
+   */
+  getDelay(tokens) {
+    const now = Date.now();
+    this.sent = this.sent.filter(entry => entry.time > now - WINDOW_MS);
+    if (this.active >= this.limits.concurrency) {
+      return Infinity;
+    }
+    let delay = Math.max(0, this.pausedUntil - now);
+    if (this.limits.rpm && this.sent.length >= this.limits.rpm) {
+      delay = Math.max(delay, this.sent[this.sent.length - this.limits.rpm].time + WINDOW_MS - now);
+    }
+    if (this.limits.tpm && this.sent.length > 0) {
+      // A request bigger than the whole budget still runs, alone in its window
+      let used = this.sent.reduce((sum, entry) => sum + entry.tokens, 0);
+      for (const entry of this.sent) {
+        if (used + tokens <= this.limits.tpm) {
+          break;
+        }
+        used -= entry.tokens;
+        delay = Math.max(delay, entry.time + WINDOW_MS - now);
+      }
+    }
+    return delay;
+  }
+
+  /**
+   * Start waiting requests, first come first served, as far as the limits allow
+   */
+  pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    while (this.waiting.length > 0) {
+      const next = this.waiting[0];
+      const delay = this.getDelay(next.tokens);
+      if (delay === Infinity) {
+        return;
+      }
+      if (delay > 0) {
+        this.timer = setTimeout(() => this.pump(), delay);
+        return;
+      }
+      this.waiting.shift();
+      this.active += 1;
+      const entry = { time: Date.now(), tokens: next.tokens };
+      this.sent.push(entry);
+      next.resolve(entry);
+    }
+  }
+
+  /**
+   * Wait for a slot
+   * @param {number} tokens - Estimated tokens of the request
+   * @returns {Promise<Object>} - The slot, to pass to release
+   */
+  acquire(tokens) {
+    return new Promise(resolve => {
+      this.waiting.push({ tokens, resolve });
+      this.pump();
+    });
+  }
+
+  /**
+   * Give a slot back
+   * @param {Object} slot - From acquire
+   * @param {number} [tokens] - Tokens the request actually used, replacing the estimate
+   */
+  release(slot, tokens) {
+    this.active -= 1;
+    if (tokens !== undefined) {
+      slot.tokens = tokens;
+    }
+    this.pump();
+  }
+
+  /**
+   * Hold every request to this provider for a while
+   * @param {number} ms - Milliseconds
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Run a request within the limits, retrying transient failures. The task runs in the caller's async context,
+   * so usage meters and budgets see it as theirs.
+   * @param {Function} task - Sends the request; resolves to a response with usage
+   * @param {Object} [options] - { tokens: estimated tokens, label: what to call the request in warnings }
+   * @returns {Promise<Object>} - The task's response
+   */
+  async run(task, options = {}) {
+    const tokens = options.tokens || 0;
+    const label = options.label || this.name;
+    for (let attempt = 0; ; attempt++) {
+      const slot = await this.acquire(tokens);
+      let response;
+      try {
+        response = await task();
+      } catch (error) {
+        const { retryable, retryAfterMs } = classifyError(error);
+        const retrying = retryable && attempt < this.limits.maxRetries;
+        const pauseMs = retrying && retryAfterMs !== null ? computePause(retryAfterMs) : null;
+        // The provider said when to come back; hold everyone, not just this caller. The pause must be in place
+        // before the slot is given back, or a waiting request would start inside the window.
+        if (pauseMs !== null) {
+          this.pause(pauseMs);
+        }
+        this.release(slot);
+        if (!retrying) {
+          if (retryable) {
+            console.error(`Max retries (${this.limits.maxRetries}) reached when calling ${label}.`);
+          }
+          throw error;
+        }
+        const reason = error.status ? `${error.status}` : error.code || error.name;
+        if (pauseMs !== null) {
+          console.warn(`${label} asked us to wait (${reason}); pausing all ${this.name} requests for ${pauseMs} ms (attempt ${attempt + 1}/${this.limits.maxRetries})...`);
+        } else {
+          const waitTime = computeBackoff(attempt);
+          console.warn(`Retryable error from ${label} (${reason}), waiting ${waitTime} ms before retrying (attempt ${attempt + 1}/${this.limits.maxRetries})...`);
+          await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+        continue;
+      }
+      const usage = response && response.usage;
+      this.release(slot, usage ? (usage.prompt_tokens || 0) + (usage.completion_tokens || 0) : undefined);
+      return response;
+    }
+  }
+}
+
+// Schedulers keyed by provider name, created on first use
+const schedulers = new Map();
+
+/**
+ * Get the scheduler for a provider
+ * @param {string} providerName - Provider name
+ * @returns {ProviderScheduler} - Scheduler
+ */
+function getScheduler(providerName) {
+  if (!schedulers.has(providerName)) {
+    schedulers.set(providerName, new ProviderScheduler(providerName, getProviderLimits(providerName)));
+  }
+  return schedulers.get(providerName);
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_MAX_RETRIES,
+  ProviderScheduler,
+  getProviderLimits,
+  parseRetryAfter,
+  classifyError,
+  computeBackoff,
+  computePause,
+  estimateTokens,
+  getScheduler
+};
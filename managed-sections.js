@@ -0,0 +1,175 @@
+// Managed Sections for Sermon Markdown
+// Generated content is wrapped in <!-- sermon-ai:<name> start --> / <!-- sermon-ai:<name> end --> markers
+// and replaced exactly on re-runs; anything outside the markers is left alone
+
+/**
+ * Get the start and end markers for a managed section
+ * @param {string} name - Section name (e.g. "radar")
+ * @returns {Object} - { start, end }
+ */
+function getMarkers(name) {
+  return {
+    start: `<!-- sermon-ai:${name} start -->`,
+    end: `<!-- sermon-ai:${name} end -->`
+  };
+}
+
+/**
+ * Locate a managed section
+ * @param {string} content - Markdown body
+ * @param {string} name - Section name
+ * @returns {Object|null} - { start, end } character offsets covering both markers, or null if absent
+ */
+function findManagedSection(content, name) {
+  const markers = getMarkers(name);
+  const start = content.indexOf(markers.start);
+  if (start === -1) {
+    return null;
+  }
+  const endMarker = content.indexOf(markers.end, start + markers.start.length);
+  if (endMarker === -1) {
+    throw new Error(`Managed section "${name}" has a start marker but no end marker`);
+  }
+  return { start, end: endMarker + markers.end.length };
+}
+
+/**
+ * Replace a managed section, or insert it at the top of the body if the file doesn't have one yet
+ * @param {string} content - Markdown body
+ * @param {string} name - Section name
+ * @param {string} body - New section content (without markers)
+ * @returns {string} - Updated markdown body
+ */
+function replaceManagedSection(content, name, body) {
+  const markers = getMarkers(name);
+  const block = `${markers.start}\n${body.trim()}\n${markers.end}`;
+  const range = findManagedSection(content, name);
+  if (range) {
+    return content.slice(0, range.start) + block + content.slice(range.end);
+  }
+  const rest = content.trim();
+  return rest ? `${block}\n\n${rest}` : `${block}\n`;
+}
+
+/**
+ * Remove every managed section, leaving only what the preacher wrote
+ * @param {string} content - Markdown body
+ * @returns {string} - Body without managed sections
+ */
+function stripManagedSections(content) {
+  return content
+    .replace(/<!-- sermon-ai:([\w-]+) start -->[\s\S]*?<!-- sermon-ai:\1 end -->\n*/g, '')
+    .trim();
+}
+
+// Lines the tool wrote into unmarked Radar Analysis sections before markers existed
+const LEGACY_MODEL_LINE = /^_Generated by model: .*_\s*$/;
+const LEGACY_GENERATED_LINES = [
+  LEGACY_MODEL_LINE,
+  /^- \*\*.+ \(\d+(?:\.\d+)?\/\d+\)\*\*:/,
+  /^\*\*(Overall Thoughts|Overall Assessment|Cumulative Score|Audio Note|Audio):?\*\*/,
+  /^-{3,}\s*$/
+];
+
+/**
+ * Find an unmarked "## Radar Analysis" section written by older versions of the tool.
+ * The section runs from the heading through the generated lines that follow it: model lines, score
+ * bullets, the assessment/score/audio paragraphs and rules between stacked blocks. The first
+ * line that doesn't look generated (a heading, hand-written notes, ...) ends it.
+ * @param {string[]} lines - Markdown body split into lines
+ * @param {number} [from] - Line to start searching at
+ * @returns {Object|null} - { start, end, blocks } with line indexes (end exclusive) and the
+ *                          line index where each stacked "_Generated by model_" block starts
+ */
+function findLegacyRadarSection(lines, from = 0) {
+  const start = lines.findIndex((line, index) => index >= from && /^## Radar Analysis\s*$/.test(line));
+  if (start === -1) {
+    return null;
+  }
+
+  const blocks = [];
+  let end = start + 1;
+  let previousGenerated = false;
+  for (let i = start + 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim()) {
+      previousGenerated = false;
+      continue;
+    }
+    const generated = LEGACY_GENERATED_LINES.some(pattern => pattern.test(line));
+    // A wrapped paragraph continues the generated line right above it; headings and list items never do
+    const continuation = previousGenerated &&
+      !/^(#|[-*>] )/.test(line) &&
+      !/^-{3,}\s*$/.test(lines[i - 1]);
+    if (!generated && !continuation) {
+      break;
+    }
+    if (LEGACY_MODEL_LINE.test(line)) {
+      blocks.push(i);
+    }
+    previousGenerated = true;
+    end = i + 1;
+  }
+
+  // Trailing rules belong to whatever follows the section, so leave them in place
+  while (end > start + 1 && /^-{3,}\s*$/.test(lines[end - 1])) {
+    end--;
+  }
+  return { start, end, blocks };
+}
+
+/**
+ * Convert unmarked Radar Analysis sections into a managed section.
+ * Older versions of the tool stacked a new "_Generated by model_" block on top of the previous
+ * ones on every run; only the first (newest) block is kept and the stacked older blocks and any
+ * repeated sections are dropped. Lines that weren't generated by the tool are preserved.
+ * @param {string} content - Markdown body
+ * @param {string} [name] - Managed section name to migrate into
+ * @returns {Object} - { content, migrated, removedBlocks }
+ */
+function migrateLegacyRadarSections(content, name = 'radar') {
+  if (findManagedSection(content, name)) {
+    return { content, migrated: false, removedBlocks: 0 };
+  }
+
+  const lines = content.split('\n');
+  const first = findLegacyRadarSection(lines);
+  if (!first) {
+    return { content, migrated: false, removedBlocks: 0 };
+  }
+
+  // Keep the heading and the newest block, without the blank lines and rule that separated it from the next one
+  const kept = lines.slice(first.start, first.blocks.length > 1 ? first.blocks[1] : first.end);
+  while (kept.length > 1 && (!kept[kept.length - 1].trim() || /^-{3,}\s*$/.test(kept[kept.length - 1]))) {
+    kept.pop();
+  }
+  let removedBlocks = Math.max(first.blocks.length - 1, 0);
+
+  const markers = getMarkers(name);
+  const output = [...lines.slice(0, first.start), markers.start, ...kept, markers.end];
+
+  // Drop any further legacy sections left behind by earlier runs
+  let cursor = first.end;
+  let next = findLegacyRadarSection(lines, cursor);
+  while (next) {
+    output.push(...lines.slice(cursor, next.start));
+    removedBlocks += Math.max(next.blocks.length, 1);
+    cursor = next.end;
+    next = findLegacyRadarSection(lines, cursor);
+  }
+  output.push(...lines.slice(cursor));
+
+  return {
+    content: output.join('\n'),
+    migrated: true,
+    removedBlocks
+  };
+}
+
+module.exports = {
+  getMarkers,
+  findManagedSection,
+  replaceManagedSection,
+  stripManagedSections,
+  migrateLegacyRadarSections
+};
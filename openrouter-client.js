@@ -53,47 +53,19 @@ class OpenRouterClient {
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`OpenRouter API error: ${response.status} ${response.statusText} - ${errorText}`);
+        const error = new Error(`OpenRouter API error: ${response.status} ${response.statusText} - ${errorText}`);
+        // The status and headers (retry-after) let the scheduler decide whether and when to retry
+        error.status = response.status;
+        error.headers = response.headers;
+        throw error;
       }
 
       return await response.json();
     } catch (error) {
-      console.error('Error calling OpenRouter API:', error);
+      console.error('Error calling OpenRouter API:', error.message);
       throw error;
     }
   }
-
-  // Helper function to determine if a model ID is an OpenAI model
-  isOpenAIModel(model) {
-    return model.startsWith('openai/') || 
-           model.includes('gpt') || 
-           model.startsWith('text-') || 
-           model.startsWith('davinci');
-  }
-
-  // Helper function to determine if a model ID is a Claude model
-  isClaudeModel(model) {
-    return model.startsWith('anthropic/') || 
-           model.includes('claude');
-  }
-
-  // Format model identifier for OpenRouter if needed
-  formatModelId(modelId) {
-    // If model already has a provider prefix (like anthropic/claude-3), return as is
-    if (modelId.includes('/')) {
-      return modelId;
-    }
-
-    // Add prefix based on model name
-    if (modelId.includes('claude')) {
-      return `anthropic/${modelId}`;
-    } else if (modelId.includes('gpt') || modelId.includes('text-davinci')) {
-      return `openai/${modelId}`;
-    }
-
-    // Return as is if we can't determine the provider
-    return modelId;
-  }
 }
 
 module.exports = OpenRouterClient;
\ No newline at end of file
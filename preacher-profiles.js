@@ -0,0 +1,122 @@
+// Preacher Profiles for Radar Evaluations
+// Named profiles describing the preacher being evaluated, used to frame the radar prompt
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PROFILES_DIR = path.join(__dirname, 'preachers');
+
+// Used when a sermon names no preacher and no default is configured
+const GENERIC_PROFILE = {
+  id: 'default',
+  name: '',
+  pronouns: 'they/them',
+  role: 'preacher',
+  tradition: '',
+  denomination: '',
+  career_stage: '',
+  training: '',
+  growth_goals: []
+};
+
+// Possessive forms for the common pronoun sets; anything else should be written out in full (e.g. "ze/zir/zir")
+const KNOWN_POSSESSIVES = {
+  he: 'his',
+  she: 'her',
+  they: 'their'
+};
+
+/**
+ * Get the directory preacher profiles are loaded from
+ * @returns {string} - Profiles directory
+ */
+function getProfilesDir() {
+  return path.resolve(process.env.PREACHER_PROFILES_DIR || DEFAULT_PROFILES_DIR);
+}
+
+/**
+ * Load a named preacher profile
+ * @param {string} [profileId] - Profile id (the file name without extension); falls back to DEFAULT_PREACHER
+ * @returns {Object} - Preacher profile
+ */
+function loadPreacherProfile(profileId) {
+  const id = profileId || process.env.DEFAULT_PREACHER;
+  if (!id) {
+    return { ...GENERIC_PROFILE };
+  }
+  if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+    throw new Error(`Invalid preacher profile id: ${id}`);
+  }
+
+  const dir = getProfilesDir();
+  const candidates = ['.yaml', '.yml', '.json'].map(ext => path.join(dir, `${id}${ext}`));
+  const filePath = candidates.find(candidate => fs.existsSync(candidate));
+  if (!filePath) {
+    throw new Error(`Preacher profile "${id}" not found in ${dir}`);
+  }
+
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const data = filePath.endsWith('.json') ? JSON.parse(raw) : yaml.load(raw);
+
+  return {
+    ...GENERIC_PROFILE,
+    ...(data || {}),
+    id,
+    growth_goals: Array.isArray(data && data.growth_goals) ? data.growth_goals : []
+  };
+}
+
+/**
+ * Pick the preacher profile for a sermon: the `preacher` frontmatter field wins,
+ * otherwise the profile requested on the command line (or DEFAULT_PREACHER)
+ * @param {Object} metadata - Sermon frontmatter
+ * @param {string} [fallbackId] - Profile id from --preacher
+ * @returns {Object} - Preacher profile
+ */
+function resolvePreacherProfile(metadata = {}, fallbackId = null) {
+  return loadPreacherProfile(metadata.preacher || fallbackId);
+}
+
+/**
+ * Split a pronoun string like "she/her" into its forms
+ * @param {string} pronouns - Pronoun string
+ * @returns {Object} - { subject, object, possessive }
+ */
+function parsePronouns(pronouns) {
+  const parts = String(pronouns || 'they/them').toLowerCase().split('/').map(part => part.trim()).filter(Boolean);
+  const subject = parts[0] || 'they';
+  const object = parts[1] || (subject === 'they' ? 'them' : subject);
+  const possessive = parts[2] || KNOWN_POSSESSIVES[subject] || 'their';
+  return { subject, object, possessive };
+}
+
+/**
+ * Render a preacher profile as the "who is being evaluated" part of the radar prompt
+ * @param {Object} profile - Preacher profile
+ * @returns {string} - Prompt text
+ */
+function formatPreacherForPrompt(profile) {
+  const { subject, object } = parsePronouns(profile.pronouns);
+  const stage = profile.career_stage ? `${profile.career_stage} ` : '';
+  const tradition = [profile.denomination, profile.tradition].filter(Boolean)[0];
+  const role = `${stage}${tradition ? `${tradition} ` : ''}${profile.role || 'preacher'}`;
+  const article = /^[aeiou]/i.test(role) ? 'an' : 'a';
+
+  let text = `The individual you are evaluating is ${article} ${role}.`;
+  if (profile.training) {
+    text += `\n\nTraining and background: ${String(profile.training).trim()}`;
+  }
+  if (profile.growth_goals.length > 0) {
+    text += `\n\nThe preacher's current growth goals:\n${profile.growth_goals.map(goal => `- ${goal}`).join('\n')}`;
+    text += '\nWhere relevant, frame your feedback toward these goals.';
+  }
+  text += `\n\nUse ${subject}/${object} pronouns when referring to the preacher.`;
+  return text;
+}
+
+module.exports = {
+  loadPreacherProfile,
+  resolvePreacherProfile,
+  parsePronouns,
+  formatPreacherForPrompt
+};
@@ -0,0 +1,216 @@
+// Radar Charts for Radar Scores
+// Draws a spider chart of a rubric's dimensions as a standalone SVG, with optional overlays such as the preacher's
+// trailing average or a second model's scores. Plain string building: no browser, canvas or network.
+const fs = require('fs');
+const path = require('path');
+const { getDimensionKeys, getDimensionLabel, getRubricId } = require('./rubric-loader');
+
+// Series colors, in order; the first series is the sermon itself
+const PALETTE = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2'];
+
+// How many earlier sermons make up a preacher's trailing average
+const DEFAULT_TRAILING_COUNT = 10;
+
+/**
+ * Get the chart file for a sermon ("Sermon 03.23.25.md" -> "Sermon 03.23.25.radar.svg")
+ * @param {string} sermonPath - Path to the sermon markdown file
+ * @param {string} [suffix] - Chart kind, e.g. "radar" or "radar-compare"
+ * @returns {string} - Path to the SVG file, next to the manuscript
+ */
+function getChartPath(sermonPath, suffix = 'radar') {
+  const dir = path.dirname(sermonPath);
+  const base = path.basename(sermonPath, path.extname(sermonPath));
+  return path.join(dir, `${base}.${suffix}.svg`);
+}
+
+/**
+ * Escape text for SVG
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Split a label into lines of at most maxLength characters, breaking between words
+ * @param {string} label - Label
+ * @param {number} maxLength - Characters per line
+ * @returns {string[]} - Lines
+ */
+function wrapLabel(label, maxLength) {
+  const lines = [];
+  for (const word of String(label).split(/\s+/)) {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && `${last} ${word}`.length <= maxLength) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Round a coordinate for output
+ * @param {number} value - Coordinate
+ * @returns {string}
+ */
+function coordinate(value) {
+  return (Math.round(value * 10) / 10).toString();
+}
+
+/**
+ * Render a radar chart
+ * @param {Object} rubric - Rubric whose dimensions are the chart's axes
+ * @param {Object[]} series - { label, scores: { [dimension]: number } }; the first is drawn filled,
+ *                            the rest as dashed overlays
+ * @param {Object} [options] - { title, size: chart diameter in pixels (default 320) }
+ * @returns {string} - SVG document
+ */
+function renderRadarChart(rubric, series, options = {}) {
+  const keys = getDimensionKeys(rubric);
+  const { min, max } = rubric.scale;
+  const radius = (options.size || 320) / 2;
+  const labelSpace = 120;
+  const titleHeight = options.title ? 30 : 0;
+  const legendHeight = series.length * 20 + 10;
+  const width = radius * 2 + labelSpace * 2;
+  const height = radius * 2 + labelSpace + titleHeight + legendHeight;
+  const cx = width / 2;
+  const cy = titleHeight + labelSpace / 2 + radius;
+
+  // Axes start at the top and go clockwise
+  const angle = i => -Math.PI / 2 + (2 * Math.PI * i) / keys.length;
+  const point = (i, value) => {
+    const fraction = Math.max(0, Math.min(1, (value - min) / (max - min)));
+    return [cx + Math.cos(angle(i)) * radius * fraction, cy + Math.sin(angle(i)) * radius * fraction];
+  };
+  const polygon = values => values.map((value, i) => point(i, value).map(coordinate).join(',')).join(' ');
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="11">`);
+  // An opaque background keeps the chart legible in dark themes
+  parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+  if (options.title) {
+    parts.push(`<text x="${coordinate(cx)}" y="20" text-anchor="middle" font-size="14" font-weight="bold" fill="#111827">${escapeXml(options.title)}</text>`);
+  }
+
+  // Grid rings: one per scale point on short scales, five on long ones
+  const steps = max - min <= 10 && Number.isInteger(max - min) ? max - min : 5;
+  for (let step = 1; step <= steps; step++) {
+    const value = min + ((max - min) * step) / steps;
+    parts.push(`<polygon points="${polygon(keys.map(() => value))}" fill="none" stroke="#d1d5db" stroke-width="${step === steps ? 1.5 : 0.75}"/>`);
+    if (step % 2 === 0 || step === steps) {
+      const [x, y] = point(0, value);
+      parts.push(`<text x="${coordinate(x + 4)}" y="${coordinate(y + 4)}" fill="#9ca3af" font-size="9">${escapeXml(Math.round(value * 10) / 10)}</text>`);
+    }
+  }
+
+  // Axes and their labels
+  keys.forEach((key, i) => {
+    const [x, y] = point(i, max);
+    parts.push(`<line x1="${coordinate(cx)}" y1="${coordinate(cy)}" x2="${coordinate(x)}" y2="${coordinate(y)}" stroke="#d1d5db" stroke-width="0.75"/>`);
+    const cos = Math.cos(angle(i));
+    const sin = Math.sin(angle(i));
+    const anchor = Math.abs(cos) < 0.2 ? 'middle' : cos > 0 ? 'start' : 'end';
+    const lines = wrapLabel(getDimensionLabel(rubric, key), 16);
+    const labelX = cx + cos * (radius + 10);
+    // Labels above the chart grow upwards, labels below grow downwards
+    const labelY = cy + sin * (radius + 14) - (sin < -0.2 ? (lines.length - 1) * 12 : 0) + (sin > 0.2 ? 4 : 0);
+    const tspans = lines.map((line, lineIndex) => `<tspan x="${coordinate(labelX)}" dy="${lineIndex === 0 ? 0 : 12}">${escapeXml(line)}</tspan>`).join('');
+    parts.push(`<text x="${coordinate(labelX)}" y="${coordinate(labelY)}" text-anchor="${anchor}" fill="#374151">${tspans}</text>`);
+  });
+
+  // Overlays first, so the sermon's own shape is drawn on top
+  const drawn = series.map((entry, index) => ({ ...entry, color: PALETTE[index % PALETTE.length], index }));
+  [...drawn.slice(1), ...drawn.slice(0, 1)].forEach(entry => {
+    const values = keys.map(key => {
+      const score = entry.scores ? entry.scores[key] : undefined;
+      return typeof score === 'number' && !isNaN(score) ? score : min;
+    });
+    const primary = entry.index === 0;
+    parts.push(`<polygon points="${polygon(values)}" fill="${entry.color}" fill-opacity="${primary ? 0.2 : 0.05}" stroke="${entry.color}" stroke-width="2"${primary ? '' : ' stroke-dasharray="6 4"'}/>`);
+    if (primary) {
+      values.forEach((value, i) => {
+        const [x, y] = point(i, value);
+        parts.push(`<circle cx="${coordinate(x)}" cy="${coordinate(y)}" r="3" fill="${entry.color}"/>`);
+      });
+    }
+  });
+
+  // Legend
+  const legendTop = cy + radius + labelSpace / 2 + 10;
+  drawn.forEach((entry, index) => {
+    const y = legendTop + index * 20;
+    const dash = index === 0 ? '' : ' stroke-dasharray="6 4"';
+    parts.push(`<line x1="20" y1="${coordinate(y)}" x2="44" y2="${coordinate(y)}" stroke="${entry.color}" stroke-width="2"${dash}/>`);
+    parts.push(`<text x="52" y="${coordinate(y + 4)}" fill="#111827">${escapeXml(entry.label)}</text>`);
+  });
+  parts.push(`<text x="${coordinate(width - 20)}" y="${coordinate(legendTop + 4)}" text-anchor="end" fill="#9ca3af" font-size="9">${escapeXml(getRubricId(rubric))}, scale ${min}-${max}</text>`);
+
+  parts.push('</svg>');
+  return `${parts.join('\n')}\n`;
+}
+
+/**
+ * Average the radar scores of a preacher's most recent earlier sermons scored under the same rubric
+ * @param {Object} index - Vault index from updateIndex
+ * @param {Object} options - { path: the sermon's vault-relative path (left out), preached_on: only earlier
+ *                           sermons count when set, preacher: profile id (sermons without one are the default
+ *                           preacher's), rubric, count: how many sermons (default 10) }
+ * @returns {Object|null} - { scores, count }, or null if there are no earlier scored sermons
+ */
+function computeTrailingAverage(index, options) {
+  const rubricId = getRubricId(options.rubric);
+  const keys = getDimensionKeys(options.rubric);
+  const preachedOn = options.preached_on ? String(options.preached_on) : null;
+  const earlier = Object.values(index.files)
+    .filter(entry =>
+      entry.path !== options.path &&
+      entry.radar_score &&
+      (entry.preacher || null) === (options.preacher || null) &&
+      (!entry.radar_rubric || entry.radar_rubric === rubricId) &&
+      (!preachedOn || (entry.preached_on && entry.preached_on < preachedOn))
+    )
+    .sort((a, b) => String(b.preached_on || '').localeCompare(String(a.preached_on || '')))
+    .slice(0, options.count || DEFAULT_TRAILING_COUNT);
+  if (earlier.length === 0) {
+    return null;
+  }
+
+  const scores = {};
+  for (const key of keys) {
+    const values = earlier.map(entry => entry.radar_score[key]).filter(value => typeof value === 'number' && !isNaN(value));
+    if (values.length > 0) {
+      scores[key] = values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+  }
+  return { scores, count: earlier.length };
+}
+
+/**
+ * Render a chart and save it next to a sermon
+ * @param {string} sermonPath - Path to the sermon markdown file
+ * @param {Object} rubric - Rubric the scores were made under
+ * @param {Object[]} series - See renderRadarChart
+ * @param {Object} [options] - { suffix: chart kind for the file name, title, size }
+ * @returns {string} - Path to the SVG file
+ */
+function writeRadarChart(sermonPath, rubric, series, options = {}) {
+  const chartPath = getChartPath(sermonPath, options.suffix);
+  fs.writeFileSync(chartPath, renderRadarChart(rubric, series, options));
+  return chartPath;
+}
+
+module.exports = {
+  DEFAULT_TRAILING_COUNT,
+  getChartPath,
+  renderRadarChart,
+  computeTrailingAverage,
+  writeRadarChart
+};
@@ -0,0 +1,297 @@
+// Inter-Rater Statistics for Radar Scores
+// Combines several models' scores of one sermon into an aggregate and measures how far the models agree:
+// Krippendorff's alpha and the intraclass correlation across dimensions, and the spread of each dimension.
+// Also measures how stable one model's scores are across repeated samples of the same sermon.
+const { getDimensionKeys, getDimensionLabel } = require('./rubric-loader');
+
+// Aggregation methods for an ensemble's scores
+const AGGREGATE_METHODS = ['median', 'trimmed-mean'];
+
+// Share of scores cut from each end by the trimmed mean
+const DEFAULT_TRIM = 0.2;
+
+// A dimension is flagged when its scores span at least this share of the rubric's scale
+const DEFAULT_DISAGREEMENT_SHARE = 0.3;
+
+// A dimension is unstable when the standard deviation of its samples exceeds this share of the rubric's scale
+const DEFAULT_INSTABILITY_SHARE = 0.1;
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number|null} - Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Mean after cutting the lowest and highest scores
+ * @param {number[]} values - Values
+ * @param {number} [trim] - Share of values cut from each end (0 to under 0.5); with few values nothing may be cut
+ * @returns {number|null} - Trimmed mean, or null for an empty list
+ */
+function trimmedMean(values, trim = DEFAULT_TRIM) {
+  if (values.length === 0) {
+    return null;
+  }
+  const cut = Math.floor(values.length * trim);
+  const kept = [...values].sort((a, b) => a - b).slice(cut, values.length - cut);
+  return kept.reduce((sum, value) => sum + value, 0) / kept.length;
+}
+
+/**
+ * Sample standard deviation
+ * @param {number[]} values - Values
+ * @returns {number|null} - Standard deviation, or null with fewer than two values
+ */
+function standardDeviation(values) {
+  if (values.length < 2) {
+    return null;
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Describe a list of scores
+ * @param {number[]} values - Scores
+ * @returns {Object} - { count, mean, sd, min, max, range }; all but count are null for an empty list
+ */
+function describeScores(values) {
+  const empty = values.length === 0;
+  const min = empty ? null : Math.min(...values);
+  const max = empty ? null : Math.max(...values);
+  return {
+    count: values.length,
+    mean: empty ? null : values.reduce((sum, value) => sum + value, 0) / values.length,
+    sd: standardDeviation(values),
+    min,
+    max,
+    range: empty ? null : max - min
+  };
+}
+
+/**
+ * Krippendorff's alpha with the interval metric
+ * @param {Array<number[]>} units - The values each rater gave one unit (here: the models' scores for one dimension);
+ *                                  units with fewer than two values are left out
+ * @returns {number|null} - Alpha (1 is perfect agreement, 0 is chance level), or null if the values never vary
+ */
+function krippendorffAlpha(units) {
+  const pairable = units.filter(values => values.length >= 2);
+  const all = pairable.flat();
+  const n = all.length;
+  if (n < 2) {
+    return null;
+  }
+
+  // Observed disagreement: squared differences between values of the same unit
+  let observed = 0;
+  for (const values of pairable) {
+    let sum = 0;
+    for (const a of values) {
+      for (const b of values) {
+        sum += (a - b) ** 2;
+      }
+    }
+    observed += sum / (values.length - 1);
+  }
+  observed /= n;
+
+  // Expected disagreement: squared differences between any two values
+  let expected = 0;
+  for (const a of all) {
+    for (const b of all) {
+      expected += (a - b) ** 2;
+    }
+  }
+  expected /= n * (n - 1);
+
+  if (expected === 0) {
+    return null;
+  }
+  return 1 - observed / expected;
+}
+
+/**
+ * Intraclass correlation, two-way random effects with absolute agreement (Shrout and Fleiss ICC(2,1) and ICC(2,k))
+ * @param {Array<number[]>} matrix - One row per target (dimension), one column per rater (model); rows must be complete
+ * @returns {Object|null} - { single: reliability of one model's score, average: reliability of the ensemble's
+ *                          average }, or null with fewer than two targets or raters or no variation at all
+ */
+function intraclassCorrelation(matrix) {
+  const n = matrix.length;
+  const k = n > 0 ? matrix[0].length : 0;
+  if (n < 2 || k < 2) {
+    return null;
+  }
+
+  const grand = matrix.flat().reduce((sum, value) => sum + value, 0) / (n * k);
+  const rowMeans = matrix.map(row => row.reduce((sum, value) => sum + value, 0) / k);
+  const columnMeans = matrix[0].map((_, j) => matrix.reduce((sum, row) => sum + row[j], 0) / n);
+
+  const rows = (k * rowMeans.reduce((sum, mean) => sum + (mean - grand) ** 2, 0)) / (n - 1);
+  const columns = (n * columnMeans.reduce((sum, mean) => sum + (mean - grand) ** 2, 0)) / (k - 1);
+  let residual = 0;
+  matrix.forEach((row, i) => row.forEach((value, j) => {
+    residual += (value - rowMeans[i] - columnMeans[j] + grand) ** 2;
+  }));
+  const error = residual / ((n - 1) * (k - 1));
+
+  const singleDenominator = rows + (k - 1) * error + (k * (columns - error)) / n;
+  const averageDenominator = rows + (columns - error) / n;
+  if (singleDenominator === 0 || averageDenominator === 0) {
+    return null;
+  }
+  return {
+    single: (rows - error) / singleDenominator,
+    average: (rows - error) / averageDenominator
+  };
+}
+
+/**
+ * Describe a reliability coefficient in words, using Krippendorff's thresholds
+ * @param {number|null} value - Alpha or ICC
+ * @returns {string} - "good", "tentative", "low" or "undefined"
+ */
+function describeReliability(value) {
+  if (value === null || value === undefined) {
+    return 'undefined';
+  }
+  return value >= 0.8 ? 'good' : value >= 0.667 ? 'tentative' : 'low';
+}
+
+/**
+ * Combine several models' ratings of one sermon and measure their agreement
+ * @param {Object[]} ratings - { model, radar_score } for each model, all under the same rubric
+ * @param {Object} rubric - Rubric the ratings were made under
+ * @param {Object} [options] - { method: "median" (default) or "trimmed-mean", trim: share cut from each end for the
+ *                             trimmed mean, disagreement: score range at which a dimension is flagged (defaults to
+ *                             30% of the scale) }
+ * @returns {Object} - { method, trim, threshold, models, radar_score: aggregate scores (one decimal place),
+ *                     dimensions: { [key]: { label, scores: in the order of the ratings (null where missing),
+ *                     aggregate, mean, sd, min, max, range, disagreement } },
+ *                     disagreements: flagged keys, alpha, icc: { single, average } or null }
+ */
+function summarizeRatings(ratings, rubric, options = {}) {
+  const method = options.method || 'median';
+  if (!AGGREGATE_METHODS.includes(method)) {
+    throw new Error(`Unknown aggregation method "${method}" (use ${AGGREGATE_METHODS.join(' or ')})`);
+  }
+  const trim = options.trim === undefined ? DEFAULT_TRIM : options.trim;
+  if (!(trim >= 0 && trim < 0.5)) {
+    throw new Error('Trim must be at least 0 and less than 0.5');
+  }
+  const { min: scaleMin, max: scaleMax } = rubric.scale;
+  const threshold = options.disagreement === undefined
+    ? (scaleMax - scaleMin) * DEFAULT_DISAGREEMENT_SHARE
+    : options.disagreement;
+
+  const keys = getDimensionKeys(rubric);
+  const isScore = value => typeof value === 'number' && !isNaN(value);
+  const radar_score = {};
+  const dimensions = {};
+  for (const key of keys) {
+    // In the order of the ratings, with null where a model gave no score
+    const scores = ratings.map(rating => {
+      const value = rating.radar_score ? rating.radar_score[key] : undefined;
+      return isScore(value) ? value : null;
+    });
+    const values = scores.filter(value => value !== null);
+    const aggregate = method === 'median' ? median(values) : trimmedMean(values, trim);
+    const { mean, sd, min, max, range } = describeScores(values);
+    dimensions[key] = {
+      label: getDimensionLabel(rubric, key),
+      scores,
+      aggregate: aggregate === null ? null : Math.round(aggregate * 10) / 10,
+      mean,
+      sd,
+      min,
+      max,
+      range,
+      disagreement: values.length > 1 && range >= threshold
+    };
+    if (dimensions[key].aggregate !== null) {
+      radar_score[key] = dimensions[key].aggregate;
+    }
+  }
+
+  // The ICC needs every model's score on a dimension; dimensions some model skipped are left out of it
+  const complete = keys.filter(key => dimensions[key].scores.every(value => value !== null));
+  return {
+    method,
+    trim: method === 'trimmed-mean' ? trim : null,
+    threshold,
+    models: ratings.map(rating => rating.model),
+    radar_score,
+    dimensions,
+    disagreements: keys.filter(key => dimensions[key].disagreement),
+    alpha: krippendorffAlpha(keys.map(key => dimensions[key].scores.filter(value => value !== null))),
+    icc: intraclassCorrelation(complete.map(key => dimensions[key].scores))
+  };
+}
+
+/**
+ * Measure how stable one model's scores are across repeated samples of the same sermon
+ * @param {Object[]} samples - { radar_score } for each sample, all under the same rubric
+ * @param {Object} rubric - Rubric the samples were scored under
+ * @param {Object} [options] - { threshold: standard deviation above which a dimension is unstable (defaults to 10%
+ *                             of the scale) }
+ * @returns {Object} - { count, threshold, radar_score: mean scores (one decimal place), dimensions: { [key]: { label,
+ *                     scores, count, mean, sd, min, max, range, unstable } }, unstable: keys of unstable dimensions }
+ */
+function summarizeSamples(samples, rubric, options = {}) {
+  const { min: scaleMin, max: scaleMax } = rubric.scale;
+  const threshold = options.threshold === undefined
+    ? (scaleMax - scaleMin) * DEFAULT_INSTABILITY_SHARE
+    : options.threshold;
+
+  const keys = getDimensionKeys(rubric);
+  const radar_score = {};
+  const dimensions = {};
+  for (const key of keys) {
+    const scores = samples
+      .map(sample => (sample.radar_score ? sample.radar_score[key] : undefined))
+      .filter(value => typeof value === 'number' && !isNaN(value));
+    const description = describeScores(scores);
+    dimensions[key] = {
+      label: getDimensionLabel(rubric, key),
+      scores,
+      ...description,
+      unstable: description.sd !== null && description.sd > threshold
+    };
+    if (description.mean !== null) {
+      radar_score[key] = Math.round(description.mean * 10) / 10;
+    }
+  }
+
+  return {
+    count: samples.length,
+    threshold,
+    radar_score,
+    dimensions,
+    unstable: keys.filter(key => dimensions[key].unstable)
+  };
+}
+
+module.exports = {
+  AGGREGATE_METHODS,
+  DEFAULT_TRIM,
+  DEFAULT_DISAGREEMENT_SHARE,
+  DEFAULT_INSTABILITY_SHARE,
+  median,
+  trimmedMean,
+  standardDeviation,
+  describeScores,
+  krippendorffAlpha,
+  intraclassCorrelation,
+  describeReliability,
+  summarizeRatings,
+  summarizeSamples
+};
@@ -0,0 +1,180 @@
+// LLM Response Cache
+// Parsed model replies are kept on disk under the state directory, keyed by a hash of the manuscript, the model,
+// the rubric and prompt versions and the sampling parameters, so re-running a command on an unchanged sermon
+// doesn't pay for the same answer twice. One file per entry; its modification time is when it was last used.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getStateDir } = require('./state-dir');
+
+// Entries not used for this many days are removed by `cache prune`
+const DEFAULT_PRUNE_DAYS = 30;
+
+/**
+ * Get the cache directory
+ * @returns {string} - Directory under the state directory
+ */
+function getCacheDir() {
+  return getStateDir(undefined, 'cache');
+}
+
+/**
+ * SHA-256 of a value
+ * @param {*} value - String, or anything JSON-serializable
+ * @returns {string} - Hex digest
+ */
+function hashContent(value) {
+  return crypto.createHash('sha256').update(typeof value === 'string' ? value : JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Build the cache key for a request
+ * @param {Object} parts - What the reply depends on: { kind, content_hash, model, rubric, prompt_version,
+ *                         temperature, max_tokens, sample, ... }; undefined parts are left out
+ * @returns {string} - Key
+ */
+function buildCacheKey(parts) {
+  const defined = Object.keys(parts).sort().reduce((acc, name) => {
+    if (parts[name] !== undefined) {
+      acc[name] = parts[name];
+    }
+    return acc;
+  }, {});
+  return hashContent(defined).slice(0, 32);
+}
+
+/**
+ * Get the file an entry is stored in
+ * @param {string} key - Cache key
+ * @returns {string} - Path
+ */
+function getEntryPath(key) {
+  return path.join(getCacheDir(), `${key}.json`);
+}
+
+/**
+ * Look up a cached reply
+ * @param {Object} parts - Key parts (see buildCacheKey)
+ * @returns {Object|null} - The cached result, or null on a miss
+ */
+function readCachedResponse(parts) {
+  const entryPath = getEntryPath(buildCacheKey(parts));
+  if (!fs.existsSync(entryPath)) {
+    return null;
+  }
+  try {
+    const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    // Mark it used, so pruning keeps it
+    const now = new Date();
+    fs.utimesSync(entryPath, now, now);
+    return entry.result;
+  } catch (error) {
+    console.warn(`Ignoring unreadable cache entry ${entryPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store a reply
+ * @param {Object} parts - Key parts (see buildCacheKey); kept in the entry for stats and pruning
+ * @param {Object} result - What to return on a hit
+ */
+function writeCachedResponse(parts, result) {
+  const key = buildCacheKey(parts);
+  const entry = { key, ...parts, created_at: new Date().toISOString(), result };
+  // Write then rename, so a run reading the entry at the same time never sees half of it
+  const entryPath = getEntryPath(key);
+  const tempPath = `${entryPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(entry));
+  fs.renameSync(tempPath, entryPath);
+}
+
+/**
+ * Read every entry's metadata
+ * @returns {Object[]} - { path, size, last_used: Date, kind, model, rubric, prompt_version }
+ */
+function listEntries() {
+  const dir = getCacheDir();
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const entryPath = path.join(dir, file);
+      const stats = fs.statSync(entryPath);
+      let entry = {};
+      try {
+        entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+      } catch (error) {
+        // Unreadable entries are still counted, and pruned
+      }
+      return {
+        path: entryPath,
+        size: stats.size,
+        last_used: stats.mtime,
+        kind: entry.kind || 'unknown',
+        model: entry.model || 'unknown',
+        rubric: entry.rubric || null,
+        prompt_version: entry.prompt_version || null
+      };
+    });
+}
+
+/**
+ * Summarize the cache
+ * @returns {Object} - { dir, entries, bytes, kinds: { [kind]: count }, models: { [model]: count },
+ *                     oldest, newest: last-use dates, or null when empty }
+ */
+function getCacheStats() {
+  const entries = listEntries();
+  const count = (key) => entries.reduce((acc, entry) => {
+    acc[entry[key]] = (acc[entry[key]] || 0) + 1;
+    return acc;
+  }, {});
+  const times = entries.map(entry => entry.last_used.getTime());
+  return {
+    dir: getCacheDir(),
+    entries: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    kinds: count('kind'),
+    models: count('model'),
+    oldest: times.length > 0 ? new Date(Math.min(...times)) : null,
+    newest: times.length > 0 ? new Date(Math.max(...times)) : null
+  };
+}
+
+/**
+ * Remove cache entries
+ * @param {Object} [options] - { olderThanDays: remove entries not used for this long (default 30), all: remove
+ *                             everything, model: only this model spec's entries, currentPromptVersions:
+ *                             { [kind]: version } whose older versions can never be hit again and are removed too }
+ * @returns {Object} - { removed, bytes }
+ */
+function pruneCache(options = {}) {
+  const olderThanDays = options.olderThanDays === undefined ? DEFAULT_PRUNE_DAYS : options.olderThanDays;
+  const cutoff = Date.now() - olderThanDays * 86400000;
+  const current = options.currentPromptVersions || {};
+  let removed = 0;
+  let bytes = 0;
+  for (const entry of listEntries()) {
+    if (options.model && entry.model !== options.model) {
+      continue;
+    }
+    const outdated = current[entry.kind] !== undefined && entry.prompt_version !== current[entry.kind];
+    if (options.all || outdated || entry.last_used.getTime() < cutoff) {
+      fs.unlinkSync(entry.path);
+      removed += 1;
+      bytes += entry.size;
+    }
+  }
+  return { removed, bytes };
+}
+
+module.exports = {
+  DEFAULT_PRUNE_DAYS,
+  getCacheDir,
+  hashContent,
+  buildCacheKey,
+  readCachedResponse,
+  writeCachedResponse,
+  getCacheStats,
+  pruneCache
+};
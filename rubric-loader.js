@@ -0,0 +1,394 @@
+// Rubric Loader for Radar Evaluations
+// Loads versioned YAML/JSON rubric files describing the radar dimensions, anchors, scale and weights
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const BUILTIN_RUBRICS_DIR = path.join(__dirname, 'rubrics');
+const DEFAULT_RUBRIC_PATH = path.join(BUILTIN_RUBRICS_DIR, 'mainline.yaml');
+
+// Loaded rubrics keyed by absolute path, so repeated lookups don't re-read the file
+const rubricCache = new Map();
+
+/**
+ * Load a rubric file (YAML or JSON)
+ * @param {string} [filePath] - Path to the rubric file; defaults to RUBRIC_PATH or the bundled mainline rubric
+ * @returns {Object} - Normalized rubric
+ */
+function loadRubric(filePath) {
+  const resolvedPath = path.resolve(filePath || process.env.RUBRIC_PATH || DEFAULT_RUBRIC_PATH);
+  if (rubricCache.has(resolvedPath)) {
+    return rubricCache.get(resolvedPath);
+  }
+
+  const rubric = normalizeRubric(readRubricData(resolvedPath), resolvedPath);
+  rubricCache.set(resolvedPath, rubric);
+  return rubric;
+}
+
+/**
+ * Read a rubric file, resolving `extends` so packs only need to list what they change
+ * @param {string} filePath - Absolute path to the rubric file
+ * @param {string[]} [chain] - Files already visited (guards against extends cycles)
+ * @returns {Object} - Raw rubric data with the base rubric merged in
+ */
+function readRubricData(filePath, chain = []) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Rubric file not found: ${filePath}`);
+  }
+  if (chain.includes(filePath)) {
+    throw new Error(`Rubric extends cycle: ${[...chain, filePath].join(' -> ')}`);
+  }
+
+  const raw = fs.readFileSync(filePath, 'utf8');
+  let data;
+  try {
+    data = filePath.endsWith('.json') ? JSON.parse(raw) : yaml.load(raw);
+  } catch (error) {
+    throw new Error(`Could not parse rubric file ${filePath}: ${error.message}`);
+  }
+
+  if (!data || !data.extends) {
+    return data;
+  }
+
+  const basePath = path.resolve(path.dirname(filePath), data.extends);
+  const base = readRubricData(basePath, [...chain, filePath]);
+  const removed = new Set(data.remove || []);
+
+  // Dimensions with a matching key are merged over the base, `replaces` swaps a base
+  // dimension out in place, and anything else is appended
+  const dimensions = (base.dimensions || [])
+    .filter(dimension => !removed.has(dimension.key))
+    .map(dimension => ({ ...dimension }));
+  for (const override of data.dimensions || []) {
+    const { replaces, ...fields } = override;
+    const targetKey = replaces || fields.key;
+    const index = dimensions.findIndex(dimension => dimension.key === targetKey);
+    if (index === -1) {
+      if (replaces) {
+        throw new Error(`Invalid rubric in ${filePath}: "${fields.key}" replaces unknown dimension "${replaces}"`);
+      }
+      dimensions.push(fields);
+    } else if (replaces) {
+      dimensions[index] = fields;
+    } else {
+      dimensions[index] = { ...dimensions[index], ...fields };
+    }
+  }
+
+  const { extends: _extends, remove: _remove, ...ownFields } = data;
+  return {
+    ...base,
+    aliases: [],
+    tradition: undefined,
+    ...ownFields,
+    scale: { ...(base.scale || {}), ...(data.scale || {}) },
+    dimensions
+  };
+}
+
+/**
+ * Validate raw rubric data and fill in defaults
+ * @param {Object} data - Parsed rubric file contents
+ * @param {string} source - File the rubric came from (used in error messages)
+ * @returns {Object} - Normalized rubric
+ */
+function normalizeRubric(data, source) {
+  if (!data || typeof data !== 'object') {
+    throw new Error(`Invalid rubric in ${source}: expected an object`);
+  }
+  if (!data.id) {
+    throw new Error(`Invalid rubric in ${source}: missing "id"`);
+  }
+  if (!Array.isArray(data.dimensions) || data.dimensions.length === 0) {
+    throw new Error(`Invalid rubric in ${source}: "dimensions" must be a non-empty list`);
+  }
+
+  const scale = {
+    min: 0,
+    max: 10,
+    descriptors: [],
+    ...(data.scale || {})
+  };
+  if (typeof scale.min !== 'number' || typeof scale.max !== 'number' || scale.min >= scale.max) {
+    throw new Error(`Invalid rubric in ${source}: scale must have numeric min < max`);
+  }
+
+  const seen = new Set();
+  const dimensions = data.dimensions.map((dimension, index) => {
+    if (!dimension || !dimension.key || !/^[a-z][a-z0-9_]*$/.test(dimension.key)) {
+      throw new Error(`Invalid rubric in ${source}: dimension ${index + 1} needs a snake_case "key"`);
+    }
+    if (seen.has(dimension.key)) {
+      throw new Error(`Invalid rubric in ${source}: duplicate dimension "${dimension.key}"`);
+    }
+    seen.add(dimension.key);
+
+    const weight = dimension.weight === undefined ? 1 : dimension.weight;
+    if (typeof weight !== 'number' || weight < 0) {
+      throw new Error(`Invalid rubric in ${source}: weight for "${dimension.key}" must be a non-negative number`);
+    }
+
+    // Anchors are keyed by score; sort them highest first for prompts
+    const anchors = Object.entries(dimension.anchors || {})
+      .map(([score, text]) => ({ score: Number(score), text: String(text).trim() }))
+      .filter(anchor => !isNaN(anchor.score))
+      .sort((a, b) => b.score - a.score);
+
+    return {
+      key: dimension.key,
+      label: dimension.label || formatKeyAsLabel(dimension.key),
+      question: dimension.question || '',
+      weight,
+      anchors
+    };
+  });
+
+  return {
+    id: String(data.id),
+    version: data.version !== undefined ? String(data.version) : '1',
+    name: data.name || String(data.id),
+    description: data.description || '',
+    tradition: data.tradition || null,
+    aliases: Array.isArray(data.aliases) ? data.aliases.map(String) : [],
+    scale,
+    dimensions,
+    source
+  };
+}
+
+/**
+ * Normalize a tradition name for matching ("Roman Catholic" -> "roman-catholic")
+ * @param {string} name - Tradition name
+ * @returns {string} - Normalized name
+ */
+function normalizeTraditionName(name) {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * List the tradition packs bundled in the rubrics directory
+ * @returns {Object[]} - Loaded rubrics that declare a tradition
+ */
+function listTraditionRubrics() {
+  return fs.readdirSync(BUILTIN_RUBRICS_DIR)
+    .filter(file => /\.(ya?ml|json)$/.test(file))
+    .map(file => loadRubric(path.join(BUILTIN_RUBRICS_DIR, file)))
+    .filter(rubric => rubric.tradition);
+}
+
+/**
+ * Find the bundled tradition pack matching a `tradition` frontmatter value
+ * @param {string} tradition - Tradition name or alias
+ * @returns {Object} - Loaded rubric
+ */
+function findTraditionRubric(tradition) {
+  const wanted = normalizeTraditionName(tradition);
+  const packs = listTraditionRubrics();
+  const match = packs.find(rubric =>
+    [rubric.tradition, rubric.id, ...rubric.aliases].some(name => normalizeTraditionName(name) === wanted)
+  );
+  if (!match) {
+    const known = packs.map(rubric => rubric.tradition).join(', ');
+    throw new Error(`No rubric pack for tradition "${tradition}". Known traditions: ${known}`);
+  }
+  return match;
+}
+
+/**
+ * Pick the rubric for a sermon: an explicit --rubric wins, then the sermon's
+ * `tradition` pack, then RUBRIC_PATH or the bundled default
+ * @param {Object} metadata - Sermon frontmatter
+ * @param {Object} [explicitRubric] - Rubric loaded from --rubric
+ * @returns {Object} - Loaded rubric
+ */
+function resolveRubric(metadata = {}, explicitRubric = null) {
+  if (explicitRubric) {
+    return explicitRubric;
+  }
+  if (metadata && metadata.tradition) {
+    return findTraditionRubric(metadata.tradition);
+  }
+  return loadRubric();
+}
+
+/**
+ * Find a loaded rubric by its "id@version" identifier among the configured default and the bundled packs
+ * @param {string} rubricId - Rubric identifier, e.g. "mainline@2"
+ * @param {Object} [explicitRubric] - Rubric loaded from --rubric, checked first
+ * @returns {Object|null} - Loaded rubric, or null if none matches
+ */
+function findRubricById(rubricId, explicitRubric = null) {
+  const candidates = [explicitRubric, loadRubric(), ...listTraditionRubrics()].filter(Boolean);
+  return candidates.find(rubric => getRubricId(rubric) === rubricId) || null;
+}
+
+/**
+ * Guard against comparing or aggregating scores produced under different rubrics.
+ * Scores from different packs measure different things and must never be mixed.
+ * @param {string[]} rubricIds - Rubric identifiers (e.g. "mainline@2") of the scores being combined
+ * @returns {string} - The shared rubric identifier
+ */
+function assertSameRubric(rubricIds) {
+  const distinct = [...new Set(rubricIds.filter(Boolean))];
+  if (distinct.length > 1) {
+    throw new Error(`Cannot compare scores produced under different rubrics: ${distinct.join(', ')}`);
+  }
+  return distinct[0];
+}
+
+/**
+ * Convert a snake_case key into a Title Case label
+ * @param {string} key - Dimension key
+ * @returns {string} - Display label
+ */
+function formatKeyAsLabel(key) {
+  return key.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Get the dimension keys of a rubric in order
+ * @param {Object} rubric - Loaded rubric
+ * @returns {string[]} - Dimension keys
+ */
+function getDimensionKeys(rubric) {
+  return rubric.dimensions.map(dimension => dimension.key);
+}
+
+/**
+ * Get the display label for a dimension key
+ * @param {Object} rubric - Loaded rubric
+ * @param {string} key - Dimension key
+ * @returns {string} - Display label
+ */
+function getDimensionLabel(rubric, key) {
+  const dimension = rubric.dimensions.find(d => d.key === key);
+  return dimension ? dimension.label : formatKeyAsLabel(key);
+}
+
+/**
+ * Identify a rubric by id and version, e.g. "mainline@2"
+ * @param {Object} rubric - Loaded rubric
+ * @returns {string} - Rubric identifier
+ */
+function getRubricId(rubric) {
+  return `${rubric.id}@${rubric.version}`;
+}
+
+/**
+ * Compute the weighted average of a set of scores using rubric weights
+ * @param {Object} scores - Scores keyed by dimension
+ * @param {Object} rubric - Loaded rubric
+ * @returns {number|null} - Weighted average, or null if no dimension was scored
+ */
+function computeWeightedAverage(scores, rubric) {
+  let total = 0;
+  let weightSum = 0;
+  for (const dimension of rubric.dimensions) {
+    const score = scores ? scores[dimension.key] : undefined;
+    if (typeof score === 'number' && !isNaN(score)) {
+      total += score * dimension.weight;
+      weightSum += dimension.weight;
+    }
+  }
+  return weightSum > 0 ? total / weightSum : null;
+}
+
+/**
+ * Check a model's reported cumulative score against the sum of its per-dimension scores
+ * @param {number} reported - Cumulative score the model reported
+ * @param {Object} scores - Scores keyed by dimension
+ * @param {Object} rubric - Loaded rubric
+ * @returns {Object} - { reported, computed, max, agrees }
+ */
+function checkCumulativeScore(reported, scores, rubric) {
+  const computed = rubric.dimensions.reduce((sum, dimension) => {
+    const score = scores ? scores[dimension.key] : undefined;
+    return typeof score === 'number' && !isNaN(score) ? sum + score : sum;
+  }, 0);
+  return {
+    reported,
+    computed,
+    max: rubric.dimensions.length * rubric.scale.max,
+    // Allow for rounding when the model adds up fractional scores
+    agrees: typeof reported === 'number' && Math.abs(reported - computed) <= 0.5
+  };
+}
+
+/**
+ * Build the JSON schema a radar evaluation reply must match: one score and justification per
+ * rubric dimension within the rubric's scale, plus the overall assessment, cumulative score and audio note
+ * @param {Object} rubric - Loaded rubric
+ * @returns {Object} - JSON schema
+ */
+function buildScoreSchema(rubric) {
+  const keys = getDimensionKeys(rubric);
+  const dimensionSchema = {
+    type: 'object',
+    properties: {
+      score: { type: 'number', minimum: rubric.scale.min, maximum: rubric.scale.max },
+      justification: { type: 'string', minLength: 1 }
+    },
+    required: ['score', 'justification'],
+    additionalProperties: false
+  };
+
+  return {
+    type: 'object',
+    properties: {
+      scores: {
+        type: 'object',
+        properties: keys.reduce((acc, key) => ({ ...acc, [key]: dimensionSchema }), {}),
+        required: keys,
+        additionalProperties: false
+      },
+      overall_assessment: { type: 'string', minLength: 1 },
+      cumulative_score: { type: 'number' },
+      audio_note: { type: 'string' }
+    },
+    required: ['scores', 'overall_assessment', 'cumulative_score', 'audio_note'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Render the scale and dimension definitions of a rubric for an LLM prompt
+ * @param {Object} rubric - Loaded rubric
+ * @returns {string} - Prompt text
+ */
+function formatRubricForPrompt(rubric) {
+  let text = 'The scale is as follows:\n';
+  if (rubric.scale.descriptors.length > 0) {
+    text += rubric.scale.descriptors.map(descriptor => `- ${descriptor}`).join('\n');
+  } else {
+    text += `- Scores range from ${rubric.scale.min} to ${rubric.scale.max}`;
+  }
+  text += '\n\n\nCategories:\n';
+
+  rubric.dimensions.forEach((dimension, index) => {
+    text += `\n${index + 1}. ${dimension.key} – ${dimension.question || dimension.label}\n`;
+    dimension.anchors.forEach(anchor => {
+      text += `   - ${anchor.score}: ${anchor.text}\n`;
+    });
+  });
+
+  return text;
+}
+
+module.exports = {
+  DEFAULT_RUBRIC_PATH,
+  loadRubric,
+  resolveRubric,
+  findTraditionRubric,
+  listTraditionRubrics,
+  findRubricById,
+  assertSameRubric,
+  getDimensionKeys,
+  getDimensionLabel,
+  getRubricId,
+  computeWeightedAverage,
+  checkCumulativeScore,
+  buildScoreSchema,
+  formatRubricForPrompt
+};
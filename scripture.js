@@ -0,0 +1,583 @@
+// Scripture References
+// Parses the free-text references in `texts` ("Luke 15:11b-32", "Ps 23:1-6", "1 Cor 13", "Isaiah 55:1-9, 12-13"),
+// checks the chapter and verse numbers against the book, and writes them back in one canonical form.
+// Chapter and verse limits follow English (NRSV) versification.
+
+/**
+ * Error for a reference that can't be parsed or points past the end of a book or chapter
+ */
+class ScriptureReferenceError extends Error {
+  constructor(message, text) {
+    super(message);
+    this.name = 'ScriptureReferenceError';
+    this.text = text;
+  }
+}
+
+// Verses per chapter, comma separated
+const VERSE_COUNTS = {
+  'Genesis': '31,25,24,26,32,22,24,22,29,32,32,20,18,24,21,16,27,33,38,18,34,24,20,67,34,35,46,22,35,43,55,32,20,31,29,43,36,30,23,23,57,38,34,34,28,34,31,22,33,26',
+  'Exodus': '22,25,22,31,23,30,25,32,35,29,10,51,22,31,27,36,16,27,25,26,36,31,33,18,40,37,21,43,46,38,18,35,23,35,35,38,29,31,43,38',
+  'Leviticus': '17,16,17,35,19,30,38,36,24,20,47,8,59,57,33,34,16,30,37,27,24,33,44,23,55,46,34',
+  'Numbers': '54,34,51,49,31,27,89,26,23,36,35,16,33,45,41,50,13,32,22,29,35,41,30,25,18,65,23,31,40,16,54,42,56,29,34,13',
+  'Deuteronomy': '46,37,29,49,33,25,26,20,29,22,32,32,18,29,23,22,20,22,21,20,23,30,25,22,19,19,26,68,29,20,30,52,29,12',
+  'Joshua': '18,24,17,24,15,27,26,35,27,43,23,24,33,15,63,10,18,28,51,9,45,34,16,33',
+  'Judges': '36,23,31,24,31,40,25,35,57,18,40,15,25,20,20,31,13,31,30,48,25',
+  'Ruth': '22,23,18,22',
+  '1 Samuel': '28,36,21,22,12,21,17,22,27,27,15,25,23,52,35,23,58,30,24,42,15,23,29,22,44,25,12,25,11,31,13',
+  '2 Samuel': '27,32,39,12,25,23,29,18,13,19,27,31,39,33,37,23,29,33,43,26,22,51,39,25',
+  '1 Kings': '53,46,28,34,18,38,51,66,28,29,43,33,34,31,34,34,24,46,21,43,29,53',
+  '2 Kings': '18,25,27,44,27,33,20,29,37,36,21,21,25,29,38,20,41,37,37,21,26,20,37,20,30',
+  '1 Chronicles': '54,55,24,43,26,81,40,40,44,14,47,40,14,17,29,43,27,17,19,8,30,19,32,31,31,32,34,21,30',
+  '2 Chronicles': '17,18,17,22,14,42,22,18,31,19,23,16,22,15,19,14,19,34,11,37,20,12,21,27,28,23,9,27,36,27,21,33,25,33,27,23',
+  'Ezra': '11,70,13,24,17,22,28,36,15,44',
+  'Nehemiah': '11,20,32,23,19,19,73,18,38,39,36,47,31',
+  'Esther': '22,23,15,17,14,14,10,17,32,3',
+  'Job': '22,13,26,21,27,30,21,22,35,22,20,25,28,22,35,22,16,21,29,29,34,30,17,25,6,14,23,28,25,31,40,22,33,37,16,33,24,41,30,24,34,17',
+  'Psalms': '6,12,8,8,12,10,17,9,20,18,7,8,6,7,5,11,15,50,14,9,13,31,6,10,22,12,14,9,11,12,24,11,22,22,28,12,40,22,13,17,13,11,5,26,17,11,9,14,20,23,19,9,6,7,23,13,11,11,17,12,8,12,11,10,13,20,7,35,36,5,24,20,28,23,10,12,20,72,13,19,16,8,18,12,13,17,7,18,52,17,16,15,5,23,11,13,12,9,9,5,8,28,22,35,45,48,43,13,31,7,10,10,9,8,18,19,2,29,176,7,8,9,4,8,5,6,5,6,8,8,3,18,3,3,21,26,9,8,24,13,10,7,12,15,21,10,20,14,9,6',
+  'Proverbs': '33,22,35,27,23,35,27,36,18,32,31,28,25,35,33,33,28,24,29,30,31,29,35,34,28,28,27,28,27,33,31',
+  'Ecclesiastes': '18,26,22,16,20,12,29,17,18,20,10,14',
+  'Song of Songs': '17,17,11,16,16,13,13,14',
+  'Isaiah': '31,22,26,6,30,13,25,22,21,34,16,6,22,32,9,14,14,7,25,6,17,25,18,23,12,21,13,29,24,33,9,20,24,17,10,22,38,22,8,31,29,25,28,28,25,13,15,22,26,11,23,15,12,17,13,12,21,14,21,22,11,12,19,12,25,24',
+  'Jeremiah': '19,37,25,31,31,30,34,22,26,25,23,17,27,22,21,21,27,23,15,18,14,30,40,10,38,24,22,17,32,24,40,44,26,22,19,32,21,28,18,16,18,22,13,30,5,28,7,47,39,46,64,34',
+  'Lamentations': '22,22,66,22,22',
+  'Ezekiel': '28,10,27,17,17,14,27,18,11,22,25,28,23,23,8,63,24,32,14,49,32,31,49,27,17,21,36,26,21,26,18,32,33,31,15,38,28,23,29,49,26,20,27,31,25,24,23,35',
+  'Daniel': '21,49,30,37,31,28,28,27,27,21,45,13',
+  'Hosea': '11,23,5,19,15,11,16,14,17,15,12,14,16,9',
+  'Joel': '20,32,21',
+  'Amos': '15,16,15,13,27,14,17,14,15',
+  'Obadiah': '21',
+  'Jonah': '17,10,10,11',
+  'Micah': '16,13,12,13,15,16,20',
+  'Nahum': '15,13,19',
+  'Habakkuk': '17,20,19',
+  'Zephaniah': '18,15,20',
+  'Haggai': '15,23',
+  'Zechariah': '21,13,10,14,11,15,14,23,17,12,17,14,9,21',
+  'Malachi': '14,17,18,6',
+  'Matthew': '25,23,17,25,48,34,29,34,38,42,30,50,58,36,39,28,27,35,30,34,46,46,39,51,46,75,66,20',
+  'Mark': '45,28,35,41,43,56,37,38,50,52,33,44,37,72,47,20',
+  'Luke': '80,52,38,44,39,49,50,56,62,42,54,59,35,35,32,31,37,43,48,47,38,71,56,53',
+  'John': '51,25,36,54,47,71,53,59,41,42,57,50,38,31,27,33,26,40,42,31,25',
+  'Acts': '26,47,26,37,42,15,60,40,43,48,30,25,52,28,41,40,34,28,41,38,40,30,35,27,27,32,44,31',
+  'Romans': '32,29,31,25,21,23,25,39,33,21,36,21,14,23,33,27',
+  '1 Corinthians': '31,16,23,21,13,20,40,13,27,33,34,31,13,40,58,24',
+  '2 Corinthians': '24,17,18,18,21,18,16,24,15,18,33,21,14',
+  'Galatians': '24,21,29,31,26,18',
+  'Ephesians': '23,22,21,32,33,24',
+  'Philippians': '30,30,21,23',
+  'Colossians': '29,23,25,18',
+  '1 Thessalonians': '10,20,13,18,28',
+  '2 Thessalonians': '12,17,18',
+  '1 Timothy': '20,15,16,16,25,21',
+  '2 Timothy': '18,26,17,22',
+  'Titus': '16,15,15',
+  'Philemon': '25',
+  'Hebrews': '14,18,19,16,14,20,28,13,28,39,40,29,25',
+  'James': '27,26,18,17,20',
+  '1 Peter': '25,25,22,19,14',
+  '2 Peter': '21,22,18',
+  '1 John': '10,29,24,21,21',
+  '2 John': '13',
+  '3 John': '15',
+  'Jude': '25',
+  'Revelation': '20,29,22,11,14,17,17,13,21,11,19,18,18,20,8,21,18,24,21,15,27,21',
+  // Deuterocanon. Versification differs too much between Bibles to check verses in the longer books,
+  // so only their chapter numbers are checked. The additions to Daniel and Psalm 151 are books of their own,
+  // as in the NRSV, rather than extra chapters of Daniel and Psalms.
+  'Psalm 151': '7',
+  'Letter of Jeremiah': '73',
+  'Prayer of Azariah': '68',
+  'Susanna': '64',
+  'Bel and the Dragon': '42',
+  'Prayer of Manasseh': '15'
+};
+
+const CHAPTER_COUNTS = {
+  'Tobit': 14,
+  'Judith': 16,
+  'Additions to Esther': 16,
+  'Wisdom of Solomon': 19,
+  'Sirach': 51,
+  'Baruch': 6,
+  '1 Maccabees': 16,
+  '2 Maccabees': 15,
+  '3 Maccabees': 7,
+  '4 Maccabees': 18,
+  '1 Esdras': 9,
+  '2 Esdras': 16
+};
+
+// Testament and genre of every book. Books not listed here are deuterocanonical.
+const BOOK_GROUPS = [
+  { testament: 'Old Testament', genre: 'Law', books: ['Genesis', 'Exodus', 'Leviticus', 'Numbers', 'Deuteronomy'] },
+  { testament: 'Old Testament', genre: 'History', books: ['Joshua', 'Judges', 'Ruth', '1 Samuel', '2 Samuel', '1 Kings', '2 Kings', '1 Chronicles', '2 Chronicles', 'Ezra', 'Nehemiah', 'Esther'] },
+  { testament: 'Old Testament', genre: 'Wisdom and Poetry', books: ['Job', 'Psalms', 'Proverbs', 'Ecclesiastes', 'Song of Songs'] },
+  { testament: 'Old Testament', genre: 'Major Prophets', books: ['Isaiah', 'Jeremiah', 'Lamentations', 'Ezekiel', 'Daniel'] },
+  { testament: 'Old Testament', genre: 'Minor Prophets', books: ['Hosea', 'Joel', 'Amos', 'Obadiah', 'Jonah', 'Micah', 'Nahum', 'Habakkuk', 'Zephaniah', 'Haggai', 'Zechariah', 'Malachi'] },
+  { testament: 'New Testament', genre: 'Gospels', books: ['Matthew', 'Mark', 'Luke', 'John'] },
+  { testament: 'New Testament', genre: 'Acts', books: ['Acts'] },
+  { testament: 'New Testament', genre: 'Pauline Epistles', books: ['Romans', '1 Corinthians', '2 Corinthians', 'Galatians', 'Ephesians', 'Philippians', 'Colossians', '1 Thessalonians', '2 Thessalonians', '1 Timothy', '2 Timothy', 'Titus', 'Philemon'] },
+  { testament: 'New Testament', genre: 'General Epistles', books: ['Hebrews', 'James', '1 Peter', '2 Peter', '1 John', '2 John', '3 John', 'Jude'] },
+  { testament: 'New Testament', genre: 'Apocalyptic', books: ['Revelation'] }
+];
+
+// Abbreviations and other names, written the way lookups compare them: lowercase, no spaces or periods,
+// and a leading 1/2/3 for numbered books ("I Cor." and "First Corinthians" both become "1cor...")
+const ALIASES = {
+  'Genesis': ['gen', 'ge', 'gn'],
+  'Exodus': ['exod', 'exo', 'ex'],
+  'Leviticus': ['lev', 'le', 'lv'],
+  'Numbers': ['num', 'nu', 'nm', 'nb'],
+  'Deuteronomy': ['deut', 'dt'],
+  'Joshua': ['josh', 'jos', 'jsh'],
+  'Judges': ['judg', 'jdg', 'jg', 'jdgs'],
+  'Ruth': ['rth', 'ru'],
+  '1 Samuel': ['1sam', '1sa', '1sm'],
+  '2 Samuel': ['2sam', '2sa', '2sm'],
+  '1 Kings': ['1kgs', '1ki', '1kg'],
+  '2 Kings': ['2kgs', '2ki', '2kg'],
+  '1 Chronicles': ['1chr', '1chron', '1ch'],
+  '2 Chronicles': ['2chr', '2chron', '2ch'],
+  'Ezra': ['ezr'],
+  'Nehemiah': ['neh', 'ne'],
+  'Esther': ['esth', 'est'],
+  'Job': ['jb'],
+  'Psalms': ['psalm', 'ps', 'psa', 'pss', 'psm', 'pslm'],
+  'Proverbs': ['prov', 'prv', 'pr'],
+  'Ecclesiastes': ['eccl', 'eccles', 'ecc', 'qoh', 'qoheleth'],
+  'Song of Songs': ['song', 'sg', 'sos', 'songofsolomon', 'canticles', 'canticleofcanticles', 'cant'],
+  'Isaiah': ['isa', 'is'],
+  'Jeremiah': ['jer', 'jr'],
+  'Lamentations': ['lam', 'la'],
+  'Ezekiel': ['ezek', 'eze', 'ezk'],
+  'Daniel': ['dan', 'da', 'dn'],
+  'Hosea': ['hos', 'ho'],
+  'Joel': ['jl'],
+  'Amos': ['am'],
+  'Obadiah': ['obad', 'ob'],
+  'Jonah': ['jon', 'jnh'],
+  'Micah': ['mic', 'mc'],
+  'Nahum': ['nah', 'na'],
+  'Habakkuk': ['hab', 'hb'],
+  'Zephaniah': ['zeph', 'zep', 'zp'],
+  'Haggai': ['hag', 'hg'],
+  'Zechariah': ['zech', 'zec', 'zc'],
+  'Malachi': ['mal', 'ml'],
+  'Matthew': ['matt', 'mt'],
+  'Mark': ['mk', 'mrk'],
+  'Luke': ['lk', 'luk'],
+  'John': ['jn', 'jhn'],
+  'Acts': ['act', 'ac', 'actsoftheapostles'],
+  'Romans': ['rom', 'ro', 'rm'],
+  '1 Corinthians': ['1cor', '1co'],
+  '2 Corinthians': ['2cor', '2co'],
+  'Galatians': ['gal', 'ga'],
+  'Ephesians': ['eph', 'ephes'],
+  'Philippians': ['phil', 'php', 'pp'],
+  'Colossians': ['col'],
+  '1 Thessalonians': ['1thess', '1thes', '1th'],
+  '2 Thessalonians': ['2thess', '2thes', '2th'],
+  '1 Timothy': ['1tim', '1ti', '1tm'],
+  '2 Timothy': ['2tim', '2ti', '2tm'],
+  'Titus': ['tit'],
+  'Philemon': ['phlm', 'philem', 'phm'],
+  'Hebrews': ['heb'],
+  'James': ['jas', 'jm'],
+  '1 Peter': ['1pet', '1pe', '1pt'],
+  '2 Peter': ['2pet', '2pe', '2pt'],
+  '1 John': ['1jn', '1jhn', '1jo'],
+  '2 John': ['2jn', '2jhn', '2jo'],
+  '3 John': ['3jn', '3jhn', '3jo'],
+  'Jude': ['jud'],
+  'Revelation': ['rev', 're', 'rv', 'revelations', 'apocalypse', 'revelationofjohn'],
+  'Tobit': ['tob', 'tb'],
+  'Judith': ['jdt', 'jth'],
+  'Additions to Esther': ['addesth', 'gkesth', 'greekesther'],
+  'Wisdom of Solomon': ['wisdom', 'wis', 'ws'],
+  'Sirach': ['sir', 'ecclesiasticus', 'ecclus'],
+  'Baruch': ['bar'],
+  'Letter of Jeremiah': ['letjer', 'epjer', 'epistleofjeremiah'],
+  'Prayer of Azariah': ['prazar', 'azariah', 'songofthethree', 'songofthethreeyoungmen'],
+  'Susanna': ['sus'],
+  'Bel and the Dragon': ['bel'],
+  'Psalm 151': ['ps151', 'psalms151', 'psa151'],
+  'Prayer of Manasseh': ['prman', 'manasseh'],
+  '1 Maccabees': ['1macc', '1mac', '1ma'],
+  '2 Maccabees': ['2macc', '2mac', '2ma'],
+  '3 Maccabees': ['3macc', '3mac', '3ma'],
+  '4 Maccabees': ['4macc', '4mac', '4ma'],
+  '1 Esdras': ['1esd'],
+  '2 Esdras': ['2esd']
+};
+
+const BOOKS = [...Object.keys(VERSE_COUNTS), ...Object.keys(CHAPTER_COUNTS)].map(name => {
+  const verses = VERSE_COUNTS[name] ? VERSE_COUNTS[name].split(',').map(Number) : null;
+  const group = BOOK_GROUPS.find(entry => entry.books.includes(name));
+  return {
+    name,
+    key: toBookKey(name),
+    chapters: verses ? verses.length : CHAPTER_COUNTS[name],
+    verses,
+    testament: group ? group.testament : 'Deuterocanon',
+    genre: group ? group.genre : 'Deuterocanon'
+  };
+});
+
+const BOOKS_BY_KEY = new Map();
+BOOKS.forEach(book => {
+  [book.key, ...(ALIASES[book.name] || [])].forEach(alias => BOOKS_BY_KEY.set(alias, book));
+});
+
+/**
+ * Reduce a book name to its lookup key ("I Cor." -> "1cor", "Song of Songs" -> "songofsongs")
+ * @param {string} name - Book name as written
+ * @returns {string} - Lookup key
+ */
+function toBookKey(name) {
+  const ordinals = { i: '1', ii: '2', iii: '3', iv: '4', first: '1', second: '2', third: '3', fourth: '4', '1st': '1', '2nd': '2', '3rd': '3', '4th': '4' };
+  const lower = name.toLowerCase().trim();
+  const match = lower.match(/^(iii|ii|iv|i|first|second|third|fourth|1st|2nd|3rd|4th)[\s.]+(.*)$/);
+  const normalized = match ? ordinals[match[1]] + match[2] : lower;
+  return normalized.replace(/[\s.]/g, '');
+}
+
+/**
+ * Look up a book by name, abbreviation or unambiguous prefix of its full name
+ * @param {string} name - Book name as written
+ * @returns {Object} - Book { name, chapters, verses, testament, genre }
+ */
+function findBook(name) {
+  const key = toBookKey(name);
+  if (BOOKS_BY_KEY.has(key)) {
+    return BOOKS_BY_KEY.get(key);
+  }
+  const candidates = key.length >= 3 ? BOOKS.filter(book => book.key.startsWith(key)) : [];
+  if (candidates.length === 1) {
+    return candidates[0];
+  }
+  if (candidates.length > 1) {
+    throw new ScriptureReferenceError(`Ambiguous book "${name}" (${candidates.map(book => book.name).join(', ')})`, name);
+  }
+  throw new ScriptureReferenceError(`Unknown book "${name}"`, name);
+}
+
+/**
+ * Parse one point in a reference: "15", "15:11" or "15:11b"
+ * @param {string} text - Point text
+ * @param {string} reference - Whole reference, for error messages
+ * @returns {Object} - { first, second, part } where second is the number after a colon
+ */
+function parsePoint(text, reference) {
+  const match = text.trim().match(/^(\d+)(?::(\d+))?([a-e])?$/i);
+  if (!match) {
+    throw new ScriptureReferenceError(`Can't read "${text.trim()}" in "${reference}"`, reference);
+  }
+  return {
+    first: parseInt(match[1], 10),
+    second: match[2] !== undefined ? parseInt(match[2], 10) : null,
+    part: match[3] ? match[3].toLowerCase() : null
+  };
+}
+
+/**
+ * Parse the chapters and verses after a book name into ranges.
+ * Commas continue the current chapter ("15:1-3, 11b-32"); semicolons start a new one ("55:1-9; 56:1").
+ * @param {Object} book - Book from findBook
+ * @param {string} text - Chapters and verses, e.g. "15:1-3, 11b-32"
+ * @param {string} reference - Whole reference, for error messages
+ * @returns {Object[]} - Ranges { start: { chapter, verse, part }, end: { chapter, verse, part } }; verse is null for whole chapters
+ */
+function parseRanges(book, text, reference) {
+  const ranges = [];
+  let chapter = null;
+  let inVerses = false;
+
+  // Split on separators, remembering which one came before each segment
+  const segments = text.split(/([,;])/);
+  for (let i = 0; i < segments.length; i += 2) {
+    const separator = i > 0 ? segments[i - 1] : null;
+    const segment = segments[i].trim();
+    if (!segment) {
+      throw new ScriptureReferenceError(`Empty range in "${reference}"`, reference);
+    }
+    const [startText, endText, extra] = segment.split('-');
+    if (extra !== undefined) {
+      throw new ScriptureReferenceError(`Can't read "${segment}" in "${reference}"`, reference);
+    }
+    const start = parsePoint(startText, reference);
+    const end = endText !== undefined ? parsePoint(endText, reference) : null;
+
+    // A bare number is a verse in one-chapter books and after "chapter:verse" followed by a comma; otherwise a chapter
+    const bareIsVerse = book.chapters === 1 || (separator === ',' && inVerses);
+    let startPoint;
+    if (start.second !== null) {
+      startPoint = { chapter: start.first, verse: start.second, part: start.part };
+    } else if (bareIsVerse) {
+      startPoint = { chapter: chapter || 1, verse: start.first, part: start.part };
+    } else {
+      if (start.part) {
+        throw new ScriptureReferenceError(`Verse part "${start.part}" needs a verse in "${reference}"`, reference);
+      }
+      startPoint = { chapter: start.first, verse: null, part: null };
+    }
+
+    let endPoint = startPoint;
+    if (end) {
+      if (end.second !== null) {
+        endPoint = { chapter: end.first, verse: end.second, part: end.part };
+      } else if (startPoint.verse !== null) {
+        endPoint = { chapter: startPoint.chapter, verse: end.first, part: end.part };
+      } else {
+        endPoint = { chapter: end.first, verse: null, part: null };
+      }
+    }
+
+    ranges.push({ start: startPoint, end: endPoint });
+    chapter = endPoint.chapter;
+    inVerses = endPoint.verse !== null;
+  }
+  return ranges;
+}
+
+/**
+ * Check that a range points at chapters and verses that exist and runs forwards
+ * @param {Object} book - Book from findBook
+ * @param {Object} range - Range from parseRanges
+ * @param {string} reference - Whole reference, for error messages
+ */
+function checkRange(book, range, reference) {
+  for (const point of [range.start, range.end]) {
+    if (point.chapter < 1 || point.chapter > book.chapters) {
+      throw new ScriptureReferenceError(
+        `${book.name} has ${book.chapters} chapter${book.chapters === 1 ? '' : 's'}, so chapter ${point.chapter} in "${reference}" doesn't exist`,
+        reference
+      );
+    }
+    if (point.verse === null) {
+      continue;
+    }
+    const maxVerse = book.verses ? book.verses[point.chapter - 1] : Infinity;
+    if (point.verse < 1 || point.verse > maxVerse) {
+      throw new ScriptureReferenceError(
+        `${book.name} ${book.chapters === 1 ? '' : `${point.chapter} `}has ${maxVerse} verses, so verse ${point.verse} in "${reference}" doesn't exist`,
+        reference
+      );
+    }
+  }
+
+  const position = point => [point.chapter, point.verse === null ? 0 : point.verse, point.part || ''];
+  const [startChapter, startVerse, startPart] = position(range.start);
+  const [endChapter, endVerse, endPart] = position(range.end);
+  const backwards = endChapter < startChapter ||
+    (endChapter === startChapter && range.end.verse !== null && range.start.verse !== null &&
+      (endVerse < startVerse || (endVerse === startVerse && endPart < startPart)));
+  if (backwards) {
+    throw new ScriptureReferenceError(`Range runs backwards in "${reference}"`, reference);
+  }
+}
+
+/**
+ * Parse a reference. Several books may be given, separated by semicolons ("Luke 15:1-3; John 3:16").
+ * @param {string} text - Reference as written
+ * @returns {Object[]} - One { book, ranges } per book
+ */
+function parseReference(text) {
+  const reference = String(text).trim();
+  // Dashes of every kind mean a range; translation notes like "(NRSV)" and "vv." are ignored
+  const cleaned = reference
+    .replace(/[‐-―−]/g, '-')
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/\bvv?\.\s*/gi, '')
+    .replace(/[.;,\s]+$/, '')
+    .trim();
+  if (!cleaned) {
+    throw new ScriptureReferenceError('Reference is empty', reference);
+  }
+
+  // Each new book starts where a name follows a semicolon; anything else continues the current book
+  const references = [];
+  const parts = cleaned.split(/;\s*(?=(?:[1-4]\s*|i{1,3}\s+|iv\s+)?[a-z]{2})/i);
+  for (const part of parts) {
+    // Psalm 151 is written like a psalm ("Ps 151:1-5") but is a book of its own
+    const psalm151 = part.match(/^(?:psalms?|pss?|psa|psm|pslm)[\s.]*151(?:\s*:\s*|\s+|$)(.*)$/i);
+    if (psalm151) {
+      const book = findBook('Psalm 151');
+      const ranges = psalm151[1] ? parseRanges(book, psalm151[1], reference) : [];
+      ranges.forEach(range => checkRange(book, range, reference));
+      references.push({ book: book.name, ranges });
+      continue;
+    }
+    const match = part.match(/^((?:[1-4]|i{1,3}|iv|first|second|third|fourth|1st|2nd|3rd|4th)?[\s.]*[a-z][a-z\s.]*?)\s*(\d[\d\s:,;a-e-]*)?$/i);
+    if (!match) {
+      throw new ScriptureReferenceError(`Can't read "${part}"`, reference);
+    }
+    const book = findBook(match[1]);
+    const ranges = match[2] ? parseRanges(book, match[2], reference) : [];
+    ranges.forEach(range => checkRange(book, range, reference));
+    references.push({ book: book.name, ranges });
+  }
+  return references;
+}
+
+/**
+ * Write a parsed reference in canonical form ("Luke 15:1-3, 11b-32", "Psalm 23", "Jude 3-4")
+ * @param {Object} parsed - { book, ranges } from parseReference
+ * @returns {string} - Canonical reference
+ */
+function formatReference(parsed) {
+  const book = findBook(parsed.book);
+  const singleChapter = book.chapters === 1;
+  const verse = point => `${point.verse}${point.part || ''}`;
+  const full = point => {
+    if (point.verse === null) {
+      return `${point.chapter}`;
+    }
+    return singleChapter ? verse(point) : `${point.chapter}:${verse(point)}`;
+  };
+  const rangeEnd = range => {
+    const { start, end } = range;
+    if (start.chapter === end.chapter && start.verse === end.verse && start.part === end.part) {
+      return '';
+    }
+    if (start.chapter === end.chapter && start.verse !== null && end.verse !== null) {
+      return `-${verse(end)}`;
+    }
+    return `-${full(end)}`;
+  };
+
+  let text = '';
+  let previous = null;
+  for (const range of parsed.ranges) {
+    // Verses in the chapter we're already in only need their verse numbers
+    if (previous && previous.end.verse !== null && range.start.verse !== null && range.start.chapter === previous.end.chapter) {
+      text += `, ${verse(range.start)}${rangeEnd(range)}`;
+    } else {
+      text += `${previous ? '; ' : ''}${full(range.start)}${rangeEnd(range)}`;
+    }
+    previous = range;
+  }
+
+  // "Psalm 23" for verses from one psalm, "Psalms" for several or the whole book
+  let name = book.name;
+  const chapters = new Set(parsed.ranges.flatMap(range => [range.start.chapter, range.end.chapter]));
+  if (name === 'Psalms' && chapters.size === 1) {
+    name = 'Psalm';
+  }
+  // A book named with a number takes its verses after a colon ("Psalm 151:1-5")
+  return text ? `${name}${/\d$/.test(name) ? ':' : ' '}${text}` : name;
+}
+
+/**
+ * Normalize a reference to canonical form
+ * @param {string} text - Reference as written
+ * @returns {string[]} - One canonical reference per book
+ */
+function normalizeReference(text) {
+  return parseReference(text).map(formatReference);
+}
+
+/**
+ * Normalize a sermon's texts. References that can't be read are kept as written and reported.
+ * @param {string[]|string} texts - The `texts` frontmatter field
+ * @returns {Object} - { texts: canonical references (duplicates removed), invalid: [{ text, error }] }
+ */
+function normalizeTexts(texts) {
+  const list = Array.isArray(texts) ? texts : (texts ? [texts] : []);
+  const normalized = [];
+  const invalid = [];
+  for (const text of list) {
+    try {
+      normalized.push(...normalizeReference(text));
+    } catch (error) {
+      if (!(error instanceof ScriptureReferenceError)) {
+        throw error;
+      }
+      normalized.push(text);
+      invalid.push({ text, error: error.message });
+    }
+  }
+  return { texts: [...new Set(normalized)], invalid };
+}
+
+/**
+ * Check a sermon's texts without changing them
+ * @param {string[]|string} texts - The `texts` frontmatter field
+ * @returns {string[]} - Error messages, one per problem
+ */
+function validateTexts(texts) {
+  if (texts === undefined || texts === null) {
+    return [];
+  }
+  if (!Array.isArray(texts)) {
+    return ['texts must be a list of scripture references'];
+  }
+  const errors = [];
+  for (const text of texts) {
+    try {
+      const canonical = normalizeReference(text).join('; ');
+      if (canonical !== text) {
+        errors.push(`Scripture reference "${text}" is not in canonical form (expected "${canonical}")`);
+      }
+    } catch (error) {
+      if (!(error instanceof ScriptureReferenceError)) {
+        throw error;
+      }
+      errors.push(`Invalid scripture reference: ${error.message}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * List every book, in canonical order (Old Testament, New Testament, then the deuterocanonical books)
+ * @returns {Object[]} - Books { name, chapters, testament, genre }
+ */
+function listBooks() {
+  return BOOKS.map(({ name, chapters, testament, genre }) => ({ name, chapters, testament, genre }));
+}
+
+/**
+ * Find the references in one list that share at least one verse with a reference in another.
+ * Whole chapters and whole books cover every verse in them; references that can't be read never overlap.
+ * @param {string[]} first - References
+ * @param {string[]} second - References
+ * @returns {Array<string[]>} - [fromFirst, fromSecond] pairs
+ */
+function findOverlappingReferences(first, second) {
+  const toSpans = references => references.flatMap(reference => {
+    try {
+      return parseReference(reference).flatMap(({ book, ranges }) => (ranges.length > 0 ? ranges : [null]).map(range => ({
+        reference,
+        book,
+        start: range ? [range.start.chapter, range.start.verse === null ? 0 : range.start.verse] : [0, 0],
+        end: range ? [range.end.chapter, range.end.verse === null ? Infinity : range.end.verse] : [Infinity, Infinity]
+      })));
+    } catch (error) {
+      return [];
+    }
+  });
+  const compare = (a, b) => (a[0] - b[0]) || (a[1] - b[1]);
+  const secondSpans = toSpans(second);
+  const pairs = new Map();
+  for (const span of toSpans(first)) {
+    for (const other of secondSpans) {
+      if (span.book === other.book && compare(span.start, other.end) <= 0 && compare(other.start, span.end) <= 0) {
+        pairs.set(`${span.reference}\n${other.reference}`, [span.reference, other.reference]);
+      }
+    }
+  }
+  return [...pairs.values()];
+}
+
+module.exports = {
+  ScriptureReferenceError,
+  findBook,
+  listBooks,
+  parseReference,
+  formatReference,
+  normalizeReference,
+  normalizeTexts,
+  validateTexts,
+  findOverlappingReferences
+};
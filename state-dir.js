@@ -0,0 +1,47 @@
+// Tool State Directory
+// Jobs, indexes and caches live under "<vault>/.sermon-ai" (or SERMON_AI_STATE_DIR) rather than next to the sermons.
+// A run that names no vault keeps them in the user's state directory, never in whatever directory it was started from.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Get the user's own state directory for the tool: $XDG_STATE_HOME/sermon-ai, %LOCALAPPDATA%\sermon-ai on Windows,
+ * or ~/.local/state/sermon-ai
+ * @returns {string} - Absolute directory path
+ */
+function getUserStateDir() {
+  if (process.env.XDG_STATE_HOME) {
+    return path.join(path.resolve(process.env.XDG_STATE_HOME), 'sermon-ai');
+  }
+  if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+    return path.join(process.env.LOCALAPPDATA, 'sermon-ai');
+  }
+  return path.join(os.homedir(), '.local', 'state', 'sermon-ai');
+}
+
+/**
+ * Get (and create) a directory for the tool's own state
+ * @param {string} [vaultPath] - Vault root; defaults to VAULT_PATH, then the user's state directory
+ * @param {...string} segments - Subdirectory, e.g. "jobs"
+ * @returns {string} - Absolute directory path
+ */
+function getStateDir(vaultPath, ...segments) {
+  const vault = vaultPath || process.env.VAULT_PATH;
+  let root;
+  if (process.env.SERMON_AI_STATE_DIR) {
+    root = path.resolve(process.env.SERMON_AI_STATE_DIR);
+  } else if (vault) {
+    root = path.join(path.resolve(vault), '.sermon-ai');
+  } else {
+    root = getUserStateDir();
+  }
+  const dir = path.join(root, ...segments);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+module.exports = {
+  getUserStateDir,
+  getStateDir
+};
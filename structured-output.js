@@ -0,0 +1,216 @@
+// Structured LLM Output
+// Request JSON matching a schema, validate the reply, and ask the model to repair malformed output
+const { chatCompletion } = require('./llm-providers');
+
+/**
+ * Raised when a model still returns invalid output after all repair attempts
+ */
+class StructuredOutputError extends Error {
+  constructor(message, { errors = [], text = '' } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+    this.text = text;
+  }
+}
+
+/**
+ * Pull the first complete JSON object out of an LLM reply.
+ * Handles fenced ```json blocks and prose around the object; braces inside strings are ignored.
+ * @param {string} text - LLM response text
+ * @returns {Object} - Parsed JSON value
+ */
+function extractJson(text) {
+  const source = String(text || '');
+  const fenced = source.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidates = fenced ? [fenced[1], source] : [source];
+
+  let lastError = new Error('No JSON object found in response');
+  for (const candidate of candidates) {
+    let start = candidate.indexOf('{');
+    while (start !== -1) {
+      const end = findMatchingBrace(candidate, start);
+      if (end === -1) {
+        lastError = new Error('JSON object in response is not closed');
+        break;
+      }
+      try {
+        return JSON.parse(candidate.slice(start, end + 1));
+      } catch (error) {
+        lastError = new Error(`Invalid JSON in response: ${error.message}`);
+      }
+      start = candidate.indexOf('{', start + 1);
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Find the index of the brace that closes the object opened at `start`
+ * @param {string} text - Text to scan
+ * @param {number} start - Index of an opening brace
+ * @returns {number} - Index of the closing brace, or -1
+ */
+function findMatchingBrace(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by our prompts
+ * (type, properties, required, additionalProperties, items, minItems, minLength, minimum, maximum, enum)
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} [at] - Path of the value, for error messages
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+function validateAgainstSchema(value, schema, at = '$') {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    errors.push(`${at} must be ${types.join(' or ')}`);
+    return errors;
+  }
+  if (value === null) {
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at} must be <= ${schema.maximum}`);
+    }
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${at} must not be empty`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at} must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${at}[${index}]`)));
+    }
+  } else if (typeof value === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${at}.${key} is missing`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(value[key], properties[key], `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not an allowed field`);
+      }
+    });
+  }
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && !isNaN(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Build the repair prompt sent back to a model whose reply failed validation
+ * @param {string[]} errors - Problems found in the reply
+ * @returns {string} - Prompt text
+ */
+function formatRepairPrompt(errors) {
+  return `Your previous reply could not be used because of these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with ONLY the corrected JSON object. Keep everything that was already valid and fix only the problems listed.`;
+}
+
+/**
+ * Ask a model for a JSON object matching a schema, repairing malformed replies.
+ * Providers with native structured output or tool calling get the schema directly;
+ * every reply is still parsed and validated here.
+ * @param {string} [spec] - Model spec
+ * @param {Object} request - { system, messages, temperature, max_tokens }
+ * @param {Object} options - Structured output options
+ * @param {string} options.name - Schema name (letters, digits, underscores)
+ * @param {Object} options.schema - JSON schema for the reply
+ * @param {number} [options.maxRepairs] - Repair prompts to send before giving up
+ * @param {string} [options.defaultProvider] - Provider for bare model names
+ * @returns {Promise<Object>} - { data, response, repairs }
+ */
+async function requestStructured(spec, request, options) {
+  const { name, schema, maxRepairs = 2, defaultProvider } = options;
+  const messages = [...request.messages];
+  let lastErrors = [];
+  let lastText = '';
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    const response = await chatCompletion(
+      spec,
+      { ...request, messages, responseSchema: { name, schema } },
+      { defaultProvider }
+    );
+    lastText = response.text;
+
+    let data = null;
+    try {
+      data = extractJson(response.text);
+      lastErrors = validateAgainstSchema(data, schema);
+    } catch (error) {
+      lastErrors = [error.message];
+    }
+
+    if (lastErrors.length === 0) {
+      return { data, response, repairs: attempt };
+    }
+    if (attempt < maxRepairs) {
+      console.warn(`${response.spec} returned invalid ${name} output (${lastErrors.length} problem(s)), asking it to repair...`);
+      messages.push({ role: 'assistant', content: response.text || '(empty reply)' });
+      messages.push({ role: 'user', content: formatRepairPrompt(lastErrors) });
+    }
+  }
+
+  throw new StructuredOutputError(
+    `Model output for ${name} was still invalid after ${maxRepairs} repair attempt(s): ${lastErrors.join('; ')}`,
+    { errors: lastErrors, text: lastText }
+  );
+}
+
+module.exports = {
+  StructuredOutputError,
+  extractJson,
+  validateAgainstSchema,
+  requestStructured
+};
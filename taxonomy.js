@@ -0,0 +1,466 @@
+// Controlled Vocabulary for Themes and Metaphors
+// A vault-level taxonomy file lists each preferred term with its synonyms and broader terms. The model is given
+// the preferred terms, its output is mapped onto them, and the suggest/apply commands merge the free-form tags
+// already in the vault.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const matter = require('gray-matter');
+const { findMarkdownFiles, updateFileWithYAML } = require('./yaml-generator');
+const { updateIndex } = require('./vault-index');
+
+const TAXONOMY_FIELDS = ['themes', 'metaphors'];
+
+// Words left out when comparing tags for suggested merges ("love of the father" ~ "father's love")
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'and', 'in', 'on', 'for', 'to', 'our', 'his', 'her', 'their', 'its', 'my', 'your']);
+
+/**
+ * Get the taxonomy file for a vault
+ * @param {string} [vaultPath] - Vault root; defaults to VAULT_PATH
+ * @returns {string|null} - TAXONOMY_PATH, else taxonomy.yaml in the vault root, or null if there's no vault
+ */
+function getTaxonomyPath(vaultPath = process.env.VAULT_PATH) {
+  if (process.env.TAXONOMY_PATH) {
+    return path.resolve(process.env.TAXONOMY_PATH);
+  }
+  return vaultPath ? path.join(path.resolve(vaultPath), 'taxonomy.yaml') : null;
+}
+
+/**
+ * Reduce a tag to the form lookups compare: lowercase, no possessive "'s", punctuation or extra spaces
+ * @param {string} tag - Tag as written
+ * @returns {string} - Lookup key
+ */
+function toTagKey(tag) {
+  return String(tag)
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Load a taxonomy file
+ * @param {string} [filePath] - Path to the file; defaults to getTaxonomyPath()
+ * @returns {Object|null} - { path, themes: entries, metaphors: entries }, where each entry is
+ *                          { term, synonyms, broader }, or null if there's no taxonomy file
+ */
+function loadTaxonomy(filePath = getTaxonomyPath()) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+  let data;
+  try {
+    data = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  } catch (error) {
+    throw new Error(`Could not parse taxonomy file ${filePath}: ${error.message}`);
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Invalid taxonomy in ${filePath}: expected "themes" and "metaphors" lists`);
+  }
+
+  const taxonomy = { path: filePath };
+  for (const field of TAXONOMY_FIELDS) {
+    const entries = data[field] || [];
+    if (!Array.isArray(entries)) {
+      throw new Error(`Invalid taxonomy in ${filePath}: "${field}" must be a list`);
+    }
+    taxonomy[field] = entries.map((entry, index) => {
+      if (!entry || typeof entry.term !== 'string' || !entry.term.trim()) {
+        throw new Error(`Invalid taxonomy in ${filePath}: ${field} entry ${index + 1} needs a "term"`);
+      }
+      return {
+        term: entry.term.trim(),
+        synonyms: (entry.synonyms || []).map(String),
+        broader: (entry.broader || []).map(String)
+      };
+    });
+    // Build the lookup once, so a tag claimed by two terms is reported when the file is loaded
+    buildLookup(taxonomy[field], `${filePath} (${field})`);
+  }
+  return taxonomy;
+}
+
+/**
+ * Map every term and synonym key to its preferred term
+ * @param {Object[]} entries - Taxonomy entries for one field
+ * @param {string} [source] - Where the entries came from, for error messages
+ * @returns {Map<string, string>} - Tag key -> preferred term
+ */
+function buildLookup(entries, source = 'taxonomy') {
+  const lookup = new Map();
+  for (const entry of entries) {
+    for (const tag of [entry.term, ...entry.synonyms]) {
+      const key = toTagKey(tag);
+      if (lookup.has(key) && lookup.get(key) !== entry.term) {
+        throw new Error(`Invalid taxonomy in ${source}: "${tag}" belongs to both "${lookup.get(key)}" and "${entry.term}"`);
+      }
+      lookup.set(key, entry.term);
+    }
+  }
+  return lookup;
+}
+
+/**
+ * Map tags onto their preferred terms. Tags the taxonomy doesn't know are kept as written.
+ * @param {string[]} tags - Tags
+ * @param {Object[]} entries - Taxonomy entries for the field
+ * @returns {string[]} - Tags with duplicates removed, in their original order
+ */
+function normalizeTags(tags, entries) {
+  if (!Array.isArray(tags)) {
+    return tags;
+  }
+  const lookup = buildLookup(entries || []);
+  const normalized = tags
+    .filter(tag => tag != null && String(tag).trim() !== '')
+    .map(tag => lookup.get(toTagKey(tag)) || String(tag).trim());
+  return [...new Set(normalized)];
+}
+
+/**
+ * Map a sermon's themes and metaphors onto the taxonomy's preferred terms
+ * @param {Object} metadata - Sermon frontmatter
+ * @param {Object|null} taxonomy - Taxonomy from loadTaxonomy
+ * @returns {Object} - { metadata: copy with normalized tags, changed: whether any tag changed }
+ */
+function applyTaxonomy(metadata, taxonomy) {
+  const result = { ...metadata };
+  let changed = false;
+  if (!taxonomy) {
+    return { metadata: result, changed };
+  }
+  for (const field of TAXONOMY_FIELDS) {
+    if (Array.isArray(metadata[field])) {
+      result[field] = normalizeTags(metadata[field], taxonomy[field]);
+      changed = changed || JSON.stringify(result[field]) !== JSON.stringify(metadata[field]);
+    }
+  }
+  return { metadata: result, changed };
+}
+
+/**
+ * Describe the preferred vocabulary for the metadata prompt
+ * @param {Object|null} taxonomy - Taxonomy from loadTaxonomy
+ * @returns {string} - Prompt section, or '' if there's no taxonomy
+ */
+function formatTaxonomyForPrompt(taxonomy) {
+  if (!taxonomy || TAXONOMY_FIELDS.every(field => taxonomy[field].length === 0)) {
+    return '';
+  }
+  const describe = entry => {
+    const notes = [];
+    if (entry.synonyms.length > 0) {
+      notes.push(`instead of ${entry.synonyms.map(synonym => `"${synonym}"`).join(', ')}`);
+    }
+    if (entry.broader.length > 0) {
+      notes.push(`a kind of ${entry.broader.join(', ')}`);
+    }
+    return `- ${entry.term}${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`;
+  };
+  const sections = TAXONOMY_FIELDS
+    .filter(field => taxonomy[field].length > 0)
+    .map(field => `${field.toUpperCase()}:\n${taxonomy[field].map(describe).join('\n')}`);
+  return `
+PREFERRED VOCABULARY:
+This vault uses the terms below for themes and metaphors. When one fits, use it exactly as written here rather than a
+synonym or a variation. Only add a new term when none of these fits.
+
+${sections.join('\n\n')}
+`;
+}
+
+/**
+ * Reduce a tag to a rough signature for spotting variations: stop words dropped, words crudely stemmed and sorted
+ * ("Fatherly love", "father's love" and "love of the Father" all become "father lov")
+ * @param {string} tag - Tag
+ * @returns {string} - Signature
+ */
+function toTagSignature(tag) {
+  const stem = word => {
+    let stemmed = word;
+    if (stemmed.length > 4 && stemmed.endsWith('ies')) {
+      stemmed = `${stemmed.slice(0, -3)}y`;
+    } else if (stemmed.length > 3 && stemmed.endsWith('s') && !stemmed.endsWith('ss')) {
+      stemmed = stemmed.slice(0, -1);
+    }
+    const suffix = ['ing', 'ly', 'ed'].find(ending => stemmed.endsWith(ending) && stemmed.length - ending.length >= 3);
+    if (suffix) {
+      stemmed = stemmed.slice(0, -suffix.length);
+    }
+    return stemmed.length > 3 && stemmed.endsWith('e') ? stemmed.slice(0, -1) : stemmed;
+  };
+  const words = toTagKey(tag).split(' ').filter(word => word && !STOP_WORDS.has(word));
+  return [...new Set(words.map(stem))].sort().join(' ');
+}
+
+/**
+ * Edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Cluster a field's tags into proposed merges. Tags join a cluster when their signatures match or their
+ * spellings are a typo apart; a cluster that reaches a taxonomy entry is proposed as new synonyms for it.
+ * @param {Object} counts - { [tag]: number of sermons using it }
+ * @param {Object[]} [entries] - Existing taxonomy entries for the field
+ * @returns {Object[]} - Proposals { term, synonyms: [{ tag, count }], existing: whether term is already in the taxonomy }
+ */
+function suggestMerges(counts, entries = []) {
+  const lookup = buildLookup(entries);
+  const known = new Set(entries.flatMap(entry => [entry.term, ...entry.synonyms]).map(toTagKey));
+
+  // Nodes are tag keys; tags that differ only in case or punctuation are one node
+  const nodes = new Map();
+  const addNode = (tag, count, term = null) => {
+    const key = toTagKey(tag);
+    if (!key) {
+      return;
+    }
+    const node = nodes.get(key) || { key, tags: new Map(), count: 0, term: null };
+    node.tags.set(tag, (node.tags.get(tag) || 0) + count);
+    node.count += count;
+    node.term = node.term || term;
+    nodes.set(key, node);
+  };
+  entries.forEach(entry => [entry.term, ...entry.synonyms].forEach(tag => addNode(tag, 0, entry.term)));
+  Object.entries(counts).forEach(([tag, count]) => addNode(tag, count, lookup.get(toTagKey(tag)) || null));
+
+  // Union-find over the nodes
+  const list = [...nodes.values()];
+  const parent = list.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (i, j) => {
+    parent[find(i)] = find(j);
+  };
+  const bySignature = new Map();
+  list.forEach((node, i) => {
+    const signature = toTagSignature(node.key);
+    if (bySignature.has(signature)) {
+      union(i, bySignature.get(signature));
+    } else {
+      bySignature.set(signature, i);
+    }
+  });
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const a = list[i].key;
+      const b = list[j].key;
+      // One typo in a short tag, two in a long one
+      const allowed = Math.min(a.length, b.length) >= 8 ? 2 : Math.min(a.length, b.length) >= 5 ? 1 : 0;
+      if (allowed > 0 && Math.abs(a.length - b.length) <= allowed && editDistance(a, b) <= allowed) {
+        union(i, j);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  list.forEach((node, i) => {
+    const root = find(i);
+    clusters.set(root, [...(clusters.get(root) || []), node]);
+  });
+
+  const proposals = [];
+  for (const members of clusters.values()) {
+    const terms = [...new Set(members.map(node => node.term).filter(Boolean))];
+    // A cluster spanning two existing terms needs a person to decide; leave it alone
+    if (terms.length > 1) {
+      continue;
+    }
+    const tags = members.flatMap(node => [...node.tags].map(([tag, count]) => ({ tag, count })));
+    const term = terms[0] || [...tags]
+      .sort((a, b) => b.count - a.count || a.tag.length - b.tag.length || a.tag.localeCompare(b.tag))[0].tag;
+    // Variants already covered by the taxonomy (including ones differing only in case from a listed tag) are left out
+    const synonyms = tags
+      .filter(({ tag, count }) => tag !== term && count > 0 && !known.has(toTagKey(tag)))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    if (synonyms.length > 0) {
+      proposals.push({ term, synonyms, existing: terms.length === 1 });
+    }
+  }
+  return proposals.sort((a, b) => a.term.localeCompare(b.term));
+}
+
+/**
+ * Count how many sermons use each theme and metaphor
+ * @param {Object} index - Vault index from updateIndex
+ * @returns {Object} - { themes: { [tag]: count }, metaphors: { [tag]: count } }
+ */
+function countTags(index) {
+  const counts = { themes: {}, metaphors: {} };
+  for (const entry of Object.values(index.files)) {
+    for (const field of TAXONOMY_FIELDS) {
+      const tags = Array.isArray(entry[field]) ? entry[field] : [];
+      new Set(tags.filter(tag => tag != null).map(tag => String(tag).trim())).forEach(tag => {
+        counts[field][tag] = (counts[field][tag] || 0) + 1;
+      });
+    }
+  }
+  return counts;
+}
+
+/**
+ * Add proposed merges to a taxonomy file, creating it if needed. Comments in the file are not kept.
+ * @param {string} filePath - Taxonomy file
+ * @param {Object} proposals - { themes: proposals, metaphors: proposals } from suggestMerges
+ * @returns {number} - Number of tags merged
+ */
+function writeProposals(filePath, proposals) {
+  const data = fs.existsSync(filePath) ? (yaml.load(fs.readFileSync(filePath, 'utf8')) || {}) : {};
+  let added = 0;
+  for (const field of TAXONOMY_FIELDS) {
+    data[field] = data[field] || [];
+    for (const proposal of proposals[field] || []) {
+      let entry = data[field].find(existing => existing.term === proposal.term);
+      if (!entry) {
+        entry = { term: proposal.term, synonyms: [] };
+        data[field].push(entry);
+      }
+      // Tags that differ from the term only in case or punctuation already map to it
+      const synonyms = proposal.synonyms.map(({ tag }) => tag).filter(tag => toTagKey(tag) !== toTagKey(proposal.term));
+      entry.synonyms = [...(entry.synonyms || []), ...synonyms];
+      added += proposal.synonyms.length;
+    }
+    data[field].sort((a, b) => String(a.term).localeCompare(String(b.term)));
+  }
+  fs.writeFileSync(filePath, yaml.dump(data, { lineWidth: 120 }));
+  return added;
+}
+
+/**
+ * Rewrite the themes and metaphors of every sermon in a vault with the taxonomy's preferred terms
+ * @param {string} vaultPath - Vault root
+ * @param {Object} taxonomy - Taxonomy from loadTaxonomy
+ * @param {Object} [options] - { dryRun: report without writing }
+ * @returns {Object[]} - Changed sermons { path, before: { themes, metaphors }, after: { themes, metaphors }, written }
+ */
+function applyTaxonomyToVault(vaultPath, taxonomy, options = {}) {
+  const changes = [];
+  for (const filePath of findMarkdownFiles(vaultPath)) {
+    const { data } = matter(fs.readFileSync(filePath, 'utf8'));
+    const { metadata, changed } = applyTaxonomy(data, taxonomy);
+    if (!changed) {
+      continue;
+    }
+    // YAML reads unquoted dates as Date objects; write them back as dates rather than timestamps
+    for (const [key, value] of Object.entries(metadata)) {
+      if (value instanceof Date && value.toISOString().endsWith('T00:00:00.000Z')) {
+        metadata[key] = value.toISOString().slice(0, 10);
+      }
+    }
+    const written = options.dryRun ? false : updateFileWithYAML(filePath, metadata);
+    changes.push({
+      path: path.relative(vaultPath, filePath),
+      before: { themes: data.themes, metaphors: data.metaphors },
+      after: { themes: metadata.themes, metaphors: metadata.metaphors },
+      written
+    });
+  }
+  return changes;
+}
+
+module.exports = {
+  getTaxonomyPath,
+  loadTaxonomy,
+  normalizeTags,
+  applyTaxonomy,
+  formatTaxonomyForPrompt,
+  suggestMerges,
+  countTags,
+  writeProposals,
+  applyTaxonomyToVault
+};
+
+if (require.main === module) {
+  const [cmd, ...args] = process.argv.slice(2);
+  const flags = args.filter(arg => arg.startsWith('--'));
+  const vaultPath = path.resolve(args.find(arg => !arg.startsWith('--')) || process.env.VAULT_PATH || '.');
+
+  try {
+    const taxonomyPath = getTaxonomyPath(vaultPath);
+    switch (cmd) {
+      case 'suggest': {
+        const taxonomy = loadTaxonomy(taxonomyPath);
+        const counts = countTags(updateIndex(vaultPath).index);
+        const proposals = {};
+        let total = 0;
+        for (const field of TAXONOMY_FIELDS) {
+          proposals[field] = suggestMerges(counts[field], taxonomy ? taxonomy[field] : []);
+          if (proposals[field].length === 0) {
+            continue;
+          }
+          console.log(`\n${field[0].toUpperCase()}${field.slice(1)}:`);
+          for (const proposal of proposals[field]) {
+            const synonyms = proposal.synonyms.map(({ tag, count }) => `"${tag}" (${count})`).join(', ');
+            console.log(`  ${proposal.existing ? '+' : '*'} "${proposal.term}" <- ${synonyms}`);
+            total += proposal.synonyms.length;
+          }
+        }
+        if (total === 0) {
+          console.log('No merges to suggest.');
+          break;
+        }
+        console.log('\n* new term, + more synonyms for a term already in the taxonomy');
+        if (flags.includes('--write')) {
+          const added = writeProposals(taxonomyPath, proposals);
+          console.log(`\nAdded ${added} merges to ${taxonomyPath}. Review it, then run: node taxonomy.js apply`);
+        } else {
+          console.log(`\nRun again with --write to add these to ${taxonomyPath}.`);
+        }
+        break;
+      }
+      case 'apply': {
+        const taxonomy = loadTaxonomy(taxonomyPath);
+        if (!taxonomy) {
+          throw new Error(`No taxonomy file at ${taxonomyPath}. Run "node taxonomy.js suggest --write" to start one.`);
+        }
+        const dryRun = flags.includes('--dry-run');
+        const changes = applyTaxonomyToVault(vaultPath, taxonomy, { dryRun });
+        for (const change of changes) {
+          console.log(`${dryRun ? 'Would update' : change.written ? '✅ Updated' : '❌ Failed to update'}: ${change.path}`);
+          for (const field of TAXONOMY_FIELDS) {
+            if (JSON.stringify(change.before[field]) !== JSON.stringify(change.after[field])) {
+              console.log(`  ${field}: ${(change.before[field] || []).join(', ')} -> ${change.after[field].join(', ')}`);
+            }
+          }
+        }
+        console.log(`\n${dryRun ? 'Would update' : 'Updated'} ${changes.filter(change => dryRun || change.written).length} sermons.`);
+        break;
+      }
+      default:
+        console.log(`
+Controlled Vocabulary for Themes and Metaphors
+
+Usage:
+  node taxonomy.js suggest [vault] [--write]   - Propose merges of similar tags (--write adds them to the taxonomy file)
+  node taxonomy.js apply [vault] [--dry-run]   - Rewrite sermon tags with the taxonomy's preferred terms
+
+The vault defaults to VAULT_PATH, then the current directory. The taxonomy file is TAXONOMY_PATH, or
+taxonomy.yaml in the vault. Each entry has a preferred "term" and optional "synonyms" and "broader" terms:
+
+  themes:
+    - term: the Father's love
+      synonyms: [fatherly love, love of the Father]
+      broader: [divine love]
+        `);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const matter = require('gray-matter');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const { createApp } = require('../api-integration');
+const { registerProvider } = require('../llm-providers');
+const { getCalibrationPath } = require('../calibration');
+const { loadRubric, findRubricById, getDimensionKeys, getRubricId } = require('../rubric-loader');
+
+const API_KEY = 'test-key';
+const vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+fs.writeFileSync(path.join(vaultPath, 'grace.md'), matter.stringify('# Grace\n\nGrace upon grace.\n', {
+  sermon_title: 'Grace',
+  bolt: 'Grace is enough',
+  themes: ['grace'],
+  metaphors: ['river']
+}));
+
+// Replies score every dimension of replyRubric 7, and the requests are kept
+const requests = [];
+let replyRubric = loadRubric();
+registerProvider('api-fake', () => ({
+  name: 'api-fake',
+  defaultModel: 'm',
+  isConfigured: () => true,
+  chat: async request => {
+    requests.push(request);
+    const scores = Object.fromEntries(getDimensionKeys(replyRubric).map(key => [key, { score: 7, justification: 'Solid.' }]));
+    return {
+      text: JSON.stringify({ scores, overall_assessment: 'Good.', cumulative_score: 7 * Object.keys(scores).length, audio_note: 'None.' }),
+      usage: { prompt_tokens: 100, completion_tokens: 50 },
+      model: 'm'
+    };
+  }
+}));
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = createApp({ vaultPath, apiKey: API_KEY });
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+function post(route, body, key = API_KEY) {
+  return fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+    body: JSON.stringify(body)
+  });
+}
+
+test('requests need the API key, except the health check', async () => {
+  assert.equal((await fetch(`${baseUrl}/health`)).status, 200);
+  assert.equal((await fetch(`${baseUrl}/api/sermons`)).status, 401);
+  assert.equal((await post('/api/compare', {}, 'wrong')).status, 401);
+
+  const response = await fetch(`${baseUrl}/api/sermons`, { headers: { 'X-API-Key': API_KEY } });
+  assert.equal(response.status, 200);
+  assert.ok(JSON.stringify(await response.json()).includes('grace.md'));
+});
+
+test('other origins are only allowed when CORS_ORIGIN names one', async () => {
+  const headers = { Origin: 'https://elsewhere.example', 'X-API-Key': API_KEY };
+  assert.equal((await fetch(`${baseUrl}/api/sermons`, { headers })).headers.get('access-control-allow-origin'), null);
+
+  const app = createApp({ vaultPath, apiKey: API_KEY, corsOrigin: 'https://office.example.org' });
+  const other = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${other.address().port}/api/sermons`, { headers });
+    assert.equal(response.headers.get('access-control-allow-origin'), 'https://office.example.org');
+  } finally {
+    await new Promise(resolve => other.close(resolve));
+  }
+});
+
+test('paths outside the vault are refused', async () => {
+  const response = await post('/api/compare', { path: '../elsewhere.md', model1: 'api-fake:a', model2: 'api-fake:b' });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /inside the vault/);
+});
+
+test('compare passes the temperature and rubric through to both models', async () => {
+  requests.length = 0;
+  replyRubric = findRubricById('lutheran@1');
+  const response = await post('/api/compare', {
+    path: 'grace.md',
+    model1: 'api-fake:a',
+    model2: 'api-fake:b',
+    temperature: 0.9,
+    rubric: 'lutheran@1',
+    noCache: true
+  });
+  replyRubric = loadRubric();
+  assert.equal(response.status, 200);
+  const result = await response.json();
+  assert.deepEqual(requests.map(request => request.temperature), [0.9, 0.9]);
+  assert.equal(result.model1.rubric, 'lutheran@1');
+  assert.equal(result.model2.rubric, 'lutheran@1');
+  assert.equal(result.model1.temperature, 0.9);
+});
+
+test('compare applies the vault calibration when asked', async () => {
+  const missing = await post('/api/compare', { path: 'grace.md', model1: 'api-fake:a', model2: 'api-fake:b', calibrated: true });
+  assert.equal(missing.status, 400);
+  assert.match((await missing.json()).error, /no calibration/);
+
+  const rubric = loadRubric();
+  const shift = { correction: { type: 'linear', intercept: -1, slope: 1 } };
+  const fits = Object.fromEntries(getDimensionKeys(rubric).map(key => [key, shift]));
+  fs.writeFileSync(getCalibrationPath(vaultPath), JSON.stringify({
+    version: 1,
+    created_at: '2025-01-01T00:00:00.000Z',
+    method: 'linear',
+    rubrics: { [getRubricId(rubric)]: { 'api-fake:a': fits } }
+  }));
+  try {
+    const response = await post('/api/compare', { path: 'grace.md', model1: 'api-fake:a', model2: 'api-fake:b', calibrated: true, noCache: true });
+    assert.equal(response.status, 200);
+    const result = await response.json();
+    assert.equal(Object.values(result.model1.radar_score)[0], 6);
+    assert.equal(Object.values(result.model1.raw_score)[0], 7);
+    assert.equal(result.model2.raw_score, undefined);
+  } finally {
+    fs.unlinkSync(getCalibrationPath(vaultPath));
+  }
+});
+
+test('unknown rubrics and invalid options are rejected before any model is called', async () => {
+  requests.length = 0;
+  const unknown = await post('/api/compare', { path: 'grace.md', model1: 'api-fake:a', model2: 'api-fake:b', rubric: 'nope@1' });
+  assert.equal(unknown.status, 400);
+  assert.match((await unknown.json()).error, /Unknown rubric "nope@1"/);
+
+  const combined = await post('/api/generate', { path: 'grace.md', model: 'api-fake:a', changed: true, update: true });
+  assert.equal(combined.status, 400);
+
+  const job = await post('/api/jobs', { type: 'compare', path: 'grace.md', model1: 'api-fake:a', model2: 'api-fake:b', rubric: 'nope@1' });
+  assert.equal(job.status, 400);
+  assert.equal(requests.length, 0);
+});
+
+test('generate scores the sermon and reports usage', async () => {
+  const response = await post('/api/generate', { path: 'grace.md', model: 'api-fake:a', scoreOnly: true, noCache: true });
+  assert.equal(response.status, 200);
+  const result = await response.json();
+  assert.equal(result.usage.prompt_tokens, 100);
+  assert.equal(result.usage.completion_tokens, 50);
+
+  const { data } = matter(fs.readFileSync(path.join(vaultPath, 'grace.md'), 'utf8'));
+  assert.equal(Object.values(data.radar_score)[0], 7);
+});
+
+test('stability samples the sermon and needs at least two samples', async () => {
+  const invalid = await post('/api/stability', { path: 'grace.md', model: 'api-fake:a', samples: 1 });
+  assert.equal(invalid.status, 400);
+  assert.match((await invalid.json()).error, /"samples" must be a whole number of at least 2/);
+
+  const response = await post('/api/stability', { path: 'grace.md', model: 'api-fake:a', samples: 2 });
+  assert.equal(response.status, 200);
+  const result = await response.json();
+  assert.equal(result.path, 'grace.md');
+  assert.equal(result.stability.count, 2);
+  assert.deepEqual(result.stability.unstable, []);
+});
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const matter = require('gray-matter');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const {
+  getCalibrationPath,
+  loadCalibration,
+  parseCsv,
+  readHumanRatings,
+  importHumanRatings,
+  fitLinear,
+  fitIsotonic,
+  applyCorrection,
+  buildCalibration,
+  calibrateScores,
+  formatCalibration
+} = require('../calibration');
+const { generateRadarScores } = require('../llm-metadata-generator');
+const { appendEvaluation, readHistory } = require('../evaluation-history');
+const { registerProvider } = require('../llm-providers');
+const { loadRubric, getDimensionKeys, getRubricId } = require('../rubric-loader');
+
+const rubric = loadRubric();
+const [first, second] = getDimensionKeys(rubric);
+
+// Five sermons the mentor scored by hand; the model scores the first dimension two points higher
+const vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+const HUMAN = [2, 4, 5, 6, 8];
+for (let i = 1; i <= 5; i++) {
+  fs.writeFileSync(path.join(vaultPath, `s${i}.md`), matter.stringify('Sermon text.\n', { sermon_title: `Sermon ${i}` }));
+}
+
+function writeFile(name, text) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ratings-')), name);
+  fs.writeFileSync(filePath, text);
+  return filePath;
+}
+
+test('CSV fields may be quoted, with commas, quotes and line breaks inside', () => {
+  assert.deepEqual(parseCsv('a,b\r\n"x, ""y""","line\nbreak"\n\n1,\n'), [
+    { a: 'x, "y"', b: 'line\nbreak' },
+    { a: '1', b: '' }
+  ]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('human ratings are read from CSV or YAML', () => {
+  const csv = readHumanRatings(writeFile('ratings.csv', `sermon,reviewer,notes,${first},${second}\ns1.md,,"Clear, warm",2,\n`), { reviewer: 'mentor' });
+  assert.deepEqual(csv, [{ sermon: 's1.md', reviewer: 'mentor', date: null, notes: 'Clear, warm', scores: { [first]: 2 }, line: 'row 2' }]);
+
+  const yaml = readHumanRatings(writeFile('ratings.yaml', `reviewer: professor\nratings:\n  - sermon: Sermon 2\n    date: 2025-03-02\n    radar_score:\n      ${first}: 4\n`));
+  assert.deepEqual(yaml, [{ sermon: 'Sermon 2', reviewer: 'professor', date: '2025-03-02', notes: null, scores: { [first]: 4 }, line: 'rating 1' }]);
+  assert.throws(() => readHumanRatings(writeFile('ratings.yaml', 'reviewer: professor\n')), /must hold a list of ratings/);
+});
+
+test('importHumanRatings finds sermons by path, file name or title, and skips ratings already imported', () => {
+  const rows = HUMAN.map((score, i) => `${['s1.md', 'Sermon 2', 's3', 'S4.MD', 's5.md'][i]},mentor,${score},5`);
+  const ratings = readHumanRatings(writeFile('ratings.csv', [`sermon,reviewer,${first},${second}`, ...rows].join('\n')));
+
+  assert.equal(importHumanRatings(vaultPath, ratings, { dryRun: true }).imported[0].id, null);
+  assert.deepEqual(readHistory(path.join(vaultPath, 's1.md')), []);
+
+  const result = importHumanRatings(vaultPath, ratings);
+  assert.deepEqual(result.imported.map(item => item.path), ['s1.md', 's2.md', 's3.md', 's4.md', 's5.md']);
+  assert.deepEqual(result.errors, []);
+  const [entry] = readHistory(path.join(vaultPath, 's2.md'));
+  assert.deepEqual(
+    { model: entry.model, source: entry.source, reviewer: entry.reviewer, rubric: entry.rubric, radar_score: entry.radar_score },
+    { model: 'human:mentor', source: 'human', reviewer: 'mentor', rubric: getRubricId(rubric), radar_score: { [first]: 4, [second]: 5 } }
+  );
+
+  assert.equal(importHumanRatings(vaultPath, ratings).skipped.length, 5);
+});
+
+test('ratings that can\'t be imported are reported with their row', () => {
+  const { imported, errors } = importHumanRatings(vaultPath, [
+    { sermon: 's1.md', reviewer: 'mentor', scores: { nonsense: 3 }, line: 'row 2' },
+    { sermon: 's1.md', reviewer: 'mentor', scores: { [first]: 11 }, line: 'row 3' },
+    { sermon: 's1.md', scores: { [first]: 3 }, line: 'row 4' },
+    { sermon: 'Missing', reviewer: 'mentor', scores: { [first]: 3 }, line: 'row 5' },
+    { sermon: 's1.md', reviewer: 'mentor', scores: {}, line: 'row 6' }
+  ]);
+  assert.deepEqual(imported, []);
+  assert.deepEqual(errors.map(error => error.line), ['row 2', 'row 3', 'row 4', 'row 5', 'row 6']);
+  assert.match(errors[0].error, /"nonsense" is not a dimension of/);
+  assert.match(errors[1].error, /must be a number between 0 and 10/);
+  assert.match(errors[2].error, /No reviewer given/);
+  assert.match(errors[3].error, /No sermon "Missing"/);
+  assert.match(errors[4].error, /No scores given/);
+});
+
+test('corrections are fitted by least squares or as a non-decreasing step curve', () => {
+  assert.deepEqual(fitLinear([{ model: 4, human: 2 }, { model: 8, human: 6 }]), { type: 'linear', intercept: -2, slope: 1 });
+  assert.deepEqual(fitLinear([{ model: 5, human: 4 }, { model: 5, human: 6 }]), { type: 'linear', intercept: 0, slope: 1 });
+  assert.deepEqual(fitIsotonic([{ model: 1, human: 5 }, { model: 2, human: 3 }, { model: 3, human: 4 }, { model: 3, human: 6 }]), {
+    type: 'isotonic',
+    points: [[1, 4], [2, 4], [3, 5]]
+  });
+
+  const scale = rubric.scale;
+  const curve = { type: 'isotonic', points: [[2, 3], [6, 7]] };
+  assert.deepEqual([0, 4, 9].map(score => applyCorrection(curve, score, scale)), [3, 5, 7]);
+  assert.equal(applyCorrection({ type: 'linear', intercept: 5, slope: 1 }, 8, scale), 10);
+  assert.equal(applyCorrection({ type: 'linear', intercept: 0.04, slope: 0.5 }, 7, scale), 3.5);
+});
+
+test('calibrate measures each model against the reviewers and fits a correction per dimension', () => {
+  HUMAN.forEach((score, i) => {
+    const filePath = path.join(vaultPath, `s${i + 1}.md`);
+    const radarScore = { [first]: score + 2, [second]: 5 };
+    // A calibrated evaluation is compared by what the model said
+    appendEvaluation(filePath, i === 4
+      ? { model: 'cal:m', rubric: getRubricId(rubric), radar_score: { [first]: 8, [second]: 5 }, raw_score: radarScore }
+      : { model: 'cal:m', rubric: getRubricId(rubric), radar_score: radarScore });
+    // Ensembles don't belong to any one model
+    appendEvaluation(filePath, { model: 'Ensemble', models: ['cal:m', 'x:m'], rubric: getRubricId(rubric), radar_score: { [first]: 0 } });
+  });
+
+  const calibration = buildCalibration(vaultPath);
+  assert.deepEqual(Object.keys(calibration.rubrics[getRubricId(rubric)]), ['cal:m']);
+  const fits = calibration.rubrics[getRubricId(rubric)]['cal:m'];
+  assert.deepEqual(fits[first], {
+    n: 5,
+    bias: 2,
+    mae: 2,
+    correlation: 1,
+    correction: { type: 'linear', intercept: -2, slope: 1 },
+    calibrated_mae: 0
+  });
+  assert.equal(fits[second].correlation, null);
+  assert.deepEqual(fits[second].correction, { type: 'linear', intercept: 0, slope: 1 });
+
+  assert.deepEqual(buildCalibration(vaultPath, { method: 'isotonic' }).rubrics[getRubricId(rubric)]['cal:m'][first].correction.points, [
+    [4, 2], [6, 4], [7, 5], [8, 6], [10, 8]
+  ]);
+  assert.equal(buildCalibration(vaultPath, { minPairs: 6 }).rubrics[getRubricId(rubric)]['cal:m'][first].correction, null);
+  assert.throws(() => buildCalibration(vaultPath, { method: 'spline' }), /Unknown calibration method "spline"/);
+
+  const report = formatCalibration(calibration);
+  assert.match(report, /^cal:m \(mainline@2\)/);
+  assert.match(report, /\| 5 \| 2\.00 \| 2\.00 \| 1\.00 \| 0\.00 +\| human = -2\.00 \+ 1\.00 x model \|/);
+  assert.match(formatCalibration({ rubrics: {} }), /No sermons have been scored by both/);
+
+  fs.writeFileSync(getCalibrationPath(vaultPath), JSON.stringify(calibration));
+  assert.deepEqual(loadCalibration(getCalibrationPath(vaultPath)), calibration);
+  fs.writeFileSync(getCalibrationPath(vaultPath), JSON.stringify({ ...calibration, version: 0 }));
+  assert.throws(() => loadCalibration(getCalibrationPath(vaultPath)), /incompatible version/);
+  assert.equal(loadCalibration(path.join(os.tmpdir(), 'no-calibration.json')), null);
+});
+
+test('a calibration corrects later scores and keeps what the model said', async () => {
+  const fit = correction => ({ correction });
+  const calibration = {
+    method: 'linear',
+    created_at: '2025-01-01T00:00:00.000Z',
+    rubrics: { [getRubricId(rubric)]: { 'cal:m': { [first]: fit({ type: 'linear', intercept: -2, slope: 1 }), [second]: fit(null) } } }
+  };
+  assert.deepEqual(calibrateScores(calibration, 'cal:m', { [first]: 7, [second]: 7 }, rubric), { [first]: 5, [second]: 7 });
+  assert.equal(calibrateScores(calibration, 'other:m', { [first]: 7 }, rubric), null);
+
+  const keys = getDimensionKeys(rubric);
+  registerProvider('cal', () => ({
+    name: 'cal',
+    defaultModel: 'm',
+    isConfigured: () => true,
+    chat: async () => ({
+      text: JSON.stringify({
+        scores: Object.fromEntries(keys.map(key => [key, { score: 7, justification: 'Solid.' }])),
+        overall_assessment: 'Good.',
+        cumulative_score: 7 * keys.length,
+        audio_note: 'None.'
+      }),
+      usage: { prompt_tokens: 100, completion_tokens: 50 },
+      model: 'm'
+    })
+  }));
+  const result = await generateRadarScores('Grace upon grace.', {}, { model: 'cal:m', calibration, cache: false });
+  assert.equal(result.radar_score[first], 5);
+  assert.equal(result.radar_score[second], 7);
+  assert.equal(result.raw_score[first], 7);
+  assert.deepEqual(result.calibration, { method: 'linear', created_at: '2025-01-01T00:00:00.000Z' });
+});
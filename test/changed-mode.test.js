@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const matter = require('gray-matter');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const { processSermonFile, processSermonDirectory } = require('../llm-metadata-generator');
+const { getMarkers } = require('../managed-sections');
+const { registerProvider } = require('../llm-providers');
+const { loadRubric, getDimensionKeys, getRubricId } = require('../rubric-loader');
+
+const rubric = loadRubric();
+const categories = getDimensionKeys(rubric);
+
+// Scores every sermon 7 across the board, counting its calls
+const provider = { calls: 0 };
+registerProvider('changed', () => ({
+  name: 'changed',
+  defaultModel: 'm',
+  isConfigured: () => true,
+  chat: async () => {
+    provider.calls += 1;
+    return {
+      text: JSON.stringify({
+        scores: Object.fromEntries(categories.map(key => [key, { score: 7, justification: 'Solid.' }])),
+        overall_assessment: 'Good.',
+        cumulative_score: 7 * categories.length,
+        audio_note: 'None.'
+      }),
+      usage: { prompt_tokens: 100, completion_tokens: 50 },
+      model: 'm'
+    };
+  }
+}));
+
+const OPTIONS = { modelForRadar: 'changed:m', scoreOnly: true, cache: false };
+
+function writeSermon(dir, name, body = '# Sermon\n\nGrace upon grace.\n') {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, matter.stringify(body, {
+    sermon_title: name,
+    bolt: 'Grace is enough',
+    themes: ['grace'],
+    metaphors: ['river']
+  }));
+  return filePath;
+}
+
+// Rewrite a sermon's frontmatter and body through the given function
+function editSermon(filePath, edit) {
+  const { data, content } = matter(fs.readFileSync(filePath, 'utf8'));
+  const edited = edit({ data: { ...data }, content });
+  fs.writeFileSync(filePath, matter.stringify(edited.content, edited.data));
+}
+
+test('a scored sermon whose manuscript hasn\'t changed is skipped without a call', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  const filePath = writeSermon(dir, 'grace.md');
+  const first = await processSermonFile(filePath, { ...OPTIONS, changedOnly: true });
+  assert.equal(first.reason, 'not scored yet');
+  assert.equal(provider.calls, 1);
+
+  const { data } = matter(fs.readFileSync(filePath, 'utf8'));
+  assert.match(data.radar_body_hash, /^[0-9a-f]+$/);
+  assert.equal(data.radar_rubric, getRubricId(rubric));
+
+  const again = await processSermonFile(filePath, { ...OPTIONS, changedOnly: true });
+  assert.equal(again.unchanged, true);
+  assert.equal(again.updated, false);
+  assert.equal(again.usage.calls, 0);
+  assert.equal(provider.calls, 1);
+});
+
+test('only the manuscript counts as a change, not the tool\'s own sections', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  const filePath = writeSermon(dir, 'grace.md');
+  await processSermonFile(filePath, OPTIONS);
+  const calls = provider.calls;
+
+  const { start, end } = getMarkers('notes');
+  editSermon(filePath, ({ data, content }) => ({ data, content: `${content}\n${start}\nReviewed.\n${end}\n` }));
+  assert.equal((await processSermonFile(filePath, { ...OPTIONS, changedOnly: true })).unchanged, true);
+
+  editSermon(filePath, ({ data, content }) => ({ data, content: content.replace('Grace upon grace.', 'Grace upon grace. Amen.') }));
+  const result = await processSermonFile(filePath, { ...OPTIONS, changedOnly: true });
+  assert.equal(result.reason, 'manuscript changed');
+  assert.equal(result.unchanged, undefined);
+  assert.equal(provider.calls, calls + 1);
+});
+
+test('a directory run says why each sermon was re-scored', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  for (const name of ['a.md', 'b.md', 'c.md', 'd.md']) {
+    writeSermon(dir, name);
+  }
+  await processSermonDirectory(dir, OPTIONS);
+  writeSermon(dir, 'e.md');
+  editSermon(path.join(dir, 'b.md'), ({ data, content }) => ({ data: { ...data, radar_rubric: 'old@1' }, content }));
+  editSermon(path.join(dir, 'c.md'), ({ data, content }) => ({ data: { ...data, radar_prompt_version: '1' }, content }));
+  editSermon(path.join(dir, 'd.md'), ({ data, content }) => {
+    delete data.radar_body_hash;
+    return { data, content };
+  });
+
+  const calls = provider.calls;
+  const results = await processSermonDirectory(dir, { ...OPTIONS, changedOnly: true });
+  assert.deepEqual(results.map(result => [path.basename(result.path), result.unchanged ? 'unchanged' : result.reason]), [
+    ['a.md', 'unchanged'],
+    ['b.md', `rubric changed (old@1 -> ${getRubricId(rubric)})`],
+    ['c.md', 'prompt changed (v1 -> v4)'],
+    ['d.md', 'no manuscript hash recorded'],
+    ['e.md', 'not scored yet']
+  ]);
+  assert.equal(provider.calls, calls + 4);
+
+  const rescored = matter(fs.readFileSync(path.join(dir, 'c.md'), 'utf8')).data;
+  assert.equal(String(rescored.radar_prompt_version), '4');
+});
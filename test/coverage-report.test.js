@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const matter = require('gray-matter');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const { collectCoverage, buildCoverageReport, formatCoverageMarkdown, formatCoverageCsv } = require('../coverage-report');
+const { findOverlappingReferences } = require('../scripture');
+
+// Two Fourth Sundays in Lent (Year C), the Third Sunday in Lent (Year C), Proper 19 (Year B), and an undated sermon
+const index = {
+  files: {
+    'a.md': { path: 'a.md', preached_on: '2022-03-27', year: 2022, texts: ['Mark 4:35-41'] },
+    'b.md': { path: 'b.md', preached_on: '2024-09-15', year: 2024, texts: ['Luke 15:1-10', 'Psalm 23'] },
+    'c.md': { path: 'c.md', preached_on: '2025-03-23', year: 2025, texts: ['Mark 4:35-41'] },
+    'd.md': { path: 'd.md', preached_on: '2025-03-30', year: 2025, texts: ['Luke 15:11-32'] },
+    'e.md': { path: 'e.md', texts: ['Hezekiah 1:1'] }
+  }
+};
+
+test('overlapping references share at least one verse; whole chapters and books cover every verse in them', () => {
+  assert.deepEqual(findOverlappingReferences(['Luke 15:1-10'], ['Luke 15:11-32']), []);
+  assert.deepEqual(findOverlappingReferences(['Luke 15:1-3, 11b-32'], ['Luke 15:20']), [['Luke 15:1-3, 11b-32', 'Luke 15:20']]);
+  assert.deepEqual(findOverlappingReferences(['Psalm 32'], ['Ps 32:1-5', 'Psalm 33']), [['Psalm 32', 'Ps 32:1-5']]);
+  assert.deepEqual(findOverlappingReferences(['Jonah'], ['Jonah 3:1-5']), [['Jonah', 'Jonah 3:1-5']]);
+  assert.deepEqual(findOverlappingReferences(['Hezekiah 1:1'], ['Hezekiah 1:1']), []);
+});
+
+test('texts are counted by book, chapter, year, testament and genre', () => {
+  const coverage = collectCoverage(index);
+  assert.equal(coverage.sermons, 5);
+  assert.equal(coverage.withTexts, 4);
+  assert.deepEqual(coverage.years, [2022, 2024, 2025]);
+  assert.deepEqual(coverage.groups.testaments, { 'New Testament': 4, 'Old Testament': 1 });
+  assert.deepEqual(coverage.groups.genres, { 'Gospels': 4, 'Wisdom and Poetry': 1 });
+
+  const luke = coverage.books.find(book => book.name === 'Luke');
+  assert.deepEqual([luke.sermons, luke.byChapter, luke.byYear, luke.lastPreached], [2, { 15: 2 }, { 2024: 1, 2025: 1 }, '2025-03-30']);
+  assert.ok(coverage.neverPreached.includes('Joshua'));
+  assert.ok(!coverage.neverPreached.includes('Mark'));
+  assert.ok(!coverage.neverPreached.includes('Tobit'));
+  assert.deepEqual(coverage.invalid, [{ path: 'e.md', text: 'Hezekiah 1:1', error: 'Unknown book "Hezekiah"' }]);
+});
+
+test('chapter coverage counts Psalms and Daniel by their NRSV chapters', () => {
+  const coverage = collectCoverage({
+    files: {
+      'p.md': { path: 'p.md', preached_on: '2025-05-04', year: 2025, texts: ['Psalm 150'] },
+      'd.md': { path: 'd.md', preached_on: '2025-05-11', year: 2025, texts: ['Daniel 3:19-30'] }
+    }
+  });
+  assert.equal(coverage.books.find(book => book.name === 'Psalms').chapters, 150);
+  assert.equal(coverage.books.find(book => book.name === 'Daniel').chapters, 12);
+  const markdown = formatCoverageMarkdown(coverage);
+  assert.match(markdown, /\| Psalms \| Wisdom and Poetry \| 1 \| 1 of 150 \|/);
+  assert.match(markdown, /\| Daniel \| Major Prophets \| 1 \| 1 of 12 \|/);
+});
+
+test('a year range leaves out sermons outside it and undated ones', () => {
+  const coverage = collectCoverage(index, { from: 2025 });
+  assert.equal(coverage.sermons, 2);
+  assert.deepEqual(coverage.years, [2025]);
+});
+
+test('passages preached again within the window are repeats', () => {
+  assert.deepEqual(collectCoverage(index).repeats, []);
+  assert.deepEqual(collectCoverage(index, { window: 1200 }).repeats, [{
+    earlier: { path: 'a.md', preached_on: '2022-03-27', text: 'Mark 4:35-41' },
+    later: { path: 'c.md', preached_on: '2025-03-23', text: 'Mark 4:35-41' },
+    days: 1092
+  }]);
+});
+
+test('lectionary readings appointed for each sermon\'s day are tallied', () => {
+  const { lectionary } = collectCoverage(index);
+  assert.equal(lectionary.days, 4);
+  assert.equal(lectionary.onLectionary, 1);
+  const gospel = lectionary.readings.find(reading => reading.reading === 'Luke 15:1-3, 11b-32');
+  assert.deepEqual(gospel, { reading: 'Luke 15:1-3, 11b-32', genre: 'Gospels', offered: 2, preached: 1, lastOffered: '2025-03-30' });
+});
+
+test('the Markdown report lists never-preached books and readings skipped more than once, but not psalms', () => {
+  const markdown = formatCoverageMarkdown(collectCoverage(index));
+  assert.match(markdown, /^# Canon Coverage\n/);
+  assert.match(markdown, /from 5 sermons \(2022–2025\)/);
+  assert.match(markdown, /- Sermons with scripture texts: 4 \(80%\)/);
+  assert.match(markdown, /- Sermons on one of the day's lectionary readings: 1 \(25%\)/);
+  assert.match(markdown, /\| Luke \| Gospels \| 2 \| 1 of 24 \| 15 \(×2\) \| 2025-03-30 \|/);
+  assert.match(markdown, /- \*\*Old Testament\*\*: Genesis, Exodus/);
+  assert.match(markdown, /\| Joshua 5:9-12 \| 2 \| 2025-03-30 \|/);
+  assert.doesNotMatch(markdown, /\| Psalm 32 \|/);
+  assert.match(markdown, /- e\.md: "Hezekiah 1:1" \(Unknown book "Hezekiah"\)/);
+});
+
+test('the CSV has one row per year, book and chapter', () => {
+  assert.equal(formatCoverageCsv(collectCoverage(index)), [
+    'year,testament,genre,book,chapter,sermons',
+    '2022,New Testament,Gospels,Mark,4,1',
+    '2024,Old Testament,Wisdom and Poetry,Psalms,23,1',
+    '2024,New Testament,Gospels,Luke,15,1',
+    '2025,New Testament,Gospels,Mark,4,1',
+    '2025,New Testament,Gospels,Luke,15,1',
+    ''
+  ].join('\n'));
+});
+
+test('buildCoverageReport reads the vault through its index', () => {
+  const vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  fs.writeFileSync(path.join(vaultPath, 'sermon.md'), matter.stringify('Text.\n', { preached_on: '2025-03-30', texts: ['Luke 15:11-32'] }));
+  const coverage = buildCoverageReport(vaultPath);
+  assert.equal(coverage.sermons, 1);
+  assert.equal(coverage.lectionary.onLectionary, 1);
+});
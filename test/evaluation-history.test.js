@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const matter = require('gray-matter');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const {
+  getHistoryPath,
+  readHistory,
+  appendEvaluation,
+  importFrontmatterEvaluation,
+  findEvaluation,
+  toFrontmatterFields
+} = require('../evaluation-history');
+const { promoteEvaluation } = require('../llm-metadata-generator');
+const { loadRubric, getDimensionKeys, getRubricId } = require('../rubric-loader');
+
+const rubric = loadRubric();
+const categories = getDimensionKeys(rubric);
+
+function scores(value) {
+  return Object.fromEntries(categories.map(category => [category, value]));
+}
+
+function writeSermon(frontmatter) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  const filePath = path.join(dir, 'Sermon 03.23.25.md');
+  fs.writeFileSync(filePath, matter.stringify('# Sermon\n\nGrace upon grace.\n', frontmatter));
+  return filePath;
+}
+
+test('the history sits next to the sermon', () => {
+  assert.equal(getHistoryPath('/vault/Sermon 03.23.25.md'), path.join('/vault', 'Sermon 03.23.25.radar.jsonl'));
+});
+
+test('appendEvaluation adds entries in order with ids, and readHistory skips malformed lines', () => {
+  const filePath = writeSermon({ sermon_title: 'Grace' });
+  assert.deepEqual(readHistory(filePath), []);
+
+  const first = appendEvaluation(filePath, { model: 'a:m', radar_score: scores(6) });
+  fs.appendFileSync(getHistoryPath(filePath), 'not json\n');
+  const second = appendEvaluation(filePath, { model: 'b:m', radar_score: scores(8), generated_at: '2025-03-23T00:00:00.000Z' });
+  assert.match(first.id, /^[0-9a-f]{8}$/);
+  assert.equal(second.generated_at, '2025-03-23T00:00:00.000Z');
+
+  const history = readHistory(filePath);
+  assert.deepEqual(history.map(entry => entry.model), ['a:m', 'b:m']);
+  assert.deepEqual(history[1], second);
+});
+
+test('findEvaluation accepts a unique id prefix', () => {
+  const filePath = writeSermon({ sermon_title: 'Grace' });
+  fs.writeFileSync(getHistoryPath(filePath), [
+    JSON.stringify({ id: 'abc12345', model: 'a:m' }),
+    JSON.stringify({ id: 'abd67890', model: 'b:m' })
+  ].join('\n') + '\n');
+
+  assert.equal(findEvaluation(filePath, 'abc').model, 'a:m');
+  assert.throws(() => findEvaluation(filePath, 'ab'), /ambiguous \(abc12345, abd67890\)/);
+  assert.throws(() => findEvaluation(filePath, 'fff'), /No evaluation "fff"/);
+});
+
+test('importFrontmatterEvaluation keeps the evaluation made before history was tracked, once', () => {
+  const metadata = {
+    radar_score: scores(5),
+    radar_info: 'Model: gpt-4 | Generated: 2024-11-02T10:00:00.000Z',
+    radar_rubric: getRubricId(rubric),
+    radar_summary: 'Earlier assessment.'
+  };
+  const filePath = writeSermon(metadata);
+
+  const imported = importFrontmatterEvaluation(filePath, metadata);
+  assert.equal(imported.model, 'gpt-4');
+  assert.equal(imported.generated_at, '2024-11-02T10:00:00.000Z');
+  assert.equal(imported.summary, 'Earlier assessment.');
+  assert.equal(imported.source, 'frontmatter');
+  assert.equal(importFrontmatterEvaluation(filePath, metadata), null);
+  assert.equal(readHistory(filePath).length, 1);
+
+  assert.equal(importFrontmatterEvaluation(writeSermon({ sermon_title: 'Unscored' }), { sermon_title: 'Unscored' }), null);
+});
+
+test('justifications of an imported evaluation are read from the newest Radar Analysis block', () => {
+  const metadata = { radar_score: scores(5), radar_info: 'Model: gpt-4 | Generated: 2024-11-02T10:00:00.000Z' };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  const filePath = path.join(dir, 'Legacy.md');
+  fs.writeFileSync(filePath, matter.stringify([
+    '## Radar Analysis',
+    '_Generated by model: gpt-4 | 2024-11-02T10:00:00.000Z_',
+    '',
+    '- **Theological Cohesion (5/10)**: Holds together.',
+    '- **Closing Force (5/10)**: Trails off.',
+    '- **Not A Dimension (5/10)**: Ignored.',
+    '',
+    '_Generated by model: gpt-3.5-turbo | 2024-10-01T10:00:00.000Z_',
+    '- **Voice Fidelity (4/10)**: From an older run.',
+    '',
+    '# Sermon',
+    ''
+  ].join('\n'), metadata));
+
+  const imported = importFrontmatterEvaluation(filePath, metadata);
+  assert.deepEqual(imported.justifications, { theological_cohesion: 'Holds together.', closing_force: 'Trails off.' });
+  assert.equal(imported.justifications_missing, undefined);
+
+  const bare = { radar_score: scores(5) };
+  assert.equal(importFrontmatterEvaluation(writeSermon(bare), bare).justifications_missing, true);
+});
+
+test('toFrontmatterFields carries only what the evaluation has', () => {
+  assert.deepEqual(toFrontmatterFields({ id: 'abc', radar_score: scores(7) }), {
+    radar_score: scores(7),
+    radar_evaluation_id: 'abc'
+  });
+  assert.deepEqual(toFrontmatterFields({
+    id: 'abc',
+    radar_score: scores(7),
+    summary: 'Good.',
+    audio_note: 'No audio.',
+    preacher: 'default'
+  }), {
+    radar_score: scores(7),
+    radar_evaluation_id: 'abc',
+    radar_summary: 'Good.',
+    radar_audio_note: 'No audio.',
+    radar_preacher: 'default'
+  });
+});
+
+test('promoteEvaluation makes an earlier evaluation canonical without carrying over the current one', () => {
+  const filePath = writeSermon({
+    sermon_title: 'Grace',
+    radar_score: scores(8),
+    radar_summary: 'Current assessment.',
+    radar_audio_note: 'Current audio note.',
+    radar_preacher: 'guest'
+  });
+  const earlier = appendEvaluation(filePath, {
+    model: 'a:m',
+    rubric: getRubricId(rubric),
+    radar_score: scores(6),
+    justifications: Object.fromEntries(categories.map(category => [category, 'Earlier.'])),
+    summary: 'Earlier assessment.'
+  });
+
+  assert.equal(promoteEvaluation(filePath, earlier.id.slice(0, 4)).id, earlier.id);
+  const { data, content } = matter(fs.readFileSync(filePath, 'utf8'));
+  assert.deepEqual(data.radar_score, scores(6));
+  assert.equal(data.radar_evaluation_id, earlier.id);
+  assert.equal(data.radar_summary, 'Earlier assessment.');
+  assert.equal(data.radar_audio_note, undefined);
+  assert.equal(data.radar_preacher, undefined);
+  assert.match(content, /Generated by model: a:m/);
+  assert.match(content, /Theological Cohesion \(6\/10\)\*\*: Earlier\./);
+});
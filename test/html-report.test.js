@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const matter = require('gray-matter');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const {
+  collectReportData,
+  computeRollingWindows,
+  computeSeasonBreakdown,
+  countThemes,
+  renderIndexPage,
+  renderSermonPage,
+  buildHtmlReport
+} = require('../html-report');
+const { getMarkers } = require('../managed-sections');
+const { loadRubric, getDimensionKeys, getDimensionLabel } = require('../rubric-loader');
+
+const rubric = loadRubric();
+const categories = getDimensionKeys(rubric);
+
+function scores(value, overrides = {}) {
+  return { ...Object.fromEntries(categories.map(category => [category, value])), ...overrides };
+}
+
+// Two Sundays in Lent and Easter Day under the default rubric, Easter Day under another rubric, and an undated
+// draft whose slug clashes with the first sermon's
+const vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+const { start, end } = getMarkers('radar');
+const sermons = {
+  'lent-1.md': { sermon_title: 'Into the Wilderness', preached_on: '2025-03-09', radar_rubric: 'mainline@2', radar_score: scores(4), themes: ['grace', 'hope'] },
+  'lent-2.md': {
+    sermon_title: 'Under Her Wings',
+    preached_on: '2025-03-16',
+    preacher: 'guest',
+    texts: ['Luke 13:31-35'],
+    radar_rubric: 'mainline@2',
+    radar_score: scores(6, { [categories[2]]: 10, [categories[3]]: 1 }),
+    themes: ['grace', 'grace']
+  },
+  'easter.md': { sermon_title: 'He Is Risen', preached_on: '2025-04-20', radar_rubric: 'mainline@2', radar_score: scores(8), themes: ['hope', 'trust'] },
+  'easter-lutheran.md': { sermon_title: 'Alleluia', preached_on: '2025-04-20', radar_rubric: 'lutheran@1', radar_score: scores(7) },
+  'Lent 1.md': { sermon_title: 'Untitled <draft>' }
+};
+for (const [file, frontmatter] of Object.entries(sermons)) {
+  fs.writeFileSync(path.join(vaultPath, file), matter.stringify('Sermon text.\n', frontmatter));
+}
+fs.appendFileSync(path.join(vaultPath, 'lent-2.md'), [
+  start,
+  '## Radar Analysis',
+  '_Generated by model: a:m | 2025-03-20_',
+  '',
+  '![Radar chart](lent-2.radar.svg)',
+  '',
+  `- **${getDimensionLabel(rubric, categories[0])} (6/10)**: Clear & <direct>.`,
+  end,
+  ''
+].join('\n'));
+
+const data = collectReportData(vaultPath);
+const find = file => data.sermons.find(sermon => sermon.entry.path === file);
+
+test('the report follows the rubric most sermons were scored under, leaving the others out of the trends', () => {
+  assert.equal(data.rubric.id, rubric.id);
+  assert.deepEqual(data.sermons.map(sermon => sermon.entry.path), ['lent-1.md', 'lent-2.md', 'easter-lutheran.md', 'easter.md', 'Lent 1.md']);
+  assert.deepEqual(data.trend.map(sermon => sermon.entry.path), ['lent-1.md', 'lent-2.md', 'easter.md']);
+  assert.equal(data.excluded, 1);
+  assert.deepEqual(data.sermons.map(sermon => sermon.slug), ['lent-1', 'lent-2', 'easter-lutheran', 'easter', 'lent-1-2']);
+  assert.equal(find('easter.md').day.name, 'Easter Day');
+  assert.equal(find('Lent 1.md').date, null);
+});
+
+test('rolling windows overlap by half and name the strongest and weakest dimensions', () => {
+  const windows = computeRollingWindows(data.trend, data.rubric, 2);
+  assert.deepEqual(windows.map(({ from, to, count, strongest, weakest }) => ({ from, to, count, strongest, weakest })), [
+    { from: '2025-03-09', to: '2025-03-16', count: 2, strongest: categories[2], weakest: categories[3] },
+    { from: '2025-03-16', to: '2025-04-20', count: 2, strongest: categories[2], weakest: categories[3] }
+  ]);
+  assert.equal(windows[0].scores[categories[0]], 5);
+  assert.equal(computeRollingWindows(data.trend, data.rubric, 8).length, 1);
+  assert.deepEqual(computeRollingWindows([], data.rubric, 8), []);
+});
+
+test('seasons run in church-year order and themes count once per sermon', () => {
+  const seasons = computeSeasonBreakdown(data.trend, data.rubric);
+  assert.deepEqual(seasons.map(({ season, count }) => [season, count]), [['Lent', 2], ['Easter', 1]]);
+  assert.equal(seasons[0].scores[categories[0]], 5);
+  assert.deepEqual(countThemes(data.sermons), [{ theme: 'grace', count: 2 }, { theme: 'hope', count: 2 }, { theme: 'trust', count: 1 }]);
+});
+
+test('the dashboard summarises the vault and links every sermon', () => {
+  const html = renderIndexPage(data);
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.doesNotMatch(html, /<script|https?:\/\/(?!www\.w3\.org)/);
+  assert.match(html, /5 sermons \(2025-03-09 to 2025-04-20\); 3 scored under/);
+  assert.match(html, /1 sermon was scored under another rubric and is left out of the trends/);
+  assert.equal((html.match(/<figure>/g) || []).length, categories.length);
+  assert.match(html, /<a href="sermons\/lent-1-2\.html">Untitled &lt;draft&gt;<\/a>/);
+  assert.match(html, /<span class="muted">lutheran@1<\/span>/);
+});
+
+test('a sermon page shows its scores against the trailing average and its radar analysis', () => {
+  const html = renderSermonPage(find('lent-2.md'), data);
+  assert.match(html, /<h1>Under Her Wings<\/h1>/);
+  assert.match(html, /<td><strong>Liturgical day<\/strong><\/td><td>Second Sunday in Lent<\/td>/);
+  assert.doesNotMatch(html, /Trailing average/);
+  assert.match(html, /<h3>Radar Analysis<\/h3>/);
+  assert.match(html, /<p><em>Generated by model: a:m \| 2025-03-20<\/em><\/p>/);
+  assert.match(html, /<li><strong>.+ \(6\/10\)<\/strong>: Clear &amp; &lt;direct&gt;\.<\/li>/);
+  assert.doesNotMatch(html, /lent-2\.radar\.svg/);
+
+  // The guest's Lent 2 sermon isn't part of the default preacher's average
+  assert.match(renderSermonPage(find('easter.md'), data), /Trailing average \(previous 1 sermon\)/);
+  assert.match(renderSermonPage(find('easter-lutheran.md'), data), /\(lutheran@1\)<\/span><\/p>/);
+  assert.match(renderSermonPage(find('Lent 1.md'), data), /This sermon has no radar scores yet/);
+});
+
+test('buildHtmlReport writes the dashboard and one page per sermon', () => {
+  const outDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-report-')), 'site');
+  const result = buildHtmlReport(vaultPath, outDir);
+  assert.deepEqual(result, { indexPath: path.join(outDir, 'index.html'), pages: 5, trend: 3 });
+  assert.deepEqual(fs.readdirSync(path.join(outDir, 'sermons')).sort(), [
+    'easter-lutheran.html',
+    'easter.html',
+    'lent-1-2.html',
+    'lent-1.html',
+    'lent-2.html'
+  ]);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { JobQueue, isTerminalEvent, readEventLog, tailJob } = require('../job-queue');
+const { getStateDir } = require('../state-dir');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-jobs-'));
+}
+
+// Resolves with the job once its final status event is written
+function waitForJob(queue, id) {
+  return new Promise(resolve => {
+    const onEvent = (jobId, event) => {
+      if (jobId === id && isTerminalEvent(event)) {
+        queue.removeListener('event', onEvent);
+        resolve(queue.get(id));
+      }
+    };
+    queue.on('event', onEvent);
+  });
+}
+
+test('jobs run one at a time in the order they were submitted', async () => {
+  const order = [];
+  let active = 0;
+  const queue = new JobQueue({
+    dir: tempDir(),
+    handlers: {
+      work: async job => {
+        active += 1;
+        assert.equal(active, 1);
+        order.push(job.params.name);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active -= 1;
+        return { name: job.params.name };
+      }
+    }
+  });
+  queue.start();
+  const jobs = ['a', 'b', 'c'].map(name => queue.submit('work', { name }));
+  const finished = await Promise.all(jobs.map(job => waitForJob(queue, job.id)));
+
+  assert.deepEqual(order, ['a', 'b', 'c']);
+  assert.deepEqual(finished.map(job => job.status), ['completed', 'completed', 'completed']);
+  assert.deepEqual(finished[2].result, { name: 'c' });
+  assert.throws(() => queue.submit('other'), /Unknown job type "other" \(expected work\)/);
+});
+
+test('progress and events are persisted, and failures record the error', async () => {
+  const dir = tempDir();
+  const queue = new JobQueue({
+    dir,
+    handlers: {
+      work: async (job, context) => {
+        context.emit({ type: 'progress', progress: { total: 2 } });
+        context.emit({ type: 'file-done', path: 'one.md' });
+        context.emit({ type: 'progress', progress: { done: 1 } });
+        throw new Error('model unavailable');
+      }
+    }
+  });
+  queue.start();
+  const job = await waitForJob(queue, queue.submit('work').id);
+
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'model unavailable');
+  assert.deepEqual(job.progress, { total: 2, done: 1, failed: 0 });
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, `${job.id}.json`), 'utf8')).progress, job.progress);
+  assert.deepEqual(readEventLog(dir, job.id).map(event => event.status || event.type), [
+    'queued', 'running', 'progress', 'file-done', 'progress', 'failed'
+  ]);
+  assert.throws(() => readEventLog(dir, '../escape'), /Invalid job id/);
+});
+
+test('a queued job is cancelled at once and a running one after its current item', async () => {
+  let release;
+  const queue = new JobQueue({
+    dir: tempDir(),
+    handlers: {
+      work: async (job, context) => {
+        await new Promise(resolve => {
+          release = resolve;
+        });
+        return { stopped: context.isCancelled() };
+      }
+    }
+  });
+  queue.start();
+  const running = queue.submit('work');
+  const queued = queue.submit('work');
+
+  assert.equal(queue.cancel(queued.id).status, 'cancelled');
+  queue.cancel(running.id);
+  release();
+  const job = await waitForJob(queue, running.id);
+  assert.equal(job.status, 'cancelled');
+  assert.deepEqual(job.result, { stopped: true });
+  assert.throws(() => queue.cancel('nope'), /Unknown job: nope/);
+});
+
+test('a job interrupted by a restart is queued again and skips the items it finished', async () => {
+  const dir = tempDir();
+  const stalled = new JobQueue({
+    dir,
+    handlers: {
+      work: async (job, context) => {
+        context.markDone('one.md');
+        // The process stops here
+        await new Promise(() => {});
+      }
+    }
+  });
+  stalled.start();
+  const { id } = stalled.submit('work', { files: ['one.md', 'two.md'] });
+
+  const processed = [];
+  const restarted = new JobQueue({
+    dir,
+    handlers: {
+      work: async (job, context) => {
+        for (const file of job.params.files) {
+          if (!context.isDone(file)) {
+            processed.push(file);
+            context.markDone(file);
+          }
+        }
+        return { processed };
+      }
+    }
+  });
+  restarted.start();
+  const job = await waitForJob(restarted, id);
+
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(processed, ['two.md']);
+  assert.ok(readEventLog(dir, id).some(event => event.message === 'Requeued after restart'));
+});
+
+test('tailJob follows another process\'s job to its final event', async () => {
+  const dir = tempDir();
+  const queue = new JobQueue({ dir, handlers: { work: async () => ({ ok: true }) } });
+  queue.start();
+  const { id } = queue.submit('work');
+
+  const seen = [];
+  const final = await tailJob(dir, id, event => seen.push(event.status || event.type), 5);
+  assert.equal(final.status, 'completed');
+  assert.deepEqual(seen, ['queued', 'running', 'completed']);
+  await assert.rejects(tailJob(dir, 'missing', () => {}), /Unknown job: missing/);
+});
+
+test('the state directory defaults to .sermon-ai in the vault and can be moved', () => {
+  const previous = process.env.SERMON_AI_STATE_DIR;
+  const vaultPath = tempDir();
+  try {
+    delete process.env.SERMON_AI_STATE_DIR;
+    assert.equal(getStateDir(vaultPath, 'jobs'), path.join(vaultPath, '.sermon-ai', 'jobs'));
+    assert.ok(fs.statSync(path.join(vaultPath, '.sermon-ai', 'jobs')).isDirectory());
+
+    process.env.SERMON_AI_STATE_DIR = path.join(vaultPath, 'elsewhere');
+    assert.equal(getStateDir(vaultPath, 'cache'), path.join(vaultPath, 'elsewhere', 'cache'));
+  } finally {
+    if (previous === undefined) {
+      delete process.env.SERMON_AI_STATE_DIR;
+    } else {
+      process.env.SERMON_AI_STATE_DIR = previous;
+    }
+  }
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  getEaster,
+  getAdventStart,
+  getLiturgicalDay,
+  formatLiturgicalDay,
+  loadLectionary,
+  getLectionaryReadings,
+  getLiturgicalFields,
+  formatLiturgicalContextForPrompt,
+  checkLectionaryTexts
+} = require('../liturgical-calendar');
+
+// Name, season and year for a date
+function describe(date) {
+  const day = getLiturgicalDay(date);
+  return [day.name, day.season, day.year];
+}
+
+test('Easter and the First Sunday of Advent fall on the right dates', () => {
+  assert.equal(getEaster(2024).toISODate(), '2024-03-31');
+  assert.equal(getEaster(2025).toISODate(), '2025-04-20');
+  assert.equal(getEaster(2038).toISODate(), '2038-04-25');
+  assert.equal(getAdventStart(2024).toISODate(), '2024-12-01');
+  assert.equal(getAdventStart(2025).toISODate(), '2025-11-30');
+});
+
+test('the lectionary year changes at Advent', () => {
+  assert.deepEqual(describe('2024-11-24'), ['Reign of Christ (Proper 29)', 'Season after Pentecost', 'B']);
+  assert.deepEqual(describe('2024-12-01'), ['First Sunday of Advent', 'Advent', 'C']);
+  assert.deepEqual(describe('2025-11-30'), ['First Sunday of Advent', 'Advent', 'A']);
+});
+
+test('Sundays and festivals across the church year are named', () => {
+  assert.deepEqual(describe('2025-01-06'), ['Epiphany of the Lord', 'Season after Epiphany', 'C']);
+  assert.deepEqual(describe('2025-01-12'), ['Baptism of the Lord', 'Season after Epiphany', 'C']);
+  assert.deepEqual(describe('2025-03-02'), ['Transfiguration Sunday', 'Season after Epiphany', 'C']);
+  assert.deepEqual(describe('2025-03-05'), ['Ash Wednesday', 'Lent', 'C']);
+  assert.deepEqual(describe('2025-03-30'), ['Fourth Sunday in Lent', 'Lent', 'C']);
+  assert.deepEqual(describe('2025-04-13'), ['Palm/Passion Sunday', 'Holy Week', 'C']);
+  assert.deepEqual(describe('2025-04-20'), ['Easter Day', 'Easter', 'C']);
+  assert.deepEqual(describe('2025-06-08'), ['Day of Pentecost', 'Easter', 'C']);
+  assert.deepEqual(describe('2025-06-15'), ['Trinity Sunday', 'Season after Pentecost', 'C']);
+  assert.deepEqual(describe('2025-07-13'), ['Proper 10', 'Season after Pentecost', 'C']);
+  assert.deepEqual(describe('2025-12-28'), ['First Sunday after Christmas Day', 'Christmas', 'A']);
+});
+
+test('a Sunday Christmas Eve is the Fourth Sunday of Advent, and weekdays are named for their season', () => {
+  assert.deepEqual(describe('2023-12-24'), ['Fourth Sunday of Advent', 'Advent', 'B']);
+  assert.deepEqual(describe('2025-12-24'), ['Christmas Eve', 'Advent', 'A']);
+  assert.deepEqual(describe('2025-03-12'), ['Wednesday in Lent', 'Lent', 'C']);
+  assert.equal(getLiturgicalDay('2025-03-12').key, null);
+});
+
+test('dates are read as calendar days, and anything else is not a date', () => {
+  assert.equal(getLiturgicalDay(new Date('2025-03-30T00:00:00Z')).key, 'lent-4');
+  assert.equal(getLiturgicalDay('not a date'), null);
+  assert.equal(getLiturgicalDay(undefined), null);
+  assert.equal(formatLiturgicalDay(getLiturgicalDay('2025-03-30')), 'Fourth Sunday in Lent (Year C)');
+});
+
+test('readings come from the bundled tables, with shared days looked up under their alias', () => {
+  assert.deepEqual(getLectionaryReadings(getLiturgicalDay('2025-03-30')), [
+    'Joshua 5:9-12',
+    'Psalm 32',
+    '2 Corinthians 5:16-21',
+    'Luke 15:1-3, 11b-32'
+  ]);
+  const lectionary = loadLectionary();
+  assert.deepEqual(getLectionaryReadings({ key: 'proper-2', year: 'A' }), lectionary['epiphany-7'].A);
+  assert.equal(getLectionaryReadings(getLiturgicalDay('2025-03-12')), null);
+  assert.throws(() => loadLectionary(path.join(os.tmpdir(), 'missing-rcl.yaml')), /Lectionary file not found/);
+});
+
+test('a custom lectionary file is used in place of the bundled one', () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lectionary-')), 'local.yaml');
+  fs.writeFileSync(filePath, 'lent-4:\n  all:\n    - Luke 15:11-32\n');
+  assert.deepEqual(getLectionaryReadings(getLiturgicalDay('2025-03-30'), loadLectionary(filePath)), ['Luke 15:11-32']);
+});
+
+test('frontmatter fields and prompt context describe the day', () => {
+  assert.deepEqual(getLiturgicalFields('2025-03-30'), {
+    liturgical_day: 'Fourth Sunday in Lent (Year C)',
+    lectionary_readings: ['Joshua 5:9-12', 'Psalm 32', '2 Corinthians 5:16-21', 'Luke 15:1-3, 11b-32']
+  });
+  assert.deepEqual(getLiturgicalFields(''), {});
+
+  const context = formatLiturgicalContextForPrompt({ preached_on: '2025-03-30' });
+  assert.match(context, /Preached on 2025-03-30, Fourth Sunday in Lent \(Year C\), in Lent\./);
+  assert.match(context, /READINGS FOR THE DAY: Joshua 5:9-12; Psalm 32/);
+  assert.match(formatLiturgicalContextForPrompt({}), /Unknown \(the sermon has no preached_on date\)/);
+  assert.match(formatLiturgicalContextForPrompt({ preached_on: '2025-03-12' }), /no Revised Common Lectionary readings/);
+});
+
+test('texts off the lectionary are flagged, and overlapping ones are not', () => {
+  assert.deepEqual(checkLectionaryTexts({ preached_on: '2025-03-30', texts: ['Luke 15:11-24'] }), []);
+  assert.deepEqual(checkLectionaryTexts({ preached_on: '2025-03-30', texts: ['Psalm 32:1-5'] }), []);
+  const [warning] = checkLectionaryTexts({ preached_on: '2025-03-30', texts: ['Mark 4:35-41'] });
+  assert.match(warning, /Texts \(Mark 4:35-41\) don't include any of the lectionary readings for Fourth Sunday in Lent, Year C \(2025-03-30\)/);
+  assert.deepEqual(checkLectionaryTexts({ preached_on: '2025-03-12', texts: ['Mark 4:35-41'] }), []);
+  assert.deepEqual(checkLectionaryTexts({ preached_on: '2025-03-30' }), []);
+});
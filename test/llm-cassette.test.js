@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const { Cassette, useCassette, ejectCassette, isReplayOnly } = require('../llm-cassette');
+const { registerProvider, chatCompletion } = require('../llm-providers');
+
+const request = { system: 's', messages: [{ role: 'user', content: 'score this' }], temperature: 0.3, max_tokens: 10 };
+
+function tempCassette() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-')), 'run.json');
+}
+
+test('keys depend on the model, prompt and sampling parameters but not their order', () => {
+  const key = Cassette.keyFor('openai:gpt-4o', request).key;
+  assert.equal(Cassette.keyFor('openai:gpt-4o', { max_tokens: 10, temperature: 0.3, messages: request.messages, system: 's' }).key, key);
+  assert.notEqual(Cassette.keyFor('openai:gpt-4', request).key, key);
+  assert.notEqual(Cassette.keyFor('openai:gpt-4o', { ...request, temperature: 0.7 }).key, key);
+  assert.notEqual(Cassette.keyFor('openai:gpt-4o', { ...request, system: 'other' }).key, key);
+});
+
+test('repeated requests replay in recorded order, then repeat the last response', () => {
+  const filePath = tempCassette();
+  const recorder = new Cassette(filePath, 'record');
+  recorder.record('openai:gpt-4o', request, { text: 'first', usage: {}, model: 'gpt-4o' });
+  recorder.record('openai:gpt-4o', request, { text: 'second', usage: {}, model: 'gpt-4o' });
+
+  const player = new Cassette(filePath, 'replay');
+  const played = [1, 2, 3].map(() => player.lookup('openai:gpt-4o', request).text);
+  assert.deepEqual(played, ['first', 'second', 'second']);
+  assert.equal(player.lookup('openai:gpt-4', request), null);
+});
+
+test('record mode never replays and replay mode needs an existing file', () => {
+  const filePath = tempCassette();
+  const recorder = new Cassette(filePath, 'record');
+  recorder.record('openai:gpt-4o', request, { text: 'x', usage: {}, model: 'gpt-4o' });
+  assert.equal(recorder.lookup('openai:gpt-4o', request), null);
+  assert.throws(() => new Cassette(tempCassette(), 'replay'), /Cassette file not found/);
+  assert.throws(() => new Cassette(filePath, 'rewind'), /Unknown cassette mode/);
+});
+
+test('chatCompletion records a provider reply and replays it without calling the provider again', async () => {
+  let calls = 0;
+  registerProvider('fake-cassette', () => ({
+    name: 'fake-cassette',
+    defaultModel: 'm',
+    isConfigured: () => false,
+    chat: async () => {
+      calls += 1;
+      return { text: `reply ${calls}`, usage: { prompt_tokens: 1, completion_tokens: 1 }, model: 'm' };
+    }
+  }));
+  const filePath = tempCassette();
+  try {
+    useCassette(filePath, 'record');
+    assert.equal((await chatCompletion('fake-cassette:m', request)).text, 'reply 1');
+
+    useCassette(filePath, 'replay');
+    assert.equal(isReplayOnly(), true);
+    const replayed = await chatCompletion('fake-cassette:m', request);
+    assert.equal(replayed.text, 'reply 1');
+    assert.equal(replayed.replayed, true);
+    assert.equal(calls, 1);
+    await assert.rejects(chatCompletion('fake-cassette:m', { ...request, temperature: 0.9 }), /No recorded response/);
+  } finally {
+    ejectCassette();
+  }
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Usage accounting may cache prices in the state directory; keep it out of the repo
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const { registerProvider, getProvider, listProviders, parseModelSpec, chatCompletion } = require('../llm-providers');
+
+test('parseModelSpec splits provider:model specs and keeps colons in the model', () => {
+  assert.deepEqual(parseModelSpec('anthropic:claude-3-7-sonnet-20250219'), {
+    provider: 'anthropic',
+    model: 'claude-3-7-sonnet-20250219',
+    spec: 'anthropic:claude-3-7-sonnet-20250219'
+  });
+  assert.equal(parseModelSpec('ollama:llama3:8b').model, 'llama3:8b');
+  // "llama3" is not a provider, so the whole spec is a model name for the default provider
+  assert.equal(parseModelSpec('llama3:8b', 'ollama').spec, 'ollama:llama3:8b');
+});
+
+test('a bare model name goes to the default provider, and an empty one to its default model', () => {
+  assert.equal(parseModelSpec('gpt-4o', 'openai').spec, 'openai:gpt-4o');
+  assert.equal(parseModelSpec('ollama:').model, getProvider('ollama').defaultModel);
+});
+
+test('OpenRouter models must name their vendor rather than have it guessed from the name', () => {
+  assert.equal(parseModelSpec('openrouter:meta-llama/llama-3-70b').model, 'meta-llama/llama-3-70b');
+  assert.equal(parseModelSpec('openai/gpt-4', 'openrouter').spec, 'openrouter:openai/gpt-4');
+  assert.throws(() => parseModelSpec('gpt-4', 'openrouter'), /named "vendor\/model".*not "gpt-4"/);
+  assert.throws(() => parseModelSpec('openrouter:my-claude-finetune'), /not "my-claude-finetune"/);
+});
+
+test('unknown providers are reported with the known ones', () => {
+  assert.throws(() => getProvider('nope'), /Unknown LLM provider "nope". Known providers: .*openai/);
+});
+
+test('chatCompletion sends the request with defaults to a registered provider', async () => {
+  const requests = [];
+  registerProvider('fake-chat', () => ({
+    name: 'fake-chat',
+    defaultModel: 'm1',
+    isConfigured: () => true,
+    chat: async request => {
+      requests.push(request);
+      return { text: 'hi', usage: { prompt_tokens: 3, completion_tokens: 1 }, model: request.model };
+    }
+  }));
+  assert.ok(listProviders().includes('fake-chat'));
+  const response = await chatCompletion('fake-chat:', { messages: [{ role: 'user', content: 'hello' }] });
+  assert.equal(response.text, 'hi');
+  assert.equal(response.spec, 'fake-chat:m1');
+  assert.equal(requests[0].model, 'm1');
+  assert.equal(requests[0].temperature, 0.3);
+  assert.equal(requests[0].max_tokens, 1500);
+});
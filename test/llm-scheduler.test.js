@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_MAX_RETRIES,
+  ProviderScheduler,
+  getProviderLimits,
+  parseRetryAfter,
+  classifyError,
+  computeBackoff,
+  computePause,
+  estimateTokens
+} = require('../llm-scheduler');
+
+// An error shaped like the SDKs' API errors
+function apiError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+test('retry-after is read in milliseconds, seconds or as an HTTP date', () => {
+  assert.equal(parseRetryAfter({ 'retry-after-ms': '250', 'retry-after': '9' }), 250);
+  assert.equal(parseRetryAfter({ 'retry-after': '1.5' }), 1500);
+  assert.equal(parseRetryAfter(new Headers({ 'retry-after': '2' })), 2000);
+  const wait = parseRetryAfter({ 'retry-after': new Date(Date.now() + 10000).toUTCString() });
+  assert.ok(wait > 8000 && wait <= 10000);
+  assert.equal(parseRetryAfter({ 'retry-after': new Date(Date.now() - 10000).toUTCString() }), 0);
+  assert.equal(parseRetryAfter({ 'retry-after': 'soon' }), null);
+  assert.equal(parseRetryAfter({}), null);
+  assert.equal(parseRetryAfter(undefined), null);
+});
+
+test('rate limits, server errors and network failures are retried, and the provider\'s verdict wins', () => {
+  assert.deepEqual(classifyError(apiError(429, { 'retry-after': '3' })), { retryable: true, retryAfterMs: 3000 });
+  assert.equal(classifyError(apiError(529)).retryable, true);
+  assert.equal(classifyError(apiError(400)).retryable, false);
+  assert.equal(classifyError(apiError(429, { 'x-should-retry': 'false' })).retryable, false);
+  assert.equal(classifyError(apiError(400, { 'x-should-retry': 'true' })).retryable, true);
+  assert.equal(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })).retryable, true);
+  assert.equal(classifyError(new Error('bad JSON')).retryable, false);
+});
+
+test('backoff grows with each attempt, with jitter, up to a minute', () => {
+  for (let i = 0; i < 20; i++) {
+    const first = computeBackoff(0);
+    assert.ok(first >= 1000 && first <= 2000);
+    const later = computeBackoff(10);
+    assert.ok(later >= 30000 && later <= 60000);
+  }
+});
+
+test('a retry-after pause is never shorter than the provider asked, and jittered above it', () => {
+  const pauses = new Set();
+  for (let i = 0; i < 20; i++) {
+    const pause = computePause(1000);
+    assert.ok(pause >= 1000 && pause <= 1500);
+    pauses.add(pause);
+  }
+  assert.ok(pauses.size > 1);
+  assert.equal(computePause(0), 0);
+});
+
+test('limits come from the environment, per provider or for all of them', () => {
+  const saved = { ...process.env };
+  try {
+    for (const name of ['LLM_CONCURRENCY', 'LLM_MAX_RETRIES', 'OPENAI_CONCURRENCY', 'OPENAI_RPM', 'OPENAI_TPM', 'OLLAMA_CONCURRENCY']) {
+      delete process.env[name];
+    }
+    assert.deepEqual(getProviderLimits('openai'), { concurrency: DEFAULT_CONCURRENCY, rpm: null, tpm: null, maxRetries: DEFAULT_MAX_RETRIES });
+    assert.equal(getProviderLimits('ollama').concurrency, 1);
+
+    Object.assign(process.env, { LLM_CONCURRENCY: '2', LLM_MAX_RETRIES: '0', OPENAI_RPM: '500', OPENAI_TPM: 'lots' });
+    assert.deepEqual(getProviderLimits('openai'), { concurrency: 2, rpm: 500, tpm: null, maxRetries: 0 });
+    process.env.OPENAI_CONCURRENCY = '8';
+    assert.equal(getProviderLimits('openai').concurrency, 8);
+    assert.equal(getProviderLimits('ollama').concurrency, 2);
+  } finally {
+    process.env = saved;
+  }
+});
+
+test('a request\'s tokens are estimated from its text and reply budget', () => {
+  assert.equal(estimateTokens({ system: 'abcd', messages: [{ role: 'user', content: 'efgh' }], max_tokens: 100 }), 103);
+  assert.equal(estimateTokens({}), 0);
+});
+
+test('no more requests run at once than the provider allows', async () => {
+  const scheduler = new ProviderScheduler('capped', { concurrency: 2, rpm: null, tpm: null, maxRetries: 0 });
+  let running = 0;
+  let most = 0;
+  const task = async () => {
+    running += 1;
+    most = Math.max(most, running);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    running -= 1;
+    return { usage: { prompt_tokens: 1, completion_tokens: 1 } };
+  };
+  await Promise.all([1, 2, 3, 4, 5].map(() => scheduler.run(task)));
+  assert.equal(most, 2);
+  assert.equal(scheduler.active, 0);
+});
+
+test('a retry-after holds the requests queued behind it until the pause ends', async () => {
+  const scheduler = new ProviderScheduler('paused', { concurrency: 1, rpm: null, tpm: null, maxRetries: 1 });
+  const starts = { first: [], second: [], third: [] };
+  let failedAt = null;
+
+  // The first request is told to come back in 200 ms; the other two are queued behind it
+  const first = scheduler.run(async () => {
+    starts.first.push(Date.now());
+    if (starts.first.length === 1) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      failedAt = Date.now();
+      throw apiError(429, { 'retry-after': '0.2' });
+    }
+    return { text: 'first' };
+  });
+  const queued = ['second', 'third'].map(name => scheduler.run(async () => {
+    starts[name].push(Date.now());
+    return { text: name };
+  }));
+
+  const replies = await Promise.all([first, ...queued]);
+  assert.deepEqual(replies.map(reply => reply.text), ['first', 'second', 'third']);
+  assert.equal(starts.first.length, 2);
+  for (const start of [...starts.second, ...starts.third, starts.first[1]]) {
+    assert.ok(start >= failedAt + 200, `started ${failedAt + 200 - start} ms before the pause ended`);
+  }
+});
+
+test('a request is given up after its retries, or at once when not worth retrying', async () => {
+  const scheduler = new ProviderScheduler('failing', { concurrency: 1, rpm: null, tpm: null, maxRetries: 2 });
+  let calls = 0;
+  await assert.rejects(scheduler.run(async () => {
+    calls += 1;
+    throw apiError(503, { 'retry-after-ms': '1' });
+  }), /HTTP 503/);
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(scheduler.run(async () => {
+    calls += 1;
+    throw apiError(400);
+  }), /HTTP 400/);
+  assert.equal(calls, 1);
+  assert.equal(scheduler.active, 0);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getMarkers, findManagedSection, replaceManagedSection, migrateLegacyRadarSections } = require('../managed-sections');
+const { migrateFileSections } = require('../yaml-generator');
+
+const START = '<!-- sermon-ai:radar start -->';
+const END = '<!-- sermon-ai:radar end -->';
+
+test('markers carry the section name', () => {
+  assert.deepEqual(getMarkers('radar'), { start: START, end: END });
+});
+
+test('replaceManagedSection inserts at the top, then replaces only between the markers', () => {
+  const body = '# Sermon\n\nGrace upon grace.\n\n## My notes\nKeep this.\n';
+  const inserted = replaceManagedSection(body, 'radar', 'First analysis');
+  assert.equal(inserted, `${START}\nFirst analysis\n${END}\n\n# Sermon\n\nGrace upon grace.\n\n## My notes\nKeep this.`);
+
+  const replaced = replaceManagedSection(inserted, 'radar', '\nSecond analysis\n');
+  assert.equal(replaced, inserted.replace('First analysis', 'Second analysis'));
+  assert.equal(replaceManagedSection('', 'radar', 'Only'), `${START}\nOnly\n${END}\n`);
+});
+
+test('findManagedSection covers both markers and rejects an unclosed section', () => {
+  const content = `Before\n${START}\nInside\n${END}\nAfter`;
+  const range = findManagedSection(content, 'radar');
+  assert.equal(content.slice(range.start, range.end), `${START}\nInside\n${END}`);
+  assert.equal(findManagedSection(content, 'chart'), null);
+  assert.throws(() => findManagedSection(`${START}\nInside`, 'radar'), /no end marker/);
+});
+
+test('migrateLegacyRadarSections keeps the newest stacked block and the preacher\'s own lines', () => {
+  const content = [
+    '# Sermon',
+    '',
+    '## Radar Analysis',
+    '_Generated by model: gpt-4o | 2025-03-01_',
+    '',
+    '- **Theological Cohesion (8/10)**: Newer.',
+    '',
+    '**Overall Assessment**: Newer assessment',
+    'that wraps onto a second line.',
+    '',
+    '---',
+    '_Generated by model: gpt-4 | 2025-01-01_',
+    '',
+    '- **Theological Cohesion (6/10)**: Older.',
+    '',
+    '## My notes',
+    'Preach this again at Easter.',
+    '',
+    '## Radar Analysis',
+    '_Generated by model: gpt-3.5 | 2024-06-01_',
+    '- **Theological Cohesion (5/10)**: Oldest.'
+  ].join('\n');
+
+  const result = migrateLegacyRadarSections(content);
+  assert.equal(result.migrated, true);
+  assert.equal(result.removedBlocks, 2);
+  assert.equal(result.content, [
+    '# Sermon',
+    '',
+    START,
+    '## Radar Analysis',
+    '_Generated by model: gpt-4o | 2025-03-01_',
+    '',
+    '- **Theological Cohesion (8/10)**: Newer.',
+    '',
+    '**Overall Assessment**: Newer assessment',
+    'that wraps onto a second line.',
+    END,
+    '',
+    '## My notes',
+    'Preach this again at Easter.',
+    ''
+  ].join('\n'));
+});
+
+test('migrateLegacyRadarSections leaves files that are already managed or never analysed alone', () => {
+  const managed = `${START}\n## Radar Analysis\n${END}\n\n## Radar Analysis\n_Generated by model: x_`;
+  assert.deepEqual(migrateLegacyRadarSections(managed), { content: managed, migrated: false, removedBlocks: 0 });
+  assert.equal(migrateLegacyRadarSections('# Sermon\n\nNo analysis yet.').migrated, false);
+});
+
+test('migrateFileSections rewrites only the body and honours a dry run', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  const filePath = path.join(dir, 'sermon.md');
+  const frontmatter = '---\nsermon_title: "Grace"   # hand-formatted\n---\n';
+  const original = `${frontmatter}## Radar Analysis\n_Generated by model: gpt-4_\n- **Closing Force (7/10)**: Strong.\n\nBody text.\n`;
+  fs.writeFileSync(filePath, original);
+
+  assert.deepEqual(migrateFileSections(filePath, true), { migrated: true, removedBlocks: 0 });
+  assert.equal(fs.readFileSync(filePath, 'utf8'), original);
+
+  migrateFileSections(filePath);
+  const migrated = fs.readFileSync(filePath, 'utf8');
+  assert.ok(migrated.startsWith(frontmatter));
+  assert.ok(migrated.includes(`${START}\n## Radar Analysis\n_Generated by model: gpt-4_\n- **Closing Force (7/10)**: Strong.\n${END}\n\nBody text.`));
+  assert.deepEqual(migrateFileSections(filePath), { migrated: false, removedBlocks: 0 });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPreacherProfile, resolvePreacherProfile, parsePronouns, formatPreacherForPrompt } = require('../preacher-profiles');
+
+// Profiles are read from PREACHER_PROFILES_DIR; point it at a scratch directory for each test
+function withProfiles(files, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preachers-'));
+  Object.entries(files).forEach(([name, contents]) => fs.writeFileSync(path.join(dir, name), contents));
+  const saved = { dir: process.env.PREACHER_PROFILES_DIR, preacher: process.env.DEFAULT_PREACHER };
+  process.env.PREACHER_PROFILES_DIR = dir;
+  delete process.env.DEFAULT_PREACHER;
+  try {
+    return fn();
+  } finally {
+    if (saved.dir === undefined) {
+      delete process.env.PREACHER_PROFILES_DIR;
+    } else {
+      process.env.PREACHER_PROFILES_DIR = saved.dir;
+    }
+    if (saved.preacher !== undefined) {
+      process.env.DEFAULT_PREACHER = saved.preacher;
+    }
+  }
+}
+
+test('without a profile the neutral default uses they/them', () => {
+  withProfiles({}, () => {
+    const profile = loadPreacherProfile();
+    assert.equal(profile.id, 'default');
+    assert.match(formatPreacherForPrompt(profile), /Use they\/them pronouns/);
+  });
+});
+
+test('the frontmatter preacher wins over the --preacher fallback', () => {
+  withProfiles({
+    'jane.yaml': 'name: Jane\npronouns: she/her\ndenomination: ELCA\nrole: pastor\n',
+    'sam.json': '{"name": "Sam"}'
+  }, () => {
+    assert.equal(resolvePreacherProfile({ preacher: 'jane' }, 'sam').name, 'Jane');
+    assert.equal(resolvePreacherProfile({}, 'sam').name, 'Sam');
+  });
+});
+
+test('unknown and unsafe profile ids are rejected', () => {
+  withProfiles({}, () => {
+    assert.throws(() => loadPreacherProfile('nobody'), /not found/);
+    assert.throws(() => loadPreacherProfile('../etc/passwd'), /Invalid preacher profile id/);
+  });
+});
+
+test('parsePronouns fills in object and possessive forms', () => {
+  assert.deepEqual(parsePronouns('she/her'), { subject: 'she', object: 'her', possessive: 'her' });
+  assert.deepEqual(parsePronouns('he/him'), { subject: 'he', object: 'him', possessive: 'his' });
+  assert.deepEqual(parsePronouns('ze/zir/zir'), { subject: 'ze', object: 'zir', possessive: 'zir' });
+  assert.deepEqual(parsePronouns(undefined), { subject: 'they', object: 'them', possessive: 'their' });
+});
+
+test('formatPreacherForPrompt describes the role and lists growth goals', () => {
+  const text = formatPreacherForPrompt({
+    pronouns: 'she/her',
+    career_stage: 'early-career',
+    denomination: 'ELCA',
+    role: 'pastor',
+    training: 'M.Div.',
+    growth_goals: ['Shorter introductions']
+  });
+  assert.match(text, /evaluating is an early-career ELCA pastor\./);
+  assert.match(text, /Training and background: M\.Div\./);
+  assert.match(text, /- Shorter introductions/);
+  assert.match(text, /Use she\/her pronouns/);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const matter = require('gray-matter');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const { getChartPath, renderRadarChart, computeTrailingAverage, writeRadarChart } = require('../radar-chart');
+const { appendEvaluation } = require('../evaluation-history');
+const { promoteEvaluation } = require('../llm-metadata-generator');
+const { loadRubric, getDimensionKeys, getRubricId } = require('../rubric-loader');
+
+const rubric = loadRubric();
+const categories = getDimensionKeys(rubric);
+
+function scores(value) {
+  return Object.fromEntries(categories.map(category => [category, value]));
+}
+
+test('the chart sits next to the sermon', () => {
+  assert.equal(getChartPath('/vault/Sermon 03.23.25.md'), path.join('/vault', 'Sermon 03.23.25.radar.svg'));
+  assert.equal(getChartPath('/vault/Sermon 03.23.25.md', 'radar-compare'), path.join('/vault', 'Sermon 03.23.25.radar-compare.svg'));
+});
+
+test('the sermon is drawn filled with its points, and overlays dashed behind it', () => {
+  const svg = renderRadarChart(rubric, [
+    { label: 'Grace & <Truth>', scores: scores(8) },
+    { label: 'Trailing average', scores: scores(5) }
+  ], { title: 'Grace' });
+
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+  assert.match(svg, /<\/svg>\n$/);
+  assert.match(svg, />Grace<\/text>/);
+  assert.match(svg, />Grace &amp; &lt;Truth&gt;<\/text>/);
+  assert.equal((svg.match(/<line x1="[\d.]+" y1="[\d.]+" x2/g) || []).length, categories.length + 2);
+  assert.equal((svg.match(/<circle /g) || []).length, categories.length);
+
+  const polygons = svg.match(/<polygon [^>]*stroke="#(2563eb|dc2626)"[^>]*>/g);
+  assert.equal(polygons.length, 2);
+  assert.match(polygons[0], /stroke="#dc2626".*stroke-dasharray="6 4"/);
+  assert.match(polygons[1], /stroke="#2563eb"/);
+  assert.doesNotMatch(polygons[1], /stroke-dasharray/);
+  assert.match(svg, new RegExp(`>${getRubricId(rubric).replace('.', '\\.')}, scale ${rubric.scale.min}-${rubric.scale.max}<`));
+});
+
+test('missing scores fall to the centre and scores off the scale are clamped to it', () => {
+  const centre = renderRadarChart(rubric, [{ label: 'Empty', scores: {} }]);
+  const [, points] = centre.match(/<polygon points="([^"]+)" fill="#2563eb"/);
+  assert.equal(new Set(points.split(' ')).size, 1);
+
+  const over = renderRadarChart(rubric, [{ label: 'Over', scores: scores(rubric.scale.max + 5) }]);
+  const full = renderRadarChart(rubric, [{ label: 'Over', scores: scores(rubric.scale.max) }]);
+  assert.equal(over, full);
+});
+
+test('the trailing average covers the preacher\'s earlier sermons under the same rubric', () => {
+  const entry = (file, preached_on, value, extra = {}) => ({ path: file, preached_on, radar_score: scores(value), ...extra });
+  const index = {
+    files: {
+      'a.md': entry('a.md', '2025-01-05', 4),
+      'b.md': entry('b.md', '2025-02-02', 6, { radar_rubric: getRubricId(rubric) }),
+      'c.md': entry('c.md', '2025-03-02', 8),
+      'd.md': entry('d.md', '2025-04-06', 10),
+      'e.md': entry('e.md', '2025-02-09', 1, { preacher: 'guest' }),
+      'f.md': entry('f.md', '2025-02-16', 1, { radar_rubric: 'lutheran@1' }),
+      'g.md': { path: 'g.md', preached_on: '2025-02-23' }
+    }
+  };
+
+  const average = computeTrailingAverage(index, { path: 'c.md', preached_on: '2025-03-02', rubric });
+  assert.equal(average.count, 2);
+  assert.deepEqual(average.scores, scores(5));
+  assert.deepEqual(computeTrailingAverage(index, { path: 'c.md', preached_on: '2025-03-02', rubric, count: 1 }).scores, scores(6));
+  assert.equal(computeTrailingAverage(index, { path: 'd.md', rubric }).count, 3);
+  assert.deepEqual(computeTrailingAverage(index, { preacher: 'guest', rubric }), { scores: scores(1), count: 1 });
+  assert.equal(computeTrailingAverage(index, { path: 'a.md', preached_on: '2025-01-05', rubric }), null);
+});
+
+test('writeRadarChart saves the SVG next to the sermon', () => {
+  const sermonPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-')), 'Sermon.md');
+  const chartPath = writeRadarChart(sermonPath, rubric, [{ label: 'Sermon', scores: scores(7) }], { suffix: 'radar-compare' });
+  assert.equal(chartPath, getChartPath(sermonPath, 'radar-compare'));
+  assert.match(fs.readFileSync(chartPath, 'utf8'), /^<svg /);
+});
+
+test('--chart embeds the chart in the Radar Analysis section with the trailing average overlaid', () => {
+  const vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  fs.writeFileSync(path.join(vaultPath, 'Earlier.md'), matter.stringify('Text.\n', { preached_on: '2025-03-16', radar_score: scores(5) }));
+  const filePath = path.join(vaultPath, 'Sermon 03.23.25.md');
+  fs.writeFileSync(filePath, matter.stringify('Text.\n', { sermon_title: 'Grace', preached_on: '2025-03-23' }));
+  const evaluation = appendEvaluation(filePath, { model: 'a:m', rubric: getRubricId(rubric), radar_score: scores(7), justifications: {} });
+
+  promoteEvaluation(filePath, evaluation.id, null, { chart: true, vaultPath });
+  assert.match(fs.readFileSync(filePath, 'utf8'), /!\[Radar chart\]\(Sermon%2003\.23\.25\.radar\.svg\)/);
+  const svg = fs.readFileSync(getChartPath(filePath), 'utf8');
+  assert.match(svg, />Grace<\/text>/);
+  assert.match(svg, />Trailing average \(previous 1 sermon\)<\/text>/);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const matter = require('gray-matter');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const { generateRadarScores, processSermonFile } = require('../llm-metadata-generator');
+const { updateFileWithRadarSection } = require('../yaml-generator');
+const { registerProvider } = require('../llm-providers');
+const { loadRubric, getDimensionKeys } = require('../rubric-loader');
+
+const rubric = loadRubric();
+const categories = getDimensionKeys(rubric);
+
+// A reply scoring every dimension 7, with the cumulative score the caller gives
+function radarReply(cumulative) {
+  const scores = {};
+  categories.forEach(category => {
+    scores[category] = { score: 7, justification: ` Solid ${category}. ` };
+  });
+  return JSON.stringify({
+    scores,
+    overall_assessment: ' A faithful sermon that lands its point. ',
+    cumulative_score: cumulative,
+    audio_note: ' No audio link was available. '
+  });
+}
+
+function registerRadarProvider(name, reply) {
+  registerProvider(name, () => ({
+    name,
+    defaultModel: 'm',
+    isConfigured: () => true,
+    chat: async () => ({ text: reply, usage: { prompt_tokens: 100, completion_tokens: 50 }, model: 'm' })
+  }));
+}
+
+function writeSermon(frontmatter) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  const filePath = path.join(dir, 'sermon.md');
+  fs.writeFileSync(filePath, matter.stringify('# Sermon\n\nGrace upon grace.\n', frontmatter));
+  return filePath;
+}
+
+test('generateRadarScores returns the overall assessment, checked cumulative score and audio note', async () => {
+  registerRadarProvider('radar-agrees', radarReply(7 * categories.length));
+  const result = await generateRadarScores('Grace upon grace.', {}, { model: 'radar-agrees:m', cache: false });
+  assert.equal(result.summary, 'A faithful sermon that lands its point.');
+  assert.equal(result.audio_note, 'No audio link was available.');
+  assert.deepEqual(result.cumulative, {
+    reported: 7 * categories.length,
+    computed: 7 * categories.length,
+    max: rubric.scale.max * categories.length,
+    agrees: true
+  });
+  assert.equal(result.justifications[categories[0]], `Solid ${categories[0]}.`);
+});
+
+test('a cumulative score that does not match the category scores is kept but flagged', async () => {
+  registerRadarProvider('radar-disagrees', radarReply(12));
+  const result = await generateRadarScores('Grace upon grace.', {}, { model: 'radar-disagrees:m', cache: false });
+  assert.equal(result.cumulative.reported, 12);
+  assert.equal(result.cumulative.computed, 7 * categories.length);
+  assert.equal(result.cumulative.agrees, false);
+});
+
+test('updateFileWithRadarSection writes the assessment, cumulative score and audio note to the file', () => {
+  const filePath = writeSermon({ sermon_title: 'Grace' });
+  const radar_score = Object.fromEntries(categories.map(category => [category, 7]));
+  const justifications = Object.fromEntries(categories.map(category => [category, 'Solid.']));
+  updateFileWithRadarSection(filePath, {
+    sermon_title: 'Grace',
+    radar_score,
+    radar_summary: 'A faithful sermon.',
+    radar_cumulative: { reported: 60, computed: 63, max: 90, agrees: false },
+    radar_audio_note: 'No audio.'
+  }, justifications, 'fake:m', rubric);
+
+  const { data, content } = matter(fs.readFileSync(filePath, 'utf8'));
+  assert.equal(data.radar_summary, 'A faithful sermon.');
+  assert.deepEqual(data.radar_cumulative, { reported: 60, computed: 63, max: 90, agrees: false });
+  assert.equal(data.radar_audio_note, 'No audio.');
+  const section = content.slice(content.indexOf('<!-- sermon-ai:radar start -->'), content.indexOf('<!-- sermon-ai:radar end -->'));
+  assert.match(section, /\*\*Overall Assessment\*\*: A faithful sermon\./);
+  assert.match(section, /\*\*Cumulative Score\*\*: 60\/90 ⚠️ _The category scores sum to 63\._/);
+  assert.match(section, /\*\*Audio\*\*: No audio\./);
+});
+
+test('processSermonFile persists the whole evaluation to the sermon', async () => {
+  registerRadarProvider('radar-file', radarReply(7 * categories.length));
+  const filePath = writeSermon({ sermon_title: 'Grace', bolt: 'Grace is enough', themes: ['grace'], metaphors: ['river'] });
+  const result = await processSermonFile(filePath, { modelForRadar: 'radar-file:m', scoreOnly: true });
+  assert.equal(result.updated, true);
+
+  const { data, content } = matter(fs.readFileSync(filePath, 'utf8'));
+  assert.equal(data.radar_score[categories[0]], 7);
+  assert.equal(data.radar_summary, 'A faithful sermon that lands its point.');
+  assert.equal(data.radar_cumulative.agrees, true);
+  assert.equal(data.radar_audio_note, 'No audio link was available.');
+  assert.match(content, /\*\*Overall Assessment\*\*: A faithful sermon that lands its point\./);
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const matter = require('gray-matter');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const {
+  median,
+  trimmedMean,
+  standardDeviation,
+  describeScores,
+  krippendorffAlpha,
+  intraclassCorrelation,
+  describeReliability,
+  summarizeRatings
+} = require('../rating-stats');
+const { ensembleRadarScores } = require('../llm-metadata-generator');
+const { readHistory } = require('../evaluation-history');
+const { registerProvider } = require('../llm-providers');
+const { loadRubric, getDimensionKeys } = require('../rubric-loader');
+
+const rubric = loadRubric();
+const categories = getDimensionKeys(rubric);
+
+function scores(value, overrides = {}) {
+  return { ...Object.fromEntries(categories.map(category => [category, value])), ...overrides };
+}
+
+// A provider whose reply scores each dimension as given
+function registerRadarProvider(name, radarScore) {
+  const reply = JSON.stringify({
+    scores: Object.fromEntries(Object.entries(radarScore).map(([key, score]) => [key, { score, justification: `${name} on ${key}.` }])),
+    overall_assessment: `Assessment by ${name}.`,
+    cumulative_score: Object.values(radarScore).reduce((sum, score) => sum + score, 0),
+    audio_note: 'No audio.'
+  });
+  registerProvider(name, () => ({
+    name,
+    defaultModel: 'm',
+    isConfigured: () => true,
+    chat: async () => {
+      if (!radarScore[categories[0]]) {
+        throw new Error('model unavailable');
+      }
+      return { text: reply, usage: { prompt_tokens: 100, completion_tokens: 50 }, model: 'm' };
+    }
+  }));
+}
+
+registerRadarProvider('ens-a', scores(7));
+registerRadarProvider('ens-b', scores(8));
+registerRadarProvider('ens-c', scores(6, { [categories[0]]: 1 }));
+registerRadarProvider('ens-down', {});
+
+function writeSermon(frontmatter) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  const filePath = path.join(dir, 'sermon.md');
+  fs.writeFileSync(filePath, matter.stringify('# Sermon\n\nGrace upon grace.\n', frontmatter));
+  return filePath;
+}
+
+test('median, trimmed mean and spread', () => {
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(median([4, 1, 3, 2]), 2.5);
+  assert.equal(median([]), null);
+  assert.equal(trimmedMean([1, 2, 3, 4, 100]), 3);
+  assert.equal(trimmedMean([1, 2, 6]), 3);
+  assert.equal(standardDeviation([1, 3]), Math.SQRT2);
+  assert.equal(standardDeviation([5]), null);
+  assert.deepEqual(describeScores([2, 4, 9]), { count: 3, mean: 5, sd: Math.sqrt(13), min: 2, max: 9, range: 7 });
+  assert.deepEqual(describeScores([]), { count: 0, mean: null, sd: null, min: null, max: null, range: null });
+});
+
+test('Krippendorff\'s alpha compares disagreement within units to disagreement overall', () => {
+  assert.equal(krippendorffAlpha([[1, 1], [5, 5]]), 1);
+  assert.ok(Math.abs(krippendorffAlpha([[1, 2], [3, 4]]) - 0.7) < 1e-9);
+  assert.ok(Math.abs(krippendorffAlpha([[1, 2], [3, 4], [9]]) - 0.7) < 1e-9);
+  assert.equal(krippendorffAlpha([[3, 3], [3, 3]]), null);
+  assert.equal(krippendorffAlpha([[3]]), null);
+});
+
+test('the ICC penalises a model that scores consistently higher than another', () => {
+  const icc = intraclassCorrelation([[1, 2], [3, 4], [5, 6]]);
+  assert.ok(Math.abs(icc.single - 8 / 9) < 1e-9);
+  assert.ok(Math.abs(icc.average - 8 / 8.5) < 1e-9);
+  assert.deepEqual(intraclassCorrelation([[1, 1], [5, 5]]), { single: 1, average: 1 });
+  assert.equal(intraclassCorrelation([[1, 2]]), null);
+  assert.equal(intraclassCorrelation([[3, 3], [3, 3]]), null);
+  assert.deepEqual([0.8, 0.7, 0.5, null].map(describeReliability), ['good', 'tentative', 'low', 'undefined']);
+});
+
+test('summarizeRatings aggregates each dimension and flags those the models fundamentally disagree on', () => {
+  const ratings = [
+    { model: 'a', radar_score: scores(7) },
+    { model: 'b', radar_score: scores(8) },
+    { model: 'c', radar_score: scores(6, { [categories[0]]: 1, [categories[1]]: undefined }) }
+  ];
+  const stats = summarizeRatings(ratings, rubric);
+  assert.equal(stats.method, 'median');
+  assert.equal(stats.trim, null);
+  assert.equal(stats.threshold, 3);
+  assert.deepEqual(stats.models, ['a', 'b', 'c']);
+  assert.deepEqual(stats.radar_score, scores(7, { [categories[1]]: 7.5 }));
+  assert.deepEqual(stats.dimensions[categories[1]].scores, [7, 8, null]);
+  assert.deepEqual(stats.disagreements, [categories[0]]);
+  assert.equal(stats.dimensions[categories[0]].range, 7);
+  assert.ok(stats.alpha < 0.667);
+  assert.ok(stats.icc !== null);
+
+  const trimmed = summarizeRatings(ratings, rubric, { method: 'trimmed-mean', disagreement: 8 });
+  assert.equal(trimmed.trim, 0.2);
+  assert.equal(trimmed.radar_score[categories[0]], 5.3);
+  assert.deepEqual(trimmed.disagreements, []);
+
+  assert.throws(() => summarizeRatings(ratings, rubric, { method: 'mean' }), /Unknown aggregation method "mean"/);
+  assert.throws(() => summarizeRatings(ratings, rubric, { trim: 0.5 }), /Trim must be at least 0 and less than 0\.5/);
+});
+
+test('an ensemble stores every model\'s rating and the aggregate, and can become the canonical evaluation', async () => {
+  const filePath = writeSermon({ sermon_title: 'Grace' });
+  const result = await ensembleRadarScores(filePath, { models: ['ens-a:m', 'ens-b:m', 'ens-c:m'], cache: false, write: true });
+  assert.equal(result.error, undefined);
+
+  const history = readHistory(filePath);
+  assert.deepEqual(history.map(entry => entry.model), ['ens-a:m', 'ens-b:m', 'ens-c:m', 'Ensemble (median) of ens-a:m, ens-b:m, ens-c:m']);
+  assert.deepEqual(result.ensemble.ratings, result.ratings.map(rating => rating.id));
+  assert.deepEqual(result.ensemble.radar_score, scores(7));
+  assert.deepEqual(result.ensemble.agreement.disagreements, [categories[0]]);
+  assert.match(result.ensemble.justifications[categories[0]], /^\[ens-a:m\] ens-a on .+ Models disagree: scores range from 1 to 8 \(ens-a:m: 7, ens-b:m: 8, ens-c:m: 1\)\.$/);
+
+  const { data } = matter(fs.readFileSync(filePath, 'utf8'));
+  assert.deepEqual(data.radar_score, scores(7));
+  assert.equal(data.radar_evaluation_id, result.ensemble.id);
+});
+
+test('a model that fails is left out, and an ensemble needs two that answer', async () => {
+  const filePath = writeSermon({ sermon_title: 'Grace' });
+  const result = await ensembleRadarScores(filePath, { models: ['ens-a:m', 'ens-b:m', 'ens-down:m'], cache: false });
+  assert.deepEqual(result.stats.models, ['ens-a:m', 'ens-b:m']);
+  assert.equal(matter(fs.readFileSync(filePath, 'utf8')).data.radar_score, undefined);
+
+  assert.match((await ensembleRadarScores(filePath, { models: ['ens-a:m', 'ens-down:m'], cache: false })).error, /Only 1 of 2 models returned scores/);
+  assert.match((await ensembleRadarScores(filePath, { models: ['ens-a:m'] })).error, /at least two models/);
+  assert.match((await ensembleRadarScores(filePath, { models: ['ens-a:m', 'ens-a:m'] })).error, /only appear once/);
+});
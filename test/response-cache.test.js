@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const {
+  getCacheDir,
+  buildCacheKey,
+  readCachedResponse,
+  writeCachedResponse,
+  getCacheStats,
+  pruneCache
+} = require('../response-cache');
+const { stripManagedSections, getMarkers } = require('../managed-sections');
+const { generateRadarScores, generateSermonMetadata } = require('../llm-metadata-generator');
+const { registerProvider } = require('../llm-providers');
+const { loadRubric, getDimensionKeys } = require('../rubric-loader');
+
+const categories = getDimensionKeys(loadRubric());
+
+// Answers both metadata and radar requests, counting the calls
+const calls = [];
+registerProvider('cache-fake', () => ({
+  name: 'cache-fake',
+  defaultModel: 'm',
+  isConfigured: () => true,
+  chat: async request => {
+    calls.push(request);
+    const reply = request.system.includes('sermon metadata analysis')
+      ? { sermon_title: 'Grace', texts: ['John 1:16'], bolt: 'Grace is enough', themes: ['grace'], metaphors: ['river'] }
+      : {
+        scores: Object.fromEntries(categories.map(key => [key, { score: 7, justification: 'Solid.' }])),
+        overall_assessment: 'Good.',
+        cumulative_score: 7 * categories.length,
+        audio_note: 'None.'
+      };
+    return { text: JSON.stringify(reply), usage: { prompt_tokens: 100, completion_tokens: 50 }, model: 'm' };
+  }
+}));
+
+// Empty the cache between tests
+function clearCache() {
+  pruneCache({ all: true });
+}
+
+test('cache keys ignore the order of their parts and parts left undefined', () => {
+  const key = buildCacheKey({ kind: 'radar_evaluation', model: 'a:m', temperature: 0.2 });
+  assert.match(key, /^[0-9a-f]{32}$/);
+  assert.equal(buildCacheKey({ temperature: 0.2, model: 'a:m', kind: 'radar_evaluation', sample: undefined }), key);
+  assert.notEqual(buildCacheKey({ kind: 'radar_evaluation', model: 'a:m', temperature: 0.3 }), key);
+});
+
+test('a stored reply is found again by the same parts, and an unreadable one is a miss', () => {
+  clearCache();
+  const parts = { kind: 'sermon_metadata', model: 'a:m', content_hash: 'abc' };
+  assert.equal(readCachedResponse(parts), null);
+  writeCachedResponse(parts, { data: { bolt: 'Grace' }, model: 'a:m' });
+  assert.deepEqual(readCachedResponse(parts), { data: { bolt: 'Grace' }, model: 'a:m' });
+  assert.equal(readCachedResponse({ ...parts, content_hash: 'abd' }), null);
+  assert.deepEqual(fs.readdirSync(getCacheDir()), [`${buildCacheKey(parts)}.json`]);
+
+  fs.writeFileSync(path.join(getCacheDir(), `${buildCacheKey(parts)}.json`), '{');
+  assert.equal(readCachedResponse(parts), null);
+});
+
+test('stats count entries by kind and model, and pruning removes old, outdated or chosen entries', () => {
+  clearCache();
+  writeCachedResponse({ kind: 'sermon_metadata', model: 'a:m', prompt_version: 1, content_hash: '1' }, {});
+  writeCachedResponse({ kind: 'radar_evaluation', model: 'a:m', prompt_version: 3, content_hash: '2' }, {});
+  writeCachedResponse({ kind: 'radar_evaluation', model: 'b:m', prompt_version: 2, content_hash: '3' }, {});
+  writeCachedResponse({ kind: 'radar_evaluation', model: 'b:m', prompt_version: 3, content_hash: '4' }, {});
+
+  const stats = getCacheStats();
+  assert.equal(stats.entries, 4);
+  assert.deepEqual(stats.kinds, { sermon_metadata: 1, radar_evaluation: 3 });
+  assert.deepEqual(stats.models, { 'a:m': 2, 'b:m': 2 });
+  assert.ok(stats.bytes > 0);
+
+  // Last used 40 days ago
+  const old = new Date(Date.now() - 40 * 86400000);
+  const metadataEntry = path.join(getCacheDir(), `${buildCacheKey({ kind: 'sermon_metadata', model: 'a:m', prompt_version: 1, content_hash: '1' })}.json`);
+  fs.utimesSync(metadataEntry, old, old);
+  assert.ok(Math.abs(getCacheStats().oldest.getTime() - old.getTime()) < 1000);
+
+  assert.equal(pruneCache({ olderThanDays: 60 }).removed, 0);
+  assert.equal(pruneCache().removed, 1);
+  assert.equal(pruneCache({ currentPromptVersions: { radar_evaluation: 3 } }).removed, 1);
+  assert.equal(pruneCache({ model: 'b:m', all: true }).removed, 1);
+  assert.deepEqual(getCacheStats().models, { 'a:m': 1 });
+  assert.equal(pruneCache({ all: true }).removed, 1);
+  assert.deepEqual(getCacheStats(), { dir: getCacheDir(), entries: 0, bytes: 0, kinds: {}, models: {}, oldest: null, newest: null });
+});
+
+test('the tool\'s own sections are stripped so rewriting them doesn\'t change the manuscript', () => {
+  const { start, end } = getMarkers('radar');
+  const other = getMarkers('notes');
+  const content = `# Sermon\n\nGrace upon grace.\n\n${start}\n## Radar Analysis\n${end}\n\nAmen.\n${other.start}\nx\n${other.end}\n`;
+  assert.equal(stripManagedSections(content), '# Sermon\n\nGrace upon grace.\n\nAmen.');
+  assert.equal(stripManagedSections('Grace.\n'), 'Grace.');
+});
+
+test('radar scores of an unchanged manuscript come from the cache, at no cost', async () => {
+  clearCache();
+  calls.length = 0;
+  const manuscript = '# Sermon\n\nGrace upon grace.\n';
+  const first = await generateRadarScores(manuscript, {}, { model: 'cache-fake:m' });
+  assert.equal(first.cached, false);
+  assert.equal(first.usage.calls, 1);
+
+  const { start, end } = getMarkers('radar');
+  const again = await generateRadarScores(`${manuscript}\n${start}\n## Radar Analysis\n${end}\n`, {}, { model: 'cache-fake:m' });
+  assert.equal(again.cached, true);
+  assert.deepEqual(again.radar_score, first.radar_score);
+  assert.deepEqual(again.usage, { calls: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0 });
+  assert.equal(calls.length, 1);
+
+  assert.equal((await generateRadarScores(manuscript, {}, { model: 'cache-fake:m', cache: false })).cached, false);
+  assert.equal((await generateRadarScores(manuscript, {}, { model: 'cache-fake:m', temperature: 0.9 })).cached, false);
+  assert.equal((await generateRadarScores(manuscript, {}, { model: 'cache-fake:m', sample: 1 })).cached, false);
+  assert.equal((await generateRadarScores(`${manuscript}Amen.\n`, {}, { model: 'cache-fake:m' })).cached, false);
+  assert.equal(calls.length, 5);
+});
+
+test('metadata replies are cached too, with the sermon\'s own metadata applied over them', async () => {
+  clearCache();
+  calls.length = 0;
+  const manuscript = '# Sermon\n\nGrace upon grace.\n';
+  assert.equal((await generateSermonMetadata(manuscript, {}, { model: 'cache-fake:m', taxonomy: null })).sermon_title, 'Grace');
+  const again = await generateSermonMetadata(manuscript, { sermon_title: 'Enough' }, { model: 'cache-fake:m', taxonomy: null });
+  assert.equal(again.sermon_title, 'Enough');
+  assert.equal(again.bolt, 'Grace is enough');
+  assert.equal(calls.length, 1);
+});
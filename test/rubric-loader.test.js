@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadRubric,
+  getDimensionKeys,
+  getDimensionLabel,
+  getRubricId,
+  computeWeightedAverage,
+  checkCumulativeScore,
+  assertSameRubric
+} = require('../rubric-loader');
+
+function writeRubric(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rubric-'));
+  const filePath = path.join(dir, 'rubric.yaml');
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+test('the bundled mainline rubric has nine dimensions on a 0-10 scale', () => {
+  const rubric = loadRubric();
+  assert.equal(getRubricId(rubric), 'mainline@2');
+  assert.equal(getDimensionKeys(rubric).length, 9);
+  assert.deepEqual([rubric.scale.min, rubric.scale.max], [0, 10]);
+  assert.equal(getDimensionLabel(rubric, 'theological_cohesion'), 'Theological Cohesion');
+});
+
+test('dimensions default to weight 1, a title-cased label and anchors sorted highest first', () => {
+  const rubric = loadRubric(writeRubric(`
+id: custom
+dimensions:
+  - key: clear_claim
+    anchors:
+      3: weak
+      9: strong
+`));
+  assert.equal(getRubricId(rubric), 'custom@1');
+  const [dimension] = rubric.dimensions;
+  assert.equal(dimension.weight, 1);
+  assert.equal(dimension.label, 'Clear Claim');
+  assert.deepEqual(dimension.anchors.map(anchor => anchor.score), [9, 3]);
+});
+
+test('invalid rubrics are rejected with the file named', () => {
+  assert.throws(() => loadRubric(writeRubric('id: x\ndimensions: []\n')), /"dimensions" must be a non-empty list/);
+  assert.throws(() => loadRubric(writeRubric('id: x\ndimensions:\n  - key: Bad Key\n')), /snake_case "key"/);
+  assert.throws(() => loadRubric(writeRubric('id: x\ndimensions:\n  - key: a\n  - key: a\n')), /duplicate dimension "a"/);
+  assert.throws(() => loadRubric(writeRubric('id: x\nscale: { min: 5, max: 5 }\ndimensions:\n  - key: a\n')), /min < max/);
+});
+
+test('computeWeightedAverage weights scored dimensions and skips missing ones', () => {
+  const rubric = loadRubric(writeRubric(`
+id: weighted
+dimensions:
+  - { key: a, weight: 3 }
+  - { key: b, weight: 1 }
+  - { key: c, weight: 1 }
+`));
+  assert.equal(computeWeightedAverage({ a: 8, b: 4 }, rubric), 7);
+  assert.equal(computeWeightedAverage({}, rubric), null);
+});
+
+test('checkCumulativeScore allows rounding but flags a wrong sum', () => {
+  const rubric = loadRubric(writeRubric('id: sum\ndimensions:\n  - key: a\n  - key: b\n'));
+  assert.deepEqual(checkCumulativeScore(12.5, { a: 6, b: 6.2 }, rubric), { reported: 12.5, computed: 12.2, max: 20, agrees: true });
+  assert.equal(checkCumulativeScore(15, { a: 6, b: 6 }, rubric).agrees, false);
+});
+
+test('assertSameRubric refuses to mix rubrics', () => {
+  assert.equal(assertSameRubric(['mainline@2', null, 'mainline@2']), 'mainline@2');
+  assert.throws(() => assertSameRubric(['mainline@2', 'lutheran@1']), /different rubrics/);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const matter = require('gray-matter');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const {
+  ScriptureReferenceError,
+  findBook,
+  listBooks,
+  parseReference,
+  normalizeReference,
+  normalizeTexts,
+  validateTexts
+} = require('../scripture');
+const { updateIndex } = require('../vault-index');
+
+test('books are found by name, abbreviation, roman numeral or unambiguous prefix', () => {
+  assert.equal(findBook('I Cor.').name, '1 Corinthians');
+  assert.equal(findBook('Ps').name, 'Psalms');
+  assert.equal(findBook('second kings').name, '2 Kings');
+  assert.equal(findBook('Deut').name, 'Deuteronomy');
+  assert.throws(() => findBook('Phi'), /Ambiguous book "Phi" \(Philippians, Philemon\)/);
+  assert.throws(() => findBook('Hezekiah'), error => error instanceof ScriptureReferenceError && error.text === 'Hezekiah');
+});
+
+test('references are written back in one canonical form', () => {
+  assert.deepEqual(normalizeReference('Lk 15:11b–32'), ['Luke 15:11b-32']);
+  assert.deepEqual(normalizeReference('Ps. 23:1-6'), ['Psalm 23:1-6']);
+  assert.deepEqual(normalizeReference('Isaiah 55:1-9, 12-13'), ['Isaiah 55:1-9, 12-13']);
+  assert.deepEqual(normalizeReference('1 Cor 13'), ['1 Corinthians 13']);
+  assert.deepEqual(normalizeReference('Jude vv. 3-4 (NRSV)'), ['Jude 3-4']);
+  assert.deepEqual(normalizeReference('Luke 15:1-3; John 3:16'), ['Luke 15:1-3', 'John 3:16']);
+  assert.deepEqual(normalizeReference('Isaiah 55:1-9; 56:1'), ['Isaiah 55:1-9; 56:1']);
+  assert.deepEqual(normalizeReference('Psalms 42-43'), ['Psalms 42-43']);
+});
+
+test('commas continue the chapter and semicolons start a new one', () => {
+  const [{ ranges }] = parseReference('John 3:16, 18; 4');
+  assert.deepEqual(ranges, [
+    { start: { chapter: 3, verse: 16, part: null }, end: { chapter: 3, verse: 16, part: null } },
+    { start: { chapter: 3, verse: 18, part: null }, end: { chapter: 3, verse: 18, part: null } },
+    { start: { chapter: 4, verse: null, part: null }, end: { chapter: 4, verse: null, part: null } }
+  ]);
+});
+
+test('chapters and verses are checked against the book', () => {
+  assert.throws(() => parseReference('Jude 2:1'), /Jude has 1 chapter, so chapter 2 in "Jude 2:1" doesn't exist/);
+  assert.throws(() => parseReference('Luke 15:33'), /Luke 15 has 32 verses, so verse 33/);
+  assert.throws(() => parseReference('Luke 15:11-3'), /Range runs backwards/);
+  assert.throws(() => parseReference(''), /Reference is empty/);
+  assert.throws(() => parseReference('Luke 15b'), /needs a verse/);
+});
+
+test('Psalms and Daniel follow the NRSV, with Psalm 151 and the additions to Daniel as books of their own', () => {
+  assert.throws(() => parseReference('Psalms 149-151'), /Psalms has 150 chapters/);
+  assert.throws(() => parseReference('Dan 13:1'), /Daniel has 12 chapters/);
+  assert.throws(() => parseReference('Dan 3:31'), /Daniel 3 has 30 verses/);
+  assert.deepEqual(normalizeReference('Ps 150:6'), ['Psalm 150:6']);
+  assert.deepEqual(parseReference('Ps 151:1-5').map(reference => reference.book), ['Psalm 151']);
+  assert.deepEqual(normalizeReference('Ps 151:1-5'), ['Psalm 151:1-5']);
+  assert.deepEqual(normalizeReference('Sus 1-5'), ['Susanna 1-5']);
+  assert.deepEqual(normalizeReference('Song of the Three 1-3'), ['Prayer of Azariah 1-3']);
+  assert.equal(listBooks().find(book => book.name === 'Psalm 151').testament, 'Deuterocanon');
+});
+
+test('normalizeTexts keeps unreadable references as written and reports them', () => {
+  assert.deepEqual(normalizeTexts(['Lk 15:1-7', 'Luke 15:1-7', 'Hezekiah 3:1']), {
+    texts: ['Luke 15:1-7', 'Hezekiah 3:1'],
+    invalid: [{ text: 'Hezekiah 3:1', error: 'Unknown book "Hezekiah"' }]
+  });
+  assert.deepEqual(normalizeTexts('Ps 23'), { texts: ['Psalm 23'], invalid: [] });
+  assert.deepEqual(normalizeTexts(undefined), { texts: [], invalid: [] });
+});
+
+test('validateTexts flags references that are invalid or not canonical', () => {
+  assert.deepEqual(validateTexts(['Luke 15:1-7']), []);
+  assert.deepEqual(validateTexts(['Lk 15:1-7', 'Luke 99']), [
+    'Scripture reference "Lk 15:1-7" is not in canonical form (expected "Luke 15:1-7")',
+    'Invalid scripture reference: Luke has 24 chapters, so chapter 99 in "Luke 99" doesn\'t exist'
+  ]);
+  assert.deepEqual(validateTexts('Luke 15'), ['texts must be a list of scripture references']);
+  assert.deepEqual(validateTexts(undefined), []);
+});
+
+test('listBooks runs in canonical order with the testament of each book', () => {
+  const books = listBooks();
+  assert.equal(books[0].name, 'Genesis');
+  assert.equal(books[0].chapters, 50);
+  const names = books.map(book => book.name);
+  assert.ok(names.indexOf('Malachi') < names.indexOf('Matthew'));
+  assert.notEqual(books[names.indexOf('Malachi')].testament, books[names.indexOf('Matthew')].testament);
+});
+
+test('the vault index records the books of each sermon\'s texts', () => {
+  const vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  fs.writeFileSync(path.join(vaultPath, 'sermon.md'), matter.stringify('Text.\n', {
+    sermon_title: 'Two Sons',
+    texts: ['Lk 15:11-32', 'Ps 32; Rom 5:1-5', 'Nowhere 1:1']
+  }));
+  const { index } = updateIndex(vaultPath);
+  assert.deepEqual(index.files['sermon.md'].books, ['Luke', 'Psalms', 'Romans']);
+});
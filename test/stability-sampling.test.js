@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const matter = require('gray-matter');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const { summarizeSamples } = require('../rating-stats');
+const { stabilityRadarScores, processSermonFile } = require('../llm-metadata-generator');
+const { readHistory } = require('../evaluation-history');
+const { registerProvider } = require('../llm-providers');
+const { loadRubric, getDimensionKeys } = require('../rubric-loader');
+
+const rubric = loadRubric();
+const categories = getDimensionKeys(rubric);
+
+function scores(value, overrides = {}) {
+  return { ...Object.fromEntries(categories.map(category => [category, value])), ...overrides };
+}
+
+// Successive replies cycle through these scores; the first dimension swings, the rest stay within a point
+const SAMPLES = [scores(6), scores(8), scores(7, { [categories[0]]: 2 })];
+
+// A provider that cycles through SAMPLES and counts its calls
+function registerSamplingProvider(name) {
+  const provider = { calls: 0 };
+  registerProvider(name, () => ({
+    name,
+    defaultModel: 'm',
+    isConfigured: () => true,
+    chat: async () => {
+      const radarScore = SAMPLES[provider.calls++ % SAMPLES.length];
+      return {
+        text: JSON.stringify({
+          scores: Object.fromEntries(Object.entries(radarScore).map(([key, score]) => [key, { score, justification: `Scored ${score}.` }])),
+          overall_assessment: `Sample scoring ${radarScore[categories[1]]}.`,
+          cumulative_score: Object.values(radarScore).reduce((sum, score) => sum + score, 0),
+          audio_note: 'No audio.'
+        }),
+        usage: { prompt_tokens: 100, completion_tokens: 50 },
+        model: 'm'
+      };
+    }
+  }));
+  return provider;
+}
+
+function writeSermon(frontmatter) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  const filePath = path.join(dir, 'sermon.md');
+  fs.writeFileSync(filePath, matter.stringify('# Sermon\n\nGrace upon grace.\n', frontmatter));
+  return filePath;
+}
+
+test('summarizeSamples reports the mean and spread and marks dimensions that vary too much', () => {
+  const stability = summarizeSamples(SAMPLES.map(radar_score => ({ radar_score })), rubric);
+  assert.equal(stability.count, 3);
+  assert.equal(stability.threshold, 1);
+  assert.deepEqual(stability.radar_score, scores(7, { [categories[0]]: 5.3 }));
+  assert.deepEqual(stability.unstable, [categories[0]]);
+  assert.deepEqual(stability.dimensions[categories[0]].scores, [6, 8, 2]);
+  assert.equal(stability.dimensions[categories[1]].sd, 1);
+  assert.equal(stability.dimensions[categories[1]].unstable, false);
+
+  assert.deepEqual(summarizeSamples(SAMPLES.map(radar_score => ({ radar_score })), rubric, { threshold: 4 }).unstable, []);
+  assert.equal(summarizeSamples([{ radar_score: scores(7) }], rubric).dimensions[categories[0]].unstable, false);
+});
+
+test('stability scores the sermon several times, caching each sample separately', async () => {
+  const provider = registerSamplingProvider('sampling-cached');
+  const filePath = writeSermon({ sermon_title: 'Grace' });
+  const first = await stabilityRadarScores(filePath, { model: 'sampling-cached:m', samples: 3 });
+  assert.equal(first.error, undefined);
+  assert.equal(provider.calls, 3);
+  assert.deepEqual(first.result.sample_scores, SAMPLES);
+  assert.deepEqual(first.stability.unstable, [categories[0]]);
+  assert.equal(first.result.justifications[categories[0]], 'Scored 6. Unstable across 3 samples: scores ranged from 2 to 8.');
+  assert.equal(first.result.justifications[categories[1]], 'Scored 7.');
+  assert.match(first.result.summary, /^Mean of 3 samples\. Unstable dimensions: .+\.\n\nSample scoring 7\.$/);
+  assert.equal(first.result.usage.calls, 3);
+  assert.equal(first.evaluation, null);
+  assert.equal(fs.existsSync(path.join(path.dirname(filePath), 'sermon.radar.jsonl')), false);
+
+  const again = await stabilityRadarScores(filePath, { model: 'sampling-cached:m', samples: 3 });
+  assert.equal(provider.calls, 3);
+  assert.deepEqual(again.result.sample_scores, SAMPLES);
+});
+
+test('with --write the mean becomes the canonical evaluation, keeping every sample\'s scores', async () => {
+  registerSamplingProvider('sampling-write');
+  const filePath = writeSermon({ sermon_title: 'Grace' });
+  const { evaluation } = await stabilityRadarScores(filePath, { model: 'sampling-write:m', samples: 3, cache: false, write: true });
+  assert.equal(evaluation.samples, 3);
+  assert.deepEqual(evaluation.sample_scores, SAMPLES);
+  assert.deepEqual(readHistory(filePath).map(entry => entry.id), [evaluation.id]);
+
+  const { data } = matter(fs.readFileSync(filePath, 'utf8'));
+  assert.deepEqual(data.radar_score, scores(7, { [categories[0]]: 5.3 }));
+  assert.equal(data.radar_evaluation_id, evaluation.id);
+});
+
+test('stability needs at least two samples', async () => {
+  const filePath = writeSermon({ sermon_title: 'Grace' });
+  assert.match((await stabilityRadarScores(filePath, { model: 'sampling-write:m', samples: 1 })).error, /at least two samples/);
+  assert.match((await stabilityRadarScores(filePath, { model: 'sampling-write:m', samples: 2.5 })).error, /at least two samples/);
+});
+
+test('processSermonFile stores the mean of several samples', async () => {
+  const provider = registerSamplingProvider('sampling-process');
+  const filePath = writeSermon({ sermon_title: 'Grace', bolt: 'Grace is enough', themes: ['grace'], metaphors: ['river'] });
+  const result = await processSermonFile(filePath, { modelForRadar: 'sampling-process:m', scoreOnly: true, samples: 3, cache: false });
+  assert.equal(result.error, undefined);
+  assert.equal(provider.calls, 3);
+  assert.deepEqual(matter(fs.readFileSync(filePath, 'utf8')).data.radar_score, scores(7, { [categories[0]]: 5.3 }));
+  const [entry] = readHistory(filePath);
+  assert.equal(entry.samples, 3);
+  assert.deepEqual(entry.sample_scores, SAMPLES);
+});
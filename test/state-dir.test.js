@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getStateDir, getUserStateDir } = require('../state-dir');
+
+// Run a function with some environment variables set (or unset, when undefined)
+function withEnv(values, fn) {
+  const saved = { ...process.env };
+  try {
+    for (const [name, value] of Object.entries(values)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+    return fn();
+  } finally {
+    process.env = saved;
+  }
+}
+
+test('state lives in the vault, or where SERMON_AI_STATE_DIR says', () => {
+  const vault = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  const moved = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+  withEnv({ SERMON_AI_STATE_DIR: undefined, VAULT_PATH: undefined }, () => {
+    assert.equal(getStateDir(vault, 'jobs'), path.join(vault, '.sermon-ai', 'jobs'));
+    assert.ok(fs.statSync(path.join(vault, '.sermon-ai', 'jobs')).isDirectory());
+  });
+  withEnv({ SERMON_AI_STATE_DIR: undefined, VAULT_PATH: vault }, () => {
+    assert.equal(getStateDir(undefined, 'cache'), path.join(vault, '.sermon-ai', 'cache'));
+  });
+  withEnv({ SERMON_AI_STATE_DIR: moved, VAULT_PATH: vault }, () => {
+    assert.equal(getStateDir(vault, 'jobs'), path.join(moved, 'jobs'));
+  });
+});
+
+test('without a vault, state goes to the user\'s state directory, not the working directory', () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-state-'));
+  withEnv({ SERMON_AI_STATE_DIR: undefined, VAULT_PATH: undefined, XDG_STATE_HOME: home }, () => {
+    assert.equal(getUserStateDir(), path.join(home, 'sermon-ai'));
+    assert.equal(getStateDir(undefined, 'cache'), path.join(home, 'sermon-ai', 'cache'));
+    assert.ok(!fs.existsSync(path.join(process.cwd(), '.sermon-ai', 'cache')));
+  });
+  if (process.platform !== 'win32') {
+    withEnv({ XDG_STATE_HOME: undefined }, () => {
+      assert.equal(getUserStateDir(), path.join(os.homedir(), '.local', 'state', 'sermon-ai'));
+    });
+  }
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const { StructuredOutputError, extractJson, validateAgainstSchema, requestStructured } = require('../structured-output');
+const { registerProvider } = require('../llm-providers');
+const { loadRubric, buildScoreSchema } = require('../rubric-loader');
+
+const schema = {
+  type: 'object',
+  required: ['score', 'note'],
+  additionalProperties: false,
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 10 },
+    note: { type: 'string', minLength: 1 }
+  }
+};
+
+// A provider that returns the given replies in turn and remembers what it was sent
+function registerScriptedProvider(name, replies) {
+  const requests = [];
+  registerProvider(name, () => ({
+    name,
+    defaultModel: 'm',
+    isConfigured: () => true,
+    chat: async request => {
+      requests.push(request);
+      return { text: replies[Math.min(requests.length - 1, replies.length - 1)], usage: {}, model: 'm' };
+    }
+  }));
+  return requests;
+}
+
+test('extractJson finds the object in fenced blocks and surrounding prose', () => {
+  assert.deepEqual(extractJson('Here you go:\n```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(extractJson('Scores {"a": "uses } in a string"} done'), { a: 'uses } in a string' });
+  assert.throws(() => extractJson('no json here'), /No JSON object found/);
+  assert.throws(() => extractJson('{"a": 1'), /not closed/);
+});
+
+test('validateAgainstSchema reports every problem with its path', () => {
+  assert.deepEqual(validateAgainstSchema({ score: 7, note: 'ok' }, schema), []);
+  assert.deepEqual(validateAgainstSchema({ score: 11, extra: true }, schema), [
+    '$.note is missing',
+    '$.score must be <= 10',
+    '$.extra is not an allowed field'
+  ]);
+  assert.deepEqual(validateAgainstSchema({ score: '7', note: ' ' }, schema), ['$.score must be number', '$.note must not be empty']);
+});
+
+test('the rubric score schema requires every dimension on the rubric scale', () => {
+  const scoreSchema = buildScoreSchema(loadRubric());
+  const errors = validateAgainstSchema({ scores: { theological_cohesion: { score: 12, justification: 'x' } } }, scoreSchema);
+  assert.ok(errors.includes('$.scores.theological_cohesion.score must be <= 10'));
+  assert.ok(errors.includes('$.scores.closing_force is missing'));
+});
+
+test('requestStructured asks the model to repair an invalid reply', async () => {
+  const requests = registerScriptedProvider('fake-repair', ['{"score": 42}', '{"score": 8, "note": "better"}']);
+  const { data, repairs } = await requestStructured('fake-repair:m', { messages: [{ role: 'user', content: 'rate' }] }, { name: 'rating', schema });
+  assert.deepEqual(data, { score: 8, note: 'better' });
+  assert.equal(repairs, 1);
+  const repairPrompt = requests[1].messages[requests[1].messages.length - 1].content;
+  assert.match(repairPrompt, /\$\.score must be <= 10/);
+  assert.equal(requests[1].responseSchema.name, 'rating');
+});
+
+test('requestStructured gives up after the allowed repairs', async () => {
+  registerScriptedProvider('fake-broken', ['not json']);
+  await assert.rejects(
+    requestStructured('fake-broken:m', { messages: [{ role: 'user', content: 'rate' }] }, { name: 'rating', schema, maxRepairs: 1 }),
+    error => error instanceof StructuredOutputError && /after 1 repair attempt/.test(error.message) && error.text === 'not json'
+  );
+});
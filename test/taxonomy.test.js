@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const matter = require('gray-matter');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const {
+  loadTaxonomy,
+  normalizeTags,
+  applyTaxonomy,
+  formatTaxonomyForPrompt,
+  suggestMerges,
+  countTags,
+  writeProposals,
+  applyTaxonomyToVault
+} = require('../taxonomy');
+
+function writeTaxonomy(data) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'taxonomy-')), 'taxonomy.yaml');
+  fs.writeFileSync(filePath, typeof data === 'string' ? data : yaml.dump(data));
+  return filePath;
+}
+
+const taxonomy = loadTaxonomy(writeTaxonomy({
+  themes: [{ term: 'Grace', synonyms: ['unmerited favor', "God's kindness"] }],
+  metaphors: [{ term: 'Good Shepherd', synonyms: ['shepherd'], broader: ['pastoral imagery'] }]
+}));
+
+test('loadTaxonomy fills in missing lists and rejects malformed files', () => {
+  assert.deepEqual(taxonomy.metaphors, [{ term: 'Good Shepherd', synonyms: ['shepherd'], broader: ['pastoral imagery'] }]);
+  assert.equal(loadTaxonomy(path.join(os.tmpdir(), 'no-such-taxonomy.yaml')), null);
+  assert.deepEqual(loadTaxonomy(writeTaxonomy({ themes: [{ term: 'Hope' }] })).metaphors, []);
+  assert.throws(() => loadTaxonomy(writeTaxonomy({ themes: 'grace' })), /"themes" must be a list/);
+  assert.throws(() => loadTaxonomy(writeTaxonomy({ themes: [{ synonyms: ['x'] }] })), /themes entry 1 needs a "term"/);
+  assert.throws(
+    () => loadTaxonomy(writeTaxonomy({ themes: [{ term: 'Grace', synonyms: ['mercy'] }, { term: 'Mercy' }] })),
+    /"Mercy" belongs to both "Grace" and "Mercy"/
+  );
+});
+
+test('tags map onto preferred terms ignoring case, punctuation and possessives', () => {
+  assert.deepEqual(normalizeTags(['Unmerited Favor', 'God kindness', 'grace', 'Hope', ' '], taxonomy.themes), ['Grace', 'Hope']);
+  assert.equal(normalizeTags('grace', taxonomy.themes), 'grace');
+
+  const { metadata, changed } = applyTaxonomy({ sermon_title: 'Psalm 23', metaphors: ['Shepherd'] }, taxonomy);
+  assert.deepEqual(metadata, { sermon_title: 'Psalm 23', metaphors: ['Good Shepherd'] });
+  assert.equal(changed, true);
+  assert.equal(applyTaxonomy({ themes: ['Grace'] }, taxonomy).changed, false);
+  assert.equal(applyTaxonomy({ themes: ['grace'] }, null).changed, false);
+});
+
+test('the prompt lists the preferred terms with their synonyms and broader terms', () => {
+  const prompt = formatTaxonomyForPrompt(taxonomy);
+  assert.match(prompt, /THEMES:\n- Grace \(instead of "unmerited favor", "God's kindness"\)/);
+  assert.match(prompt, /METAPHORS:\n- Good Shepherd \(instead of "shepherd"; a kind of pastoral imagery\)/);
+  assert.equal(formatTaxonomyForPrompt(null), '');
+});
+
+test('suggestMerges clusters variations and typos under the most used tag', () => {
+  const counts = { 'Fatherly love': 3, "father's love": 1, 'love of the Father': 2, 'Shepherd': 4, 'shepherd': 1, 'Shephred': 1, 'grace': 5 };
+  assert.deepEqual(suggestMerges(counts), [
+    { term: 'Fatherly love', synonyms: [{ tag: 'love of the Father', count: 2 }, { tag: "father's love", count: 1 }], existing: false },
+    { term: 'Shepherd', synonyms: [{ tag: 'shepherd', count: 1 }, { tag: 'Shephred', count: 1 }], existing: false }
+  ]);
+});
+
+test('suggestMerges proposes new synonyms for existing terms, leaving known tags out', () => {
+  assert.deepEqual(suggestMerges({ 'Shepherd': 4, 'Shephred': 1 }, taxonomy.metaphors), [
+    { term: 'Good Shepherd', synonyms: [{ tag: 'Shephred', count: 1 }], existing: true }
+  ]);
+});
+
+test('writeProposals adds the merges to the taxonomy file', () => {
+  const filePath = writeTaxonomy({ themes: [{ term: 'Grace', synonyms: ['unmerited favor'] }] });
+  const added = writeProposals(filePath, {
+    themes: [{ term: 'Grace', synonyms: [{ tag: 'grace!', count: 1 }, { tag: 'graciousness', count: 2 }], existing: true }],
+    metaphors: [{ term: 'Shepherd', synonyms: [{ tag: 'Shephred', count: 1 }], existing: false }]
+  });
+  assert.equal(added, 3);
+  assert.deepEqual(yaml.load(fs.readFileSync(filePath, 'utf8')), {
+    themes: [{ term: 'Grace', synonyms: ['unmerited favor', 'graciousness'] }],
+    metaphors: [{ term: 'Shepherd', synonyms: ['Shephred'] }]
+  });
+});
+
+test('applyTaxonomyToVault rewrites only the sermons whose tags change', () => {
+  const vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  fs.writeFileSync(path.join(vaultPath, 'a.md'), '---\nsermon_title: A\npreached_on: 2025-03-30\nmetaphors:\n  - shepherd\n---\n\nText.\n');
+  fs.writeFileSync(path.join(vaultPath, 'b.md'), matter.stringify('Text.\n', { sermon_title: 'B', themes: ['Grace'] }));
+
+  const preview = applyTaxonomyToVault(vaultPath, taxonomy, { dryRun: true });
+  assert.deepEqual(preview, [{
+    path: 'a.md',
+    before: { themes: undefined, metaphors: ['shepherd'] },
+    after: { themes: undefined, metaphors: ['Good Shepherd'] },
+    written: false
+  }]);
+  assert.match(fs.readFileSync(path.join(vaultPath, 'a.md'), 'utf8'), /- shepherd/);
+
+  applyTaxonomyToVault(vaultPath, taxonomy);
+  const written = fs.readFileSync(path.join(vaultPath, 'a.md'), 'utf8');
+  assert.doesNotMatch(written, /T00:00:00/);
+  assert.deepEqual(matter(written).data.metaphors, ['Good Shepherd']);
+  assert.deepEqual(countTags({ files: { a: matter(written).data, b: { themes: ['Grace', 'Grace'] } } }), {
+    themes: { Grace: 1 },
+    metaphors: { 'Good Shepherd': 1 }
+  });
+});
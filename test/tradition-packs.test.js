@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadRubric,
+  resolveRubric,
+  findTraditionRubric,
+  listTraditionRubrics,
+  findRubricById,
+  getDimensionKeys,
+  getRubricId
+} = require('../rubric-loader');
+
+test('every bundled pack loads and declares a tradition', () => {
+  const ids = listTraditionRubrics().map(getRubricId).sort();
+  assert.deepEqual(ids, ['black-church@1', 'catholic-homily@1', 'lutheran@1', 'mainline@2', 'nondenominational-expository@1']);
+});
+
+test('traditions match by name or alias, ignoring case and punctuation', () => {
+  assert.equal(findTraditionRubric('Roman Catholic').id, 'catholic-homily');
+  assert.equal(findTraditionRubric('ELCA').id, 'lutheran');
+  assert.equal(findTraditionRubric('Non-Denominational').id, 'nondenominational-expository');
+  assert.throws(() => findTraditionRubric('druid'), /No rubric pack for tradition "druid"/);
+});
+
+test('resolveRubric prefers --rubric, then the tradition field, then the default', () => {
+  const explicit = loadRubric(path.join(__dirname, '..', 'rubrics', 'lutheran.yaml'));
+  assert.equal(resolveRubric({ tradition: 'catholic' }, explicit), explicit);
+  assert.equal(resolveRubric({ tradition: 'catholic' }).id, 'catholic-homily');
+  assert.equal(resolveRubric({}).id, 'mainline');
+});
+
+test('findRubricById finds a pack by id and version only', () => {
+  assert.equal(findRubricById('lutheran@1').id, 'lutheran');
+  assert.equal(findRubricById('lutheran@7'), null);
+});
+
+test('packs that extend mainline keep its dimension count and leading dimensions', () => {
+  const mainline = getDimensionKeys(loadRubric());
+  const lutheran = getDimensionKeys(findTraditionRubric('lutheran'));
+  assert.equal(lutheran.length, mainline.length);
+  assert.deepEqual(lutheran.slice(0, 3), mainline.slice(0, 3));
+});
+
+test('extends merges, replaces and removes dimensions, and rejects cycles', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packs-'));
+  fs.writeFileSync(path.join(dir, 'base.yaml'), 'id: base\ntradition: base\ndimensions:\n  - { key: a, label: A }\n  - { key: b }\n  - { key: c }\n');
+  fs.writeFileSync(path.join(dir, 'pack.yaml'), [
+    'id: pack',
+    'extends: base.yaml',
+    'remove: [c]',
+    'dimensions:',
+    '  - { key: a, weight: 2 }',
+    '  - { key: z, replaces: b }',
+    '  - { key: d }'
+  ].join('\n'));
+  const pack = loadRubric(path.join(dir, 'pack.yaml'));
+  assert.deepEqual(getDimensionKeys(pack), ['a', 'z', 'd']);
+  assert.equal(pack.dimensions[0].label, 'A');
+  assert.equal(pack.dimensions[0].weight, 2);
+  // The base's tradition isn't inherited, so a custom pack never shadows a bundled one
+  assert.equal(pack.tradition, null);
+
+  fs.writeFileSync(path.join(dir, 'x.yaml'), 'id: x\nextends: y.yaml\n');
+  fs.writeFileSync(path.join(dir, 'y.yaml'), 'id: y\nextends: x.yaml\n');
+  assert.throws(() => loadRubric(path.join(dir, 'x.yaml')), /extends cycle/);
+});
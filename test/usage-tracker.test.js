@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const matter = require('gray-matter');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const {
+  BudgetExceededError,
+  UsageMeter,
+  combineUsage,
+  assertWithinBudget,
+  getPricingCachePath,
+  getModelPricing,
+  recordUsage,
+  formatUsageTable,
+  formatModelUsage
+} = require('../usage-tracker');
+const { processSermonDirectory } = require('../llm-metadata-generator');
+const { registerProvider } = require('../llm-providers');
+const { loadRubric, getDimensionKeys } = require('../rubric-loader');
+
+const categories = getDimensionKeys(loadRubric());
+
+// A provider that publishes its prices through its model listing
+function pricedProvider(name, pricing) {
+  const provider = {
+    name,
+    defaultModel: 'm',
+    listings: 0,
+    capabilities: { pricing: true },
+    isConfigured: () => true,
+    listModels: async () => {
+      provider.listings += 1;
+      return [{ id: 'm', pricing }, { id: 'free' }];
+    }
+  };
+  return provider;
+}
+
+test('calls are recorded on every active meter, per model', async () => {
+  const outer = new UsageMeter('run');
+  const inner = new UsageMeter('sermon');
+  await outer.track(async () => {
+    await recordUsage({ provider: 'ollama', model: 'llama3', spec: 'ollama:llama3' }, { prompt_tokens: 10, completion_tokens: 5 });
+    await inner.track(() => recordUsage(
+      { provider: 'openai', model: 'gpt-4o-2024-08-06', spec: 'openai:gpt-4o-2024-08-06' },
+      { prompt_tokens: 1000, completion_tokens: 500 }
+    ));
+  });
+  await recordUsage({ provider: 'openai', model: 'gpt-4o', spec: 'openai:gpt-4o' }, { prompt_tokens: 1, completion_tokens: 1 });
+
+  assert.deepEqual(inner.summary(), {
+    calls: 1,
+    prompt_tokens: 1000,
+    completion_tokens: 500,
+    cost: 0.0075,
+    unpriced: 0,
+    models: { 'openai:gpt-4o-2024-08-06': { calls: 1, prompt_tokens: 1000, completion_tokens: 500, cost: 0.0075, unpriced: 0 } }
+  });
+  assert.equal(outer.calls, 2);
+  assert.equal(outer.prompt_tokens, 1010);
+  assert.equal(outer.models['ollama:llama3'].cost, 0);
+});
+
+test('published prices are looked up by exact model id, and PRICING_PATH adds to them', async () => {
+  const perMillion = pricing => pricing && { prompt: Math.round(pricing.prompt * 1e8) / 100, completion: Math.round(pricing.completion * 1e8) / 100 };
+  assert.deepEqual(perMillion(await getModelPricing('openai', 'gpt-4o-mini-2024-07-18')), { prompt: 0.15, completion: 0.6 });
+  assert.deepEqual(perMillion(await getModelPricing('anthropic', 'claude-3-5-haiku-20241022')), { prompt: 0.8, completion: 4 });
+  // A model is not priced like another whose id it starts with
+  assert.deepEqual(perMillion(await getModelPricing('openai', 'o1-pro')), { prompt: 150, completion: 600 });
+  assert.deepEqual(perMillion(await getModelPricing('openai', 'gpt-4.5-preview')), { prompt: 75, completion: 150 });
+  assert.equal(await getModelPricing('openai', 'gpt-4o-2099-01-01'), null);
+  assert.equal(await getModelPricing('openai', 'davinci'), null);
+  assert.deepEqual(await getModelPricing('llamacpp', 'anything'), { prompt: 0, completion: 0 });
+
+  const pricingPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-')), 'prices.yaml');
+  fs.writeFileSync(pricingPath, 'openai:\n  davinci: { prompt: 20, completion: 20 }\n  gpt-4o: { prompt: 1, completion: 2 }\n');
+  process.env.PRICING_PATH = pricingPath;
+  try {
+    assert.deepEqual(perMillion(await getModelPricing('openai', 'davinci')), { prompt: 20, completion: 20 });
+    assert.deepEqual(perMillion(await getModelPricing('openai', 'gpt-4o')), { prompt: 1, completion: 2 });
+    assert.deepEqual(perMillion(await getModelPricing('openai', 'gpt-4o-mini')), { prompt: 0.15, completion: 0.6 });
+  } finally {
+    delete process.env.PRICING_PATH;
+  }
+});
+
+test('other providers\' prices come from their model listing, cached in the state directory', async () => {
+  const provider = pricedProvider('listed', { prompt: '0.000002', completion: '0.000004' });
+  assert.deepEqual(await getModelPricing('listed', 'm', provider), { prompt: 0.000002, completion: 0.000004 });
+  assert.equal(await getModelPricing('listed', 'free', provider), null);
+  assert.equal(provider.listings, 1);
+  const cache = JSON.parse(fs.readFileSync(getPricingCachePath(), 'utf8'));
+  assert.deepEqual(cache.listed.models, { m: { prompt: 0.000002, completion: 0.000004 } });
+
+  // A stale cache is still used when prices mustn't be fetched
+  cache.stale = { fetched_at: '2020-01-01T00:00:00.000Z', models: { m: { prompt: 1, completion: 1 } } };
+  fs.writeFileSync(getPricingCachePath(), JSON.stringify(cache));
+  const stale = pricedProvider('stale', { prompt: '0', completion: '0' });
+  assert.deepEqual(await getModelPricing('stale', 'm', stale, true), { prompt: 1, completion: 1 });
+  assert.equal(stale.listings, 0);
+});
+
+test('calls to models without a known price are counted but left out of the cost', async () => {
+  const meter = new UsageMeter('run');
+  const unpriced = { name: 'unpriced', isConfigured: () => true };
+  const record = await meter.track(() => recordUsage({ provider: 'unpriced', model: 'm', spec: 'unpriced:m' }, { prompt_tokens: 10 }, unpriced));
+  assert.deepEqual(record, { spec: 'unpriced:m', prompt_tokens: 10, completion_tokens: 0, cost: null });
+  assert.equal(meter.unpriced, 1);
+
+  const replayed = await meter.track(() => recordUsage({ provider: 'unpriced', model: 'm', spec: 'unpriced:m' }, { prompt_tokens: 10 }, unpriced, { replayed: true }));
+  assert.equal(replayed.cost, 0);
+  assert.deepEqual([meter.calls, meter.unpriced], [2, 1]);
+
+  assert.equal(formatModelUsage(meter.summary()), [
+    '| Model      | Calls | Prompt tokens | Completion tokens | Est. cost |',
+    '|------------|-------|---------------|-------------------|-----------|',
+    '| unpriced:m |     2 |            20 |                 0 |  $0.0000* |',
+    '* Leaves out calls to models without a known price.'
+  ].join('\n'));
+  assert.match(formatUsageTable([{ label: 'a.md', usage: { calls: 1, prompt_tokens: 1, completion_tokens: 1, cost: 0, unpriced: 1 } }], null, 'Sermon'), /\| a\.md   \| +1 \| +1 \| +1 \| +unknown \|/);
+});
+
+test('a spent budget refuses further calls', async () => {
+  const meter = new UsageMeter('the run', { maxCost: 0.01 });
+  meter.add({ spec: 'a:m', prompt_tokens: 1, completion_tokens: 1, cost: 0.004 });
+  assert.doesNotThrow(() => meter.track(() => assertWithinBudget()));
+  meter.add({ spec: 'a:m', prompt_tokens: 1, completion_tokens: 1, cost: 0.006 });
+  assert.throws(() => meter.track(() => assertWithinBudget()), error =>
+    error instanceof BudgetExceededError && error.message === 'Budget of $0.0100 for the run is spent ($0.0100 so far)');
+  assert.doesNotThrow(() => assertWithinBudget());
+});
+
+test('combineUsage adds up summaries model by model', () => {
+  const a = new UsageMeter('a');
+  a.add({ spec: 'x:m', prompt_tokens: 10, completion_tokens: 5, cost: 0.5 });
+  const b = new UsageMeter('b');
+  b.add({ spec: 'x:m', prompt_tokens: 1, completion_tokens: 1, cost: null });
+  b.add({ spec: 'y:m', prompt_tokens: 2, completion_tokens: 2, cost: 0.25 });
+  const total = combineUsage([a.summary(), undefined, b.summary()]);
+  assert.deepEqual([total.calls, total.prompt_tokens, total.cost, total.unpriced], [3, 13, 0.75, 1]);
+  assert.deepEqual(total.models['x:m'], { calls: 2, prompt_tokens: 11, completion_tokens: 6, cost: 0.5, unpriced: 1 });
+});
+
+test('a directory run stops starting sermons once the budget can\'t cover another', async () => {
+  // Each sermon is one call of 100 prompt tokens at $0.001 per token
+  const provider = pricedProvider('budget', { prompt: '0.001', completion: '0' });
+  provider.chat = async () => ({
+    text: JSON.stringify({
+      scores: Object.fromEntries(categories.map(key => [key, { score: 7, justification: 'Solid.' }])),
+      overall_assessment: 'Good.',
+      cumulative_score: 7 * categories.length,
+      audio_note: 'None.'
+    }),
+    usage: { prompt_tokens: 100, completion_tokens: 50 },
+    model: 'm'
+  });
+  registerProvider('budget', () => provider);
+
+  const vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  for (const name of ['a.md', 'b.md', 'c.md']) {
+    fs.writeFileSync(path.join(vaultPath, name), matter.stringify('Sermon text.\n', {
+      sermon_title: name,
+      bolt: 'Grace is enough',
+      themes: ['grace'],
+      metaphors: ['river']
+    }));
+  }
+  const results = await processSermonDirectory(vaultPath, { modelForRadar: 'budget:m', scoreOnly: true, cache: false, maxCost: 0.25 });
+  assert.deepEqual(results.map(result => Boolean(result.skipped)), [false, false, true]);
+  assert.ok(Math.abs(results[0].usage.cost - 0.1) < 1e-9);
+});
+
+test('a directory run with a budget refuses to start when a model has no known price', async () => {
+  let calls = 0;
+  registerProvider('nameless', () => ({
+    name: 'nameless',
+    defaultModel: 'm',
+    isConfigured: () => true,
+    chat: async () => {
+      calls += 1;
+      throw new Error('should not be called');
+    }
+  }));
+  const vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  fs.writeFileSync(path.join(vaultPath, 'a.md'), matter.stringify('Sermon text.\n', { sermon_title: 'a' }));
+  await assert.rejects(
+    processSermonDirectory(vaultPath, { modelForRadar: 'nameless:m', scoreOnly: true, cache: false, maxCost: 1 }),
+    /no known price: nameless:m\. Add their prices to a file named by PRICING_PATH/
+  );
+  assert.equal(calls, 0);
+});
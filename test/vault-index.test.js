@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const matter = require('gray-matter');
+
+process.env.SERMON_AI_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-ai-'));
+
+const { getIndexPath, loadIndex, updateIndex, getIndexSchema, queryIndex, formatTable } = require('../vault-index');
+const { parseQuery, compileQuery, getQueryFields } = require('../vault-query');
+
+const sermons = [
+  {
+    path: 'lost-sheep.md',
+    sermon_title: 'The Lost Sheep',
+    preached_on: '2024-09-15',
+    texts: ['Luke 15:1-7'],
+    themes: ['grace', 'belonging'],
+    metaphors: ['shepherd', 'flock'],
+    radar_score: { closing_force: 5 }
+  },
+  {
+    path: 'psalm.md',
+    sermon_title: 'Still Waters',
+    preached_on: '2025-03-02',
+    texts: ['Psalm 23'],
+    themes: ['lament', 'trust'],
+    metaphors: ['Shepherd'],
+    radar_score: { closing_force: 8 }
+  },
+  {
+    path: 'draft.md',
+    sermon_title: 'Untitled draft',
+    themes: []
+  }
+];
+
+test('queries parse with "not" binding tighter than "and", and "and" tighter than "or"', () => {
+  assert.deepEqual(parseQuery('a = 1 or not b and c'), {
+    type: 'or',
+    left: { type: 'compare', field: 'a', op: '=', value: '1' },
+    right: {
+      type: 'and',
+      left: { type: 'not', expr: { type: 'exists', field: 'b' } },
+      right: { type: 'exists', field: 'c' }
+    }
+  });
+  assert.deepEqual(getQueryFields(parseQuery('(texts ~ "Luke 15" or year >= 2025) and not texts = x')), ['texts', 'year']);
+});
+
+test('malformed queries say where they went wrong', () => {
+  assert.throws(() => parseQuery(''), /Query is empty/);
+  assert.throws(() => parseQuery('themes ~ "grace'), /Unterminated string starting at position 10/);
+  assert.throws(() => parseQuery('(themes ~ grace'), /Expected "\)" but found end of query/);
+  assert.throws(() => parseQuery('themes ~'), /Expected a value after "~"/);
+  assert.throws(() => parseQuery('and themes'), /Expected a field name but found "and" at position 1/);
+  assert.throws(() => parseQuery('themes grace'), /Unexpected "grace" at position 8/);
+});
+
+test('list fields match on any item, and negations on no item', () => {
+  const matches = query => sermons.filter(compileQuery(query)).map(entry => entry.path);
+  assert.deepEqual(matches('metaphors ~ shepherd'), ['lost-sheep.md', 'psalm.md']);
+  assert.deepEqual(matches('themes != lament and themes'), ['lost-sheep.md']);
+  assert.deepEqual(matches('not themes'), ['draft.md']);
+  assert.deepEqual(matches('texts ~ "luke 15"'), ['lost-sheep.md']);
+});
+
+test('numbers compare numerically, dates and text as case-insensitive text', () => {
+  const matches = query => sermons.filter(compileQuery(query)).map(entry => entry.path);
+  assert.deepEqual(matches('radar_score.closing_force < 6'), ['lost-sheep.md']);
+  assert.deepEqual(matches('radar_score.closing_force >= 8'), ['psalm.md']);
+  assert.deepEqual(matches('preached_on >= 2025-01-01'), ['psalm.md']);
+  assert.deepEqual(matches('sermon_title = "still waters"'), ['psalm.md']);
+});
+
+test('updateIndex reads only new and changed files and drops deleted ones', () => {
+  const vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  for (const { path: relativePath, ...frontmatter } of sermons) {
+    fs.writeFileSync(path.join(vaultPath, relativePath), matter.stringify('Sermon text.\n', frontmatter));
+  }
+  fs.writeFileSync(path.join(vaultPath, 'notes.md'), 'No frontmatter here.\n');
+
+  const first = updateIndex(vaultPath);
+  assert.equal(first.added, 3);
+  assert.deepEqual(Object.keys(first.index.files).sort(), ['draft.md', 'lost-sheep.md', 'psalm.md']);
+  assert.equal(first.index.files['psalm.md'].year, 2025);
+  assert.deepEqual(loadIndex(vaultPath).files['psalm.md'].themes, ['lament', 'trust']);
+
+  fs.writeFileSync(path.join(vaultPath, 'draft.md'), matter.stringify('Sermon text, now longer.\n', { sermon_title: 'Draft', themes: ['hope'] }));
+  fs.unlinkSync(path.join(vaultPath, 'psalm.md'));
+  const second = updateIndex(vaultPath);
+  assert.deepEqual(
+    { added: second.added, updated: second.updated, removed: second.removed, unchanged: second.unchanged },
+    { added: 0, updated: 1, removed: 1, unchanged: 1 }
+  );
+  assert.equal(second.index.files['draft.md'].sermon_title, 'Draft');
+  assert.equal(updateIndex(vaultPath, { rebuild: true }).added, 2);
+});
+
+test('an index from another version is ignored rather than misread', () => {
+  const vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sermon-vault-'));
+  fs.writeFileSync(getIndexPath(vaultPath), JSON.stringify({ version: 1, files: { 'old.md': {} } }));
+  assert.deepEqual(loadIndex(vaultPath).files, {});
+});
+
+test('bare radar dimensions stand for their radar_score field, and unknown fields are an error', () => {
+  const index = { files: Object.fromEntries(sermons.map(entry => [entry.path, entry])) };
+  assert.deepEqual(queryIndex(index, 'closing_force < 6').map(entry => entry.path), ['lost-sheep.md']);
+  assert.deepEqual(queryIndex(index, 'closing_force', { sort: '-closing_force' }).map(entry => entry.path), ['psalm.md', 'lost-sheep.md']);
+  assert.deepEqual(getQueryFields(compileQuery('closing_force < 6', getIndexSchema(index)).tree), ['radar_score.closing_force']);
+
+  assert.throws(() => queryIndex(index, 'closing_forse < 6'), /Unknown field "closing_forse"/);
+  assert.throws(() => queryIndex(index, 'radar_score.closing_forse < 6'), /Unknown radar dimension "closing_forse"/);
+  assert.throws(() => queryIndex(index, 'themes', { sort: 'title' }), /Unknown field "title"/);
+});
+
+test('queryIndex sorts newest first by default, with undated sermons last', () => {
+  const index = { files: Object.fromEntries(sermons.map(entry => [entry.path, entry])) };
+  assert.deepEqual(queryIndex(index).map(entry => entry.path), ['psalm.md', 'lost-sheep.md', 'draft.md']);
+  assert.deepEqual(queryIndex(index, 'themes', { sort: 'radar_score.closing_force', limit: 1 }).map(entry => entry.path), ['lost-sheep.md']);
+
+  const table = formatTable(queryIndex(index, 'metaphors ~ shepherd'), ['sermon_title', 'metaphors']);
+  assert.deepEqual(table.split('\n'), [
+    'sermon_title    metaphors',
+    '--------------  ---------------',
+    'Still Waters    Shepherd',
+    'The Lost Sheep  shepherd; flock'
+  ]);
+});
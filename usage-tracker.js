@@ -0,0 +1,326 @@
+// LLM Usage and Cost Accounting
+// Every chat completion records its prompt and completion tokens and an estimated cost on the usage meters active
+// around it: a run, a sermon, an evaluation. A meter with a budget refuses further calls once it is spent.
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getStateDir } = require('./state-dir');
+
+// Published prices of providers that don't list them through their API (see pricing.yaml)
+const DEFAULT_PRICING_PATH = path.join(__dirname, 'pricing.yaml');
+
+// Providers running on your own hardware cost nothing per token
+const LOCAL_PROVIDERS = ['ollama', 'llamacpp'];
+
+// Price lists fetched from a provider's model listing are refreshed after this many days
+const PRICING_MAX_AGE_DAYS = 7;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Raised when a call would be made after a usage meter's budget is spent
+ */
+class BudgetExceededError extends Error {
+  constructor(meter) {
+    super(`Budget of ${formatCost(meter.maxCost)} for ${meter.label} is spent (${formatCost(meter.cost)} so far)`);
+    this.name = 'BudgetExceededError';
+    this.spent = meter.cost;
+    this.maxCost = meter.maxCost;
+  }
+}
+
+/**
+ * Running totals of the LLM calls made while it is active (see track)
+ */
+class UsageMeter {
+  /**
+   * @param {string} label - What is being metered, e.g. a sermon path
+   * @param {Object} [options] - { maxCost: budget in USD; no more calls are made once the estimated cost reaches it }
+   */
+  constructor(label, options = {}) {
+    this.label = label;
+    this.maxCost = options.maxCost === undefined ? null : options.maxCost;
+    this.calls = 0;
+    this.prompt_tokens = 0;
+    this.completion_tokens = 0;
+    this.cost = 0;
+    this.unpriced = 0;
+    this.models = {};
+  }
+
+  /**
+   * Run a function with this meter active, in addition to any meters already active around it
+   * @param {Function} fn - Function to run (may be async)
+   * @returns {*} - What fn returns
+   */
+  track(fn) {
+    return storage.run([...(storage.getStore() || []), this], fn);
+  }
+
+  /**
+   * Add one call
+   * @param {Object} record - { spec, prompt_tokens, completion_tokens, cost: null if unpriced }
+   */
+  add(record) {
+    for (const totals of [this, this.models[record.spec] || (this.models[record.spec] = emptyTotals())]) {
+      totals.calls += 1;
+      totals.prompt_tokens += record.prompt_tokens;
+      totals.completion_tokens += record.completion_tokens;
+      if (record.cost === null) {
+        totals.unpriced += 1;
+      } else {
+        totals.cost += record.cost;
+      }
+    }
+  }
+
+  /**
+   * Whether the budget is spent
+   * @returns {boolean}
+   */
+  isSpent() {
+    return this.maxCost !== null && this.cost >= this.maxCost;
+  }
+
+  /**
+   * Totals as plain data
+   * @returns {Object} - { calls, prompt_tokens, completion_tokens, cost, unpriced: calls without a known price,
+   *                     models: the same totals per model spec }
+   */
+  summary() {
+    const { calls, prompt_tokens, completion_tokens, cost, unpriced } = this;
+    return {
+      calls,
+      prompt_tokens,
+      completion_tokens,
+      cost,
+      unpriced,
+      models: JSON.parse(JSON.stringify(this.models))
+    };
+  }
+}
+
+/**
+ * Zeroed usage totals
+ * @returns {Object} - { calls, prompt_tokens, completion_tokens, cost, unpriced }
+ */
+function emptyTotals() {
+  return { calls: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0, unpriced: 0 };
+}
+
+/**
+ * Add up usage summaries, e.g. the per-sermon usage of a directory run
+ * @param {Object[]} summaries - UsageMeter summaries (missing ones are skipped)
+ * @returns {Object} - Combined summary
+ */
+function combineUsage(summaries) {
+  const meter = new UsageMeter('combined');
+  for (const summary of summaries.filter(Boolean)) {
+    for (const [spec, totals] of Object.entries(summary.models || {})) {
+      const target = meter.models[spec] || (meter.models[spec] = emptyTotals());
+      for (const key of Object.keys(target)) {
+        target[key] += totals[key];
+        meter[key] += totals[key];
+      }
+    }
+  }
+  return meter.summary();
+}
+
+/**
+ * Throw if any active meter's budget is spent; called before every provider request
+ * @throws {BudgetExceededError}
+ */
+function assertWithinBudget() {
+  const spent = (storage.getStore() || []).find(meter => meter.isSpent());
+  if (spent) {
+    throw new BudgetExceededError(spent);
+  }
+}
+
+// Price lists read from the cache or fetched this run, keyed by provider name
+const fetchedPricing = new Map();
+
+/**
+ * Get the pricing cache file
+ * @returns {string} - Path to pricing.json in the state directory
+ */
+function getPricingCachePath() {
+  return path.join(getStateDir(), 'pricing.json');
+}
+
+/**
+ * Load a provider's price list from the cache, fetching its model listing when the cache is missing or stale.
+ * Only a provider whose listing carries prices (capabilities.pricing) is asked.
+ * @param {Object} provider - Provider instance (see llm-providers.js)
+ * @param {boolean} offline - Never fetch (e.g. when replaying a cassette)
+ * @returns {Promise<Object>} - { [model]: { prompt, completion } } in USD per token
+ */
+async function loadProviderPricing(provider, offline) {
+  const cachePath = getPricingCachePath();
+  const cache = fs.existsSync(cachePath) ? JSON.parse(fs.readFileSync(cachePath, 'utf8')) : {};
+  const cached = cache[provider.name];
+  const age = cached ? (Date.now() - Date.parse(cached.fetched_at)) / 86400000 : Infinity;
+  const listsPrices = Boolean(provider.capabilities && provider.capabilities.pricing);
+  if ((cached && age < PRICING_MAX_AGE_DAYS) || offline || !listsPrices || !provider.isConfigured()) {
+    return cached ? cached.models : {};
+  }
+
+  try {
+    const models = {};
+    for (const model of await provider.listModels()) {
+      const prompt = model.pricing ? parseFloat(model.pricing.prompt) : NaN;
+      const completion = model.pricing ? parseFloat(model.pricing.completion) : NaN;
+      if (!isNaN(prompt) && !isNaN(completion)) {
+        models[model.id] = { prompt, completion };
+      }
+    }
+    // Re-read the cache so another provider's prices fetched meanwhile are kept
+    const latest = fs.existsSync(cachePath) ? JSON.parse(fs.readFileSync(cachePath, 'utf8')) : {};
+    latest[provider.name] = { fetched_at: new Date().toISOString(), models };
+    fs.writeFileSync(cachePath, `${JSON.stringify(latest, null, 2)}\n`);
+    return models;
+  } catch (error) {
+    console.warn(`Could not fetch ${provider.name} pricing: ${error.message}`);
+    return cached ? cached.models : {};
+  }
+}
+
+// Price lists read from pricing.yaml and PRICING_PATH, keyed by the PRICING_PATH they were read with
+const priceLists = new Map();
+
+/**
+ * Load the published prices, with your own from the file PRICING_PATH names taking precedence
+ * @returns {Object} - { [provider]: { [model]: { prompt, completion } } } in USD per million tokens
+ */
+function loadPriceList() {
+  const userPath = process.env.PRICING_PATH ? path.resolve(process.env.PRICING_PATH) : '';
+  if (!priceLists.has(userPath)) {
+    const prices = yaml.load(fs.readFileSync(DEFAULT_PRICING_PATH, 'utf8')) || {};
+    if (userPath) {
+      for (const [providerName, models] of Object.entries(yaml.load(fs.readFileSync(userPath, 'utf8')) || {})) {
+        prices[providerName] = { ...prices[providerName], ...models };
+      }
+    }
+    priceLists.set(userPath, prices);
+  }
+  return priceLists.get(userPath);
+}
+
+/**
+ * Look up the price of a model by its exact id: in the price list first, then in the provider's model listing
+ * @param {string} providerName - Provider name, e.g. "openrouter"
+ * @param {string} model - Model id as the provider knows it
+ * @param {Object} provider - Provider instance, whose model listing may carry prices
+ * @param {boolean} [offline] - Never fetch prices
+ * @returns {Promise<Object|null>} - { prompt, completion } in USD per token, or null if unknown
+ */
+async function getModelPricing(providerName, model, provider, offline = false) {
+  if (LOCAL_PROVIDERS.includes(providerName)) {
+    return { prompt: 0, completion: 0 };
+  }
+  const listed = (loadPriceList()[providerName] || {})[model];
+  if (listed) {
+    return { prompt: listed.prompt / 1e6, completion: listed.completion / 1e6 };
+  }
+  if (!provider) {
+    return null;
+  }
+  if (!fetchedPricing.has(providerName)) {
+    fetchedPricing.set(providerName, loadProviderPricing(provider, offline));
+  }
+  const prices = await fetchedPricing.get(providerName);
+  return prices[model] || null;
+}
+
+// Models already warned about, so a batch run doesn't repeat the warning per call
+const unpricedWarnings = new Set();
+
+/**
+ * Record a completed call on every active meter
+ * @param {Object} resolved - { provider, model, spec } from parseModelSpec
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ * @param {Object} provider - Provider instance
+ * @param {Object} [options] - { replayed: answered from a cassette, so nothing was spent }
+ * @returns {Promise<Object>} - { spec, prompt_tokens, completion_tokens, cost: USD, or null if unpriced }
+ */
+async function recordUsage(resolved, usage, provider, options = {}) {
+  const prompt_tokens = (usage && usage.prompt_tokens) || 0;
+  const completion_tokens = (usage && usage.completion_tokens) || 0;
+  let cost = 0;
+  if (!options.replayed) {
+    const pricing = await getModelPricing(resolved.provider, resolved.model, provider, options.offline);
+    cost = pricing ? prompt_tokens * pricing.prompt + completion_tokens * pricing.completion : null;
+    if (!pricing && !unpricedWarnings.has(resolved.spec)) {
+      unpricedWarnings.add(resolved.spec);
+      console.warn(`No price known for ${resolved.spec}; its cost is left out of the totals (add it to a PRICING_PATH file to count it).`);
+    }
+  }
+  const record = { spec: resolved.spec, prompt_tokens, completion_tokens, cost };
+  (storage.getStore() || []).forEach(meter => meter.add(record));
+  return record;
+}
+
+/**
+ * Format a cost in USD
+ * @param {number} cost - Cost
+ * @returns {string} - e.g. "$0.0123"
+ */
+function formatCost(cost) {
+  return `$${cost.toFixed(cost >= 1 ? 2 : 4)}`;
+}
+
+/**
+ * Format usage as a text table
+ * @param {Object[]} rows - { label, usage: UsageMeter summary }
+ * @param {Object} [total] - Summary for a total row
+ * @param {string} [heading] - Heading of the label column
+ * @returns {string} - Table; costs marked * leave out calls without a known price
+ */
+function formatUsageTable(rows, total = null, heading = 'Model') {
+  const format = usage => [
+    String(usage.calls),
+    String(usage.prompt_tokens),
+    String(usage.completion_tokens),
+    usage.calls > 0 && usage.unpriced === usage.calls ? 'unknown' : `${formatCost(usage.cost)}${usage.unpriced > 0 ? '*' : ''}`
+  ];
+  const headers = [heading, 'Calls', 'Prompt tokens', 'Completion tokens', 'Est. cost'];
+  const body = rows.map(row => [row.label, ...format(row.usage)]);
+  if (total) {
+    body.push(['Total', ...format(total)]);
+  }
+  const widths = headers.map((header, i) => Math.max(header.length, ...body.map(row => row[i].length)));
+  const line = row => `| ${row.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join(' | ')} |`;
+  const lines = [line(headers), `|${widths.map(width => '-'.repeat(width + 2)).join('|')}|`, ...body.map(line)];
+  if ([...rows.map(row => row.usage), total].some(usage => usage && usage.unpriced > 0)) {
+    lines.push('* Leaves out calls to models without a known price.');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format a summary's per-model usage as a table with a total
+ * @param {Object} usage - UsageMeter summary
+ * @returns {string} - Table
+ */
+function formatModelUsage(usage) {
+  const rows = Object.entries(usage.models).map(([spec, totals]) => ({ label: spec, usage: totals }));
+  return formatUsageTable(rows, rows.length > 1 ? usage : null);
+}
+
+module.exports = {
+  DEFAULT_PRICING_PATH,
+  LOCAL_PROVIDERS,
+  PRICING_MAX_AGE_DAYS,
+  BudgetExceededError,
+  UsageMeter,
+  combineUsage,
+  assertWithinBudget,
+  getPricingCachePath,
+  getModelPricing,
+  recordUsage,
+  formatCost,
+  formatUsageTable,
+  formatModelUsage
+};
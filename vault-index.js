@@ -0,0 +1,299 @@
+// Local Index of Sermon Metadata
+// Keeps the frontmatter of every sermon in the vault in one JSON file under the state directory, so questions
+// like "which sermons used the shepherd metaphor?" don't re-read every manuscript. Files are only re-read when
+// their modification time or size changes.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { findMarkdownFiles } = require('./yaml-generator');
+const { getStateDir } = require('./state-dir');
+const { compileQuery, getQueryFields, resolveField, getField } = require('./vault-query');
+const { parseReference } = require('./scripture');
+const { loadRubric, listTraditionRubrics, getDimensionKeys } = require('./rubric-loader');
+
+const INDEX_VERSION = 2;
+
+// Frontmatter fields copied into the index
+const INDEXED_FIELDS = [
+  'sermon_title',
+  'preached_on',
+  'texts',
+  'themes',
+  'metaphors',
+  'bolt',
+  'tradition',
+  'preacher',
+  'radar_score',
+  'radar_rubric',
+  'radar_evaluation_id'
+];
+
+/**
+ * Get the index file for a vault
+ * @param {string} vaultPath - Vault root
+ * @returns {string} - Path to the index file
+ */
+function getIndexPath(vaultPath) {
+  return path.join(getStateDir(vaultPath), 'index.json');
+}
+
+/**
+ * Load a vault's index, or an empty one if it hasn't been built (or was built by an incompatible version)
+ * @param {string} vaultPath - Vault root
+ * @returns {Object} - { version, updated_at, files: { [relativePath]: entry } }
+ */
+function loadIndex(vaultPath) {
+  const indexPath = getIndexPath(vaultPath);
+  const empty = { version: INDEX_VERSION, updated_at: null, files: {} };
+  if (!fs.existsSync(indexPath)) {
+    return empty;
+  }
+  try {
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    return index.version === INDEX_VERSION ? index : empty;
+  } catch (error) {
+    console.warn(`Ignoring unreadable index ${indexPath}: ${error.message}`);
+    return empty;
+  }
+}
+
+/**
+ * Build the index entry for a sermon file
+ * @param {string} filePath - Absolute path to the sermon
+ * @param {string} relativePath - Path from the vault root
+ * @param {Object} stats - fs.Stats for the file
+ * @returns {Object|null} - Entry, or null if the file has no frontmatter
+ */
+function buildEntry(filePath, relativePath, stats) {
+  const { data } = matter(fs.readFileSync(filePath, 'utf8'));
+  if (Object.keys(data).length === 0) {
+    return null;
+  }
+
+  const entry = { path: relativePath, mtime: stats.mtimeMs, size: stats.size };
+  for (const field of INDEXED_FIELDS) {
+    if (data[field] !== undefined) {
+      entry[field] = data[field];
+    }
+  }
+  // YAML reads unquoted dates as Date objects; keep them as ISO dates so they compare as text
+  if (entry.preached_on instanceof Date) {
+    entry.preached_on = entry.preached_on.toISOString().slice(0, 10);
+  } else if (entry.preached_on != null) {
+    entry.preached_on = String(entry.preached_on);
+  }
+  // Books of the sermon's texts, so "books = Luke" finds every Luke sermon however the references are written
+  const books = new Set();
+  for (const text of Array.isArray(entry.texts) ? entry.texts : []) {
+    try {
+      parseReference(text).forEach(reference => books.add(reference.book));
+    } catch (error) {
+      // Invalid references are reported by validate; they just don't contribute a book here
+    }
+  }
+  entry.books = [...books];
+  const year = entry.preached_on ? parseInt(entry.preached_on.slice(0, 4), 10) : NaN;
+  if (!isNaN(year)) {
+    entry.year = year;
+  }
+  return entry;
+}
+
+/**
+ * Bring a vault's index up to date. Only files that are new or whose modification time or size changed are read.
+ * @param {string} vaultPath - Vault root
+ * @param {Object} [options] - { rebuild: re-read every file }
+ * @returns {Object} - { index, added, updated, removed, unchanged, failed }
+ */
+function updateIndex(vaultPath, options = {}) {
+  const root = path.resolve(vaultPath);
+  const previous = options.rebuild ? { files: {} } : loadIndex(root);
+  const index = { version: INDEX_VERSION, updated_at: new Date().toISOString(), files: {} };
+  const stats = { added: 0, updated: 0, removed: 0, unchanged: 0, failed: [] };
+
+  for (const filePath of findMarkdownFiles(root)) {
+    const relativePath = path.relative(root, filePath);
+    const fileStats = fs.statSync(filePath);
+    const existing = previous.files[relativePath];
+    if (existing && existing.mtime === fileStats.mtimeMs && existing.size === fileStats.size) {
+      index.files[relativePath] = existing;
+      stats.unchanged++;
+      continue;
+    }
+
+    try {
+      const entry = buildEntry(filePath, relativePath, fileStats);
+      if (entry) {
+        index.files[relativePath] = entry;
+        stats[existing ? 'updated' : 'added']++;
+      }
+    } catch (error) {
+      stats.failed.push({ path: relativePath, error: error.message });
+    }
+  }
+  stats.removed = Object.keys(previous.files).filter(relativePath => !index.files[relativePath]).length;
+
+  // Write then rename so an interrupted run never leaves a half-written index
+  const indexPath = getIndexPath(root);
+  fs.writeFileSync(`${indexPath}.tmp`, JSON.stringify(index));
+  fs.renameSync(`${indexPath}.tmp`, indexPath);
+
+  return { index, ...stats };
+}
+
+// Fields every entry may have besides the indexed frontmatter
+const DERIVED_FIELDS = ['path', 'mtime', 'size', 'books', 'year'];
+
+/**
+ * Fields a query over an index may use: the indexed and derived fields, and the radar dimensions of every
+ * rubric pack plus any others the index's scores use
+ * @param {Object} index - Vault index
+ * @returns {Object} - { fields, dimensions } (see resolveField in vault-query.js)
+ */
+function getIndexSchema(index) {
+  const dimensions = new Set([loadRubric(), ...listTraditionRubrics()].flatMap(getDimensionKeys));
+  for (const entry of Object.values(index.files)) {
+    Object.keys(entry.radar_score || {}).forEach(key => dimensions.add(key));
+  }
+  return { fields: [...INDEXED_FIELDS, ...DERIVED_FIELDS], dimensions: [...dimensions] };
+}
+
+/**
+ * Find the sermons in an index that match a query
+ * @param {Object} index - Vault index
+ * @param {string} [query] - Query expression (every sermon if empty)
+ * @param {Object} [options] - { sort: field name, "-" prefix for descending (default "-preached_on"), limit }
+ * @returns {Object[]} - Matching entries
+ * @throws {Error} - If the query or sort names a field the index doesn't have
+ */
+function queryIndex(index, query, options = {}) {
+  const schema = getIndexSchema(index);
+  const predicate = query ? compileQuery(query, schema) : () => true;
+  const sort = options.sort || '-preached_on';
+  const descending = sort.startsWith('-');
+  const sortField = resolveField(descending ? sort.slice(1) : sort, schema);
+
+  const results = Object.values(index.files)
+    .filter(predicate)
+    .sort((a, b) => {
+      const left = getField(a, sortField);
+      const right = getField(b, sortField);
+      // Sermons without the field always go last
+      if (left == null || right == null) {
+        return (left == null) - (right == null);
+      }
+      const order = typeof left === 'number' && typeof right === 'number'
+        ? left - right
+        : String(left).localeCompare(String(right));
+      return descending ? -order : order;
+    });
+  return options.limit ? results.slice(0, options.limit) : results;
+}
+
+/**
+ * Format query results as a plain-text table
+ * @param {Object[]} results - Index entries
+ * @param {string[]} columns - Field names to show
+ * @returns {string} - Table
+ */
+function formatTable(results, columns) {
+  const maxWidth = 40;
+  const cell = value => {
+    if (value == null) {
+      return '';
+    }
+    const text = Array.isArray(value) ? value.join('; ') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > maxWidth ? `${text.slice(0, maxWidth - 1)}…` : text;
+  };
+
+  const rows = results.map(entry => columns.map(column => cell(getField(entry, column))));
+  const widths = columns.map((column, i) => Math.max(column.length, ...rows.map(row => row[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(columns), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+module.exports = {
+  INDEXED_FIELDS,
+  getIndexPath,
+  loadIndex,
+  updateIndex,
+  getIndexSchema,
+  queryIndex,
+  formatTable
+};
+
+if (require.main === module) {
+  const [cmd, ...args] = process.argv.slice(2);
+
+  // Options that take a value; whatever is left is positional
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (['--vault', '--sort', '--limit', '--fields'].includes(args[i]) && i + 1 < args.length) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  try {
+    switch (cmd) {
+      case 'index': {
+        const vaultPath = positional.find(arg => !arg.startsWith('--')) || options.vault || process.env.VAULT_PATH || '.';
+        const result = updateIndex(vaultPath, { rebuild: positional.includes('--rebuild') });
+        console.log(`Indexed ${Object.keys(result.index.files).length} sermons in ${getIndexPath(vaultPath)}`);
+        console.log(`  added: ${result.added}, updated: ${result.updated}, removed: ${result.removed}, unchanged: ${result.unchanged}`);
+        result.failed.forEach(failure => console.log(`❌ Failed to index: ${failure.path} (${failure.error})`));
+        break;
+      }
+      case 'query': {
+        const vaultPath = options.vault || process.env.VAULT_PATH || '.';
+        const query = positional.filter(arg => arg !== '--json').join(' ');
+        // Pick up any edits since the last run before answering
+        const { index } = updateIndex(vaultPath);
+        const limit = options.limit ? parseInt(options.limit, 10) : null;
+        const results = queryIndex(index, query, { sort: options.sort, limit });
+
+        if (positional.includes('--json')) {
+          console.log(JSON.stringify(results, null, 2));
+          break;
+        }
+        // Show the fields the query filters on next to the usual ones
+        const columns = options.fields
+          ? options.fields.split(',').map(field => field.trim())
+          : [...new Set(['preached_on', 'sermon_title', 'texts', ...(query ? getQueryFields(compileQuery(query, getIndexSchema(index)).tree) : []), 'path'])];
+        console.log(formatTable(results, columns));
+        console.log(`\n${results.length} sermon${results.length === 1 ? '' : 's'}`);
+        break;
+      }
+      default:
+        console.log(`
+Vault Index for Sermon Metadata
+
+Usage:
+  node vault-index.js index [directory] [--rebuild]  - Build or update the index (defaults to VAULT_PATH)
+  node vault-index.js query "<expression>" [options] - List sermons matching an expression
+
+Options for query:
+  --vault <dir>         Vault to query (defaults to VAULT_PATH, then the current directory)
+  --sort <field>        Sort by a field; prefix with "-" for descending (default -preached_on)
+  --limit <n>           Show at most n sermons
+  --fields <a,b,...>    Columns to show in the table
+  --json                Print the matching index entries as JSON
+
+Expressions compare fields with =, !=, <, <=, >, >=, ~ (contains) and !~ (doesn't contain), combined with
+and, or, not and parentheses. Text comparisons ignore case; list fields match when any item does.
+Nested fields use dots, and a radar dimension on its own stands for radar_score.<dimension>. "year" is taken
+from preached_on and "books" from texts. Unknown fields are an error. For example:
+  metaphors ~ shepherd
+  texts ~ "Luke 15"
+  books = Psalms
+  closing_force < 6 and year = 2024
+        `);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,294 @@
+// Query Language for the Vault Index
+// Small filter expressions over sermon metadata, e.g.
+//   metaphors ~ shepherd
+//   texts ~ "Luke 15" and not themes = lament
+//   radar_score.closing_force < 6 and year = 2024
+//   closing_force < 6 (bare radar dimensions stand for radar_score.<dimension>)
+
+const OPERATORS = ['!=', '<=', '>=', '!~', '=', '<', '>', '~'];
+const KEYWORDS = ['and', 'or', 'not'];
+
+/**
+ * Split a query into tokens
+ * @param {string} input - Query expression
+ * @returns {Object[]} - Tokens: { type: 'op' | 'word' | 'string' | 'paren', value, position }
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const char = input[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    if (char === '(' || char === ')') {
+      tokens.push({ type: 'paren', value: char, position: i });
+      i++;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      const end = input.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated string starting at position ${i + 1}`);
+      }
+      tokens.push({ type: 'string', value: input.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+    const operator = OPERATORS.find(op => input.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+    // Words run until whitespace, a parenthesis, a quote or an operator
+    const start = i;
+    while (i < input.length && !/[\s()"']/.test(input[i]) && !OPERATORS.some(op => input.startsWith(op, i))) {
+      i++;
+    }
+    tokens.push({ type: 'word', value: input.slice(start, i), position: start });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a query into an expression tree
+ * @param {string} input - Query expression
+ * @returns {Object} - Tree of { type: 'and' | 'or', left, right }, { type: 'not', expr },
+ *                     { type: 'compare', field, op, value } and { type: 'exists', field } nodes
+ */
+function parseQuery(input) {
+  const tokens = tokenize(input);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isKeyword = (token, keyword) => token && token.type === 'word' && token.value.toLowerCase() === keyword;
+  const describe = token => (token ? `"${token.value}" at position ${token.position + 1}` : 'end of query');
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isKeyword(peek(), 'or')) {
+      index++;
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (isKeyword(peek(), 'and')) {
+      index++;
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (isKeyword(peek(), 'not')) {
+      index++;
+      return { type: 'not', expr: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (token && token.type === 'paren' && token.value === '(') {
+      index++;
+      const expr = parseOr();
+      const closing = peek();
+      if (!closing || closing.type !== 'paren' || closing.value !== ')') {
+        throw new Error(`Expected ")" but found ${describe(closing)}`);
+      }
+      index++;
+      return expr;
+    }
+    if (!token || token.type !== 'word' || KEYWORDS.includes(token.value.toLowerCase())) {
+      throw new Error(`Expected a field name but found ${describe(token)}`);
+    }
+    index++;
+    const field = token.value;
+
+    // A field on its own matches sermons where it is set
+    const operator = peek();
+    if (!operator || operator.type !== 'op') {
+      return { type: 'exists', field };
+    }
+    index++;
+    const value = peek();
+    if (!value || (value.type !== 'word' && value.type !== 'string')) {
+      throw new Error(`Expected a value after "${operator.value}" but found ${describe(value)}`);
+    }
+    index++;
+    return { type: 'compare', field, op: operator.value, value: value.value };
+  }
+
+  if (tokens.length === 0) {
+    throw new Error('Query is empty');
+  }
+  const tree = parseOr();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected ${describe(peek())}`);
+  }
+  return tree;
+}
+
+/**
+ * Read a possibly nested field ("radar_score.closing_force") from an entry
+ * @param {Object} entry - Index entry
+ * @param {string} field - Dotted field name
+ * @returns {*} - Value, or undefined if missing
+ */
+function getField(entry, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), entry);
+}
+
+/**
+ * Compare one value from an entry with a query value.
+ * Numbers compare numerically; everything else compares as case-insensitive text, so ISO dates sort correctly.
+ * @param {*} actual - Value from the entry
+ * @param {string} op - Operator
+ * @param {string} expected - Value from the query
+ * @returns {boolean}
+ */
+function compareValue(actual, op, expected) {
+  if (actual == null || typeof actual === 'object') {
+    return false;
+  }
+  const text = String(actual).toLowerCase();
+  const wanted = expected.toLowerCase();
+  if (op === '~') {
+    return text.includes(wanted);
+  }
+  if (op === '!~') {
+    return !text.includes(wanted);
+  }
+
+  const numeric = typeof actual === 'number' && expected.trim() !== '' && !isNaN(Number(expected));
+  const order = numeric ? actual - Number(expected) : text.localeCompare(wanted);
+  switch (op) {
+    case '=': return order === 0;
+    case '!=': return order !== 0;
+    case '<': return order < 0;
+    case '<=': return order <= 0;
+    case '>': return order > 0;
+    case '>=': return order >= 0;
+    default: throw new Error(`Unknown operator "${op}"`);
+  }
+}
+
+/**
+ * Evaluate an expression tree against an index entry
+ * @param {Object} node - Expression tree from parseQuery
+ * @param {Object} entry - Index entry
+ * @returns {boolean}
+ */
+function evaluateQuery(node, entry) {
+  switch (node.type) {
+    case 'and':
+      return evaluateQuery(node.left, entry) && evaluateQuery(node.right, entry);
+    case 'or':
+      return evaluateQuery(node.left, entry) || evaluateQuery(node.right, entry);
+    case 'not':
+      return !evaluateQuery(node.expr, entry);
+    case 'exists': {
+      const value = getField(entry, node.field);
+      return value != null && value !== '' && !(Array.isArray(value) && value.length === 0);
+    }
+    case 'compare': {
+      const value = getField(entry, node.field);
+      // List fields match when any item does; "!=" and "!~" mean no item does
+      if (Array.isArray(value)) {
+        if (node.op === '!=' || node.op === '!~') {
+          const positive = node.op === '!=' ? '=' : '~';
+          return !value.some(item => compareValue(item, positive, node.value));
+        }
+        return value.some(item => compareValue(item, node.op, node.value));
+      }
+      return compareValue(value, node.op, node.value);
+    }
+    default:
+      throw new Error(`Unknown query node "${node.type}"`);
+  }
+}
+
+/**
+ * List the fields a query refers to
+ * @param {Object} node - Expression tree from parseQuery
+ * @returns {string[]} - Field names, in order of first use
+ */
+function getQueryFields(node) {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return [...new Set([...getQueryFields(node.left), ...getQueryFields(node.right)])];
+    case 'not':
+      return getQueryFields(node.expr);
+    default:
+      return [node.field];
+  }
+}
+
+/**
+ * Check a field name against the fields entries can have, turning a bare radar dimension ("closing_force") into
+ * its place under radar_score
+ * @param {string} field - Field name from a query or sort option
+ * @param {Object} schema - { fields: top-level field names, dimensions: radar dimension keys }
+ * @returns {string} - Field name to read
+ * @throws {Error} - If no entry can have the field, since it would silently match nothing
+ */
+function resolveField(field, schema) {
+  const [top, ...rest] = field.split('.');
+  if (rest.length === 0 && !schema.fields.includes(top) && schema.dimensions.includes(top)) {
+    return `radar_score.${top}`;
+  }
+  if (!schema.fields.includes(top)) {
+    throw new Error(`Unknown field "${field}". Fields: ${schema.fields.join(', ')}, or a radar dimension such as ${schema.dimensions[0] || 'closing_force'}`);
+  }
+  if (top === 'radar_score' && rest.length > 0 && !schema.dimensions.includes(rest.join('.'))) {
+    throw new Error(`Unknown radar dimension "${rest.join('.')}". Dimensions: ${schema.dimensions.join(', ')}`);
+  }
+  return field;
+}
+
+/**
+ * Resolve every field of an expression tree (see resolveField)
+ * @param {Object} node - Expression tree from parseQuery
+ * @param {Object} schema - { fields, dimensions }
+ * @returns {Object} - Tree with resolved field names
+ */
+function resolveQueryFields(node, schema) {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return { ...node, left: resolveQueryFields(node.left, schema), right: resolveQueryFields(node.right, schema) };
+    case 'not':
+      return { ...node, expr: resolveQueryFields(node.expr, schema) };
+    default:
+      return { ...node, field: resolveField(node.field, schema) };
+  }
+}
+
+/**
+ * Compile a query into a predicate
+ * @param {string} input - Query expression
+ * @param {Object} [schema] - { fields, dimensions } to check field names against (see resolveField)
+ * @returns {Function} - entry => boolean, with the parsed tree on its "tree" property
+ */
+function compileQuery(input, schema = null) {
+  const parsed = parseQuery(input);
+  const tree = schema ? resolveQueryFields(parsed, schema) : parsed;
+  const predicate = entry => evaluateQuery(tree, entry);
+  predicate.tree = tree;
+  return predicate;
+}
+
+module.exports = {
+  parseQuery,
+  evaluateQuery,
+  compileQuery,
+  getQueryFields,
+  resolveField,
+  getField
+};
@@ -4,25 +4,26 @@ const path = require('path');
 const yaml = require('js-yaml');
 const matter = require('gray-matter');
 const { DateTime } = require('luxon');
+const { loadRubric, resolveRubric, getDimensionKeys, getDimensionLabel, getRubricId } = require('./rubric-loader');
+const { replaceManagedSection, migrateLegacyRadarSections } = require('./managed-sections');
+const { normalizeTexts, validateTexts } = require('./scripture');
+const { getLiturgicalFields, checkLectionaryTexts } = require('./liturgical-calendar');
+const { writeRadarChart } = require('./radar-chart');
 
 /**
  * Generate YAML frontmatter for a sermon
  * @param {Object} sermonData - Partial sermon data to include
+ * @param {Object} [rubric] - Rubric defining the radar dimensions (defaults to the sermon's tradition pack or the configured rubric)
  * @returns {Object} - Complete sermon YAML object
  */
-function generateSermonYAML(sermonData = {}) {
-  // Default radar scores
-  const defaultRadarScore = {
-    theological_cohesion: 0,
-    scriptural_integration: 0,
-    structural_clarity: 0,
-    liturgical_harmony: 0,
-    voice_fidelity: 0,
-    emotional_presence: 0,
-    metaphorical_resonance: 0,
-    closing_force: 0,
-    embodied_authority: 0
-  };
+function generateSermonYAML(sermonData = {}, rubric = null) {
+  rubric = resolveRubric(sermonData, rubric);
+
+  // Default radar scores: the bottom of the scale for every rubric dimension
+  const defaultRadarScore = {};
+  for (const key of getDimensionKeys(rubric)) {
+    defaultRadarScore[key] = rubric.scale.min;
+  }
 
   // Get current date if not provided
   const preachedOn = sermonData.preached_on || DateTime.now().toISODate();
@@ -31,7 +32,7 @@ function generateSermonYAML(sermonData = {}) {
   const completeSermon = {
     sermon_title: sermonData.sermon_title || 'Untitled Sermon',
     preached_on: preachedOn,
-    texts: sermonData.texts || [],
+    texts: normalizeTexts(sermonData.texts).texts,
     bolt: sermonData.bolt || '',
     themes: sermonData.themes || [],
     metaphors: sermonData.metaphors || [],
@@ -39,6 +40,15 @@ function generateSermonYAML(sermonData = {}) {
     audio_url: sermonData.audio_url || '',
     manuscript_path: sermonData.manuscript_path || generateManuscriptPath(preachedOn)
   };
+
+  // The Sunday and its lectionary readings follow from an actual preached_on date, not today's default
+  if (sermonData.preached_on) {
+    const liturgical = getLiturgicalFields(sermonData.preached_on);
+    if (liturgical.liturgical_day) {
+      completeSermon.liturgical_day = sermonData.liturgical_day || liturgical.liturgical_day;
+      completeSermon.lectionary_readings = sermonData.lectionary_readings || liturgical.lectionary_readings;
+    }
+  }
   
   // Optionally include radar justifications if provided
   if (sermonData.radar_justifications) {
@@ -65,10 +75,19 @@ function generateManuscriptPath(dateStr) {
 /**
  * Validate sermon YAML against schema
  * @param {Object} sermonYAML - Sermon YAML object to validate
- * @returns {Object} - Validation result { valid: boolean, errors: string[] }
+ * @param {Object} [rubric] - Rubric defining the radar dimensions (defaults to the sermon's tradition pack or the configured rubric)
+ * @returns {Object} - Validation result { valid: boolean, errors: string[], warnings: string[] }
  */
-function validateSermonYAML(sermonYAML) {
+function validateSermonYAML(sermonYAML, rubric = null) {
   const errors = [];
+
+  // An unknown `tradition` is reported as a validation error rather than thrown
+  try {
+    rubric = resolveRubric(sermonYAML, rubric);
+  } catch (error) {
+    errors.push(error.message);
+    rubric = null;
+  }
   
   // Required fields (here only sermon_title is required)
   const requiredFields = ['sermon_title'];
@@ -78,26 +97,29 @@ function validateSermonYAML(sermonYAML) {
     }
   }
   
+  // Scripture references must exist and be written in canonical form
+  errors.push(...validateTexts(sermonYAML.texts));
+  
   // Radar score validation (if present)
-  if (sermonYAML.radar_score) {
-    const scoreFields = [
-      'theological_cohesion', 'scriptural_integration', 'structural_clarity',
-      'liturgical_harmony', 'voice_fidelity', 'emotional_presence',
-      'metaphorical_resonance', 'closing_force', 'embodied_authority'
-    ];
-    for (const field of scoreFields) {
+  if (sermonYAML.radar_score && rubric) {
+    const { min, max } = rubric.scale;
+    for (const field of getDimensionKeys(rubric)) {
       const score = sermonYAML.radar_score[field];
       if (score !== undefined) {
-        if (typeof score !== 'number' || score < 0 || score > 10) {
-          errors.push(`Invalid radar score for ${field}. Must be a number between 0 and 10.`);
+        if (typeof score !== 'number' || score < min || score > max) {
+          errors.push(`Invalid radar score for ${field}. Must be a number between ${min} and ${max}.`);
         }
       }
     }
   }
   
+  // Preaching off-lectionary is allowed, so a mismatch is only a warning
+  const warnings = checkLectionaryTexts(sermonYAML);
+
   return {
     valid: errors.length === 0,
-    errors
+    errors,
+    warnings
   };
 }
 
@@ -120,16 +142,17 @@ function extractYAMLFromFile(filePath) {
 /**
  * Process all sermon files in a directory
  * @param {string} directoryPath - Path to directory containing sermon files
+ * @param {Object} [rubric] - Rubric to validate radar scores against (defaults to each sermon's own rubric)
  * @returns {Object[]} - Array of processed sermon data
  */
-function processSermonDirectory(directoryPath) {
+function processSermonDirectory(directoryPath, rubric = null) {
   const sermons = [];
   const markdownFiles = findMarkdownFiles(directoryPath);
   
   for (const filePath of markdownFiles) {
     try {
       const yamlData = extractYAMLFromFile(filePath);
-      const validation = validateSermonYAML(yamlData);
+      const validation = validateSermonYAML(yamlData, rubric);
       
       if (!validation.valid && !yamlData.sermon_title) {
         const filename = path.basename(filePath, '.md');
@@ -178,6 +201,24 @@ function findMarkdownFiles(directoryPath) {
   return files;
 }
 
+/**
+ * Move a file's unmarked Radar Analysis section into a managed section, dropping stacked older blocks.
+ * Only the body is rewritten; the frontmatter is kept byte for byte.
+ * @param {string} filePath - Path to markdown file
+ * @param {boolean} [dryRun] - Report what would change without writing
+ * @returns {Object} - { migrated, removedBlocks }
+ */
+function migrateFileSections(filePath, dryRun = false) {
+  const fileContent = fs.readFileSync(filePath, 'utf8');
+  const { content } = matter(fileContent);
+  const frontmatter = fileContent.slice(0, fileContent.length - content.length);
+  const result = migrateLegacyRadarSections(content, 'radar');
+  if (result.migrated && !dryRun) {
+    fs.writeFileSync(filePath, frontmatter + result.content);
+  }
+  return { migrated: result.migrated, removedBlocks: result.removedBlocks };
+}
+
 /**
  * Update a markdown file with new YAML frontmatter
  * @param {string} filePath - Path to markdown file
@@ -199,62 +240,79 @@ function updateFileWithYAML(filePath, yamlData) {
 
 /**
  * Update a markdown file with a radar analysis section.
- * This function removes any existing "## Radar Analysis" section from the content,
- * then appends a new section based on the provided radar scores and justifications.
+ * The section is kept between <!-- sermon-ai:radar start/end --> markers and replaced exactly on
+ * re-runs; unmarked sections from older versions are migrated first. Content outside the markers is untouched.
  * @param {string} filePath - Path to markdown file
- * @param {Object} yamlData - YAML data to insert/update (should include radar_score)
+ * @param {Object} yamlData - YAML data to insert/update (should include radar_score; radar_summary,
+ *                            radar_cumulative and radar_audio_note are rendered when present)
  * @param {Object} justifications - Radar justifications for each category
  * @param {string} modelName - Name of the model that generated the scores
+ * @param {Object} [rubric] - Rubric the scores were generated against (defaults to the sermon's own rubric)
+ * @param {string} [generatedAt] - When the scores were generated (ISO timestamp, defaults to now)
+ * @param {Object} [chart] - Draw a radar chart next to the manuscript and embed it in the section:
+ *                           { overlays: [{ label, scores }] } (e.g. the preacher's trailing average); omit for no chart
  * @returns {boolean} - Success status
  */
-function updateFileWithRadarSection(filePath, yamlData, justifications, modelName = 'unknown') {
+function updateFileWithRadarSection(filePath, yamlData, justifications, modelName = 'unknown', rubric = null, generatedAt = null, chart = null) {
   try {
+    rubric = resolveRubric(yamlData, rubric);
+
     // Read original content using gray-matter
     const fileContent = fs.readFileSync(filePath, 'utf8');
     const parsed = matter(fileContent);
-    let contentWithoutRadar = parsed.content;
-
-    // Remove any existing "## Radar Analysis" section.
-    // This regex matches from a line starting with "## Radar Analysis" until the next level 1 heading (#) or end of file.
-    contentWithoutRadar = contentWithoutRadar.replace(/(^## Radar Analysis[\s\S]*?)(?=^# |\n*$)/m, '');
+    const { content } = migrateLegacyRadarSections(parsed.content.trim(), 'radar');
 
     // Get current date and time for the timestamp
-    const timestamp = new Date().toISOString();
+    const timestamp = generatedAt || new Date().toISOString();
     
     // Create the radar analysis section with model info and timestamp
     let radarSection = '## Radar Analysis\n';
     radarSection += `_Generated by model: ${modelName} | ${timestamp}_\n\n`;
+
+    if (chart && yamlData.radar_score) {
+      const chartPath = writeRadarChart(filePath, rubric, [
+        { label: yamlData.sermon_title || 'This sermon', scores: yamlData.radar_score },
+        ...(chart.overlays || [])
+      ]);
+      radarSection += `![Radar chart](${encodeURIComponent(path.basename(chartPath))})\n\n`;
+    }
     
-    const categories = [
-      'theological_cohesion',
-      'scriptural_integration',
-      'structural_clarity',
-      'liturgical_harmony',
-      'voice_fidelity',
-      'emotional_presence',
-      'metaphorical_resonance',
-      'closing_force',
-      'embodied_authority'
-    ];
-    categories.forEach(category => {
+    getDimensionKeys(rubric).forEach(category => {
       if (yamlData.radar_score && yamlData.radar_score[category] !== undefined) {
         const score = yamlData.radar_score[category];
         const justification = justifications[category] || '';
-        const formattedName = category.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
-        radarSection += `- **${formattedName} (${score}/10)**: ${justification}\n`;
+        const formattedName = getDimensionLabel(rubric, category);
+        // Calibrated scores also show what the model said
+        const raw = yamlData.radar_raw_score ? yamlData.radar_raw_score[category] : undefined;
+        const rawNote = raw !== undefined && raw !== score ? `, model said ${raw}` : '';
+        radarSection += `- **${formattedName} (${score}/${rubric.scale.max}${rawNote})**: ${justification}\n`;
       }
     });
     radarSection += '\n';
 
-    // Add model info to the YAML data
+    // Overall assessment, cumulative score and audio note from the same evaluation
+    if (yamlData.radar_summary) {
+      radarSection += `**Overall Assessment**: ${yamlData.radar_summary}\n\n`;
+    }
+    if (yamlData.radar_cumulative) {
+      const { reported, computed, max, agrees } = yamlData.radar_cumulative;
+      radarSection += `**Cumulative Score**: ${reported}/${max}`;
+      radarSection += agrees ? '\n\n' : ` ⚠️ _The category scores sum to ${computed}._\n\n`;
+    }
+    if (yamlData.radar_audio_note) {
+      radarSection += `**Audio**: ${yamlData.radar_audio_note}\n\n`;
+    }
+
+    // Add model and rubric info to the YAML data
     yamlData.radar_info = `Model: ${modelName} | Generated: ${timestamp}`;
+    yamlData.radar_rubric = getRubricId(rubric);
     
     // Remove radar_justifications from the YAML data before dumping
     const { radar_justifications, ...yamlWithoutJustifications } = yamlData;
     const newYaml = yaml.dump(yamlWithoutJustifications);
     
-    // Assemble the new file content: YAML frontmatter, then the radar section, then the remaining content.
-    const newContent = `---\n${newYaml}---\n\n${radarSection}${contentWithoutRadar.trim()}`;
+    // Assemble the new file content: YAML frontmatter, then the body with the radar section replaced in place.
+    const newContent = `---\n${newYaml}---\n\n${replaceManagedSection(content, 'radar', radarSection)}`;
     fs.writeFileSync(filePath, newContent);
     return true;
   } catch (error) {
@@ -268,17 +326,30 @@ module.exports = {
   validateSermonYAML,
   extractYAMLFromFile,
   processSermonDirectory,
+  findMarkdownFiles,
   updateFileWithYAML,
-  updateFileWithRadarSection
+  updateFileWithRadarSection,
+  migrateFileSections
 };
 
 if (require.main === module) {
-  const [cmd, ...args] = process.argv.slice(2);
+  const [cmd, ...rawArgs] = process.argv.slice(2);
+
+  // Pull out --rubric <file> so the remaining args are positional
+  let rubricPath = null;
+  const rubricIndex = rawArgs.indexOf('--rubric');
+  if (rubricIndex !== -1 && rawArgs.length > rubricIndex + 1) {
+    rubricPath = rawArgs[rubricIndex + 1];
+  }
+  const args = rubricPath
+    ? rawArgs.filter((arg, index) => index !== rubricIndex && index !== rubricIndex + 1)
+    : rawArgs;
+  const rubric = rubricPath ? loadRubric(rubricPath) : null;
   
   switch (cmd) {
     case 'validate': {
       const [dirPath] = args;
-      const sermons = processSermonDirectory(dirPath || '.');
+      const sermons = processSermonDirectory(dirPath || '.', rubric);
       console.log(`\nProcessed ${sermons.length} sermon files:`);
       const validCount = sermons.filter(s => s.validation.valid).length;
       console.log(`✅ Valid: ${validCount}`);
@@ -293,16 +364,26 @@ if (require.main === module) {
           }
         }
       }
+      const warned = sermons.filter(s => s.validation.warnings.length > 0);
+      if (warned.length > 0) {
+        console.log('\nWarnings:');
+        for (const sermon of warned) {
+          console.log(`- ${sermon.path}`);
+          for (const warning of sermon.validation.warnings) {
+            console.log(`  ⚠️ ${warning}`);
+          }
+        }
+      }
       break;
     }
     case 'generate': {
-      const template = generateSermonYAML();
+      const template = generateSermonYAML({}, rubric);
       console.log(yaml.dump(template));
       break;
     }
     case 'fix': {
       const [dirPath] = args;
-      const sermons = processSermonDirectory(dirPath || '.');
+      const sermons = processSermonDirectory(dirPath || '.', rubric);
       const invalid = sermons.filter(s => !s.validation.valid);
       if (invalid.length === 0) {
         console.log('No invalid sermons found.');
@@ -311,11 +392,24 @@ if (require.main === module) {
       console.log(`\nAttempting to fix ${invalid.length} invalid sermons:`);
       let fixedCount = 0;
       for (const sermon of invalid) {
-        const fixed = generateSermonYAML(sermon.data);
+        let fixed;
+        try {
+          fixed = generateSermonYAML(sermon.data, rubric);
+        } catch (error) {
+          console.log(`❌ Failed to fix: ${sermon.path} (${error.message})`);
+          continue;
+        }
         const success = updateFileWithYAML(sermon.path, fixed);
-        if (success) {
+        const remaining = validateSermonYAML(fixed, rubric).errors;
+        if (success && remaining.length === 0) {
           fixedCount++;
           console.log(`✅ Fixed: ${sermon.path}`);
+        } else if (success) {
+          // Problems like a reference to a chapter that doesn't exist need a person to correct them
+          console.log(`⚠️ Partly fixed: ${sermon.path}`);
+          for (const error of remaining) {
+            console.log(`  - ${error}`);
+          }
         } else {
           console.log(`❌ Failed to fix: ${sermon.path}`);
         }
@@ -323,6 +417,26 @@ if (require.main === module) {
       console.log(`\nFixed ${fixedCount} out of ${invalid.length} invalid sermons.`);
       break;
     }
+    case 'migrate-sections': {
+      const dryRun = args.includes('--dry-run');
+      const [dirPath] = args.filter(arg => !arg.startsWith('--'));
+      const files = findMarkdownFiles(dirPath || '.');
+      let migratedCount = 0;
+      for (const filePath of files) {
+        try {
+          const { migrated, removedBlocks } = migrateFileSections(filePath, dryRun);
+          if (migrated) {
+            migratedCount++;
+            const note = removedBlocks > 0 ? `, removed ${removedBlocks} stacked block(s)` : '';
+            console.log(`${dryRun ? 'Would migrate' : '✅ Migrated'}: ${filePath}${note}`);
+          }
+        } catch (error) {
+          console.log(`❌ Failed to migrate: ${filePath} (${error.message})`);
+        }
+      }
+      console.log(`\n${dryRun ? 'Would migrate' : 'Migrated'} ${migratedCount} of ${files.length} files.`);
+      break;
+    }
     default:
       console.log(`
 YAML Generator and Validator for Sermon Metadata
@@ -331,6 +445,13 @@ Usage:
   node yaml-generator.js validate [directory]  - Validate all sermon files in directory
   node yaml-generator.js generate              - Generate YAML template
   node yaml-generator.js fix [directory]       - Attempt to fix invalid sermon files
+  node yaml-generator.js migrate-sections [directory] [--dry-run]
+                                               - Wrap Radar Analysis sections in managed markers and remove
+                                                 duplicated blocks left by earlier versions
+
+Options:
+  --rubric <file>   Rubric file (YAML/JSON) defining the radar dimensions (defaults to each sermon's
+                    \`tradition\` pack, then rubrics/mainline.yaml)
       `);
   }
 }